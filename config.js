@@ -9,17 +9,27 @@ module.exports = {
     bind: {
         zonesPath: process.env.BIND_ZONES_PATH || '/etc/bind/zones',
         confPath: process.env.BIND_CONF_PATH || '/etc/bind/named.conf.local',
+        // named's working directory (options { directory }); relative paths
+        // in zone files, such as $INCLUDE, are resolved against it
+        directory: process.env.BIND_DIRECTORY || '/var/cache/bind',
+        // DNSSEC keys of signed zones; must be writable by the bind user
+        keysPath: process.env.BIND_KEYS_PATH || '/etc/bind/keys',
         reloadCommand: 'rndc reload',
         checkCommand: 'named-checkzone'
     },
 
     // Session Configuration
+    // Without SESSION_SECRET a random secret is generated once and stored in data/
     session: {
-        secret: process.env.SESSION_SECRET || 'ndash-secret-key-change-in-production',
+        secret: process.env.SESSION_SECRET || null,
+        name: 'ndash.sid',
         resave: false,
-        saveUninitialized: true,
+        saveUninitialized: false,
         cookie: {
-            secure: process.env.NODE_ENV === 'production',
+            httpOnly: true,
+            sameSite: 'lax',
+            // Enable when NDash is served over HTTPS
+            secure: process.env.SESSION_COOKIE_SECURE === 'true',
             maxAge: 24 * 60 * 60 * 1000 // 24 hours
         }
     },
@@ -27,13 +37,10 @@ module.exports = {
     // Default DNS Settings
     dns: {
         defaultTTL: 3600,
-        defaultRefresh: 86400,
-        defaultRetry: 7200,
-        defaultExpire: 3600000,
-        defaultMinimum: 86400,
         supportedRecordTypes: [
             'A', 'AAAA', 'CNAME', 'MX', 'TXT', 
-            'NS', 'PTR', 'SRV', 'SOA', 'CAA'
+            'NS', 'PTR', 'SRV', 'SOA', 'CAA', 'SSHFP', 'TLSA',
+            'HTTPS', 'SVCB', 'NAPTR', 'DS', 'DNAME', 'LOC', 'URI'
         ]
     },
 
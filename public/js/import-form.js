@@ -0,0 +1,28 @@
+// Record and zone import forms: read a chosen file into the content box, and
+// select or clear every importable record of the preview at once
+(function () {
+    const fileInput = document.getElementById('file');
+    if (fileInput) {
+        fileInput.addEventListener('change', function () {
+            const file = this.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                document.getElementById('content').value = reader.result;
+                const extension = file.name.split('.').pop().toLowerCase();
+                const format = { csv: 'csv', json: 'json', db: 'bind', zone: 'bind' }[extension];
+                const select = document.getElementById('format');
+                // Keep a provider format the user picked; their exports use these extensions too
+                if (format && select.value === 'auto') select.value = format;
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    const selectAll = document.getElementById('select-all');
+    if (selectAll) {
+        selectAll.addEventListener('change', function () {
+            document.querySelectorAll('.import-select:not(:disabled)').forEach(box => { box.checked = this.checked; });
+        });
+    }
+})();
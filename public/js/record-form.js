@@ -0,0 +1,42 @@
+// Record add/edit form: show the fields the selected record type uses
+(function() {
+    const typeSelect = document.getElementById('type');
+    if (!typeSelect) return;
+
+    const valueHelp = {
+        A: 'IPv4 address, e.g. 192.0.2.10',
+        AAAA: 'IPv6 address, e.g. 2001:db8::10',
+        CNAME: 'Target name; end with a dot when fully qualified (e.g. www.example.net.)',
+        MX: 'Mail server host name; end with a dot when fully qualified',
+        TXT: 'Plain text (split into 255-byte strings automatically) or "quoted" "strings"',
+        NS: 'Name server host name; end with a dot when fully qualified',
+        PTR: 'Target name; end with a dot when fully qualified',
+        SRV: 'Target host name, or . when the service is not available',
+        CAA: 'Flags, tag and value, e.g. 0 issue "letsencrypt.org"',
+        DNAME: 'Target domain; the whole subtree below this name is redirected there'
+    };
+
+    const valueInput = document.getElementById('value');
+    const rdataFieldsets = document.querySelectorAll('fieldset[data-rdata-type]');
+
+    function update() {
+        const type = typeSelect.value;
+        let structured = false;
+        rdataFieldsets.forEach(fieldset => {
+            const selected = fieldset.dataset.rdataType === type;
+            structured = structured || selected;
+            fieldset.disabled = !selected;
+            fieldset.style.display = selected ? 'grid' : 'none';
+        });
+        // Structured types post rdata[field] instead of a single value
+        valueInput.disabled = structured;
+        document.getElementById('value-group').style.display = structured ? 'none' : 'block';
+        document.getElementById('priority-group').style.display = (type === 'MX' || type === 'SRV') ? 'block' : 'none';
+        document.getElementById('srv-group').style.display = type === 'SRV' ? 'grid' : 'none';
+        const help = document.getElementById('value-help');
+        if (help) help.textContent = valueHelp[type] || 'IP address, hostname, or value for this record';
+    }
+
+    typeSelect.addEventListener('change', update);
+    update();
+})();
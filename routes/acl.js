@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const bindService = require('../services/bindService');
+const permissions = require('../utils/permissions');
 
 /**
  * GET /acl - Display ACL management page
@@ -47,7 +48,7 @@ router.get('/api/list', async (req, res) => {
 /**
  * POST /acl/api/create - Create a new ACL
  */
-router.post('/api/create', async (req, res) => {
+router.post('/api/create', permissions.requireRole('admin'), async (req, res) => {
     try {
         const { name, entries, description } = req.body;
 
@@ -89,7 +90,7 @@ router.post('/api/create', async (req, res) => {
 /**
  * POST /acl/api/delete - Delete an ACL
  */
-router.post('/api/delete', async (req, res) => {
+router.post('/api/delete', permissions.requireRole('admin'), async (req, res) => {
     try {
         const { name } = req.body;
 
@@ -152,7 +153,7 @@ router.get('/api/slave-zones', async (req, res) => {
 /**
  * POST /acl/api/convert-to-slave - Convert zone to slave
  */
-router.post('/api/convert-to-slave', async (req, res) => {
+router.post('/api/convert-to-slave', permissions.requireZoneManage(), async (req, res) => {
     try {
         const { zoneName, masterIp, allowTransferAcl } = req.body;
 
@@ -177,7 +178,7 @@ router.post('/api/convert-to-slave', async (req, res) => {
 /**
  * POST /acl/api/convert-to-master - Convert zone to master
  */
-router.post('/api/convert-to-master', async (req, res) => {
+router.post('/api/convert-to-master', permissions.requireZoneManage(), async (req, res) => {
     try {
         const { zoneName, file } = req.body;
 
@@ -202,7 +203,7 @@ router.post('/api/convert-to-master', async (req, res) => {
 /**
  * POST /acl/api/update-slave-master - Update slave zone master
  */
-router.post('/api/update-slave-master', async (req, res) => {
+router.post('/api/update-slave-master', permissions.requireZoneManage(), async (req, res) => {
     try {
         const { zoneName, masterIp } = req.body;
 
@@ -227,7 +228,7 @@ router.post('/api/update-slave-master', async (req, res) => {
 /**
  * POST /acl/api/set-allow-transfer - Set allow-transfer ACL for zone
  */
-router.post('/api/set-allow-transfer', async (req, res) => {
+router.post('/api/set-allow-transfer', permissions.requireZoneManage(), async (req, res) => {
     try {
         const { zoneName, aclName } = req.body;
 
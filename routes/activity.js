@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
+const { requireRole } = require('../utils/permissions');
+const { activityLogger } = require('../utils/activityLogger');
 
 // Activity log file path
 const ACTIVITY_LOG_FILE = path.join(__dirname, '../data/activity.log');
@@ -223,10 +225,12 @@ router.get('/api/stats', async (req, res) => {
     }
 });
 
-// API: Clear activity log (optional - for maintenance)
-router.post('/api/clear', async (req, res) => {
+// API: Clear activity log (optional - for maintenance); the clearing itself
+// is the first entry of the new log
+router.post('/api/clear', requireRole('admin'), async (req, res) => {
     try {
         await fs.writeFile(ACTIVITY_LOG_FILE, '', 'utf8');
+        await activityLogger.custom('system', 'delete', 'Activity log cleared');
         res.json({
             success: true,
             message: 'Activity log cleared successfully'
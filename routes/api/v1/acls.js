@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const permissions = require('../../../utils/permissions');
+const { HttpError } = require('../../../utils/errors');
+const { asyncHandler, paginate, requireFields } = require('../../../utils/api');
+
+async function findACL(name) {
+    const acls = await bindService.listACLs();
+    const acl = acls.find(a => a.name === name);
+    if (!acl) {
+        throw new HttpError(404, `ACL ${name} not found`);
+    }
+    return acl;
+}
+
+// List ACLs
+router.get('/', asyncHandler(async (req, res) => {
+    const acls = await bindService.listACLs();
+    res.json(paginate(acls, req.query));
+}));
+
+// Get ACL
+router.get('/:name', asyncHandler(async (req, res) => {
+    res.json({ data: await findACL(req.params.name) });
+}));
+
+// Create ACL
+router.post('/', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['name', 'entries']);
+    const { name, entries, description } = req.body;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new HttpError(400, 'At least one entry is required', { details: [{ field: 'entries', message: 'must be a non-empty array' }] });
+    }
+    const invalid = entries
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => !entry || !entry.address);
+    if (invalid.length > 0) {
+        throw new HttpError(400, 'All entries must have an address', {
+            details: invalid.map(({ index }) => ({ field: `entries[${index}].address`, message: 'is required' }))
+        });
+    }
+
+    const { staged } = await bindService.createACL(name, entries, description);
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: { name, entries, description } });
+    }
+    res.status(201)
+        .location(`/api/v1/acls/${encodeURIComponent(name)}`)
+        .json({ data: await findACL(name) });
+}));
+
+// Delete ACL
+router.delete('/:name', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    await findACL(req.params.name);
+    const { staged } = await bindService.deleteACL(req.params.name);
+    res.status(staged ? 202 : 204).end();
+}));
+
+module.exports = router;
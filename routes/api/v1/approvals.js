@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const permissions = require('../../../utils/permissions');
+const { asyncHandler, paginate } = require('../../../utils/api');
+const { HttpError } = require('../../../utils/errors');
+
+router.use(permissions.requireApprover);
+
+function assertCanReview(req) {
+    if (!permissions.canApproveChanges(req.user, req.params.owner)) {
+        throw new HttpError(403, 'You cannot review your own changes');
+    }
+}
+
+// Changes awaiting approval
+router.get('/', asyncHandler(async (req, res) => {
+    const { data, pagination } = paginate(await bindService.listApprovalRequests(), req.query);
+    res.json({ data, pagination });
+}));
+
+// One request with a unified diff per file
+router.get('/:owner', asyncHandler(async (req, res) => {
+    res.json({ data: await bindService.getApprovalRequest(req.params.owner) });
+}));
+
+// Approve and apply
+router.post('/:owner/approve', asyncHandler(async (req, res) => {
+    assertCanReview(req);
+    res.json({ data: await bindService.approveChanges(req.params.owner, req.body.comment) });
+}));
+
+// Send back to the requester; a comment is required
+router.post('/:owner/reject', asyncHandler(async (req, res) => {
+    assertCanReview(req);
+    res.json({ data: await bindService.rejectChanges(req.params.owner, req.body.comment) });
+}));
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const { asyncHandler } = require('../../../utils/api');
+
+// Pending changes of the current user, with a unified diff per file
+router.get('/', asyncHandler(async (req, res) => {
+    res.json({ data: await bindService.getPendingChanges() });
+}));
+
+// Apply all pending changes with one reload
+router.post('/apply', asyncHandler(async (req, res) => {
+    res.json({ data: await bindService.applyPendingChanges() });
+}));
+
+// Ask another user to approve the pending changes
+router.post('/submit', asyncHandler(async (req, res) => {
+    res.json({ data: await bindService.submitPendingChanges(req.body.comment) });
+}));
+
+// Take back an approval request
+router.post('/withdraw', asyncHandler(async (req, res) => {
+    await bindService.withdrawApprovalRequest();
+    res.status(204).end();
+}));
+
+// Drop all pending changes
+router.delete('/', asyncHandler(async (req, res) => {
+    await bindService.discardPendingChanges();
+    res.status(204).end();
+}));
+
+module.exports = router;
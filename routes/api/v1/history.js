@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const settingsUtil = require('../../../utils/settings');
+const permissions = require('../../../utils/permissions');
+const { asyncHandler, paginate } = require('../../../utils/api');
+
+/**
+ * Commit as returned by the API
+ */
+function serializeCommit(commit) {
+    return {
+        hash: commit.hash,
+        author: commit.author,
+        date: commit.date,
+        description: commit.description,
+        zone: commit.zone,
+        activity: commit.activity,
+        files: commit.files
+    };
+}
+
+// Change log; ?zone= limits it to one zone file. Tokens limited to specific
+// zones see only the commits of those zones
+router.get('/', asyncHandler(async (req, res) => {
+    const zone = req.query.zone || null;
+    if (zone && !permissions.canReadZone(req.user, zone)) {
+        return permissions.forbidden(req, res, 'This API token is limited to specific zones');
+    }
+    const commits = (await bindService.listHistory({ zone }))
+        .filter(commit => zone || permissions.canReadZone(req.user, commit.zone || ''));
+    const { data, pagination } = paginate(commits, req.query);
+    res.json({ data: data.map(serializeCommit), pagination });
+}));
+
+// One commit with per-file diffs
+router.get('/:commit', asyncHandler(async (req, res) => {
+    const commit = await bindService.getHistoryCommit(req.params.commit);
+    if (!commit.changes.every(change => permissions.canReadZone(req.user, change.zone || ''))) {
+        return permissions.forbidden(req, res, 'This API token is limited to specific zones');
+    }
+    res.json({ data: { ...serializeCommit(commit), parent: commit.parent, changes: commit.changes } });
+}));
+
+// Revert one commit
+router.post('/:commit/revert', asyncHandler(async (req, res) => {
+    const commit = await bindService.getHistoryCommit(req.params.commit);
+    if (!permissions.canRevertChange(req.user, commit, await settingsUtil.loadSettings())) {
+        return permissions.forbidden(req, res, 'You do not have permission to revert this change');
+    }
+    const { files, staged } = await bindService.revertHistoryCommit(commit.hash);
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: { reverted: commit.hash, files } });
+    }
+    res.json({ data: { reverted: commit.hash, files } });
+}));
+
+module.exports = router;
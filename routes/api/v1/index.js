@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { notFoundHandler, errorHandler } = require('../../../utils/api');
+
+/**
+ * REST API v1
+ * JSON in, JSON out. Authentication is the session of the web UI, or an
+ * API token sent as Authorization: Bearer <token> (see utils/apiTokens).
+ */
+
+router.use('/zones', require('./zones'));
+router.use('/search', require('./search'));
+router.use('/views', require('./views'));
+router.use('/acls', require('./acls'));
+router.use('/slave-zones', require('./slaveZones'));
+router.use('/resolver', require('./resolver'));
+router.use('/history', require('./history'));
+router.use('/changes', require('./changes'));
+router.use('/approvals', require('./approvals'));
+router.use('/zone-templates', require('./zoneTemplates'));
+
+router.use(notFoundHandler);
+router.use(errorHandler);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const settingsUtil = require('../../../utils/settings');
+const permissions = require('../../../utils/permissions');
+const { HttpError } = require('../../../utils/errors');
+const { asyncHandler } = require('../../../utils/api');
+
+/**
+ * Writable resolver settings and a check for each value
+ */
+const isBoolean = v => typeof v === 'boolean';
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const RESOLVER_FIELDS = {
+    enabled: { check: isBoolean, message: 'must be a boolean' },
+    queryLogging: { check: isBoolean, message: 'must be a boolean' },
+    dnssecValidation: { check: isBoolean, message: 'must be a boolean' },
+    cacheSize: { check: v => typeof v === 'string' && /^\d+[KMG]?$/i.test(v), message: 'must be a size such as 256M' },
+    forwarders: {
+        check: v => Array.isArray(v) && v.every(ip => typeof ip === 'string' && bindService.isValidIp(ip)),
+        message: 'must be an array of IP addresses'
+    },
+    adblock: { check: isObject, message: 'must be an object' },
+    doh: { check: isObject, message: 'must be an object' },
+    dot: { check: isObject, message: 'must be an object' }
+};
+
+// Settings are admin-only, as on the settings page
+router.use(permissions.requireRole('admin'));
+
+// Get resolver settings (views are managed under /api/v1/views)
+router.get('/settings', asyncHandler(async (req, res) => {
+    const settings = await settingsUtil.loadSettings();
+    const { views, ...resolver } = settings.resolver || {};
+    res.json({ data: resolver });
+}));
+
+// Update resolver settings; only the given fields change
+router.patch('/settings', asyncHandler(async (req, res) => {
+    const details = [];
+    Object.entries(req.body || {}).forEach(([field, value]) => {
+        const rule = RESOLVER_FIELDS[field];
+        if (!rule) {
+            details.push({ field, message: 'is not a writable resolver setting' });
+        } else if (!rule.check(value)) {
+            details.push({ field, message: rule.message });
+        }
+    });
+    if (details.length > 0) {
+        throw new HttpError(400, 'Invalid resolver settings', { details });
+    }
+    if (Object.keys(req.body || {}).length === 0) {
+        throw new HttpError(400, 'No settings given');
+    }
+
+    const { views, ...resolver } = await bindService.updateResolverSettings(req.body);
+    res.json({ data: resolver });
+}));
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const settingsUtil = require('../../../utils/settings');
+const permissions = require('../../../utils/permissions');
+const { asyncHandler, paginate, requireFields } = require('../../../utils/api');
+const { HttpError } = require('../../../utils/errors');
+
+/**
+ * Search result as returned by the API
+ */
+function serializeResult(result) {
+    return {
+        zone: result.zone,
+        view: result.view,
+        name: result.name,
+        fqdn: result.fqdn,
+        type: result.type,
+        ttl: result.ttl,
+        rdataText: result.rdataText,
+        readOnly: result.readOnly,
+        editUrl: result.readOnly
+            ? null
+            : `/records/${result.zone}/${result.name}/${result.type}/edit?rdata=${encodeURIComponent(result.rdataText)}`
+    };
+}
+
+/**
+ * Bulk replace options from a JSON body, limited to the zones the user can edit
+ */
+async function replaceFromBody(req) {
+    requireFields(req.body, ['q', 'replacement']);
+    const { select } = req.body;
+    if (select !== undefined && (!Array.isArray(select) || select.some(key => typeof key !== 'string'))) {
+        throw new HttpError(400, 'select must be an array of item keys', { details: [{ field: 'select', message: 'must be an array of strings' }] });
+    }
+    return {
+        type: req.body.type || null,
+        zone: req.body.zone || null,
+        view: req.body.view || null,
+        canEdit: permissions.zoneEditChecker(req.user, await settingsUtil.loadSettings()),
+        select: select || null
+    };
+}
+
+/**
+ * Middleware: bulk replace needs edit rights on at least one zone
+ */
+function requireZoneEditor(req, res, next) {
+    if (!permissions.capabilities(req.user).editZones) {
+        return permissions.forbidden(req, res, 'You do not have permission to edit any zone');
+    }
+    next();
+}
+
+// Records of all zones matching ?q= (name, type, value or TTL; wildcards and CIDR)
+router.get('/records', asyncHandler(async (req, res) => {
+    requireFields(req.query, ['q']);
+    const { results } = await bindService.searchRecords(String(req.query.q), {
+        field: req.query.field || 'any',
+        type: req.query.type || null,
+        zone: req.query.zone || null,
+        view: req.query.view || null
+    });
+    const { data, pagination } = paginate(results.filter(result => permissions.canReadZone(req.user, result.zone)), req.query);
+    res.json({ data: data.map(serializeResult), pagination });
+}));
+
+// Records whose value would change; nothing is written
+router.post('/replace/preview', requireZoneEditor, asyncHandler(async (req, res) => {
+    const { select, ...options } = await replaceFromBody(req);
+    const plan = await bindService.previewBulkReplace(String(req.body.q), String(req.body.replacement), options);
+    res.json({ data: { ...plan, items: plan.items.map(({ record, ...item }) => item) } });
+}));
+
+// Change the values of the selected records (default all that can change) in one transaction
+router.post('/replace', requireZoneEditor, asyncHandler(async (req, res) => {
+    const options = await replaceFromBody(req);
+    const { changed, zones, staged } = await bindService.bulkReplace(String(req.body.q), String(req.body.replacement), options);
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: { changed, zones } });
+    }
+    res.json({ data: { changed, zones } });
+}));
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const permissions = require('../../../utils/permissions');
+const { HttpError } = require('../../../utils/errors');
+const { asyncHandler, paginate, requireFields } = require('../../../utils/api');
+
+async function findSlaveZone(zoneName) {
+    const zones = await bindService.getSlaveZones();
+    const zone = zones.find(z => z.name === zoneName);
+    if (!zone) {
+        throw new HttpError(404, `Slave zone ${zoneName} not found`);
+    }
+    return zone;
+}
+
+// List slave zones
+router.get('/', asyncHandler(async (req, res) => {
+    const zones = await bindService.getSlaveZones();
+    res.json(paginate(zones.filter(z => permissions.canReadZone(req.user, z.name)), req.query));
+}));
+
+// Get slave zone
+router.get('/:zoneName', permissions.requireZoneRead(), asyncHandler(async (req, res) => {
+    res.json({ data: await findSlaveZone(req.params.zoneName) });
+}));
+
+// Convert a zone to a slave of a master server
+router.post('/', permissions.requireZoneManage(), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['zoneName', 'masterIp']);
+    const { zoneName, masterIp, allowTransferAcl } = req.body;
+    const { staged } = await bindService.convertToSlaveZone(zoneName, masterIp, allowTransferAcl || 'none');
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: { name: zoneName, type: 'slave', masters: [masterIp] } });
+    }
+    res.status(201)
+        .location(`/api/v1/slave-zones/${encodeURIComponent(zoneName)}`)
+        .json({ data: await findSlaveZone(zoneName) });
+}));
+
+// Change the master server of a slave zone
+router.patch('/:zoneName', permissions.requireZoneManage(), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['masterIp']);
+    await findSlaveZone(req.params.zoneName);
+    const { staged } = await bindService.updateSlaveZoneMaster(req.params.zoneName, req.body.masterIp);
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: { name: req.params.zoneName, type: 'slave', masters: [req.body.masterIp] } });
+    }
+    res.json({ data: await findSlaveZone(req.params.zoneName) });
+}));
+
+// Convert a slave zone back to a master zone served from `file`
+router.delete('/:zoneName', permissions.requireZoneManage(), asyncHandler(async (req, res) => {
+    const file = req.body.file || req.query.file;
+    if (!file) {
+        throw new HttpError(400, 'Zone file is required to convert back to master', { details: [{ field: 'file', message: 'is required' }] });
+    }
+    await findSlaveZone(req.params.zoneName);
+    const { staged } = await bindService.convertToMasterZone(req.params.zoneName, file);
+    res.status(staged ? 202 : 204).end();
+}));
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const permissions = require('../../../utils/permissions');
+const { HttpError } = require('../../../utils/errors');
+const { asyncHandler, paginate, requireFields } = require('../../../utils/api');
+
+/**
+ * ACL lists from a JSON body: { acl: { allow, deny } } or { allow, deny }
+ */
+function aclFromBody(body) {
+    const source = body.acl || body;
+    const list = (value, field) => {
+        if (value === undefined) return [];
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+            throw new HttpError(400, `${field} must be an array of strings`, { details: [{ field, message: 'must be an array of strings' }] });
+        }
+        return value.map(v => v.trim()).filter(Boolean);
+    };
+    return { allow: list(source.allow, 'allow'), deny: list(source.deny, 'deny') };
+}
+
+async function findView(name) {
+    const views = await bindService.listViews();
+    const view = views.find(v => v.name === name);
+    if (!view) {
+        throw new HttpError(404, `View ${name} not found`);
+    }
+    return view;
+}
+
+// List views
+router.get('/', asyncHandler(async (req, res) => {
+    const views = await bindService.listViews();
+    res.json(paginate(views, req.query));
+}));
+
+// Get view
+router.get('/:name', asyncHandler(async (req, res) => {
+    res.json({ data: await findView(req.params.name) });
+}));
+
+// Create view
+router.post('/', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['name']);
+    const view = await bindService.createView(String(req.body.name).trim(), aclFromBody(req.body));
+    res.status(201)
+        .location(`/api/v1/views/${encodeURIComponent(view.name)}`)
+        .json({ data: view });
+}));
+
+// Replace the ACL of a view
+router.put('/:name', permissions.requireViewScope(req => req.params.name), asyncHandler(async (req, res) => {
+    await findView(req.params.name);
+    const view = await bindService.updateView(req.params.name, aclFromBody(req.body));
+    res.json({ data: view });
+}));
+
+// Delete view
+router.delete('/:name', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    await findView(req.params.name);
+    await bindService.deleteView(req.params.name);
+    res.status(204).end();
+}));
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const settingsUtil = require('../../../utils/settings');
+const permissions = require('../../../utils/permissions');
+const zoneTemplates = require('../../../utils/zoneTemplates');
+const { HttpError } = require('../../../utils/errors');
+const { asyncHandler, paginate, requireFields } = require('../../../utils/api');
+
+/**
+ * Zone template as returned by the API, with the zones it was last applied to
+ */
+async function findTemplate(name) {
+    const settings = await settingsUtil.loadSettings();
+    const template = zoneTemplates.getTemplate(settings, name);
+    if (!template) {
+        throw new HttpError(404, `Template ${name} not found`);
+    }
+    return { ...template, zones: zoneTemplates.zonesUsing(settings, template.name) };
+}
+
+// List zone templates
+router.get('/', asyncHandler(async (req, res) => {
+    const settings = await settingsUtil.loadSettings();
+    const templates = zoneTemplates.listTemplates(settings)
+        .map(template => ({ ...template, zones: zoneTemplates.zonesUsing(settings, template.name) }));
+    res.json(paginate(templates, req.query));
+}));
+
+// Get zone template
+router.get('/:name', asyncHandler(async (req, res) => {
+    res.json({ data: await findTemplate(req.params.name) });
+}));
+
+// Create zone template
+router.post('/', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['name', 'records']);
+    const template = await bindService.saveZoneTemplate(req.body, { create: true });
+    res.status(201)
+        .location(`/api/v1/zone-templates/${encodeURIComponent(template.name)}`)
+        .json({ data: await findTemplate(template.name) });
+}));
+
+// Replace zone template
+router.put('/:name', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['records']);
+    const template = await bindService.saveZoneTemplate({ ...req.body, name: req.params.name });
+    res.json({ data: await findTemplate(template.name) });
+}));
+
+// Delete zone template; zones it was applied to keep their records
+router.delete('/:name', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    await findTemplate(req.params.name);
+    await bindService.deleteZoneTemplate(req.params.name);
+    res.status(204).end();
+}));
+
+// Apply the template again to every zone it was last applied to, with the values used then
+router.post('/:name/reapply', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    await findTemplate(req.params.name);
+    const results = await bindService.reapplyZoneTemplate(req.params.name, { replace: !!req.body.replace });
+    if (results.some(result => result.staged)) {
+        return res.status(202).location('/api/v1/changes').json({ data: results });
+    }
+    res.json({ data: results });
+}));
+
+module.exports = router;
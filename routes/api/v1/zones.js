@@ -0,0 +1,509 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../../../services/bindService');
+const zoneEditor = require('../../../utils/zoneEditor');
+const zoneLint = require('../../../utils/zoneLint');
+const { recordJson: serializeRecord } = require('../../../utils/recordExport');
+const permissions = require('../../../utils/permissions');
+const { HttpError } = require('../../../utils/errors');
+const { asyncHandler, paginate, requireFields } = require('../../../utils/api');
+
+/**
+ * Zone as returned by the API
+ */
+function serializeZone(zone) {
+    return {
+        name: zone.name,
+        type: zone.type,
+        view: zone.view || null,
+        file: zone.file,
+        status: zone.status,
+        recordCount: zone.records,
+        lastModified: zone.lastModified,
+        tags: zone.tags || []
+    };
+}
+
+function optionalInt(value, field) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+        throw new HttpError(400, `${field} must be an integer`, { details: [{ field, message: 'must be an integer' }] });
+    }
+    return number;
+}
+
+/**
+ * Zone file snapshot as returned by the API
+ */
+function serializeBackup(backup) {
+    return {
+        id: backup.id,
+        createdAt: backup.createdAt,
+        size: backup.size
+    };
+}
+
+/**
+ * DNSSEC state of a zone as returned by the API
+ */
+function serializeDnssec(state) {
+    return {
+        zone: state.zone,
+        status: state.status,
+        policyName: state.policyName,
+        policy: state.policy,
+        keyDirectory: state.keyDirectory,
+        keys: state.keys.map(serializeDnssecKey)
+    };
+}
+
+/**
+ * DNSSEC key as returned by the API
+ */
+function serializeDnssecKey(key) {
+    return {
+        tag: key.tag,
+        algorithm: key.algorithm,
+        role: key.role,
+        status: key.status,
+        timing: key.timing,
+        states: key.states,
+        dnskey: key.dnskey,
+        ds: key.ds
+    };
+}
+
+/**
+ * Build a record for bindService from a JSON body. `rdata` may be given as
+ * structured fields (e.g. { preference, exchange } for MX) instead of value.
+ * @param {Object} body - Request body
+ * @param {Object} [defaults] - Values used for missing name/type
+ */
+function recordFromBody(body, defaults = {}) {
+    const record = {
+        name: body.name !== undefined ? String(body.name) : defaults.name,
+        type: String(body.type || defaults.type || '').toUpperCase(),
+        ttl: optionalInt(body.ttl, 'ttl') ?? 3600,
+        value: body.value,
+        priority: optionalInt(body.priority, 'priority'),
+        weight: optionalInt(body.weight, 'weight'),
+        port: optionalInt(body.port, 'port')
+    };
+    if (body.rdata && typeof body.rdata === 'object') {
+        record.rdata = body.rdata;
+    }
+    requireFields(record, ['name', 'type']);
+    if ((record.value === undefined || record.value === '') && !record.rdata) {
+        throw new HttpError(400, 'Either value or rdata is required', {
+            details: [{ field: 'value', message: 'is required' }]
+        });
+    }
+    return record;
+}
+
+/**
+ * Import options from a request body ({ content, format, replace, select })
+ */
+function importFromBody(body) {
+    requireFields(body, ['content']);
+    if (body.select !== undefined && !(Array.isArray(body.select) && body.select.every(Number.isInteger))) {
+        throw new HttpError(400, 'select must be an array of record indexes', {
+            details: [{ field: 'select', message: 'must be an array of integers' }]
+        });
+    }
+    return { format: body.format || 'auto', replace: !!body.replace, select: body.select };
+}
+
+/**
+ * Template options from a request body ({ template, variables, replace, select })
+ */
+function templateFromBody(body) {
+    requireFields(body, ['template']);
+    const variables = body.variables ?? {};
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        throw new HttpError(400, 'variables must be an object', {
+            details: [{ field: 'variables', message: 'must be an object of variable name to value' }]
+        });
+    }
+    if (body.select !== undefined && !(Array.isArray(body.select) && body.select.every(Number.isInteger))) {
+        throw new HttpError(400, 'select must be an array of record indexes', {
+            details: [{ field: 'select', message: 'must be an array of integers' }]
+        });
+    }
+    return { template: String(body.template), variables, replace: !!body.replace, select: body.select };
+}
+
+/**
+ * Import preview as returned by the API
+ */
+function serializeImportPlan(plan) {
+    return {
+        format: plan.format,
+        replace: plan.replace,
+        summary: plan.summary,
+        errors: plan.errors,
+        items: plan.items.map(({ record, ...item }) => item)
+    };
+}
+
+/**
+ * View name from a request body; empty and 'global' mean no view
+ */
+function bodyViewName(body) {
+    const name = (body.view || '').trim();
+    return name === '' || name === 'global' ? null : name;
+}
+
+// Tokens limited to specific zones cannot read other zones either
+router.param('zoneName', (req, res, next) => permissions.requireZoneRead()(req, res, next));
+
+// List zones
+router.get('/', asyncHandler(async (req, res) => {
+    let zones = (await bindService.listZones()).filter(z => permissions.canReadZone(req.user, z.name));
+    if (req.query.type) {
+        zones = zones.filter(z => z.type === req.query.type);
+    }
+    if (req.query.view) {
+        zones = zones.filter(z => (z.view || 'global') === req.query.view);
+    }
+    if (req.query.q) {
+        const q = String(req.query.q).toLowerCase();
+        zones = zones.filter(z => z.name.toLowerCase().includes(q));
+    }
+    zones.sort((a, b) => a.name.localeCompare(b.name));
+
+    const { data, pagination } = paginate(zones, req.query);
+    res.json({ data: data.map(serializeZone), pagination });
+}));
+
+// Create zone
+router.post('/', permissions.requireViewScope(req => bodyViewName(req.body)), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['name']);
+    const name = String(req.body.name).trim();
+    if (/\s/.test(name)) {
+        throw new HttpError(400, 'Zone name cannot contain spaces', { details: [{ field: 'name', message: 'cannot contain spaces' }] });
+    }
+
+    const zoneData = {
+        name,
+        type: req.body.type || 'master',
+        nameserver: req.body.nameserver || `ns1.${name}.`,
+        email: req.body.email || `admin.${name}.`
+    };
+    const view = bodyViewName(req.body);
+    if (view) zoneData.view = view;
+    if (req.body.domain && name.includes('in-addr.arpa')) {
+        zoneData.domain = req.body.domain;
+    }
+    if (req.body.template) {
+        const { template, variables } = templateFromBody(req.body);
+        Object.assign(zoneData, { template, variables });
+    }
+
+    await bindService.createZone(zoneData);
+    const { zone, soa } = await bindService.getZone(name);
+    res.status(201)
+        .location(`/api/v1/zones/${encodeURIComponent(zone.name)}`)
+        .json({ data: { ...serializeZone(zone), soa } });
+}));
+
+// Preview a new zone from a provider export or zone file; zoneName defaults to the one in the document
+router.post('/import/preview', permissions.requireViewScope(req => bodyViewName(req.body)), asyncHandler(async (req, res) => {
+    const { format } = importFromBody(req.body);
+    const plan = await bindService.previewZoneImport(req.body.content, { format, zoneName: req.body.zoneName || null });
+    res.json({ data: { zone: plan.zone, documentZone: plan.documentZone, ...serializeImportPlan(plan) } });
+}));
+
+// Create a zone from a provider export or zone file; select defaults to all importable records
+router.post('/import', permissions.requireViewScope(req => bodyViewName(req.body)), asyncHandler(async (req, res) => {
+    const { format, select } = importFromBody(req.body);
+    const { zone, added, replaced, skipped, staged } = await bindService.importZone(req.body.content, {
+        format,
+        select,
+        zoneName: req.body.zoneName || null,
+        view: bodyViewName(req.body)
+    });
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: { zone, added, replaced, skipped } });
+    }
+    res.status(201).location(`/api/v1/zones/${encodeURIComponent(zone)}`).json({ data: { zone, added, replaced, skipped } });
+}));
+
+// Every zone file and named.conf.local as a tarball (admin)
+router.get('/export/archive', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    const archive = await bindService.createServerArchive();
+    res.download(archive.file, archive.filename, error => {
+        if (error) console.error('Error sending configuration archive:', error);
+        archive.cleanup().catch(() => {});
+    });
+}));
+
+// Get zone
+router.get('/:zoneName', asyncHandler(async (req, res) => {
+    const { zone, soa, errors } = await bindService.getZone(req.params.zoneName);
+    res.json({ data: { ...serializeZone(zone), soa, parseErrors: errors || [] } });
+}));
+
+// Move zone to another view
+router.patch('/:zoneName',
+    permissions.requireZoneManage(),
+    permissions.requireViewScope(req => bodyViewName(req.body)),
+    asyncHandler(async (req, res) => {
+        if (req.body.view === undefined) {
+            throw new HttpError(400, 'Only the view of a zone can be changed', { details: [{ field: 'view', message: 'is required' }] });
+        }
+        await bindService.reassignZone(req.params.zoneName, bodyViewName(req.body) || 'global');
+        const { zone } = await bindService.getZone(req.params.zoneName);
+        res.json({ data: serializeZone(zone) });
+    }));
+
+// Delete zone
+router.delete('/:zoneName', permissions.requireZoneManage(), asyncHandler(async (req, res) => {
+    await bindService.getZone(req.params.zoneName);
+    await bindService.deleteZone(req.params.zoneName);
+    res.status(204).end();
+}));
+
+// Set allow-transfer ACL
+router.put('/:zoneName/allow-transfer', permissions.requireZoneManage(), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['acl']);
+    const { staged } = await bindService.setZoneAllowTransfer(req.params.zoneName, req.body.acl);
+    res.status(staged ? 202 : 200).json({ data: { zone: req.params.zoneName, allowTransfer: req.body.acl } });
+}));
+
+// Best-practice findings (?severity= error, warning or info)
+router.get('/:zoneName/lint', asyncHandler(async (req, res) => {
+    const { findings, counts } = await bindService.lintZone(req.params.zoneName);
+    const severity = req.query.severity || null;
+    if (severity && !zoneLint.SEVERITIES.includes(severity)) {
+        throw new HttpError(400, `severity must be one of ${zoneLint.SEVERITIES.join(', ')}`, {
+            details: [{ field: 'severity', message: `must be one of ${zoneLint.SEVERITIES.join(', ')}` }]
+        });
+    }
+    res.json({
+        data: {
+            counts,
+            findings: severity ? findings.filter(finding => finding.severity === severity) : findings
+        }
+    });
+}));
+
+// SOA fields, $TTL and serial scheme
+router.get('/:zoneName/soa', asyncHandler(async (req, res) => {
+    res.json({ data: await bindService.getZoneSoa(req.params.zoneName) });
+}));
+
+// Change SOA fields, $TTL or the serial scheme; fields left out keep their value
+router.patch('/:zoneName/soa', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const { soa, staged } = await bindService.updateZoneSoa(req.params.zoneName, req.body);
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: soa });
+    }
+    res.json({ data: soa });
+}));
+
+// DNSSEC signing state, keys and the DS records for the parent
+router.get('/:zoneName/dnssec', asyncHandler(async (req, res) => {
+    res.json({ data: serializeDnssec(await bindService.getZoneDnssec(req.params.zoneName)) });
+}));
+
+// Key rollover state: key phases, DS steps at the parent (with due times) and rndc dnssec -status
+router.get('/:zoneName/dnssec/rollover', asyncHandler(async (req, res) => {
+    const rollover = await bindService.getDnssecRollover(req.params.zoneName);
+    res.json({
+        data: {
+            ...serializeDnssec(rollover),
+            keys: rollover.keys.map(key => ({
+                ...serializeDnssecKey(key),
+                phase: key.phase,
+                predecessor: key.predecessor,
+                successor: key.successor
+            })),
+            rollovers: rollover.rollovers.map(({ from, to }) => ({ from: from.tag, to: to.tag })),
+            steps: rollover.steps,
+            rndc: { output: rollover.rndc.output, error: rollover.rndc.error }
+        }
+    });
+}));
+
+// Sign the zone with a dnssec-policy, or change its policy
+router.put('/:zoneName/dnssec', permissions.requireZoneManage(), asyncHandler(async (req, res) => {
+    const { staged } = await bindService.enableZoneDnssec(req.params.zoneName, req.body);
+    const data = serializeDnssec(await bindService.getZoneDnssec(req.params.zoneName));
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data });
+    }
+    res.json({ data });
+}));
+
+// Stop signing the zone (switches it to the insecure policy)
+router.delete('/:zoneName/dnssec', permissions.requireZoneManage(), asyncHandler(async (req, res) => {
+    const { staged } = await bindService.disableZoneDnssec(req.params.zoneName);
+    const data = serializeDnssec(await bindService.getZoneDnssec(req.params.zoneName));
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data });
+    }
+    res.json({ data });
+}));
+
+// Replace zone tags; admin-only, since the protected tag puts a zone under the approval rule
+router.put('/:zoneName/tags', permissions.requireRole('admin'), asyncHandler(async (req, res) => {
+    requireFields(req.body, ['tags']);
+    const tags = await bindService.setZoneTags(req.params.zoneName, req.body.tags);
+    res.json({ data: { zone: req.params.zoneName, tags } });
+}));
+
+// Export a zone as a BIND zone file, JSON or CSV (?format=, default bind)
+router.get('/:zoneName/export', asyncHandler(async (req, res) => {
+    const { content, filename, contentType } = await bindService.exportZone(req.params.zoneName, req.query.format);
+    res.attachment(filename).type(contentType).send(content);
+}));
+
+// List records
+router.get('/:zoneName/records', asyncHandler(async (req, res) => {
+    const { records } = await bindService.getZone(req.params.zoneName);
+    let result = records;
+    if (req.query.name) {
+        result = result.filter(r => r.name.toLowerCase() === String(req.query.name).toLowerCase());
+    }
+    if (req.query.type) {
+        result = result.filter(r => r.type === String(req.query.type).toUpperCase());
+    }
+    const { data, pagination } = paginate(result, req.query);
+    res.json({ data: data.map(serializeRecord), pagination });
+}));
+
+// Get the records with a name and type (optionally narrowed by ?rdata=)
+router.get('/:zoneName/records/:name/:type', asyncHandler(async (req, res) => {
+    const { zone, records } = await bindService.getZone(req.params.zoneName);
+    const target = { name: req.params.name, type: req.params.type, rdata: req.query.rdata };
+    const identity = zoneEditor.recordIdentity(target, zone.name);
+    const matches = records.filter(r => zoneEditor.matchesIdentity(r, identity));
+    if (matches.length === 0) {
+        throw new HttpError(404, `Record not found: ${req.params.name} ${req.params.type}`);
+    }
+    res.json({ data: matches.map(serializeRecord) });
+}));
+
+// Add record
+router.post('/:zoneName/records', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const { record, staged } = await bindService.addRecord(req.params.zoneName, recordFromBody(req.body));
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: record });
+    }
+
+    const { zone, records } = await bindService.getZone(req.params.zoneName);
+    const identity = zoneEditor.recordIdentity({ ...record, rdata: zoneEditor.recordRdataText(record) }, zone.name);
+    const created = records.find(r => zoneEditor.matchesIdentity(r, identity));
+    res.status(201)
+        .location(`/api/v1/zones/${encodeURIComponent(zone.name)}/records/${encodeURIComponent(record.name)}/${record.type}`)
+        .json({ data: created ? serializeRecord(created) : record });
+}));
+
+// Compare an import document (BIND zone file, CSV or JSON) with the zone
+router.post('/:zoneName/records/import/preview', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const { format, replace } = importFromBody(req.body);
+    const plan = await bindService.previewImport(req.params.zoneName, req.body.content, { format, replace });
+    res.json({ data: serializeImportPlan(plan) });
+}));
+
+// Import records in one change; select defaults to all new records
+router.post('/:zoneName/records/import', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const { added, replaced, format, staged } = await bindService.importRecords(req.params.zoneName, req.body.content, importFromBody(req.body));
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: { format, added, replaced } });
+    }
+    res.status(201).location(`/api/v1/zones/${encodeURIComponent(req.params.zoneName)}/records`).json({ data: { format, added, replaced } });
+}));
+
+// Compare the records of a zone template with the zone
+router.post('/:zoneName/template/preview', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const { template, variables, replace } = templateFromBody(req.body);
+    const plan = await bindService.previewZoneTemplate(req.params.zoneName, template, variables, { replace });
+    res.json({ data: { template: plan.template, variables: plan.variables, ...serializeImportPlan(plan) } });
+}));
+
+// Apply a zone template in one change; select defaults to every record that can be written
+router.post('/:zoneName/template', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const { template, variables, ...options } = templateFromBody(req.body);
+    const { added, replaced, staged, ...applied } = await bindService.applyZoneTemplate(req.params.zoneName, template, variables, options);
+    const data = { template: applied.template, added, replaced };
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data });
+    }
+    res.status(201).location(`/api/v1/zones/${encodeURIComponent(req.params.zoneName)}/records`).json({ data });
+}));
+
+// Replace record; ?rdata= selects one of several records sharing name and type
+router.put('/:zoneName/records/:name/:type', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const oldRecord = { name: req.params.name, type: req.params.type, rdata: req.query.rdata || null };
+    const { record, staged } = await bindService.updateRecord(req.params.zoneName, oldRecord,
+        recordFromBody(req.body, { name: req.params.name, type: req.params.type }));
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').json({ data: record });
+    }
+
+    const { zone, records } = await bindService.getZone(req.params.zoneName);
+    const identity = zoneEditor.recordIdentity({ ...record, rdata: zoneEditor.recordRdataText(record) }, zone.name);
+    const updated = records.find(r => zoneEditor.matchesIdentity(r, identity));
+    res.json({ data: updated ? serializeRecord(updated) : record });
+}));
+
+// Delete record; ?rdata= selects one of several records sharing name and type
+router.delete('/:zoneName/records/:name/:type', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const { staged } = await bindService.deleteRecord(req.params.zoneName, req.params.name, req.params.type, req.query.rdata || null);
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').end();
+    }
+    res.status(204).end();
+}));
+
+// List zone file snapshots, newest first
+router.get('/:zoneName/backups', asyncHandler(async (req, res) => {
+    const { backups } = await bindService.listZoneBackups(req.params.zoneName);
+    const { data, pagination } = paginate(backups, req.query);
+    res.json({ data: data.map(serializeBackup), pagination });
+}));
+
+// Record differences between two snapshots; ?to defaults to the current zone file
+router.get('/:zoneName/backups/diff', asyncHandler(async (req, res) => {
+    requireFields(req.query, ['from']);
+    const { from, to, changes } = await bindService.diffZoneBackups(req.params.zoneName, req.query.from, req.query.to || 'current');
+    res.json({ data: { from, to, changes } });
+}));
+
+// Get one snapshot with its content and records
+router.get('/:zoneName/backups/:backupId', asyncHandler(async (req, res) => {
+    const { backup } = await bindService.getZoneBackup(req.params.zoneName, req.params.backupId);
+    res.json({
+        data: {
+            id: backup.id,
+            createdAt: backup.createdAt,
+            soa: backup.soa,
+            content: backup.content,
+            records: backup.records.map(serializeRecord)
+        }
+    });
+}));
+
+// Restore a snapshot as the zone file
+router.post('/:zoneName/backups/:backupId/restore', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const { staged } = await bindService.restoreZoneBackup(req.params.zoneName, req.params.backupId);
+    if (staged) {
+        return res.status(202).location('/api/v1/changes').end();
+    }
+    const { zone, soa } = await bindService.getZone(req.params.zoneName);
+    res.json({ data: { ...serializeZone(zone), soa, restoredFrom: req.params.backupId } });
+}));
+
+// Delete snapshots outside the retention rules (body overrides the configured rules)
+router.post('/:zoneName/backups/prune', permissions.requireZoneEdit(), asyncHandler(async (req, res) => {
+    const keepLast = optionalInt(req.body.keepLast, 'keepLast');
+    const maxAgeDays = optionalInt(req.body.maxAgeDays, 'maxAgeDays');
+    const retention = keepLast === undefined && maxAgeDays === undefined ? null : { keepLast, maxAgeDays };
+    const pruned = await bindService.pruneZoneBackups(req.params.zoneName, retention);
+    res.json({ data: { deleted: pruned.map(serializeBackup) } });
+}));
+
+module.exports = router;
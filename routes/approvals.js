@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const bindService = require('../services/bindService');
+const permissions = require('../utils/permissions');
+
+// Reviewing changes to protected zones is reserved to approvers
+router.use(permissions.requireApprover);
+
+// Changes awaiting approval
+router.get('/', async (req, res) => {
+    try {
+        const requests = await bindService.listApprovalRequests();
+        res.render('approvals/index', {
+            title: 'Approvals',
+            requests,
+            moment,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Error loading approval requests:', error);
+        res.render('approvals/index', {
+            title: 'Approvals',
+            requests: [],
+            moment,
+            error: error.message
+        });
+    }
+});
+
+// One request with its diffs
+router.get('/:owner', async (req, res) => {
+    try {
+        const request = await bindService.getApprovalRequest(req.params.owner);
+        res.render('approvals/detail', {
+            title: 'Approvals',
+            request,
+            canReview: permissions.canApproveChanges(req.user, request.owner),
+            moment,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Error loading approval request:', error);
+        res.status(404).render('error', {
+            title: 'Approval Request Not Found',
+            message: error.message
+        });
+    }
+});
+
+// Approve and apply
+router.post('/:owner/approve', async (req, res) => {
+    const { owner } = req.params;
+    try {
+        if (!permissions.canApproveChanges(req.user, owner)) {
+            return permissions.forbidden(req, res, 'You cannot approve your own changes');
+        }
+        const { files } = await bindService.approveChanges(owner, req.body.comment);
+        res.redirect('/approvals?success=' + encodeURIComponent(`Approved and applied ${files.length} change(s) by ${owner}`));
+    } catch (error) {
+        console.error('Error approving changes:', error);
+        res.redirect(`/approvals/${encodeURIComponent(owner)}?error=` + encodeURIComponent(error.message));
+    }
+});
+
+// Send back to the requester
+router.post('/:owner/reject', async (req, res) => {
+    const { owner } = req.params;
+    try {
+        if (!permissions.canApproveChanges(req.user, owner)) {
+            return permissions.forbidden(req, res, 'You cannot reject your own changes');
+        }
+        await bindService.rejectChanges(owner, req.body.comment);
+        res.redirect('/approvals?success=' + encodeURIComponent(`Rejected the changes by ${owner}`));
+    } catch (error) {
+        console.error('Error rejecting changes:', error);
+        res.redirect(`/approvals/${encodeURIComponent(owner)}?error=` + encodeURIComponent(error.message));
+    }
+});
+
+module.exports = router;
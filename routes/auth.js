@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const users = require('../utils/users');
+const auth = require('../utils/auth');
+const requestContext = require('../utils/requestContext');
+const { activityLogger } = require('../utils/activityLogger');
+
+/**
+ * Start an authenticated session for a user
+ */
+function startSession(req, user) {
+    return new Promise((resolve, reject) => {
+        // New session id on login to prevent session fixation
+        req.session.regenerate(err => {
+            if (err) return reject(err);
+            req.session.username = user.username;
+            req.session.save(saveErr => saveErr ? reject(saveErr) : resolve());
+        });
+    });
+}
+
+// Login page
+router.get('/login', async (req, res) => {
+    try {
+        if (!await users.hasUsers()) {
+            return res.redirect('/setup');
+        }
+        if (req.session.username) {
+            return res.redirect(auth.safeRedirectTarget(req.query.next));
+        }
+        res.render('auth/login', {
+            title: 'Sign In - NDash',
+            next: req.query.next || '/',
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Error loading login page:', error);
+        res.status(500).send('Failed to load login page');
+    }
+});
+
+// Login (POST)
+router.post('/login', async (req, res) => {
+    const username = (req.body.username || '').trim();
+    const next = auth.safeRedirectTarget(req.body.next);
+    try {
+        const user = await users.verifyCredentials(username, req.body.password);
+        if (!user) {
+            await activityLogger.custom('auth', 'login', `Failed login attempt for "${username}"`, null, { ip: req.ip });
+            return res.redirect(`/login?next=${encodeURIComponent(next)}&error=` + encodeURIComponent('Invalid username or password'));
+        }
+
+        await startSession(req, user);
+        await requestContext.run({ user }, () =>
+            activityLogger.custom('auth', 'login', `User "${user.username}" logged in`, null, { ip: req.ip }));
+        res.redirect(next);
+    } catch (error) {
+        console.error('Error during login:', error);
+        res.redirect(`/login?next=${encodeURIComponent(next)}&error=` + encodeURIComponent(error.message));
+    }
+});
+
+// Logout
+router.post('/logout', (req, res) => {
+    const username = req.session.username;
+    req.session.destroy(async () => {
+        if (username) {
+            await requestContext.run({ user: { username } }, () =>
+                activityLogger.custom('auth', 'logout', `User "${username}" logged out`));
+        }
+        res.clearCookie('ndash.sid');
+        res.redirect('/login');
+    });
+});
+
+// First-run setup: create the initial account when none exist
+router.get('/setup', async (req, res) => {
+    try {
+        if (await users.hasUsers()) {
+            return res.redirect('/login');
+        }
+        res.render('auth/setup', {
+            title: 'Setup - NDash',
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Error loading setup page:', error);
+        res.status(500).send('Failed to load setup page');
+    }
+});
+
+router.post('/setup', async (req, res) => {
+    try {
+        if (await users.hasUsers()) {
+            return res.redirect('/login');
+        }
+        if (req.body.password !== req.body.confirmPassword) {
+            throw new Error('Passwords do not match');
+        }
+        // Checked again under the users.json lock: a concurrent setup may have won
+        const user = await users.createInitialUser({
+            username: (req.body.username || '').trim(),
+            password: req.body.password,
+            displayName: req.body.displayName
+        });
+        if (!user) {
+            return res.redirect('/login');
+        }
+
+        await startSession(req, user);
+        await requestContext.run({ user }, () =>
+            activityLogger.custom('auth', 'create', `Initial user "${user.username}" created`));
+        res.redirect('/');
+    } catch (error) {
+        console.error('Error during setup:', error);
+        res.redirect('/setup?error=' + encodeURIComponent(error.message));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const bindService = require('../services/bindService');
+const settingsUtil = require('../utils/settings');
+
+// Pending changes of the current user with their diffs
+router.get('/', async (req, res) => {
+    const settings = await settingsUtil.loadSettings();
+    try {
+        const changes = await bindService.getPendingChanges();
+        res.render('changes/index', {
+            title: 'Pending Changes',
+            changes,
+            stageChanges: settings.zones.stageChanges,
+            moment,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Error loading pending changes:', error);
+        res.render('changes/index', {
+            title: 'Pending Changes',
+            changes: null,
+            stageChanges: settings.zones.stageChanges,
+            moment,
+            error: error.message
+        });
+    }
+});
+
+// Apply all pending changes with one reload
+router.post('/apply', async (req, res) => {
+    try {
+        const { files } = await bindService.applyPendingChanges();
+        res.redirect('/changes?success=' + encodeURIComponent(`Applied ${files.length} pending change(s)`));
+    } catch (error) {
+        console.error('Error applying pending changes:', error);
+        res.redirect('/changes?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Ask another user to approve the pending changes
+router.post('/submit', async (req, res) => {
+    try {
+        await bindService.submitPendingChanges(req.body.comment);
+        res.redirect('/changes?success=' + encodeURIComponent('Pending changes submitted for approval'));
+    } catch (error) {
+        console.error('Error submitting pending changes:', error);
+        res.redirect('/changes?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Take back an approval request
+router.post('/withdraw', async (req, res) => {
+    try {
+        await bindService.withdrawApprovalRequest();
+        res.redirect('/changes?success=' + encodeURIComponent('Approval request withdrawn'));
+    } catch (error) {
+        console.error('Error withdrawing approval request:', error);
+        res.redirect('/changes?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Drop all pending changes
+router.post('/discard', async (req, res) => {
+    try {
+        const { files } = await bindService.discardPendingChanges();
+        res.redirect('/changes?success=' + encodeURIComponent(`Discarded ${files.length} pending change(s)`));
+    } catch (error) {
+        console.error('Error discarding pending changes:', error);
+        res.redirect('/changes?error=' + encodeURIComponent(error.message));
+    }
+});
+
+module.exports = router;
@@ -6,25 +6,20 @@ const { activities } = require('../data/storage');
 
 router.get('/', async (req, res) => {
     try {
-        // Get zones from Bind
-        const zones = await bindService.listZones();
+        // Zones and their records from the zone catalog
+        const zoneRecords = await bindService.listZoneRecords();
+        const zones = zoneRecords.map(({ zone }) => zone);
         
         // Calculate statistics with actual record counts
         const totalRecords = zones.reduce((sum, zone) => sum + zone.records, 0);
         
         // Get actual record types from zones
         const recordsByType = {};
-        for (const zone of zones) {
-            try {
-                const zoneData = await bindService.getZone(zone.name);
-                const records = zoneData.records || [];
-                records.forEach(record => {
-                    const type = record.type || 'OTHER';
-                    recordsByType[type] = (recordsByType[type] || 0) + 1;
-                });
-            } catch (error) {
-                console.error(`Error getting records for ${zone.name}:`, error.message);
-            }
+        for (const { records } of zoneRecords) {
+            records.forEach(record => {
+                const type = record.type || 'OTHER';
+                recordsByType[type] = (recordsByType[type] || 0) + 1;
+            });
         }
         
         const stats = {
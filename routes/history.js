@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const bindService = require('../services/bindService');
+const settingsUtil = require('../utils/settings');
+const permissions = require('../utils/permissions');
+const { paginate } = require('../utils/api');
+
+// Change log, optionally for one zone
+router.get('/', async (req, res) => {
+    const zone = (req.query.zone || '').trim();
+    try {
+        const commits = await bindService.listHistory({ zone: zone || null });
+        const { data, pagination } = paginate(commits, { page: req.query.page || 1, perPage: 50 });
+
+        res.render('history/index', {
+            title: 'Change History',
+            commits: data,
+            pagination,
+            zone,
+            moment,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Error loading history:', error);
+        res.render('history/index', {
+            title: 'Change History',
+            commits: [],
+            pagination: null,
+            zone,
+            moment,
+            error: error.message
+        });
+    }
+});
+
+// One commit with its diff
+router.get('/:commit', async (req, res) => {
+    try {
+        const commit = await bindService.getHistoryCommit(req.params.commit);
+        res.render('history/commit', {
+            title: 'Change History',
+            commit,
+            canRevert: !!commit.parent && permissions.canRevertChange(req.user, commit, await settingsUtil.loadSettings()),
+            moment,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Error loading commit:', error);
+        res.status(404).render('error', {
+            title: 'Change Not Found',
+            message: error.message
+        });
+    }
+});
+
+// Revert one commit
+router.post('/:commit/revert', async (req, res) => {
+    const commitId = req.params.commit;
+    try {
+        const commit = await bindService.getHistoryCommit(commitId);
+        if (!permissions.canRevertChange(req.user, commit, await settingsUtil.loadSettings())) {
+            return permissions.forbidden(req, res, 'You do not have permission to revert this change');
+        }
+        const { staged } = await bindService.revertHistoryCommit(commit.hash);
+        res.redirect('/history?success=' + encodeURIComponent(staged
+            ? `Revert of "${commit.description}" staged; review it under Pending Changes`
+            : `Reverted "${commit.description}"`));
+    } catch (error) {
+        console.error('Error reverting commit:', error);
+        res.redirect(`/history/${encodeURIComponent(commitId)}?error=` + encodeURIComponent(error.message));
+    }
+});
+
+module.exports = router;
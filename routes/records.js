@@ -1,17 +1,100 @@
 const express = require('express');
 const router = express.Router();
 const bindService = require('../services/bindService');
+const settingsUtil = require('../utils/settings');
+const permissions = require('../utils/permissions');
+const recordTypes = require('../utils/recordTypes');
+const recordImport = require('../utils/recordImport');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Number from a form field; undefined when left empty, NaN when not a number
+ * so validation can report it
+ */
+function formNumber(value) {
+    return value === undefined || String(value).trim() === '' ? undefined : Number(value);
+}
+
+/**
+ * Record from the add/edit form. Types with their own inputs post
+ * rdata[field]; the others use value, priority, weight and port.
+ */
+function recordFromForm(body) {
+    const definition = recordTypes.getRecordType(body.type);
+    if (definition && definition.inputs && body.rdata && typeof body.rdata === 'object') {
+        return {
+            name: (body.name || '').trim(),
+            type: body.type,
+            ttl: formNumber(body.ttl) ?? 3600,
+            rdata: body.rdata
+        };
+    }
+    return {
+        name: (body.name || '').trim(),
+        type: body.type,
+        value: body.value,
+        ttl: formNumber(body.ttl) ?? 3600,
+        priority: formNumber(body.priority),
+        weight: formNumber(body.weight),
+        port: formNumber(body.port)
+    };
+}
+
+/**
+ * Field errors of a ValidationError keyed by field name, for the record forms
+ */
+function fieldErrors(error) {
+    return Object.fromEntries(error.errors.map(e => [e.field, e.message]));
+}
+
+/**
+ * Find a record of a zone by name and type; rdata tells apart records sharing both
+ */
+function findRecord(records, recordName, recordType, rdata) {
+    return records.find(r => r.name === recordName && r.type === recordType &&
+        (!rdata || r.rdataText === rdata));
+}
+
+/**
+ * Render the import page; with a preview when the document was read
+ */
+async function renderImport(req, res, { preview = null, error = null, status = 200 } = {}) {
+    const { zone } = await bindService.getZone(req.params.zoneName);
+    res.status(status).render('records/import', {
+        title: `Import Records into ${zone.name}`,
+        zone,
+        formats: recordImport.FORMATS,
+        formatLabels: recordImport.FORMAT_LABELS,
+        csvColumns: recordImport.CSV_COLUMNS,
+        values: {
+            content: req.body.content || '',
+            format: req.body.format || 'auto',
+            replace: !!req.body.replace
+        },
+        preview,
+        error
+    });
+}
+
+/**
+ * Import options from the import form
+ */
+function importFromForm(body) {
+    return { format: body.format || 'auto', replace: !!body.replace };
+}
 
 // List records for a zone
 router.get('/zone/:zoneName', async (req, res) => {
     try {
         const zoneName = req.params.zoneName;
         const { zone, records } = await bindService.getZone(zoneName);
+        const settings = await settingsUtil.loadSettings();
 
         res.render('records/list', {
             title: `Records for ${zone.name}`,
             zone,
-            records
+            records,
+            canEdit: permissions.canEditZone(req.user, zone.name, permissions.findZoneView(settings, zone.name))
         });
     } catch (error) {
         console.error('Error listing records:', error);
@@ -20,7 +103,7 @@ router.get('/zone/:zoneName', async (req, res) => {
 });
 
 // Add new record (GET form)
-router.get('/zone/:zoneName/new', async (req, res) => {
+router.get('/zone/:zoneName/new', permissions.requireZoneEdit(), async (req, res) => {
     try {
         const zoneName = req.params.zoneName;
         const { zone } = await bindService.getZone(zoneName);
@@ -28,6 +111,9 @@ router.get('/zone/:zoneName/new', async (req, res) => {
         res.render('records/new', {
             title: 'Add New Record',
             zone,
+            recordTypes: recordTypes.editorTypes(),
+            values: {},
+            fieldErrors: {},
             error: req.query.error
         });
     } catch (error) {
@@ -36,33 +122,83 @@ router.get('/zone/:zoneName/new', async (req, res) => {
 });
 
 // Add new record (POST)
-router.post('/zone/:zoneName', async (req, res) => {
+router.post('/zone/:zoneName', permissions.requireZoneEdit(), async (req, res) => {
     try {
         const zoneName = req.params.zoneName;
-        const record = {
-            name: req.body.name,
-            type: req.body.type,
-            value: req.body.value,
-            ttl: parseInt(req.body.ttl) || 3600,
-            priority: req.body.priority ? parseInt(req.body.priority) : undefined,
-            weight: req.body.weight ? parseInt(req.body.weight) : undefined,
-            port: req.body.port ? parseInt(req.body.port) : undefined
-        };
-
-        await bindService.addRecord(zoneName, record);
-        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent('Record added successfully'));
+        const { staged } = await bindService.addRecord(zoneName, recordFromForm(req.body));
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(staged ? 'Record addition staged; review it under Pending Changes' : 'Record added successfully'));
     } catch (error) {
         console.error('Error adding record:', error);
+        if (error instanceof ValidationError) {
+            try {
+                const { zone } = await bindService.getZone(req.params.zoneName);
+                return res.status(422).render('records/new', {
+                    title: 'Add New Record',
+                    zone,
+                    recordTypes: recordTypes.editorTypes(),
+                    values: req.body,
+                    fieldErrors: fieldErrors(error),
+                    error: 'Please correct the highlighted fields'
+                });
+            } catch (renderError) {
+                console.error('Error rendering record form:', renderError);
+            }
+        }
         res.redirect(`/records/zone/${req.params.zoneName}/new?error=` + encodeURIComponent(error.message));
     }
 });
 
+// Import records (GET form)
+router.get('/zone/:zoneName/import', permissions.requireZoneEdit(), async (req, res) => {
+    try {
+        await renderImport(req, res, { error: req.query.error });
+    } catch (error) {
+        res.status(404).send('Zone not found');
+    }
+});
+
+// Import records: read the document and compare it with the zone
+router.post('/zone/:zoneName/import/preview', permissions.requireZoneEdit(), async (req, res) => {
+    try {
+        const preview = await bindService.previewImport(req.params.zoneName, req.body.content, importFromForm(req.body));
+        await renderImport(req, res, { preview });
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        try {
+            await renderImport(req, res, { error: error.message, status: 400 });
+        } catch (renderError) {
+            res.status(404).send('Zone not found');
+        }
+    }
+});
+
+// Import records: write the selected records
+router.post('/zone/:zoneName/import', permissions.requireZoneEdit(), async (req, res) => {
+    const zoneName = req.params.zoneName;
+    try {
+        const { added, replaced, staged } = await bindService.importRecords(zoneName, req.body.content, {
+            ...importFromForm(req.body),
+            select: [].concat(req.body.select || [])
+        });
+        const summary = `${added} record(s) ${staged ? 'staged for import' : 'imported'}${replaced ? `, replacing ${replaced}` : ''}`;
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(staged ? `${summary}; review them under Pending Changes` : summary));
+    } catch (error) {
+        console.error('Error importing records:', error);
+        try {
+            const preview = await bindService.previewImport(zoneName, req.body.content, importFromForm(req.body));
+            await renderImport(req, res, { preview, error: error.message, status: 400 });
+        } catch (renderError) {
+            res.redirect(`/records/zone/${zoneName}/import?error=` + encodeURIComponent(error.message));
+        }
+    }
+});
+
 // Delete record
-router.post('/:zoneName/:recordName/:recordType/delete', async (req, res) => {
+router.post('/:zoneName/:recordName/:recordType/delete', permissions.requireZoneEdit(), async (req, res) => {
     try {
         const { zoneName, recordName, recordType } = req.params;
-        await bindService.deleteRecord(zoneName, recordName, recordType);
-        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent('Record deleted successfully'));
+        const { staged } = await bindService.deleteRecord(zoneName, recordName, recordType, req.body.rdata || null);
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(staged ? 'Record deletion staged; review it under Pending Changes' : 'Record deleted successfully'));
     } catch (error) {
         console.error('Error deleting record:', error);
         res.redirect(`/zones/${req.params.zoneName}?error=` + encodeURIComponent(error.message));
@@ -70,13 +206,12 @@ router.post('/:zoneName/:recordName/:recordType/delete', async (req, res) => {
 });
 
 // Edit record (GET form)
-router.get('/:zoneName/:recordName/:recordType/edit', async (req, res) => {
+router.get('/:zoneName/:recordName/:recordType/edit', permissions.requireZoneEdit(), async (req, res) => {
     try {
         const { zoneName, recordName, recordType } = req.params;
         const { zone, records } = await bindService.getZone(zoneName);
         
-        // Find the specific record
-        const record = records.find(r => r.name === recordName && r.type === recordType);
+        const record = findRecord(records, recordName, recordType, req.query.rdata);
         
         if (!record) {
             return res.redirect(`/zones/${zoneName}?error=` + encodeURIComponent('Record not found'));
@@ -86,6 +221,9 @@ router.get('/:zoneName/:recordName/:recordType/edit', async (req, res) => {
             title: 'Edit Record',
             zone,
             record,
+            recordTypes: recordTypes.editorTypes(),
+            values: record,
+            fieldErrors: {},
             error: req.query.error
         });
     } catch (error) {
@@ -95,30 +233,42 @@ router.get('/:zoneName/:recordName/:recordType/edit', async (req, res) => {
 });
 
 // Edit record (POST)
-router.post('/:zoneName/:recordName/:recordType/edit', async (req, res) => {
+router.post('/:zoneName/:recordName/:recordType/edit', permissions.requireZoneEdit(), async (req, res) => {
     try {
         const { zoneName, recordName, recordType } = req.params;
         
         const oldRecord = {
             name: recordName,
-            type: recordType
+            type: recordType,
+            rdata: req.body.oldRdata || null
         };
         
-        const newRecord = {
-            name: req.body.name,
-            type: req.body.type,
-            value: req.body.value,
-            ttl: parseInt(req.body.ttl) || 3600,
-            priority: req.body.priority ? parseInt(req.body.priority) : undefined,
-            weight: req.body.weight ? parseInt(req.body.weight) : undefined,
-            port: req.body.port ? parseInt(req.body.port) : undefined
-        };
-
-        await bindService.updateRecord(zoneName, oldRecord, newRecord);
-        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent('Record updated successfully'));
+        const { staged } = await bindService.updateRecord(zoneName, oldRecord, recordFromForm(req.body));
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(staged ? 'Record update staged; review it under Pending Changes' : 'Record updated successfully'));
     } catch (error) {
         console.error('Error updating record:', error);
-        res.redirect(`/records/${req.params.zoneName}/${req.params.recordName}/${req.params.recordType}/edit?error=` + encodeURIComponent(error.message));
+        if (error instanceof ValidationError) {
+            try {
+                const { zoneName, recordName, recordType } = req.params;
+                const { zone, records } = await bindService.getZone(zoneName);
+                const record = findRecord(records, recordName, recordType, req.body.oldRdata);
+                if (record) {
+                    return res.status(422).render('records/edit', {
+                        title: 'Edit Record',
+                        zone,
+                        record,
+                        recordTypes: recordTypes.editorTypes(),
+                        values: req.body,
+                        fieldErrors: fieldErrors(error),
+                        error: 'Please correct the highlighted fields'
+                    });
+                }
+            } catch (renderError) {
+                console.error('Error rendering record form:', renderError);
+            }
+        }
+        const rdataQuery = req.body.oldRdata ? `rdata=${encodeURIComponent(req.body.oldRdata)}&` : '';
+        res.redirect(`/records/${req.params.zoneName}/${req.params.recordName}/${req.params.recordType}/edit?${rdataQuery}error=` + encodeURIComponent(error.message));
     }
 });
 
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const bindService = require('../services/bindService');
+const settingsUtil = require('../utils/settings');
+const permissions = require('../utils/permissions');
+const recordSearch = require('../utils/recordSearch');
+const { RECORD_TYPES } = require('../utils/recordTypes');
+const { paginate } = require('../utils/api');
+
+/**
+ * Render the bulk replace page, keeping what was typed
+ */
+async function renderReplace(req, res, { preview = null, error = null, success = null, status = 200 } = {}) {
+    const settings = await settingsUtil.loadSettings();
+    const source = req.method === 'POST' ? req.body : req.query;
+    res.status(status).render('search/replace', {
+        title: 'Bulk Replace',
+        values: {
+            q: (source.q || '').trim(),
+            replacement: (source.replacement || '').trim(),
+            type: source.type || '',
+            zone: (source.zone || '').trim(),
+            view: source.view || ''
+        },
+        recordTypes: Object.keys(RECORD_TYPES),
+        views: settings.resolver?.views || [],
+        preview,
+        error,
+        success
+    });
+}
+
+/**
+ * Bulk replace options from the form, limited to the zones the user can edit
+ */
+async function replaceFromForm(req) {
+    return {
+        type: req.body.type || null,
+        zone: (req.body.zone || '').trim() || null,
+        view: req.body.view || null,
+        canEdit: permissions.zoneEditChecker(req.user, await settingsUtil.loadSettings())
+    };
+}
+
+/**
+ * Middleware: bulk replace needs edit rights on at least one zone
+ */
+function requireZoneEditor(req, res, next) {
+    if (!permissions.capabilities(req.user).editZones) {
+        return permissions.forbidden(req, res, 'You do not have permission to edit any zone');
+    }
+    next();
+}
+
+// Record search across all zones
+router.get('/', async (req, res) => {
+    const values = {
+        q: (req.query.q || '').trim(),
+        field: req.query.field || 'any',
+        type: req.query.type || '',
+        zone: (req.query.zone || '').trim(),
+        view: req.query.view || ''
+    };
+    const settings = await settingsUtil.loadSettings().catch(() => ({}));
+    const page = {
+        title: 'Record Search',
+        values,
+        fields: recordSearch.FIELDS,
+        recordTypes: Object.keys(RECORD_TYPES),
+        views: settings.resolver?.views || [],
+        results: [],
+        pagination: null,
+        index: null,
+        error: null
+    };
+
+    if (!values.q) {
+        return res.render('search/index', page);
+    }
+    try {
+        const { results, index } = await bindService.searchRecords(values.q, {
+            field: values.field,
+            type: values.type || null,
+            zone: values.zone || null,
+            view: values.view || null
+        });
+        const { data, pagination } = paginate(results, { page: req.query.page || 1, perPage: 100 });
+        const canEdit = permissions.zoneEditChecker(req.user, settings);
+        const rows = data.map(result => ({ ...result, canEdit: !result.readOnly && canEdit(result.zone) }));
+        res.render('search/index', { ...page, results: rows, pagination, index });
+    } catch (error) {
+        console.error('Error searching records:', error);
+        res.status(400).render('search/index', { ...page, error: error.message });
+    }
+});
+
+// Bulk replace form
+router.get('/replace', requireZoneEditor, async (req, res) => {
+    await renderReplace(req, res, { error: req.query.error, success: req.query.success });
+});
+
+// Show the records a bulk replace would change
+router.post('/replace/preview', requireZoneEditor, async (req, res) => {
+    try {
+        const preview = await bindService.previewBulkReplace(req.body.q, req.body.replacement, await replaceFromForm(req));
+        await renderReplace(req, res, { preview });
+    } catch (error) {
+        console.error('Error previewing bulk replace:', error);
+        await renderReplace(req, res, { error: error.message, status: 400 });
+    }
+});
+
+// Change the selected records
+router.post('/replace', requireZoneEditor, async (req, res) => {
+    const options = await replaceFromForm(req);
+    try {
+        const select = [].concat(req.body.select || []);
+        if (select.length === 0) {
+            throw new Error('Select at least one record to change');
+        }
+        const { changed, zones, staged } = await bindService.bulkReplace(req.body.q, req.body.replacement, { ...options, select });
+        const message = `${changed} record(s) in ${zones.length} zone(s) ${staged ? 'staged; review them under Pending Changes' : 'changed'}`;
+        res.redirect('/search/replace?success=' + encodeURIComponent(message));
+    } catch (error) {
+        console.error('Error applying bulk replace:', error);
+        const preview = await bindService.previewBulkReplace(req.body.q, req.body.replacement, options).catch(() => null);
+        await renderReplace(req, res, { preview, error: error.message, status: 400 });
+    }
+});
+
+module.exports = router;
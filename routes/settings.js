@@ -3,7 +3,137 @@ const router = express.Router();
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('../config');
+const moment = require('moment');
 const settingsUtil = require('../utils/settings');
+const apiTokens = require('../utils/apiTokens');
+const bindService = require('../services/bindService');
+const permissions = require('../utils/permissions');
+const zoneSoa = require('../utils/zoneSoa');
+const zoneTemplates = require('../utils/zoneTemplates');
+const { requireRole } = permissions;
+const { activityLogger } = require('../utils/activityLogger');
+
+/**
+ * Render the API tokens page. Admins see every token, others their own.
+ * @param {Object} [extra] - Extra locals, e.g. the plaintext of a new token
+ */
+async function renderTokens(req, res, extra = {}) {
+    const admin = permissions.isAdmin(req.user);
+    const tokens = await apiTokens.listTokens(admin ? null : req.user.username);
+    tokens.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const zones = await bindService.listZones().catch(() => []);
+    const zoneNames = zones
+        .filter(z => permissions.canEditZone(req.user, z.name, z.view))
+        .map(z => z.name)
+        .sort();
+
+    res.render('settings/tokens', {
+        title: 'API Tokens',
+        tokens,
+        zoneNames,
+        showOwner: admin,
+        newToken: null,
+        moment,
+        success: req.query.success,
+        error: req.query.error,
+        ...extra
+    });
+}
+
+/**
+ * Render the zone templates page
+ * @param {Object} [extra] - Extra locals, e.g. the draft of a template that failed to save
+ */
+async function renderTemplates(req, res, extra = {}) {
+    const settings = await settingsUtil.loadSettings();
+    const templates = zoneTemplates.listTemplates(settings)
+        .map(template => ({ ...template, zones: zoneTemplates.zonesUsing(settings, template.name) }));
+
+    res.status(extra.status || 200).render('settings/templates', {
+        title: 'Zone Templates',
+        templates,
+        draft: null,
+        moment,
+        success: req.query.success,
+        error: req.query.error,
+        ...extra
+    });
+}
+
+// API tokens are managed by every user for themselves, so these routes
+// come before the administrator guard below. A token cannot mint tokens.
+router.use('/tokens', (req, res, next) => {
+    if (req.user && req.user.token) {
+        return permissions.forbidden(req, res, 'API tokens cannot be managed with an API token');
+    }
+    next();
+});
+
+router.get('/tokens', async (req, res) => {
+    try {
+        await renderTokens(req, res);
+    } catch (error) {
+        console.error('Error listing API tokens:', error);
+        res.render('error', { title: 'Error', message: 'Failed to load API tokens: ' + error.message });
+    }
+});
+
+// Create API token; the plaintext is shown only in this response
+router.post('/tokens', async (req, res) => {
+    try {
+        const zones = [].concat(req.body.zones || []).filter(Boolean);
+        const settings = await settingsUtil.loadSettings();
+        const forbiddenZone = zones.find(z => !permissions.canEditZone(req.user, z, permissions.findZoneView(settings, z)));
+        if (forbiddenZone) {
+            throw new Error(`You cannot grant access to zone ${forbiddenZone}`);
+        }
+
+        const days = parseInt(req.body.expiresInDays, 10);
+        const expiresAt = Number.isInteger(days) && days > 0
+            ? moment().add(days, 'days').toDate()
+            : null;
+
+        const { token, record } = await apiTokens.createToken({
+            name: req.body.name,
+            username: req.user.username,
+            zones,
+            expiresAt
+        });
+        await activityLogger.custom('token', 'create', `API token "${record.name}" created`, null, {
+            token: record.name,
+            owner: record.username,
+            zones: record.zones,
+            expiresAt: record.expiresAt
+        });
+        await renderTokens(req, res, { newToken: token, success: `API token ${record.name} created` });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.redirect('/settings/tokens?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Revoke API token (owner or admin)
+router.post('/tokens/:id/revoke', async (req, res) => {
+    try {
+        const token = await apiTokens.getToken(req.params.id);
+        if (!token || (token.username !== req.user.username && !permissions.isAdmin(req.user))) {
+            throw new Error('Token not found');
+        }
+        await apiTokens.revokeToken(token.id);
+        await activityLogger.custom('token', 'revoke', `API token "${token.name}" revoked`, null, {
+            token: token.name,
+            owner: token.username
+        });
+        res.redirect('/settings/tokens?success=' + encodeURIComponent(`API token ${token.name} revoked`));
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.redirect('/settings/tokens?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Server settings, including SSL material, are reserved to administrators
+router.use(requireRole('admin'));
 
 // Get settings page
 router.get('/', async (req, res) => {
@@ -34,6 +164,7 @@ router.get('/', async (req, res) => {
         res.render('settings/index', {
             title: 'Settings',
             settings,
+            serialSchemes: zoneSoa.SERIAL_SCHEME_LABELS,
             success: req.query.success,
             error: req.query.error
         });
@@ -50,7 +181,9 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
     try {
         const { 
-            autoReload, validateBeforeReload, backupEnabled, autoGeneratePTR,
+            autoReload, validateBeforeReload, stageChanges, requireApproval, backupEnabled, autoGeneratePTR,
+            backupKeepLast, backupMaxAgeDays,
+            soaTtl, soaRefresh, soaRetry, soaExpire, soaMinimum, serialScheme,
             enableResolver, queryLogging, dnssecValidation, cacheSize, forwarders,
             enableAdblock, adblockUrls, adblockRedirect, customAdblockDomains,
             enableWildcardAdblock, wildcardAdblockDomains,
@@ -67,9 +200,33 @@ router.post('/', async (req, res) => {
         // Update zone settings
         const zoneUpdates = {
             autoReload: autoReload !== undefined ? autoReload === 'on' : currentSettings.zones?.autoReload || false,
-            validateBeforeReload: validateBeforeReload !== undefined ? validateBeforeReload === 'on' : currentSettings.zones?.validateBeforeReload || false,
+            validateBeforeReload: validateBeforeReload !== undefined ? validateBeforeReload === 'on' : currentSettings.zones?.validateBeforeReload ?? true,
+            stageChanges: stageChanges !== undefined ? stageChanges === 'on' : currentSettings.zones?.stageChanges || false,
+            requireApproval: requireApproval !== undefined ? requireApproval === 'on' : currentSettings.zones?.requireApproval || false,
             backupEnabled: backupEnabled !== undefined ? backupEnabled === 'on' : currentSettings.zones?.backupEnabled || false,
-            autoGeneratePTR: autoGeneratePTR !== undefined ? autoGeneratePTR === 'on' : currentSettings.zones?.autoGeneratePTR || false
+            autoGeneratePTR: autoGeneratePTR !== undefined ? autoGeneratePTR === 'on' : currentSettings.zones?.autoGeneratePTR || false,
+            backupRetention: (() => {
+                const current = currentSettings.zones.backupRetention;
+                const count = (value, fallback) => {
+                    const number = parseInt(value, 10);
+                    return Number.isInteger(number) && number >= 0 ? number : fallback;
+                };
+                return {
+                    keepLast: count(backupKeepLast, current.keepLast),
+                    maxAgeDays: count(backupMaxAgeDays, current.maxAgeDays)
+                };
+            })(),
+            soaDefaults: (() => {
+                const current = currentSettings.zones.soaDefaults;
+                const { values, errors } = zoneSoa.validateSoa({
+                    ttl: soaTtl, refresh: soaRefresh, retry: soaRetry, expire: soaExpire, minimum: soaMinimum
+                }, current);
+                if (errors.length > 0) {
+                    throw new Error(`Invalid zone defaults: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+                }
+                return { ...current, ...values };
+            })(),
+            serialScheme: zoneSoa.SERIAL_SCHEMES.includes(serialScheme) ? serialScheme : currentSettings.zones.serialScheme
         };
         
         // Update resolver settings
@@ -166,6 +323,67 @@ router.post('/', async (req, res) => {
     }
 });
 
+// Zone templates
+router.get('/templates', async (req, res) => {
+    try {
+        await renderTemplates(req, res);
+    } catch (error) {
+        console.error('Error listing zone templates:', error);
+        res.render('error', { title: 'Error', message: 'Failed to load zone templates: ' + error.message });
+    }
+});
+
+// Create or update a zone template; on failure the form is shown again with what was typed
+async function saveTemplate(req, res, create) {
+    const input = {
+        name: create ? req.body.name : req.params.name,
+        description: req.body.description,
+        records: req.body.records
+    };
+    try {
+        const template = await bindService.saveZoneTemplate(input, { create });
+        res.redirect('/settings/templates?success=' + encodeURIComponent(`Template ${template.name} ${create ? 'created' : 'saved'}`));
+    } catch (error) {
+        console.error('Error saving zone template:', error);
+        await renderTemplates(req, res, { draft: { ...input, create }, error: error.message, success: null, status: 422 });
+    }
+}
+
+router.post('/templates', (req, res) => saveTemplate(req, res, true));
+router.post('/templates/:name', (req, res) => saveTemplate(req, res, false));
+
+router.post('/templates/:name/delete', async (req, res) => {
+    try {
+        await bindService.deleteZoneTemplate(req.params.name);
+        res.redirect('/settings/templates?success=' + encodeURIComponent(`Template ${req.params.name} deleted`));
+    } catch (error) {
+        console.error('Error deleting zone template:', error);
+        res.redirect('/settings/templates?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Apply a template again to every zone it was last applied to, with the values used then
+router.post('/templates/:name/reapply', async (req, res) => {
+    try {
+        const results = await bindService.reapplyZoneTemplate(req.params.name, { replace: req.body.replace === 'on' });
+        const failed = results.filter(result => result.error);
+        const added = results.reduce((sum, result) => sum + result.added, 0);
+        const replaced = results.reduce((sum, result) => sum + result.replaced, 0);
+        let message = `Template ${req.params.name} re-applied to ${results.length - failed.length} zone(s): ${added} record(s) added, ${replaced} replaced`;
+        if (results.some(result => result.staged)) {
+            message += '; staged changes await deployment';
+        }
+        if (failed.length > 0) {
+            const errors = failed.map(result => `${result.zone}: ${result.error}`).join('; ');
+            return res.redirect('/settings/templates?error=' + encodeURIComponent(`${message}. Failed for ${errors}`));
+        }
+        res.redirect('/settings/templates?success=' + encodeURIComponent(message));
+    } catch (error) {
+        console.error('Error re-applying zone template:', error);
+        res.redirect('/settings/templates?error=' + encodeURIComponent(error.message));
+    }
+});
+
 // Get Bind status
 router.get('/status', async (req, res) => {
     try {
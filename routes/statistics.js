@@ -36,7 +36,9 @@ router.get('/api/data', async (req, res) => {
 
 // Helper function to get all statistics data
 async function getStatisticsData() {
-    const zones = await bindService.listZones();
+    // Zones and their records from the zone catalog
+    const zoneRecords = await bindService.listZoneRecords();
+    const zones = zoneRecords.map(({ zone }) => zone);
     
     // Calculate zone statistics
     const zoneStats = {
@@ -54,41 +56,35 @@ async function getStatisticsData() {
     const recordsByZone = [];
     const topZones = [];
 
-    for (const zone of zones) {
-        try {
-            const zoneData = await bindService.getZone(zone.name);
-            const records = zoneData.records || [];
-            const zoneRecordCount = records.length;
-            totalRecords += zoneRecordCount;
-
-            // Count by type
-            records.forEach(record => {
-                const type = record.type || 'OTHER';
-                recordsByType[type] = (recordsByType[type] || 0) + 1;
-            });
-
-            // Zone-specific stats
-            const typeBreakdown = {};
-            records.forEach(record => {
-                const type = record.type || 'OTHER';
-                typeBreakdown[type] = (typeBreakdown[type] || 0) + 1;
-            });
-
-            recordsByZone.push({
-                name: zone.name,
-                total: zoneRecordCount,
-                types: typeBreakdown,
-                type: zone.type
-            });
-
-            topZones.push({
-                name: zone.name,
-                records: zoneRecordCount,
-                type: zone.type
-            });
-        } catch (error) {
-            console.error(`Error processing zone ${zone.name}:`, error.message);
-        }
+    for (const { zone, records } of zoneRecords) {
+        const zoneRecordCount = records.length;
+        totalRecords += zoneRecordCount;
+
+        // Count by type
+        records.forEach(record => {
+            const type = record.type || 'OTHER';
+            recordsByType[type] = (recordsByType[type] || 0) + 1;
+        });
+
+        // Zone-specific stats
+        const typeBreakdown = {};
+        records.forEach(record => {
+            const type = record.type || 'OTHER';
+            typeBreakdown[type] = (typeBreakdown[type] || 0) + 1;
+        });
+
+        recordsByZone.push({
+            name: zone.name,
+            total: zoneRecordCount,
+            types: typeBreakdown,
+            type: zone.type
+        });
+
+        topZones.push({
+            name: zone.name,
+            records: zoneRecordCount,
+            type: zone.type
+        });
     }
 
     // Sort top zones by record count
@@ -143,6 +139,18 @@ async function getStatisticsData() {
     // Top queried domains
     const topQueriedDomains = await getTopQueriedDomains();
 
+    // Best-practice findings of every master zone
+    const lintReport = await bindService.lintAllZones();
+    const lint = {
+        counts: lintReport.counts,
+        zones: lintReport.zones.map(({ zone, findings, counts }) => ({
+            name: zone.name,
+            view: zone.view || null,
+            counts,
+            findings
+        }))
+    };
+
     return {
         zoneStats,
         recordStats: {
@@ -158,7 +166,8 @@ async function getStatisticsData() {
             zonesLastMonth: lastMonthZones,
             recordsLastMonth: lastMonthRecords
         },
-        topQueriedDomains
+        topQueriedDomains,
+        lint
     };
 }
 
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const users = require('../utils/users');
+const settingsUtil = require('../utils/settings');
+const bindService = require('../services/bindService');
+const { requireRole } = require('../utils/permissions');
+const { activityLogger } = require('../utils/activityLogger');
+
+// Managing accounts is reserved to administrators
+router.use(requireRole('admin'));
+
+/**
+ * Zones and views that editors can be scoped to
+ */
+async function loadScopeOptions() {
+    const settings = await settingsUtil.loadSettings();
+    const zones = await bindService.listZones().catch(() => []);
+    return {
+        zoneNames: zones.map(z => z.name).sort(),
+        viewNames: (settings.resolver?.views || []).map(v => v.name)
+    };
+}
+
+// List users
+router.get('/', async (req, res) => {
+    try {
+        const userList = await users.listUsers();
+        const { zoneNames, viewNames } = await loadScopeOptions();
+        res.render('users/index', {
+            title: 'Users',
+            users: userList,
+            roles: users.ROLES,
+            zoneNames,
+            viewNames,
+            moment,
+            success: req.query.success,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.render('users/index', {
+            title: 'Users',
+            users: [],
+            roles: users.ROLES,
+            zoneNames: [],
+            viewNames: [],
+            moment,
+            error: error.message
+        });
+    }
+});
+
+// Create user
+router.post('/', async (req, res) => {
+    try {
+        const user = await users.createUser({
+            username: (req.body.username || '').trim(),
+            password: req.body.password,
+            displayName: req.body.displayName,
+            role: req.body.role,
+            zones: req.body.zones,
+            views: req.body.views,
+            approver: req.body.approver === 'on'
+        });
+        await activityLogger.custom('user', 'create', `User "${user.username}" created with role ${user.role}`, null, {
+            role: user.role,
+            zones: user.zones,
+            views: user.views,
+            approver: user.approver
+        });
+        res.redirect('/users?success=' + encodeURIComponent(`User ${user.username} created`));
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.redirect('/users?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Update role, scopes and approver flag
+router.post('/:username', async (req, res) => {
+    try {
+        const { username } = req.params;
+        const user = await users.updateUser(username, {
+            displayName: req.body.displayName,
+            role: req.body.role,
+            zones: req.body.zones || [],
+            views: req.body.views || [],
+            approver: req.body.approver === 'on'
+        });
+        await activityLogger.custom('user', 'update', `User "${username}" set to role ${user.role}`, null, {
+            role: user.role,
+            zones: user.zones,
+            views: user.views,
+            approver: user.approver
+        });
+        res.redirect('/users?success=' + encodeURIComponent(`User ${username} updated`));
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.redirect('/users?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Change password
+router.post('/:username/password', async (req, res) => {
+    try {
+        const { username } = req.params;
+        if (req.body.password !== req.body.confirmPassword) {
+            throw new Error('Passwords do not match');
+        }
+        await users.setPassword(username, req.body.password);
+        await activityLogger.custom('user', 'update', `Password changed for user "${username}"`);
+        res.redirect('/users?success=' + encodeURIComponent(`Password updated for ${username}`));
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.redirect('/users?error=' + encodeURIComponent(error.message));
+    }
+});
+
+// Delete user
+router.post('/:username/delete', async (req, res) => {
+    try {
+        const { username } = req.params;
+        if (username === req.user.username) {
+            throw new Error('You cannot delete your own account');
+        }
+        await users.deleteUser(username);
+        await activityLogger.custom('user', 'delete', `User "${username}" deleted`);
+        res.redirect('/users?success=' + encodeURIComponent(`User ${username} deleted`));
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.redirect('/users?error=' + encodeURIComponent(error.message));
+    }
+});
+
+module.exports = router;
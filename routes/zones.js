@@ -3,6 +3,68 @@ const router = express.Router();
 const moment = require('moment');
 const bindService = require('../services/bindService');
 const settingsUtil = require('../utils/settings');
+const permissions = require('../utils/permissions');
+const zoneTags = require('../utils/zoneTags');
+const recordImport = require('../utils/recordImport');
+const dnssec = require('../utils/dnssec');
+const zoneSoa = require('../utils/zoneSoa');
+const zoneTemplates = require('../utils/zoneTemplates');
+
+/**
+ * View name from a form field; empty and 'global' mean no view
+ */
+function formViewName(value) {
+    const name = (value || '').trim();
+    return name === '' || name === 'global' ? null : name;
+}
+
+/**
+ * Render the zone import page; with a preview when the document was read
+ */
+async function renderZoneImport(req, res, { preview = null, error = null, status = 200 } = {}) {
+    const settings = await settingsUtil.loadSettings();
+    res.status(status).render('zones/import', {
+        title: 'Import Zone',
+        views: (settings.resolver?.views || []).filter(v => permissions.canManageZonesInView(req.user, v.name)),
+        allowGlobal: permissions.canManageZonesInView(req.user, null),
+        formats: recordImport.FORMATS,
+        formatLabels: recordImport.FORMAT_LABELS,
+        values: {
+            content: req.body.content || '',
+            format: req.body.format || 'auto',
+            zoneName: (req.body.zoneName || '').trim(),
+            view: req.body.view || 'global'
+        },
+        preview,
+        error
+    });
+}
+
+/**
+ * Render the apply-template page of a zone; with a preview when the template was filled in.
+ * The form starts with the template and values last applied to the zone.
+ */
+async function renderZoneTemplate(req, res, { preview = null, error = null, status = 200 } = {}) {
+    const { zone } = await bindService.getZone(req.params.zoneName);
+    const settings = await settingsUtil.loadSettings();
+    const applied = zoneTemplates.getApplied(settings, zone.name);
+    const posted = req.body.template !== undefined;
+    res.status(status).render('zones/template', {
+        title: `Apply Template to ${zone.name}`,
+        zone,
+        templates: zoneTemplates.listTemplates(settings),
+        applied,
+        values: {
+            template: posted ? req.body.template : applied?.template || '',
+            variables: posted ? req.body.variables || {} : applied?.variables || {},
+            replace: !!req.body.replace
+        },
+        formatLabels: recordImport.FORMAT_LABELS,
+        preview,
+        error,
+        moment
+    });
+}
 
 // List all zones
 router.get('/', async (req, res) => {
@@ -11,6 +73,12 @@ router.get('/', async (req, res) => {
         const settings = await settingsUtil.loadSettings();
         const views = settings.resolver?.views || [];
 
+        zones.forEach(zone => {
+            const viewName = permissions.findZoneView(settings, zone.name);
+            zone.canEdit = permissions.canEditZone(req.user, zone.name, viewName);
+            zone.canManage = permissions.canManageZonesInView(req.user, viewName);
+        });
+
         res.render('zones/list', {
             title: 'DNS Zones',
             zones: zones,
@@ -37,12 +105,60 @@ router.get('/', async (req, res) => {
 router.get('/:zoneName', async (req, res) => {
     try {
         const zoneName = req.params.zoneName;
-        const { zone, records } = await bindService.getZone(zoneName);
+        const { zone, records, soa, errors } = await bindService.getZone(zoneName);
+        const settings = await settingsUtil.loadSettings();
+        const { backups } = await bindService.listZoneBackups(zone.name);
+        const viewName = permissions.findZoneView(settings, zone.name);
+        const dnssecState = await bindService.getZoneDnssec(zone.name).catch(error => {
+            console.error('Error reading DNSSEC state:', error.message);
+            return null;
+        });
+        const lint = await bindService.lintZone(zone.name).catch(error => {
+            console.error('Error linting zone:', error.message);
+            return null;
+        });
+        const soaSettings = soa ? await bindService.getZoneSoa(zone.name).catch(error => {
+            console.error('Error reading SOA:', error.message);
+            return null;
+        }) : null;
+
+        // Record diff between two versions when ?from=<id>[&to=<id>|current] is given
+        let backupDiff = null;
+        let backupError = null;
+        if (req.query.from) {
+            try {
+                backupDiff = await bindService.diffZoneBackups(zone.name, req.query.from, req.query.to || 'current');
+            } catch (error) {
+                backupError = error.message;
+            }
+        }
 
         res.render('zones/detail', {
             title: `Zone: ${zone.name}`,
             zone,
+            canEdit: permissions.canEditZone(req.user, zone.name, viewName),
+            canManage: permissions.canManageZonesInView(req.user, viewName),
             records: records,
+            soa,
+            soaSettings,
+            serialSchemes: zoneSoa.SERIAL_SCHEME_LABELS,
+            parseErrors: errors || [],
+            backups,
+            backupDiff,
+            backupError,
+            backupSettings: {
+                enabled: settings.zones.backupEnabled,
+                retention: settings.zones.backupRetention
+            },
+            requiresApproval: zoneTags.requiresApproval(settings, zone.name),
+            appliedTemplate: zoneTemplates.getApplied(settings, zone.name),
+            lint,
+            dnssec: dnssecState,
+            dnssecOptions: {
+                algorithms: Object.keys(dnssec.ALGORITHMS),
+                denialMethods: dnssec.DENIAL_METHODS,
+                defaults: dnssec.DEFAULT_POLICY
+            },
             moment,
             error: req.query.error,
             success: req.query.success
@@ -56,18 +172,95 @@ router.get('/:zoneName', async (req, res) => {
     }
 });
 
+// Download a zone as a BIND zone file, JSON or CSV (?format=, default bind)
+router.get('/:zoneName/export', async (req, res) => {
+    try {
+        const { content, filename, contentType } = await bindService.exportZone(req.params.zoneName, req.query.format);
+        res.attachment(filename).type(contentType).send(content);
+    } catch (error) {
+        console.error('Error exporting zone:', error);
+        res.redirect(`/zones/${req.params.zoneName}?error=` + encodeURIComponent(error.message));
+    }
+});
+
+// Download every zone file and named.conf.local as a tarball
+router.get('/export/archive', permissions.requireRole('admin'), async (req, res) => {
+    try {
+        const archive = await bindService.createServerArchive();
+        res.download(archive.file, archive.filename, error => {
+            if (error) console.error('Error sending configuration archive:', error);
+            archive.cleanup().catch(() => {});
+        });
+    } catch (error) {
+        console.error('Error exporting configuration:', error);
+        res.redirect('/zones?error=' + encodeURIComponent(error.message));
+    }
+});
+
 // Add new zone (GET form)
 router.get('/new/create', async (req, res) => {
-    const settingsUtil = require('../utils/settings');
+    if (!permissions.canCreateZones(req.user)) {
+        return permissions.forbidden(req, res);
+    }
     const settings = await settingsUtil.loadSettings();
     res.render('zones/new', {
         title: 'Create New Zone',
-        views: settings.resolver?.views || []
+        views: (settings.resolver?.views || []).filter(v => permissions.canManageZonesInView(req.user, v.name)),
+        allowGlobal: permissions.canManageZonesInView(req.user, null),
+        templates: zoneTemplates.listTemplates(settings)
     });
 });
 
+// Import a zone from a provider export or zone file (GET form)
+router.get('/new/import', async (req, res) => {
+    if (!permissions.canCreateZones(req.user)) {
+        return permissions.forbidden(req, res);
+    }
+    await renderZoneImport(req, res, { error: req.query.error });
+});
+
+// Import a zone: read the document
+router.post('/new/import/preview', permissions.requireViewScope(req => formViewName(req.body.view)), async (req, res) => {
+    try {
+        const preview = await bindService.previewZoneImport(req.body.content, {
+            format: req.body.format || 'auto',
+            zoneName: (req.body.zoneName || '').trim() || null
+        });
+        await renderZoneImport(req, res, { preview });
+    } catch (error) {
+        console.error('Error previewing zone import:', error);
+        await renderZoneImport(req, res, { error: error.message, status: 400 });
+    }
+});
+
+// Import a zone: create it with the selected records
+router.post('/new/import', permissions.requireViewScope(req => formViewName(req.body.view)), async (req, res) => {
+    try {
+        const { zone, added, replaced, staged } = await bindService.importZone(req.body.content, {
+            format: req.body.format || 'auto',
+            zoneName: (req.body.zoneName || '').trim() || null,
+            view: formViewName(req.body.view),
+            select: [].concat(req.body.select || [])
+        });
+        const summary = `Zone ${zone} created; ${added} record(s) ${staged ? 'staged for import, review them under Pending Changes' : 'imported'}` +
+            (replaced ? `, replacing ${replaced} default record(s)` : '');
+        res.redirect(`/zones/${zone}?success=` + encodeURIComponent(summary));
+    } catch (error) {
+        console.error('Error importing zone:', error);
+        try {
+            const preview = await bindService.previewZoneImport(req.body.content, {
+                format: req.body.format || 'auto',
+                zoneName: (req.body.zoneName || '').trim() || null
+            });
+            await renderZoneImport(req, res, { preview, error: error.message, status: 400 });
+        } catch (renderError) {
+            res.redirect('/zones/new/import?error=' + encodeURIComponent(error.message));
+        }
+    }
+});
+
 // Add new zone (POST)
-router.post('/', async (req, res) => {
+router.post('/', permissions.requireViewScope(req => formViewName(req.body.view)), async (req, res) => {
     try {
         // Trim all input values to remove leading/trailing whitespace
         const name = (req.body.name || '').trim();
@@ -98,6 +291,11 @@ router.post('/', async (req, res) => {
             zoneData.domain = domain;
         }
         
+        if (req.body.template) {
+            zoneData.template = req.body.template;
+            zoneData.variables = req.body.variables || {};
+        }
+        
         const result = await bindService.createZone(zoneData);
         
         console.log('Zone created:', result);
@@ -109,7 +307,7 @@ router.post('/', async (req, res) => {
 });
 
 // Delete zone
-router.post('/:zoneName/delete', async (req, res) => {
+router.post('/:zoneName/delete', permissions.requireZoneManage(), async (req, res) => {
     try {
         const zoneName = req.params.zoneName;
         await bindService.deleteZone(zoneName);
@@ -121,7 +319,10 @@ router.post('/:zoneName/delete', async (req, res) => {
 });
 
 // Reassign zone to different view
-router.post('/:zoneName/reassign', async (req, res) => {
+router.post('/:zoneName/reassign',
+    permissions.requireZoneManage(),
+    permissions.requireViewScope(req => formViewName(req.body.view)),
+    async (req, res) => {
     try {
         const zoneName = req.params.zoneName;
         const newViewRaw = (req.body.view || '').trim();
@@ -134,8 +335,146 @@ router.post('/:zoneName/reassign', async (req, res) => {
     }
 });
 
+// Restore a zone file snapshot
+router.post('/:zoneName/backups/:backupId/restore', permissions.requireZoneEdit(), async (req, res) => {
+    const zoneName = req.params.zoneName;
+    try {
+        const { staged } = await bindService.restoreZoneBackup(zoneName, req.params.backupId);
+        const when = moment(Number(req.params.backupId)).format('DD MMM YYYY HH:mm:ss');
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(staged ? `Restore of backup from ${when} staged; review it under Pending Changes` : `Zone restored from backup of ${when}`));
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        res.redirect(`/zones/${zoneName}?error=` + encodeURIComponent(error.message));
+    }
+});
+
+// Delete snapshots outside the retention rules
+router.post('/:zoneName/backups/prune', permissions.requireZoneEdit(), async (req, res) => {
+    const zoneName = req.params.zoneName;
+    try {
+        const pruned = await bindService.pruneZoneBackups(zoneName);
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(`${pruned.length} old backup(s) deleted`) + '#backups');
+    } catch (error) {
+        console.error('Error pruning backups:', error);
+        res.redirect(`/zones/${zoneName}?error=` + encodeURIComponent(error.message));
+    }
+});
+
+// Change the SOA timers, name server and mailbox, $TTL and serial scheme
+router.post('/:zoneName/soa', permissions.requireZoneEdit(), async (req, res) => {
+    const zoneName = req.params.zoneName;
+    try {
+        const { changed, staged } = await bindService.updateZoneSoa(zoneName, req.body);
+        const message = changed.length === 0 ? 'SOA unchanged'
+            : staged ? 'SOA change staged; review it under Pending Changes' : `SOA updated: ${changed.join(', ')}`;
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(message) + '#soa');
+    } catch (error) {
+        console.error('Error updating SOA:', error);
+        res.redirect(`/zones/${zoneName}?error=` + encodeURIComponent(error.message) + '#soa');
+    }
+});
+
+// Apply a zone template (GET form)
+router.get('/:zoneName/template', permissions.requireZoneEdit(), async (req, res) => {
+    try {
+        await renderZoneTemplate(req, res, { error: req.query.error });
+    } catch (error) {
+        console.error('Error loading zone template form:', error);
+        res.status(404).render('error', {
+            title: 'Zone Not Found',
+            message: error.message
+        });
+    }
+});
+
+// Apply a zone template: fill it in and compare it with the zone
+router.post('/:zoneName/template/preview', permissions.requireZoneEdit(), async (req, res) => {
+    try {
+        const preview = await bindService.previewZoneTemplate(req.params.zoneName, req.body.template, req.body.variables || {}, {
+            replace: !!req.body.replace
+        });
+        await renderZoneTemplate(req, res, { preview });
+    } catch (error) {
+        console.error('Error previewing zone template:', error);
+        try {
+            await renderZoneTemplate(req, res, { error: error.message, status: 400 });
+        } catch (renderError) {
+            res.status(404).render('error', { title: 'Zone Not Found', message: renderError.message });
+        }
+    }
+});
+
+// Apply a zone template: write the selected records
+router.post('/:zoneName/template', permissions.requireZoneEdit(), async (req, res) => {
+    const zoneName = req.params.zoneName;
+    const options = { replace: !!req.body.replace, select: [].concat(req.body.select || []) };
+    try {
+        const { template, added, replaced, staged } = await bindService.applyZoneTemplate(zoneName, req.body.template, req.body.variables || {}, options);
+        const summary = `Template ${template}: ${added} record(s) ${staged ? 'staged' : 'added'}${replaced ? `, replacing ${replaced}` : ''}`;
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(staged ? `${summary}; review them under Pending Changes` : summary));
+    } catch (error) {
+        console.error('Error applying zone template:', error);
+        res.redirect(`/zones/${zoneName}/template?error=` + encodeURIComponent(error.message));
+    }
+});
+
+// DNSSEC key rollovers: key phases, DS steps at the parent and rndc's view
+router.get('/:zoneName/dnssec', async (req, res) => {
+    try {
+        const rollover = await bindService.getDnssecRollover(req.params.zoneName);
+        res.render('zones/dnssec', {
+            title: `DNSSEC: ${rollover.zone}`,
+            rollover,
+            phases: dnssec.PHASES,
+            moment
+        });
+    } catch (error) {
+        console.error('Error loading DNSSEC rollover state:', error);
+        res.status(404).render('error', {
+            title: 'Zone Not Found',
+            message: error.message
+        });
+    }
+});
+
+// Sign the zone with a dnssec-policy, or change its policy
+router.post('/:zoneName/dnssec', permissions.requireZoneManage(), async (req, res) => {
+    const zoneName = req.params.zoneName;
+    try {
+        const { message } = await bindService.enableZoneDnssec(zoneName, req.body);
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(message) + '#dnssec');
+    } catch (error) {
+        console.error('Error enabling DNSSEC:', error);
+        res.redirect(`/zones/${zoneName}?error=` + encodeURIComponent(error.message) + '#dnssec');
+    }
+});
+
+// Stop signing the zone
+router.post('/:zoneName/dnssec/disable', permissions.requireZoneManage(), async (req, res) => {
+    const zoneName = req.params.zoneName;
+    try {
+        const { message } = await bindService.disableZoneDnssec(zoneName);
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(message) + '#dnssec');
+    } catch (error) {
+        console.error('Error disabling DNSSEC:', error);
+        res.redirect(`/zones/${zoneName}?error=` + encodeURIComponent(error.message) + '#dnssec');
+    }
+});
+
+// Replace zone tags; admin-only, since the protected tag puts a zone under the approval rule
+router.post('/:zoneName/tags', permissions.requireRole('admin'), async (req, res) => {
+    const zoneName = req.params.zoneName;
+    try {
+        const tags = await bindService.setZoneTags(zoneName, req.body.tags);
+        res.redirect(`/zones/${zoneName}?success=` + encodeURIComponent(tags.length ? `Tags set to ${tags.join(', ')}` : 'Tags cleared'));
+    } catch (error) {
+        console.error('Error updating zone tags:', error);
+        res.redirect(`/zones/${zoneName}?error=` + encodeURIComponent(error.message));
+    }
+});
+
 // Reload Bind
-router.post('/reload', async (req, res) => {
+router.post('/reload', permissions.requireRole('admin', 'editor'), async (req, res) => {
     try {
         await bindService.reloadBind();
         res.json({ success: true, message: 'Bind reloaded successfully' });
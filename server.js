@@ -4,18 +4,23 @@ const session = require('express-session');
 const path = require('path');
 const fs = require('fs-extra');
 const bindService = require('./services/bindService');
+const config = require('./config');
+const auth = require('./utils/auth');
+const permissions = require('./utils/permissions');
+const api = require('./utils/api');
+const openapi = require('./utils/openapi');
+const changesets = require('./utils/changesets');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Record imports post whole zone files, well past the 100kb default
+app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(session({
-    secret: 'ndash-secret-key-change-in-production',
-    resave: false,
-    saveUninitialized: true,
-    cookie: { secure: false }
+    ...config.session,
+    secret: auth.getSessionSecret()
 }));
 
 // Set view engine
@@ -25,28 +30,51 @@ app.set('views', path.join(__dirname, 'views'));
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Authentication: login/setup and the API description are public,
+// everything below requires a session
+const authRoutes = require('./routes/auth');
+app.use('/', authRoutes);
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openapi.buildDocument(app));
+});
+app.use(auth.requireAuth);
+app.use(permissions.exposeCapabilities);
+app.use(changesets.exposePendingChanges);
+
 // Routes
 const dashboardRoutes = require('./routes/dashboard');
 const zonesRoutes = require('./routes/zones');
 const recordsRoutes = require('./routes/records');
+const searchRoutes = require('./routes/search');
 const settingsRoutes = require('./routes/settings');
 const monitoringRoutes = require('./routes/monitoring');
 const statisticsRoutes = require('./routes/statistics');
 const activityRoutes = require('./routes/activity');
+const historyRoutes = require('./routes/history');
+const changesRoutes = require('./routes/changes');
+const approvalsRoutes = require('./routes/approvals');
 const resolverRoutes = require('./routes/resolver');
 const viewsRoutes = require('./routes/views');
 const aclRoutes = require('./routes/acl');
+const usersRoutes = require('./routes/users');
+const apiV1Routes = require('./routes/api/v1');
 
 app.use('/', dashboardRoutes);
 app.use('/zones', zonesRoutes);
 app.use('/records', recordsRoutes);
+app.use('/search', searchRoutes);
 app.use('/settings', settingsRoutes);
 app.use('/monitoring', monitoringRoutes);
 app.use('/statistics', statisticsRoutes);
 app.use('/activity', activityRoutes);
+app.use('/history', historyRoutes);
+app.use('/changes', changesRoutes);
+app.use('/approvals', approvalsRoutes);
 app.use('/resolver', resolverRoutes);
 app.use('/views', viewsRoutes);
 app.use('/acl', aclRoutes);
+app.use('/users', usersRoutes);
+app.use('/api/v1', apiV1Routes);
 
 // Test route for toast notifications
 app.get('/test-toast', (req, res) => {
@@ -65,6 +93,9 @@ app.post('/test-toast', (req, res) => {
     res.redirect(`/test-toast?${type}=${encodeURIComponent(message)}&title=${encodeURIComponent(title || '')}`);
 });
 
+// JSON errors for API requests that fail before reaching a router (e.g. malformed JSON)
+app.use(api.errorHandler);
+
 // Initialize Bind service and start server
 async function startServer() {
     try {
@@ -84,6 +115,9 @@ async function startServer() {
         // List existing zones
         const zones = await bindService.listZones();
         console.log(`✓ Found ${zones.length} existing zone(s)`);
+
+        // Watch signed zones for DS steps at the parent that are overdue
+        bindService.startDnssecMonitor();
         
         // Check resolver settings and start encrypted DNS if enabled
         const settingsUtil = require('./utils/settings');
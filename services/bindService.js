@@ -1,12 +1,65 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
 const config = require('../config');
 const bindConfig = require('../utils/bindConfig');
+const bindTransaction = require('../utils/bindTransaction');
+const zoneParser = require('../utils/zoneParser');
+const zoneEditor = require('../utils/zoneEditor');
+const recordValidator = require('../utils/recordValidator');
+const recordImport = require('../utils/recordImport');
+const recordExport = require('../utils/recordExport');
+const recordSearch = require('../utils/recordSearch');
+const configArchive = require('../utils/configArchive');
+const zoneBackups = require('../utils/zoneBackups');
+const configHistory = require('../utils/configHistory');
+const changesets = require('../utils/changesets');
+const requestContext = require('../utils/requestContext');
+const zoneTags = require('../utils/zoneTags');
+const zoneCatalog = require('../utils/zoneCatalog');
+const dnssec = require('../utils/dnssec');
+const zoneLint = require('../utils/zoneLint');
+const zoneSoa = require('../utils/zoneSoa');
+const zoneTemplates = require('../utils/zoneTemplates');
+const { ValidationError } = require('../utils/errors');
 const settingsUtil = require('../utils/settings');
-const { activityLogger } = require('../utils/activityLogger');
+const { logActivity, recordActivity, customActivity, activityLogger } = require('../utils/activityLogger');
+
+// Types of which a name can only have one record (RFC 1034 3.6.2, RFC 6672)
+const SINGLE_RECORD_TYPES = ['CNAME', 'DNAME'];
+
+// Outcomes of comparing an imported record with the zone (see previewImport)
+const IMPORT_STATUSES = ['new', 'conflict', 'exists', 'duplicate', 'invalid', 'skipped'];
+
+// How often signed zones are checked for overdue DS steps, and how often an
+// overdue step is logged again (see checkDnssecRollovers)
+const DNSSEC_CHECK_INTERVAL = 60 * 60 * 1000;
+const DNSSEC_ALERT_REPEAT = 24 * 60 * 60 * 1000;
+
+// Outcomes of rewriting a matching record's value (see previewBulkReplace)
+const BULK_REPLACE_STATUSES = ['change', 'unchanged', 'invalid', 'read-only'];
+
+/**
+ * Importable plan items of the selected preview indexes; every index must
+ * name a record of the plan that can be imported
+ */
+function selectImportItems(plan, select) {
+    const indexes = new Set(select.map(Number));
+    for (const index of indexes) {
+        const items = plan.items.filter(item => item.index === index);
+        if (items.length === 0) {
+            throw new Error(`Invalid selection: the import has no record ${index}`);
+        }
+        const blocked = items.find(item => !item.importable);
+        if (!items.some(item => item.importable)) {
+            throw new Error(`Invalid selection: the record at ${blocked.source} cannot be imported (${blocked.status}${blocked.message ? `: ${blocked.message}` : ''})`);
+        }
+    }
+    return plan.items.filter(item => indexes.has(item.index) && item.importable);
+}
 
 /**
  * Bind Service - Handles all interactions with Bind DNS server
@@ -14,8 +67,16 @@ const { activityLogger } = require('../utils/activityLogger');
 class BindService {
     constructor() {
         this.zonesPath = config.bind.zonesPath;
-        this.confPath = config.bind.confPath;
-        this.namedConfLocal = '/etc/bind/named.conf.local';
+        this.keysPath = config.bind.keysPath;
+        this.directory = config.bind.directory;
+        this.namedConfLocal = config.bind.confPath;
+        // Record search index: zone name -> { parsed, view, entries }
+        this.recordIndex = new Map();
+        // Overdue DNSSEC steps already logged: "<zone> <tag> <action>" -> time logged
+        this.dnssecAlerts = new Map();
+        this.dnssecMonitor = null;
+        // Files replaced by a transaction are read again on next use
+        bindTransaction.onChange(files => zoneCatalog.invalidate(files));
     }
 
     /**
@@ -25,6 +86,8 @@ class BindService {
         try {
             await fs.ensureDir(this.zonesPath);
             console.log(`✓ Bind zones directory ready: ${this.zonesPath}`);
+            zoneCatalog.watch([this.zonesPath, path.dirname(this.namedConfLocal)]);
+            await configHistory.ensureRepository();
             // If views configured, ensure zones from other files (like root-hints) are moved into a 'global' view
             try {
                 const settings = await settingsUtil.loadSettings();
@@ -44,117 +107,498 @@ class BindService {
     }
 
     /**
-     * List all zones from named.conf.local
+     * Run changes to zone files and named.conf files as one BIND transaction:
+     * staged files are checked (when validation is enabled), renamed into
+     * place and BIND is reloaded (when auto-reload is on). If anything fails
+     * the previous files are restored.
+     *
+     * With staging on the transaction is added to the acting user's pending
+     * changeset instead, unless it is immediate: changes that also update
+     * NDash settings or services cannot wait for review. Changes to zones
+     * that require approval are always added to the changeset.
+     * @param {Function} work - async (tx) => result; stage files with tx.write / tx.remove
+     * @param {Object} [options]
+     * @param {boolean} [options.reload] - Override the auto-reload setting
+     * @param {boolean} [options.immediate=false] - Commit even when staging is on
+     * @param {string[]} [options.zones] - Zones the change is about, for the approval rule
      */
-    async listZones() {
+    async transaction(work, { reload, immediate = false, zones = [] } = {}) {
+        const settings = await settingsUtil.loadSettings();
+        if (this.isStaging(settings, { immediate, zones })) {
+            return this.stageTransaction(work, zones);
+        }
+        const shouldReload = reload ?? settings.zones.autoReload;
+        return bindTransaction.run(work, {
+            validate: settings.zones.validateBeforeReload,
+            reload: shouldReload ? () => this.reloadBind() : null
+        });
+    }
+
+    /**
+     * Whether a transaction started now is staged rather than committed
+     * @param {Object} settings - Loaded settings
+     * @param {Object} [options] - The transaction's { immediate, zones }
+     */
+    isStaging(settings, { immediate = false, zones = [] } = {}) {
+        if (bindTransaction.current()) return false;
+        return (!immediate && !!settings.zones.stageChanges) ||
+            zoneTags.zonesRequiringApproval(settings, zones).length > 0;
+    }
+
+    /**
+     * Add a transaction to the acting user's pending changeset
+     */
+    async stageTransaction(work, zones = []) {
+        const owner = this.changesetOwner();
+        return changesets.exclusive(async () => {
+            const changeset = await changesets.getChangeset(owner);
+            if (changeset && changeset.approval && changeset.approval.status === 'pending') {
+                throw new Error('Your pending changes are awaiting approval; withdraw them before making more changes');
+            }
+            const { value, changes } = await bindTransaction.stage(work, changesets.toChanges(changeset));
+            await changesets.saveChangeset(owner, await changesets.merge(changeset, owner, changes, zones));
+            return value;
+        });
+    }
+
+    /**
+     * Username whose changeset staged changes go to
+     */
+    changesetOwner() {
+        const user = requestContext.getCurrentUser();
+        return user ? user.username : 'system';
+    }
+
+    /**
+     * A changeset with a unified diff per file and the zones needing approval
+     */
+    async describeChangeset(owner, changeset, settings) {
+        const files = [];
+        for (const [file, entry] of Object.entries(changeset ? changeset.files : {})) {
+            const { status, diff } = await changesets.diffEntry(file, entry);
+            files.push({
+                file,
+                zone: entry.zone,
+                status,
+                diff,
+                // changed on disk since it was staged; the changeset cannot be applied
+                stale: !await changesets.isCurrent(file, entry)
+            });
+        }
+        files.sort((a, b) => a.file.localeCompare(b.file));
+        const zones = changeset ? changesets.changesetZones(changeset) : [];
+        return {
+            owner,
+            createdAt: changeset ? changeset.createdAt : null,
+            updatedAt: changeset ? changeset.updatedAt : null,
+            zones,
+            approvalZones: zoneTags.zonesRequiringApproval(settings, zones),
+            approval: changeset ? changeset.approval || null : null,
+            serialSchemes: changeset ? changeset.serialSchemes || {} : {},
+            files
+        };
+    }
+
+    /**
+     * The acting user's pending changes with a unified diff per file
+     * @returns {Promise<Object>} { owner, createdAt, updatedAt, zones, approvalZones, approval,
+     *   serialSchemes, files: [{ file, zone, status, diff, stale }] }
+     */
+    async getPendingChanges() {
+        const owner = this.changesetOwner();
         try {
-            const configContent = await fs.readFile(this.namedConfLocal, 'utf8');
-            const zonesMap = new Map(); // Use Map to deduplicate by zone name
+            const settings = await settingsUtil.loadSettings();
+            return await this.describeChangeset(owner, await changesets.getChangeset(owner), settings);
+        } catch (error) {
+            throw new Error(`Failed to get pending changes: ${error.message}`);
+        }
+    }
 
-            // Helper function to extract zone type from zone block
-            const extractZoneType = (zoneBlock) => {
-                const typeMatch = /type\s+(\w+);/.exec(zoneBlock);
-                return typeMatch ? typeMatch[1] : 'master';
-            };
+    /**
+     * Write a changeset as one transaction: every file is checked (when
+     * validation is enabled) and BIND is reloaded once (when auto-reload is
+     * on). Zone files are backed up first when backups are on. Runs inside
+     * changesets.exclusive.
+     * @returns {Promise<Object>} { files, zones, activities } with the
+     *   changes staged into it, to log once applied
+     */
+    async applyChangeset(owner, changeset, settings) {
+        const entries = Object.entries(changeset.files);
+        for (const [file, entry] of entries) {
+            if (!await changesets.isCurrent(file, entry)) {
+                throw new Error(`Cannot apply ${file}: it has changed since it was staged`);
+            }
+        }
 
-            // Parse view blocks first and collect zones with view assignment
-            const viewRegex = /view\s+"([^"]+)"\s*\{([\s\S]*?)\n\};/g;
-            let vmatch;
-            while ((vmatch = viewRegex.exec(configContent)) !== null) {
-                const viewName = vmatch[1];
-                const viewBody = vmatch[2];
-                const zoneRegex = /zone\s+"([^"]+)"\s*\{([\s\S]*?)\};/g;
-                let zmatch;
-                while ((zmatch = zoneRegex.exec(viewBody)) !== null) {
-                    const zoneName = zmatch[1];
-                    const zoneBlockContent = zmatch[2];
-                    const fileMatch = /file\s+"([^"]+)";/.exec(zoneBlockContent);
-                    if (!fileMatch) continue;
-                    
-                    const zoneFile = fileMatch[1].startsWith('/') ? fileMatch[1] : path.join('/etc/bind', fileMatch[1]);
-                    
-                    // Skip if we already have this zone
-                    if (zonesMap.has(zoneName)) continue;
-                    
-                    const zoneType = extractZoneType(zoneBlockContent);
-                    
-                    let lastModified = new Date();
-                    let recordCount = 0;
-                    try {
-                        const stats = await fs.stat(zoneFile);
-                        lastModified = stats.mtime;
-                        const zoneContent = await fs.readFile(zoneFile, 'utf8');
-                        const records = this.parseZoneFile(zoneContent);
-                        recordCount = records.length;
-                    } catch (err) {
-                        console.warn(`Warning: Could not read zone file ${zoneFile}`);
-                    }
-                    
-                    zonesMap.set(zoneName, {
-                        id: zonesMap.size + 1,
-                        name: zoneName,
-                        type: zoneType,
-                        file: zoneFile,
-                        status: 'active',
-                        records: recordCount,
-                        lastModified: lastModified,
-                        view: viewName
-                    });
+        await this.transaction(async tx => {
+            for (const [file, entry] of entries) {
+                if (settings.zones.backupEnabled && entry.zone && await fs.pathExists(file)) {
+                    await zoneBackups.createBackup(file);
+                }
+                if (entry.removed) {
+                    tx.remove(file);
+                } else {
+                    tx.write(file, entry.content, { zone: entry.zone });
                 }
             }
+        }, { immediate: true });
+        await changesets.saveChangeset(owner, null);
+        await this.saveSerialSchemes(changeset.serialSchemes || {});
 
-            // Parse top-level zone blocks (not inside a view)
-            // Remove all view blocks so we only process top-level zones
-            const contentWithoutViews = configContent.replace(viewRegex, '\n');
-            const zoneRegex = /zone\s+"([^"]+)"\s+\{([\s\S]*?)\};/g;
-            let match;
-            while ((match = zoneRegex.exec(contentWithoutViews)) !== null) {
-                const zoneName = match[1];
-                const zoneBlockContent = match[2];
-                const fileMatch = /file\s+"([^"]+)";/.exec(zoneBlockContent);
-                if (!fileMatch) continue;
-                
-                const zoneFile = fileMatch[1].startsWith('/') ? fileMatch[1] : path.join('/etc/bind', fileMatch[1]);
-                
-                // Skip if we already have this zone
-                if (zonesMap.has(zoneName)) continue;
-            
-                const zoneType = extractZoneType(zoneBlockContent);
-                
-                // Get zone file stats
+        if (settings.zones.backupEnabled) {
+            for (const [file, entry] of entries) {
+                if (entry.zone && !entry.removed) {
+                    await this.applyBackupRetention(file, settings);
+                }
+            }
+        }
+        console.log(`✓ Applied pending changes of ${owner}: ${entries.map(([file]) => file).join(', ')}`);
+        return {
+            files: entries.map(([file]) => file),
+            zones: changesets.changesetZones(changeset),
+            activities: changeset.activities || []
+        };
+    }
+
+    /**
+     * Save the serial scheme of zones in settings
+     * @param {Object} schemes - Zone name -> serial scheme
+     */
+    async saveSerialSchemes(schemes) {
+        const zones = Object.keys(schemes);
+        if (zones.length === 0) return;
+        const settings = await settingsUtil.loadSettings();
+        let serialSchemes = settings.zones.serialSchemes;
+        for (const zoneName of zones) {
+            serialSchemes = zoneSoa.withSerialScheme({ zones: { ...settings.zones, serialSchemes } }, zoneName, schemes[zoneName]);
+        }
+        await settingsUtil.updateSettings({ zones: { serialSchemes } });
+    }
+
+    /**
+     * Apply the acting user's pending changes. Changes to zones that require
+     * approval are refused; they are applied by an approver.
+     * @returns {Promise<Object>} { files, zones }
+     */
+    async applyPendingChanges() {
+        const owner = this.changesetOwner();
+        try {
+            const settings = await settingsUtil.loadSettings();
+            const { files, zones, activities } = await changesets.exclusive(async () => {
+                const changeset = await changesets.getChangeset(owner);
+                if (!changeset) {
+                    throw new Error('Pending changes not found');
+                }
+                if (changeset.approval && changeset.approval.status === 'pending') {
+                    throw new Error('Cannot apply pending changes that are awaiting approval');
+                }
+                const protectedZones = zoneTags.zonesRequiringApproval(settings, changesets.changesetZones(changeset));
+                if (protectedZones.length > 0) {
+                    throw new Error(`Cannot apply changes to protected zone(s) ${protectedZones.join(', ')} without approval; submit them for review`);
+                }
+                return this.applyChangeset(owner, changeset, settings);
+            });
+
+            await activityLogger.custom('zone', 'apply',
+                `Applied ${files.length} pending change(s)${zones.length ? ` to ${zones.join(', ')}` : ''}`,
+                zones.length === 1 ? zones[0] : null,
+                { files });
+            await this.logAppliedActivities(owner, activities);
+            return { files, zones };
+        } catch (error) {
+            throw new Error(`Failed to apply pending changes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drop the acting user's pending changes, withdrawing any approval
+     * request; nothing on disk is touched
+     * @returns {Promise<Object>} { files } that were staged
+     */
+    async discardPendingChanges() {
+        const owner = this.changesetOwner();
+        try {
+            const files = await changesets.exclusive(async () => {
+                const changeset = await changesets.getChangeset(owner);
+                if (!changeset) {
+                    throw new Error('Pending changes not found');
+                }
+                await changesets.saveChangeset(owner, null);
+                return Object.keys(changeset.files);
+            });
+            await activityLogger.custom('zone', 'discard', `Discarded ${files.length} pending change(s)`, null, { files });
+            return { files };
+        } catch (error) {
+            throw new Error(`Failed to discard pending changes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ask for approval of the acting user's pending changes. The changeset is
+     * locked until it is approved, rejected or withdrawn.
+     * @param {string} [comment] - Note for the approvers
+     */
+    async submitPendingChanges(comment = '') {
+        const owner = this.changesetOwner();
+        try {
+            const changeset = await changesets.exclusive(async () => {
+                const current = await changesets.getChangeset(owner);
+                if (!current) {
+                    throw new Error('Pending changes not found');
+                }
+                if (current.approval && current.approval.status === 'pending') {
+                    throw new Error('Pending changes are already awaiting approval');
+                }
+                current.approval = { status: 'pending', requestedAt: new Date().toISOString(), comment: String(comment || '').trim() };
+                await changesets.saveChangeset(owner, current);
+                return current;
+            });
+            const zones = changesets.changesetZones(changeset);
+            await activityLogger.custom('approval', 'request',
+                `Approval requested for ${Object.keys(changeset.files).length} change(s)${zones.length ? ` to ${zones.join(', ')}` : ''}`,
+                zones.length === 1 ? zones[0] : null,
+                { files: Object.keys(changeset.files), comment: changeset.approval.comment });
+            return { approval: changeset.approval };
+        } catch (error) {
+            throw new Error(`Failed to request approval: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take back an approval request; the changes stay pending
+     */
+    async withdrawApprovalRequest() {
+        const owner = this.changesetOwner();
+        try {
+            await changesets.exclusive(async () => {
+                const changeset = await changesets.getChangeset(owner);
+                if (!changeset || !changeset.approval || changeset.approval.status !== 'pending') {
+                    throw new Error('Approval request not found');
+                }
+                changeset.approval = null;
+                await changesets.saveChangeset(owner, changeset);
+            });
+            await activityLogger.custom('approval', 'withdraw', 'Approval request withdrawn');
+            return { success: true };
+        } catch (error) {
+            throw new Error(`Failed to withdraw approval request: ${error.message}`);
+        }
+    }
+
+    /**
+     * Changesets awaiting approval, oldest request first
+     * @returns {Promise<Array>} [{ owner, requestedAt, comment, zones, files }] with file paths
+     */
+    async listApprovalRequests() {
+        const pending = (await changesets.listChangesets())
+            .filter(changeset => changeset.approval && changeset.approval.status === 'pending');
+        return pending
+            .map(changeset => ({
+                owner: changeset.owner,
+                requestedAt: changeset.approval.requestedAt,
+                comment: changeset.approval.comment,
+                zones: changesets.changesetZones(changeset),
+                files: Object.keys(changeset.files).sort()
+            }))
+            .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+    }
+
+    /**
+     * One changeset awaiting approval, with its diffs
+     * @param {string} owner - User who requested approval
+     */
+    async getApprovalRequest(owner) {
+        try {
+            const changeset = await changesets.getChangeset(owner);
+            if (!changeset || !changeset.approval || changeset.approval.status !== 'pending') {
+                throw new Error(`Approval request from ${owner} not found`);
+            }
+            return await this.describeChangeset(owner, changeset, await settingsUtil.loadSettings());
+        } catch (error) {
+            throw new Error(`Failed to get approval request: ${error.message}`);
+        }
+    }
+
+    /**
+     * Approve another user's changeset and apply it. Permission to approve is
+     * checked by the caller (permissions.canApproveChanges).
+     * @param {string} owner - User who requested approval
+     * @param {string} [comment] - Reviewer's comment
+     * @returns {Promise<Object>} { files, zones }
+     */
+    async approveChanges(owner, comment = '') {
+        const reviewer = this.changesetOwner();
+        try {
+            if (reviewer === owner) {
+                throw new Error('Cannot approve your own changes');
+            }
+            const settings = await settingsUtil.loadSettings();
+            const { files, zones, activities } = await changesets.exclusive(async () => {
+                const changeset = await changesets.getChangeset(owner);
+                if (!changeset || !changeset.approval || changeset.approval.status !== 'pending') {
+                    throw new Error(`Approval request from ${owner} not found`);
+                }
+                return this.applyChangeset(owner, changeset, settings);
+            });
+
+            await activityLogger.custom('approval', 'approve',
+                `Approved and applied ${files.length} change(s) by ${owner}${zones.length ? ` to ${zones.join(', ')}` : ''}`,
+                zones.length === 1 ? zones[0] : null,
+                { requester: owner, files, comment: String(comment || '').trim() });
+            await this.logAppliedActivities(owner, activities);
+            return { files, zones };
+        } catch (error) {
+            throw new Error(`Failed to approve changes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reject another user's changeset. The changes stay pending for their
+     * owner, who can rework and resubmit them or discard them.
+     * @param {string} owner - User who requested approval
+     * @param {string} comment - Reason, shown to the requester
+     */
+    async rejectChanges(owner, comment) {
+        const reviewer = this.changesetOwner();
+        try {
+            comment = String(comment || '').trim();
+            if (!comment) {
+                throw new Error('A comment is required to reject changes');
+            }
+            if (reviewer === owner) {
+                throw new Error('Cannot reject your own changes; withdraw the request instead');
+            }
+            const changeset = await changesets.exclusive(async () => {
+                const current = await changesets.getChangeset(owner);
+                if (!current || !current.approval || current.approval.status !== 'pending') {
+                    throw new Error(`Approval request from ${owner} not found`);
+                }
+                current.approval = {
+                    ...current.approval,
+                    status: 'rejected',
+                    reviewedBy: reviewer,
+                    reviewedAt: new Date().toISOString(),
+                    reviewComment: comment
+                };
+                await changesets.saveChangeset(owner, current);
+                return current;
+            });
+            const zones = changesets.changesetZones(changeset);
+            await activityLogger.custom('approval', 'reject',
+                `Rejected ${Object.keys(changeset.files).length} change(s) by ${owner}${zones.length ? ` to ${zones.join(', ')}` : ''}`,
+                zones.length === 1 ? zones[0] : null,
+                { requester: owner, comment });
+            return { approval: changeset.approval };
+        } catch (error) {
+            throw new Error(`Failed to reject changes: ${error.message}`);
+        }
+    }
+
+    /**
+     * List all zones from named.conf.local
+     */
+    async listZones() {
+        try {
+            const declarations = await zoneCatalog.load('named.conf.local', this.namedConfLocal, async () => ({
+                value: this.parseZoneDeclarations(await fs.readFile(this.namedConfLocal, 'utf8'))
+            }));
+
+            const zones = [];
+            for (const declaration of declarations) {
                 let lastModified = new Date();
                 let recordCount = 0;
-                
                 try {
-                    const stats = await fs.stat(zoneFile);
-                    lastModified = stats.mtime;
-                    
-                    // Count records in zone file
-                    const zoneContent = await fs.readFile(zoneFile, 'utf8');
-                    const records = this.parseZoneFile(zoneContent);
-                    recordCount = records.length;
+                    const parsed = await this.loadZone(declaration.name, declaration.file);
+                    lastModified = parsed.lastModified;
+                    recordCount = parsed.records.length;
                 } catch (err) {
-                    console.warn(`Warning: Could not read zone file ${zoneFile}`);
+                    console.warn(`Warning: Could not read zone file ${declaration.file}`);
                 }
-                
-                zonesMap.set(zoneName, {
-                    id: zonesMap.size + 1,
-                    name: zoneName,
-                    type: zoneType,
-                    file: zoneFile,
+
+                zones.push({
+                    id: zones.length + 1,
+                    name: declaration.name,
+                    type: declaration.type,
+                    file: declaration.file,
                     status: 'active',
                     records: recordCount,
-                    lastModified: lastModified
+                    lastModified: lastModified,
+                    ...(declaration.view ? { view: declaration.view } : {})
                 });
             }
-            
-            return Array.from(zonesMap.values());
+            const declared = new Set(zones.map(zone => `zone ${zone.name}`));
+            zoneCatalog.prune(key => key === 'named.conf.local' || declared.has(key));
+
+            const settings = await settingsUtil.loadSettings();
+            return zones.map(zone => ({ ...zone, tags: zoneTags.getTags(settings, zone.name) }));
         } catch (error) {
             console.error(`Error listing zones: ${error.message}`);
             return [];
         }
     }
 
+    /**
+     * Zone declarations of named.conf.local with a file: zones inside views
+     * first, then top-level zones; the first declaration of a name wins
+     * @param {string} configContent - Content of named.conf.local
+     * @returns {Object[]} [{ name, type, file, view }]
+     */
+    parseZoneDeclarations(configContent) {
+        const zonesMap = new Map(); // Use Map to deduplicate by zone name
+
+        const declare = (zoneName, zoneBlockContent, viewName = null) => {
+            const fileMatch = /file\s+"([^"]+)";/.exec(zoneBlockContent);
+            if (!fileMatch || zonesMap.has(zoneName)) return;
+            const typeMatch = /type\s+(\w+);/.exec(zoneBlockContent);
+            zonesMap.set(zoneName, {
+                name: zoneName,
+                type: typeMatch ? typeMatch[1] : 'master',
+                file: fileMatch[1].startsWith('/') ? fileMatch[1] : path.join('/etc/bind', fileMatch[1]),
+                view: viewName
+            });
+        };
+
+        // Parse view blocks first and collect zones with view assignment
+        const viewRegex = /view\s+"([^"]+)"\s*\{([\s\S]*?)\n\};/g;
+        let vmatch;
+        while ((vmatch = viewRegex.exec(configContent)) !== null) {
+            const zoneRegex = /zone\s+"([^"]+)"\s*\{([\s\S]*?)\};/g;
+            let zmatch;
+            while ((zmatch = zoneRegex.exec(vmatch[2])) !== null) {
+                declare(zmatch[1], zmatch[2], vmatch[1]);
+            }
+        }
+
+        // Parse top-level zone blocks (not inside a view)
+        // Remove all view blocks so we only process top-level zones
+        const contentWithoutViews = configContent.replace(viewRegex, '\n');
+        const zoneRegex = /zone\s+"([^"]+)"\s+\{([\s\S]*?)\};/g;
+        let match;
+        while ((match = zoneRegex.exec(contentWithoutViews)) !== null) {
+            declare(match[1], match[2]);
+        }
+        return Array.from(zonesMap.values());
+    }
+
+    /**
+     * Parsed zone file from the zone catalog, parsed again only when the
+     * file or one of its $INCLUDE files changed
+     * @param {string} zoneName - Zone name
+     * @param {string} zoneFile - Zone file path
+     * @returns {Promise<Object>} zoneParser.parseZone result with lastModified;
+     *   shared with other callers, so it must not be modified
+     */
+    async loadZone(zoneName, zoneFile) {
+        return zoneCatalog.load(`zone ${zoneName}`, zoneFile, async () => {
+            const stats = await fs.stat(zoneFile);
+            const parsed = this.parseZone(await fs.readFile(zoneFile, 'utf8'), zoneName);
+            return {
+                value: { ...parsed, lastModified: stats.mtime },
+                files: parsed.includes.map(include => this.includePath(include.file))
+            };
+        });
+    }
+
     /**
      * Get zone details
      */
@@ -167,21 +611,193 @@ class BindService {
                 throw new Error(`Zone ${zoneName} not found`);
             }
             
-            // Read and parse zone file
-            const zoneContent = await fs.readFile(zone.file, 'utf8');
-            const records = this.parseZoneFile(zoneContent);
+            const parsed = await this.loadZone(zone.name, zone.file);
             
             return {
                 zone,
-                records
+                records: [...parsed.records],
+                soa: parsed.soa,
+                errors: parsed.errors
             };
         } catch (error) {
             throw new Error(`Failed to get zone: ${error.message}`);
         }
     }
 
+    /**
+     * Every zone with its records, served from the zone catalog, for
+     * overviews such as the dashboard and statistics
+     * @returns {Promise<Object[]>} [{ zone, records }]; records are empty when the
+     *   zone file cannot be read, and shared with other callers (do not modify them)
+     */
+    async listZoneRecords() {
+        const zones = await this.listZones();
+        const result = [];
+        for (const zone of zones) {
+            const parsed = await this.loadZone(zone.name, zone.file).catch(() => null);
+            result.push({ zone, records: parsed ? parsed.records : [] });
+        }
+        return result;
+    }
+
+    /**
+     * Every zone with its parsed file and the lint context over all of them
+     * (see utils/zoneLint); zones whose file cannot be read are left out
+     */
+    async loadLintContext() {
+        const zones = [];
+        for (const zone of await this.listZones()) {
+            const parsed = await this.loadZone(zone.name, zone.file).catch(() => null);
+            if (parsed) zones.push({ zone, parsed });
+        }
+        return { zones, context: zoneLint.createContext(zones) };
+    }
+
+    /**
+     * Best-practice findings for a zone, checked against the other zones on
+     * this server where its names point into them
+     * @returns {Promise<Object>} { zone, findings, counts }
+     */
+    async lintZone(zoneName) {
+        try {
+            const { zones, context } = await this.loadLintContext();
+            const entry = zones.find(({ zone }) => zone.name === zoneName);
+            if (!entry) {
+                throw new Error(`Zone ${zoneName} not found`);
+            }
+            const findings = zoneLint.lintZone(entry.parsed, context);
+            return { zone: entry.zone, findings, counts: zoneLint.countFindings(findings) };
+        } catch (error) {
+            throw new Error(`Failed to lint zone: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lint every master zone, for the server-wide report
+     * @returns {Promise<Object>} { zones: [{ zone, findings, counts }], counts },
+     *   zones with the most errors first
+     */
+    async lintAllZones() {
+        const { zones, context } = await this.loadLintContext();
+        const results = zones
+            .filter(({ zone }) => ['master', 'primary'].includes(zone.type))
+            .map(({ zone, parsed }) => {
+                const findings = zoneLint.lintZone(parsed, context);
+                return { zone, findings, counts: zoneLint.countFindings(findings) };
+            });
+        results.sort((a, b) => zoneLint.SEVERITIES.reduce((order, severity) =>
+            order || b.counts[severity] - a.counts[severity], 0) || a.zone.name.localeCompare(b.zone.name));
+        return { zones: results, counts: zoneLint.countFindings(results.flatMap(result => result.findings)) };
+    }
+
+    /**
+     * Replace the tags of a zone. Tags live in settings; the zone file and
+     * named.conf.local are not touched.
+     * @param {string} zoneName - Zone name
+     * @param {string[]|string} tags - Tags, as an array or a comma separated string
+     * @returns {Promise<string[]>} The normalized tags
+     */
+    async setZoneTags(zoneName, tags) {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            const parsed = zoneTags.parseTags(tags);
+            const settings = await settingsUtil.loadSettings();
+            const previous = zoneTags.getTags(settings, zone.name);
+            await settingsUtil.updateSettings({ zones: { tags: zoneTags.withTags(settings, zone.name, parsed) } });
+
+            await activityLogger.custom('zone', 'tags',
+                parsed.length ? `Zone tags set to ${parsed.join(', ')}` : 'Zone tags cleared',
+                zone.name, { previous, tags: parsed });
+            return parsed;
+        } catch (error) {
+            throw new Error(`Failed to update zone tags: ${error.message}`);
+        }
+    }
+
+    /**
+     * SOA fields of a zone with its default TTL ($TTL, null when the file
+     * sets none) and serial scheme
+     * @returns {Promise<Object>} { mname, rname, serial, ttl, refresh, retry, expire, minimum, serialScheme }
+     */
+    async getZoneSoa(zoneName) {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            const parsed = await this.loadZone(zone.name, zone.file);
+            if (!parsed.soa) {
+                throw new Error(`Zone ${zone.name} has no SOA record`);
+            }
+            const { mname, rname, serial, refresh, retry, expire, minimum } = parsed.soa;
+            const settings = await settingsUtil.loadSettings();
+            return {
+                mname, rname, serial, ttl: parsed.ttl, refresh, retry, expire, minimum,
+                serialScheme: zoneSoa.getSerialScheme(settings, zone.name)
+            };
+        } catch (error) {
+            throw new Error(`Failed to get SOA: ${error.message}`);
+        }
+    }
+
+    /**
+     * Change the SOA fields of a zone, its default TTL and its serial scheme.
+     * Fields left out keep their value; the serial is counted on under the
+     * (new) scheme like with any other edit. When the edit is staged, the new
+     * scheme is kept with it and only saved in settings once it is applied.
+     * @param {string} zoneName - Zone name
+     * @param {Object} input - { mname, rname, ttl, refresh, retry, expire, minimum, serialScheme }
+     * @returns {Promise<Object>} { soa, changed, staged } with the SOA as read back
+     * @throws {ValidationError} With one entry per invalid field
+     */
+    async updateZoneSoa(zoneName, input) {
+        try {
+            const current = await this.getZoneSoa(zoneName);
+            const { zone } = await this.getZone(zoneName);
+            const { values, errors } = zoneSoa.validateSoa(input, current);
+            const scheme = input.serialScheme || current.serialScheme;
+            if (!zoneSoa.SERIAL_SCHEMES.includes(scheme)) {
+                errors.push({ field: 'serialScheme', message: `must be one of ${zoneSoa.SERIAL_SCHEMES.join(', ')}` });
+            }
+            if (errors.length > 0) {
+                throw new ValidationError(errors);
+            }
+
+            const changed = Object.keys(values).filter(field => String(values[field]).toLowerCase() !== String(current[field]).toLowerCase());
+            const edit = Object.fromEntries(changed.map(field => [field, values[field]]));
+            if (scheme !== current.serialScheme) {
+                changed.push('serialScheme');
+            }
+            if (changed.length === 0) {
+                return { soa: current, changed, staged: false };
+            }
+
+            const { staged } = await this.editZoneFile(zone.name,
+                (content, parseOptions) => Object.keys(edit).length > 0 ? zoneEditor.setSoa(content, edit, parseOptions) : content,
+                { serialScheme: scheme });
+            if (scheme !== current.serialScheme) {
+                if (staged) {
+                    await changesets.exclusive(() => changesets.addSerialScheme(this.changesetOwner(), zone.name, scheme));
+                } else {
+                    await this.saveSerialSchemes({ [zone.name]: scheme });
+                }
+            }
+            console.log(`✓ Updated SOA of ${zone.name}: ${changed.join(', ')}`);
+
+            await this.logChange(staged, customActivity('zone', 'update', `SOA updated: ${changed.join(', ')}`, zone.name, {
+                previous: Object.fromEntries(changed.map(field => [field, current[field]])),
+                values: { ...edit, ...(changed.includes('serialScheme') ? { serialScheme: scheme } : {}) }
+            }));
+
+            return { soa: await this.getZoneSoa(zone.name), changed, staged };
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            throw new Error(`Failed to update SOA: ${error.message}`);
+        }
+    }
+
     /**
      * Create a new zone
+     * @param {Object} data - { name, type, nameserver, email, view, domain, template, variables };
+     *   template names a zone template (see zoneTemplates) whose records are added to the
+     *   new zone, replacing the default records with the same name and type
      */
     async createZone(data) {
         try {
@@ -210,15 +826,17 @@ class BindService {
             const zoneFileName = zoneName.replace(/\.$/, '');
             const zoneFile = path.join(this.zonesPath, `db.${zoneFileName}`);
             
-            // Check if zone already exists
-            const existingZones = await this.listZones();
-            if (existingZones.find(z => z.name === zoneName)) {
-                throw new Error(`Zone ${zoneName} already exists`);
-            }
-            
             // Pass settings to zone generator
             options.settings = settings;
             
+            // Fill in the template first, so a missing variable does not leave a zone behind
+            if (data.template) {
+                if (options.type !== 'master') {
+                    throw new Error('Templates can only be used for master zones');
+                }
+                await this.renderZoneTemplate(zoneName, data.template, data.variables);
+            }
+            
             // Generate zone file content
             const zoneContent = this.generateZoneFile(zoneName, options);
             
@@ -229,17 +847,31 @@ class BindService {
                 console.log(`✓ Backup enabled - directory ready: ${backupDir}`);
             }
             
-            // Write zone file
-            await fs.writeFile(zoneFile, zoneContent, 'utf8');
+            // Write the zone file and add it to named.conf.local in one transaction
+            await this.transaction(async tx => {
+                // Check if zone already exists
+                const existingZones = await this.listZones();
+                if (existingZones.find(z => z.name === zoneName)) {
+                    throw new Error(`Zone ${zoneName} already exists`);
+                }
+
+                tx.write(zoneFile, zoneContent, { zone: zoneName });
+
+                // Support view-assignment for split-horizon
+                if (options.view) {
+                    // look up view ACL from settings if present
+                    const settingsViews = settings.resolver?.views || [];
+                    const viewObj = settingsViews.find(v => v.name === options.view);
+                    const viewAcl = viewObj ? viewObj.acl : { allow: ['any'], deny: [] };
+                    await bindConfig.addZoneToViewConfig(zoneName, zoneFile, options.view, viewAcl);
+                } else {
+                    await bindConfig.addZoneToConfig(zoneName, zoneFile);
+                }
+            }, { immediate: true });
             console.log(`✓ Created zone file: ${zoneFile}`);
+            console.log(`✓ Added zone to named.conf.local`);
             
-            // Add zone to named.conf.local; support view-assignment for split-horizon
             if (options.view) {
-                // look up view ACL from settings if present
-                const settingsViews = settings.resolver?.views || [];
-                const viewObj = settingsViews.find(v => v.name === options.view);
-                const viewAcl = viewObj ? viewObj.acl : { allow: ['any'], deny: [] };
-                await bindConfig.addZoneToViewConfig(zoneName, zoneFile, options.view, viewAcl);
                 // Update settings to include this zone in the view's zones list
                 try {
                     const settingsUtil = require('../utils/settings');
@@ -256,16 +888,9 @@ class BindService {
                 } catch (err) {
                     console.warn(`Warning: Could not update settings with new zone view: ${err.message}`);
                 }
-            } else {
-                await bindConfig.addZoneToConfig(zoneName, zoneFile);
             }
-            console.log(`✓ Added zone to named.conf.local`);
             
-            // Reload Bind if auto-reload is enabled
-            if (settings.zones.autoReload) {
-                await this.reloadBind();
-                console.log(`✓ Auto-reload enabled - Bind reloaded`);
-            } else {
+            if (!settings.zones.autoReload) {
                 console.log(`⚠ Auto-reload disabled - Manual reload required`);
             }
             
@@ -275,6 +900,17 @@ class BindService {
                 zoneFile: zoneFile
             });
             
+            if (data.template) {
+                try {
+                    await this.applyZoneTemplate(zoneName, data.template, data.variables, { replace: true });
+                } catch (error) {
+                    await this.deleteZone(zoneName).catch(deleteError => {
+                        console.error(`Failed to remove zone ${zoneName} after a failed template: ${deleteError.message}`);
+                    });
+                    throw new Error(`${error.message}; zone ${zoneName} was removed again`);
+                }
+            }
+            
             return {
                 success: true,
                 name: zoneName,
@@ -282,210 +918,1195 @@ class BindService {
                 type: options.type || 'master'
             };
         } catch (error) {
+            if (error instanceof ValidationError) throw error;
             throw new Error(`Failed to create zone: ${error.message}`);
         }
     }
 
+    /**
+     * Parser options for a zone, shared by the parser and the zone editor
+     */
+    zoneParseOptions(zoneName) {
+        return {
+            origin: zoneName,
+            defaultTTL: config.dns.defaultTTL,
+            readInclude: (file) => fs.readFileSync(this.includePath(file), 'utf8')
+        };
+    }
+
+    /**
+     * Path of an $INCLUDE file; like named, relative paths are relative to
+     * its working directory, not to the zone file
+     */
+    includePath(file) {
+        return path.resolve(this.directory, file);
+    }
+
+    /**
+     * Apply an edit to a zone file as a transaction: backup, edit, bump
+     * serial, then check, replace and reload according to settings. The zone
+     * file on disk is untouched unless every step succeeds.
+     *
+     * When staging is on, or the zone requires approval, the edit goes to the
+     * pending changeset; the backup is made when the changeset is applied, and
+     * the serial is bumped once however many edits are staged.
+     * @param {string} zoneName - Zone name
+     * @param {Function} edit - (content, parseOptions) => new content
+     * @param {Object} [options]
+     * @param {string} [options.serialScheme] - Count the serial on under this scheme
+     *   instead of the zone's current one
+     * @returns {Promise<Object>} The zone, with staged set when the edit was staged
+     */
+    async editZoneFile(zoneName, edit, { serialScheme = null } = {}) {
+        // Load settings
+        const settings = await settingsUtil.loadSettings();
+        const { zone } = await this.getZone(zoneName);
+        const staged = this.isStaging(settings, { zones: [zone.name] });
+        const backup = settings.zones.backupEnabled && !staged;
+        
+        await this.transaction(tx => this.writeZoneEdit(tx, zone, edit, { backup, serialScheme }), { zones: [zone.name] });
+        
+        if (backup) {
+            await this.applyBackupRetention(zone.file, settings);
+        }
+        
+        return { ...zone, staged };
+    }
+
+    /**
+     * Stage an edit of a zone file in a running transaction: backup, edit,
+     * and bump the serial once per transaction
+     * @param {Object} tx - Transaction
+     * @param {Object} zone - Zone as listed by listZones
+     * @param {Function} edit - (content, parseOptions) => new content
+     * @param {Object} [options]
+     * @param {boolean} [options.backup=false] - Snapshot the zone file first
+     * @param {string} [options.serialScheme] - Serial scheme; default the zone's
+     */
+    async writeZoneEdit(tx, zone, edit, { backup = false, serialScheme = null } = {}) {
+        if (backup) {
+            await zoneBackups.createBackup(zone.file);
+        }
+        
+        // Read current zone file and apply the edit
+        const pending = tx.has(zone.file);
+        let zoneContent = await tx.read(zone.file);
+        zoneContent = edit(zoneContent, this.zoneParseOptions(zone.name));
+        
+        // Increment serial number, once per transaction
+        if (!pending) {
+            const settings = await settingsUtil.loadSettings();
+            zoneContent = this.incrementSerial(zoneContent, zone.name, serialScheme || zoneSoa.getSerialScheme(settings, zone.name));
+        }
+        
+        tx.write(zone.file, zoneContent, { zone: zone.name });
+    }
+
+    /**
+     * Prune snapshots of a zone file under the configured retention rules.
+     * Failures are logged, never raised: a change that was written stays written.
+     */
+    async applyBackupRetention(zoneFile, settings) {
+        try {
+            return await zoneBackups.pruneBackups(zoneFile, settings.zones.backupRetention);
+        } catch (error) {
+            console.warn(`Failed to prune backups of ${zoneFile}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Validate a record against its type and the other records of the zone
+     * as an edit sees them, so pending changes count when it is staged.
+     * Runs inside the edit, so invalid input never reaches the disk or the
+     * changeset.
+     * @param {string} content - Zone file the record is written to
+     * @param {Object} parseOptions - Parser options of the zone
+     * @param {Object} record - Record to write
+     * @param {Object} [replacing] - Identity of the record it replaces ({ name, type, rdata })
+     * @returns {Object} The normalized record
+     * @throws {ValidationError} With one entry per invalid field
+     */
+    validateRecord(content, parseOptions, record, replacing = null) {
+        const { records } = zoneParser.parseZone(content, parseOptions);
+        let existing = records;
+        if (replacing) {
+            const identity = zoneEditor.recordIdentity(replacing, parseOptions.origin);
+            existing = records.filter(r => !zoneEditor.matchesIdentity(r, identity));
+        }
+        return recordValidator.assertValidRecord(record, { origin: parseOptions.origin, existing });
+    }
+
+    /**
+     * Log a change as made, or as staged when it went to the pending
+     * changeset; the change itself is then logged when the changeset is
+     * applied (see logAppliedActivities)
+     * @param {boolean} staged - Whether the change was staged
+     * @param {Object} activity - Activity log entry ({ type, action, description, zone, details })
+     */
+    async logChange(staged, activity) {
+        if (!staged) {
+            return logActivity(activity);
+        }
+        await changesets.exclusive(() => changesets.addActivity(this.changesetOwner(), activity));
+        return logActivity({
+            ...activity,
+            action: 'stage',
+            description: `${activity.description} (staged)`,
+            details: { ...activity.details, change: activity.action }
+        });
+    }
+
+    /**
+     * Log the changes of an applied changeset, by the user who made them
+     * @param {string} owner - Owner of the changeset
+     * @param {Object[]} activities - Activities kept by logChange
+     */
+    async logAppliedActivities(owner, activities = []) {
+        for (const activity of activities) {
+            await logActivity({ ...activity, user: owner });
+        }
+    }
+
     /**
      * Add record to zone
+     * @returns {Promise<Object>} { success, record, staged } with the record as written
      */
     async addRecord(zoneName, record) {
         try {
-            // Load settings
-            const settings = await settingsUtil.loadSettings();
-            
-            const { zone } = await this.getZone(zoneName);
-            const zoneFile = zone.file;
-            
-            // Backup if enabled
-            if (settings.zones.backupEnabled) {
-                const backupFile = `${zoneFile}.backup.${Date.now()}`;
-                await fs.copy(zoneFile, backupFile);
-                console.log(`✓ Backup created: ${backupFile}`);
-            }
-            
-            // Read current zone file
-            let zoneContent = await fs.readFile(zoneFile, 'utf8');
-            
-            // Increment serial number
-            zoneContent = this.incrementSerial(zoneContent);
-            
-            // Format and add new record
-            const recordLine = this.formatRecord(record);
-            
-            // Add record before the closing of file
-            zoneContent += `\n${recordLine}`;
-            
-            // Write updated zone file
-            await fs.writeFile(zoneFile, zoneContent, 'utf8');
+            const { staged } = await this.editZoneFile(zoneName, (content, parseOptions) => {
+                record = this.validateRecord(content, parseOptions, record);
+                return zoneEditor.addRecord(content, record, parseOptions);
+            });
             console.log(`✓ Added record to ${zoneName}`);
             
-            // Check zone syntax if validation is enabled
-            if (settings.zones.validateBeforeReload) {
-                await this.checkZone(zoneName, zoneFile);
-                console.log(`✓ Zone validation passed`);
-            }
-            
-            // Reload Bind if auto-reload is enabled
-            if (settings.zones.autoReload) {
-                await this.reloadBind();
-                console.log(`✓ Auto-reload enabled - Bind reloaded`);
-            }
-            
             // Log activity
-            await activityLogger.recordCreated(zoneName, record.name, record.type, {
-                value: record.value,
+            await this.logChange(staged, recordActivity('create', zoneName, record.name, record.type, {
+                value: zoneEditor.recordRdataText(record),
                 ttl: record.ttl
-            });
+            }));
             
-            return { success: true };
+            return { success: true, record, staged };
         } catch (error) {
+            if (error instanceof ValidationError) throw error;
             throw new Error(`Failed to add record: ${error.message}`);
         }
     }
 
     /**
-     * Delete record from zone
+     * Delete one record from zone
+     * @param {string} zoneName - Zone name
+     * @param {string} recordName - Owner name
+     * @param {string} recordType - Record type
+     * @param {string} [rdata] - RDATA of the record; required when several records share name and type
      */
-    async deleteRecord(zoneName, recordName, recordType) {
+    async deleteRecord(zoneName, recordName, recordType, rdata = null) {
         try {
-            // Load settings
-            const settings = await settingsUtil.loadSettings();
-            
-            const { zone } = await this.getZone(zoneName);
-            const zoneFile = zone.file;
+            const target = { name: recordName, type: recordType, rdata };
+            const { staged } = await this.editZoneFile(zoneName, (content, parseOptions) => zoneEditor.deleteRecord(content, target, parseOptions));
+            console.log(`✓ Deleted record from ${zoneName}`);
             
-            // Backup if enabled
-            if (settings.zones.backupEnabled) {
-                const backupFile = `${zoneFile}.backup.${Date.now()}`;
-                await fs.copy(zoneFile, backupFile);
-                console.log(`✓ Backup created: ${backupFile}`);
-            }
+            // Log activity
+            await this.logChange(staged, recordActivity('delete', zoneName, recordName, recordType, rdata ? { value: rdata } : {}));
             
-            // Read current zone file
-            let zoneContent = await fs.readFile(zoneFile, 'utf8');
+            return { success: true, staged };
+        } catch (error) {
+            throw new Error(`Failed to delete record: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update/Edit one record in zone
+     * @param {string} zoneName - Zone name
+     * @param {Object} oldRecord - Identity of the record to replace ({ name, type, rdata })
+     * @param {Object} newRecord - Replacement record
+     * @returns {Promise<Object>} { success, record, staged } with the record as written
+     */
+    async updateRecord(zoneName, oldRecord, newRecord) {
+        try {
+            const { staged } = await this.editZoneFile(zoneName, (content, parseOptions) => {
+                newRecord = this.validateRecord(content, parseOptions, newRecord, oldRecord);
+                return zoneEditor.updateRecord(content, oldRecord, newRecord, parseOptions);
+            });
+            console.log(`✓ Updated record in ${zoneName}`);
             
-            // Increment serial number
-            zoneContent = this.incrementSerial(zoneContent);
+            // Log activity
+            await this.logChange(staged, recordActivity('update', zoneName, newRecord.name, newRecord.type, {
+                oldValue: oldRecord.rdata || oldRecord.value,
+                newValue: zoneEditor.recordRdataText(newRecord),
+                ttl: newRecord.ttl
+            }));
             
-            // Remove the record line
-            const lines = zoneContent.split('\n');
-            const filteredLines = lines.filter(line => {
-                const trimmed = line.trim();
-                if (trimmed.startsWith(';') || !trimmed) return true;
-                
-                const parts = trimmed.split(/\s+/);
-                if (parts.length >= 4) {
-                    const name = parts[0];
-                    const type = parts.includes('IN') ? parts[parts.indexOf('IN') + 1] : parts[3];
-                    
-                    if (name === recordName && type === recordType) {
-                        return false; // Remove this line
+            return { success: true, record: newRecord, staged };
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            throw new Error(`Failed to update record: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compare the records of an import document with a zone. Each record is
+     * validated like a record from the form and gets a status:
+     * - new: not in the zone
+     * - conflict: the zone has other records with this name and type
+     * - exists: the zone already has this record
+     * - duplicate: an earlier record of the document is the same
+     * - invalid: it does not validate, or an alias could not be flattened
+     * - skipped: the SOA, which NDash manages itself, and records a provider
+     *   import leaves out (see providerImport)
+     * New records, and conflicts that can be added next to or in place of the
+     * existing ones, are importable. Records carry the warnings of provider
+     * imports, e.g. for flattened aliases.
+     * @param {string} zoneName - Zone name
+     * @param {string} content - BIND zone file, CSV or JSON
+     * @param {Object} [options]
+     * @param {string} [options.format] - One of recordImport.FORMATS, or auto (default)
+     * @param {boolean} [options.replace] - Conflicting records replace the existing ones
+     * @returns {Promise<Object>} { zone, format, replace, items, errors, summary }
+     */
+    async previewImport(zoneName, content, options = {}) {
+        try {
+            const { zone, records } = await this.getZone(zoneName);
+            return await this.planImport(zone, records, content, options);
+        } catch (error) {
+            throw new Error(`Failed to preview import: ${error.message}`);
+        }
+    }
+
+    /**
+     * Work out the import of a document into a zone (see previewImport)
+     */
+    async planImport(zone, records, content, { format = 'auto', replace = false } = {}) {
+        const parsed = await recordImport.parseImport(content, { format, origin: zone.name, defaultTTL: config.dns.defaultTTL });
+        const origin = zoneParser.fqdn(zone.name);
+        const accepted = []; // records of the document that will be added, for the CNAME rules
+        const seen = new Set();
+
+        const items = parsed.items.map(item => {
+            const input = item.input;
+            const type = String(input.type || '').toUpperCase();
+            const planned = {
+                index: item.index,
+                source: item.source,
+                name: input.name,
+                type,
+                ttl: input.ttl ?? null,
+                rdataText: null,
+                status: 'invalid',
+                importable: false,
+                message: null,
+                errors: [],
+                warnings: item.warnings || [],
+                existing: [],
+                record: null
+            };
+            if (item.skip || type === 'SOA') {
+                return { ...planned, status: 'skipped', message: item.skip || 'The SOA record is managed by NDash' };
+            }
+            if (item.error) {
+                return { ...planned, message: item.error };
+            }
+
+            // Records with this name and type are compared below rather than validated against
+            const owner = typeof input.name === 'string' && input.name.trim() !== ''
+                ? zoneParser.absoluteName(input.name.trim(), origin).toLowerCase()
+                : null;
+            const rrset = records.filter(r => r.fqdn.toLowerCase() === owner && r.type === type);
+            const others = records.filter(r => !rrset.includes(r));
+            const { record, errors } = recordValidator.validateRecord(
+                { ...input, ttl: input.ttl ?? config.dns.defaultTTL },
+                { origin: zone.name, existing: [...others, ...accepted] }
+            );
+            if (errors.length > 0) {
+                return { ...planned, errors, message: errors.map(e => `${e.field} ${e.message}`).join('; ') };
+            }
+
+            planned.record = record;
+            planned.ttl = record.ttl === undefined ? null : Number(record.ttl);
+            planned.rdataText = zoneEditor.recordRdataText(record);
+            planned.existing = rrset.map(r => r.rdataText);
+            const identity = zoneEditor.recordIdentity({ name: record.name, type, rdata: planned.rdataText }, zone.name);
+            const key = `${identity.fqdn} ${identity.type} ${identity.rdata}`;
+            if (seen.has(key)) {
+                return { ...planned, status: 'duplicate', message: 'Same as an earlier record of the import' };
+            }
+            seen.add(key);
+
+            if (rrset.some(r => zoneEditor.matchesIdentity(r, identity))) {
+                return { ...planned, status: 'exists', message: 'Already in the zone' };
+            }
+            if (rrset.length > 0) {
+                planned.status = 'conflict';
+                if (SINGLE_RECORD_TYPES.includes(type) && !replace) {
+                    planned.message = `A name can only have one ${type} record; import with replace to swap it`;
+                } else {
+                    planned.importable = true;
+                    planned.message = replace
+                        ? `Replaces ${rrset.length} existing ${type} record(s)`
+                        : `Added next to ${rrset.length} existing ${type} record(s)`;
+                }
+            } else {
+                planned.status = 'new';
+                planned.importable = true;
+            }
+            if (planned.importable) {
+                accepted.push({ fqdn: identity.fqdn, type });
+            }
+            return planned;
+        });
+
+        const summary = { total: items.length };
+        IMPORT_STATUSES.forEach(status => {
+            summary[status] = items.filter(item => item.status === status).length;
+        });
+        summary.warnings = items.filter(item => item.warnings.length > 0).length;
+        return { zone: zone.name, format: parsed.format, replace: !!replace, items, errors: parsed.errors, summary };
+    }
+
+    /**
+     * Import records into a zone as one edit: one serial bump, one check and
+     * one reload (or one staged change). The document is planned again
+     * against the current zone, so a stale preview cannot write conflicts.
+     * @param {string} zoneName - Zone name
+     * @param {string} content - BIND zone file, CSV or JSON
+     * @param {Object} [options]
+     * @param {string} [options.format] - One of recordImport.FORMATS, or auto (default)
+     * @param {boolean} [options.replace] - Conflicting records replace the existing ones
+     * @param {number[]} [options.select] - Indexes of the records to import; default all new
+     *   records. The records an alias is flattened to share its index and are imported
+     *   together, as far as they are importable
+     * @param {string} [options.from] - Where the records come from, for the activity log
+     * @returns {Promise<Object>} { success, zone, format, added, replaced, staged }
+     */
+    async importRecords(zoneName, content, { format = 'auto', replace = false, select = null, from = null } = {}) {
+        try {
+            const { zone, records } = await this.getZone(zoneName);
+            const plan = await this.planImport(zone, records, content, { format, replace });
+
+            const chosen = select
+                ? selectImportItems(plan, select)
+                : plan.items.filter(item => item.status === 'new');
+            if (chosen.length === 0) {
+                throw new Error('At least one new record is required to import');
+            }
+
+            // Existing records to remove first, once per name and type
+            const replaced = new Map();
+            if (replace) {
+                for (const item of chosen.filter(i => i.status === 'conflict')) {
+                    const identity = zoneEditor.recordIdentity({ name: item.record.name, type: item.type }, zone.name);
+                    replaced.set(`${identity.fqdn} ${identity.type}`, { name: identity.fqdn, type: item.type, existing: item.existing });
+                }
+            }
+
+            const { staged } = await this.editZoneFile(zone.name, (content, parseOptions) => {
+                for (const { name, type, existing } of replaced.values()) {
+                    for (const rdata of existing) {
+                        content = zoneEditor.deleteRecord(content, { name, type, rdata }, parseOptions);
                     }
                 }
-                return true;
+                return zoneEditor.addRecords(content, chosen.map(item => item.record), parseOptions);
             });
-            
-            zoneContent = filteredLines.join('\n');
-            
-            // Write updated zone file
-            await fs.writeFile(zoneFile, zoneContent, 'utf8');
-            console.log(`✓ Deleted record from ${zoneName}`);
-            
-            // Reload Bind if auto-reload is enabled
-            if (settings.zones.autoReload) {
-                await this.reloadBind();
-                console.log(`✓ Auto-reload enabled - Bind reloaded`);
+            const replacedCount = [...replaced.values()].reduce((count, rrset) => count + rrset.existing.length, 0);
+            console.log(`✓ Imported ${chosen.length} record(s) into ${zone.name}`);
+
+            await this.logChange(staged, customActivity('record', 'import',
+                `${chosen.length} record(s) imported into zone "${zone.name}"${from ? ` from ${from}` : ''}${replacedCount ? `, replacing ${replacedCount}` : ''}`,
+                zone.name,
+                {
+                    ...(from ? { from } : {}),
+                    format: plan.format,
+                    added: chosen.length,
+                    replaced: replacedCount,
+                    records: chosen.slice(0, 100).map(item => `${item.name} ${item.type} ${item.rdataText}`)
+                }));
+
+            return { success: true, zone: zone.name, format: plan.format, added: chosen.length, replaced: replacedCount, staged };
+        } catch (error) {
+            throw new Error(`Failed to import records: ${error.message}`);
+        }
+    }
+
+    /**
+     * Preview the import of a document as a new zone, e.g. the export of a
+     * hosted DNS provider. The zone name defaults to the one in the document.
+     * @param {string} content - Provider export, BIND zone file, CSV or JSON
+     * @param {Object} [options]
+     * @param {string} [options.format] - One of recordImport.FORMATS, or auto (default)
+     * @param {string} [options.zoneName] - Name of the new zone
+     * @returns {Promise<Object>} The plan (see previewImport), with documentZone set
+     *   to the zone the document names
+     */
+    async previewZoneImport(content, options = {}) {
+        try {
+            return await this.planZoneImport(content, options);
+        } catch (error) {
+            throw new Error(`Failed to preview zone import: ${error.message}`);
+        }
+    }
+
+    async planZoneImport(content, { format = 'auto', zoneName = null } = {}) {
+        const documentZone = recordImport.documentZone(content, format);
+        const name = String(zoneName || documentZone || '').trim().toLowerCase().replace(/\.$/, '');
+        if (!name) {
+            throw new Error('Zone name is required; the document does not name its zone');
+        }
+        if ((await this.listZones()).some(z => z.name === name)) {
+            throw new Error(`Zone ${name} already exists; import the records from its page instead`);
+        }
+        const plan = await this.planImport({ name }, [], content, { format, replace: true });
+        return { ...plan, documentZone };
+    }
+
+    /**
+     * Create a zone from a document: the zone is created as usual (see
+     * createZone), then every importable record is imported, replacing the
+     * records NDash writes by default where the document has its own. If the
+     * import fails the new zone is deleted again.
+     * @param {string} content - Provider export, BIND zone file, CSV or JSON
+     * @param {Object} [options]
+     * @param {string} [options.format] - One of recordImport.FORMATS, or auto (default)
+     * @param {string} [options.zoneName] - Name of the new zone; default the one in the document
+     * @param {string} [options.view] - View to put the zone in
+     * @param {number[]} [options.select] - Indexes of the records to import; default all importable
+     * @returns {Promise<Object>} { success, zone, format, added, replaced, skipped, staged }
+     */
+    async importZone(content, { format = 'auto', zoneName = null, view = null, select = null } = {}) {
+        try {
+            const plan = await this.planZoneImport(content, { format, zoneName });
+            if (!select) {
+                select = [...new Set(plan.items.filter(item => item.importable).map(item => item.index))];
             }
-            
-            // Log activity
-            await activityLogger.recordDeleted(zoneName, recordName, recordType);
-            
+            if (select.length === 0) {
+                throw new Error('At least one record that can be imported is required');
+            }
+            // Checked up front so a bad selection does not create the zone at all
+            selectImportItems(plan, select);
+
+            await this.createZone(view ? { name: plan.zone, view } : { name: plan.zone });
+            let result;
+            try {
+                result = await this.importRecords(plan.zone, content, { format: plan.format, replace: true, select });
+            } catch (error) {
+                await this.deleteZone(plan.zone).catch(deleteError => {
+                    console.error(`Failed to remove zone ${plan.zone} after a failed import: ${deleteError.message}`);
+                });
+                throw new Error(`${error.message}; zone ${plan.zone} was removed again`);
+            }
+            return { ...result, skipped: plan.items.length - result.added };
+        } catch (error) {
+            throw new Error(`Failed to import zone: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a zone template, or change one (see zoneTemplates). Templates live
+     * in settings; no zone changes until the template is applied.
+     * @param {Object} input - { name, description, records }
+     * @param {Object} [options]
+     * @param {boolean} [options.create=false] - Fail if a template with the name exists;
+     *   otherwise fail if it does not
+     * @returns {Promise<Object>} The template
+     * @throws {ValidationError} With one entry per invalid field
+     */
+    async saveZoneTemplate(input, { create = false } = {}) {
+        try {
+            const template = zoneTemplates.parseTemplate(input);
+            const settings = await settingsUtil.loadSettings();
+            const exists = !!zoneTemplates.getTemplate(settings, template.name);
+            if (create && exists) {
+                throw new Error(`Template ${template.name} already exists`);
+            }
+            if (!create && !exists) {
+                throw new Error(`Template ${template.name} not found`);
+            }
+            await settingsUtil.updateSettings({ zones: { templates: zoneTemplates.withTemplate(settings, template.name, template) } });
+
+            await activityLogger.custom('system', create ? 'create' : 'update',
+                `Zone template "${template.name}" ${create ? 'created' : 'updated'}`, null,
+                { template: template.name, variables: zoneTemplates.templateVariables(template.records) });
+            return zoneTemplates.getTemplate(await settingsUtil.loadSettings(), template.name);
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            throw new Error(`Failed to save zone template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a zone template; zones it was applied to keep their records
+     */
+    async deleteZoneTemplate(name) {
+        try {
+            const settings = await settingsUtil.loadSettings();
+            const template = zoneTemplates.getTemplate(settings, name);
+            if (!template) {
+                throw new Error(`Template ${name} not found`);
+            }
+            await settingsUtil.updateSettings({ zones: { templates: zoneTemplates.withTemplate(settings, template.name, null) } });
+
+            await activityLogger.custom('system', 'delete', `Zone template "${template.name}" deleted`, null, { template: template.name });
             return { success: true };
         } catch (error) {
-            throw new Error(`Failed to delete record: ${error.message}`);
+            throw new Error(`Failed to delete zone template: ${error.message}`);
         }
     }
 
     /**
-     * Update/Edit record in zone
+     * Fill in a template for a zone
+     * @returns {Promise<Object>} { template, content, variables }
      */
-    async updateRecord(zoneName, oldRecord, newRecord) {
+    async renderZoneTemplate(zoneName, templateName, variables = {}) {
+        const template = zoneTemplates.getTemplate(await settingsUtil.loadSettings(), templateName);
+        if (!template) {
+            throw new Error(`Template ${templateName} not found`);
+        }
+        return { template, ...zoneTemplates.renderTemplate(template, zoneName, variables) };
+    }
+
+    /**
+     * Compare the records of a template with a zone, like an import (see previewImport)
+     * @param {string} zoneName - Zone name
+     * @param {string} templateName - Template name
+     * @param {Object} [variables] - Values of the template's variables
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Records of the template replace the zone's
+     *   records with the same name and type
+     * @returns {Promise<Object>} The plan, with template and variables set
+     * @throws {ValidationError} When a variable is missing
+     */
+    async previewZoneTemplate(zoneName, templateName, variables = {}, { replace = false } = {}) {
         try {
-            // Load settings
+            const { zone, records } = await this.getZone(zoneName);
+            const { template, content, variables: values } = await this.renderZoneTemplate(zone.name, templateName, variables);
+            const plan = await this.planImport(zone, records, content, { format: 'bind', replace });
+            return { ...plan, template: template.name, variables: values };
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            throw new Error(`Failed to preview template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply a template to a zone as one edit (see importRecords), and
+     * remember the template and values for the zone
+     * @param {string} zoneName - Zone name
+     * @param {string} templateName - Template name
+     * @param {Object} [variables] - Values of the template's variables
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Records of the template replace the zone's
+     *   records with the same name and type
+     * @param {number[]} [options.select] - Indexes of the template records to write;
+     *   default every one that can be (new records, and conflicts)
+     * @returns {Promise<Object>} { success, zone, template, added, replaced, staged };
+     *   added is 0 when the zone already has every record of the template
+     * @throws {ValidationError} When a variable is missing
+     */
+    async applyZoneTemplate(zoneName, templateName, variables = {}, { replace = false, select = null } = {}) {
+        try {
+            const { zone, records } = await this.getZone(zoneName);
+            const { template, content, variables: values } = await this.renderZoneTemplate(zone.name, templateName, variables);
+            if (!select) {
+                const plan = await this.planImport(zone, records, content, { format: 'bind', replace });
+                select = [...new Set(plan.items.filter(item => item.importable).map(item => item.index))];
+            }
+
+            let result = { added: 0, replaced: 0, staged: false };
+            if (select.length > 0) {
+                result = await this.importRecords(zone.name, content, { format: 'bind', replace, select, from: `template "${template.name}"` });
+            }
             const settings = await settingsUtil.loadSettings();
-            
-            const { zone } = await this.getZone(zoneName);
-            const zoneFile = zone.file;
-            
-            // Backup if enabled
-            if (settings.zones.backupEnabled) {
-                const backupFile = `${zoneFile}.backup.${Date.now()}`;
-                await fs.copy(zoneFile, backupFile);
-                console.log(`✓ Backup created: ${backupFile}`);
+            await settingsUtil.updateSettings({ zones: { appliedTemplates: zoneTemplates.withApplied(settings, zone.name, template.name, values) } });
+            console.log(`✓ Applied template ${template.name} to ${zone.name}: ${result.added} record(s)`);
+
+            return { success: true, zone: zone.name, template: template.name, added: result.added, replaced: result.replaced, staged: result.staged };
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            throw new Error(`Failed to apply template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply a template again to every zone it was last applied to, with the
+     * values used then. A zone that fails does not stop the others.
+     * @param {string} templateName - Template name
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Records of the template replace the zone's
+     *   records with the same name and type
+     * @returns {Promise<Object[]>} [{ zone, added, replaced, staged, error }]
+     */
+    async reapplyZoneTemplate(templateName, { replace = false } = {}) {
+        try {
+            const settings = await settingsUtil.loadSettings();
+            const template = zoneTemplates.getTemplate(settings, templateName);
+            if (!template) {
+                throw new Error(`Template ${templateName} not found`);
+            }
+            const zoneNames = new Set((await this.listZones()).map(zone => zone.name));
+            const results = [];
+            for (const zoneName of zoneTemplates.zonesUsing(settings, template.name).filter(name => zoneNames.has(name))) {
+                const { variables } = zoneTemplates.getApplied(settings, zoneName);
+                try {
+                    const { added, replaced, staged } = await this.applyZoneTemplate(zoneName, template.name, variables, { replace });
+                    results.push({ zone: zoneName, added, replaced, staged, error: null });
+                } catch (error) {
+                    results.push({ zone: zoneName, added: 0, replaced: 0, staged: false, error: error.message });
+                }
             }
-            
-            // Read current zone file
-            let zoneContent = await fs.readFile(zoneFile, 'utf8');
-            
-            // Increment serial number
-            zoneContent = this.incrementSerial(zoneContent);
-            
-            // Find and replace the record line
-            const lines = zoneContent.split('\n');
-            let recordFound = false;
-            
-            const updatedLines = lines.map(line => {
-                const trimmed = line.trim();
-                if (trimmed.startsWith(';') || !trimmed) return line;
-                
-                const parts = trimmed.split(/\s+/);
-                if (parts.length >= 4) {
-                    const name = parts[0];
-                    const type = parts.includes('IN') ? parts[parts.indexOf('IN') + 1] : parts[3];
-                    
-                    // Match old record by name and type
-                    if (name === oldRecord.name && type === oldRecord.type && !recordFound) {
-                        recordFound = true;
-                        // Replace with new record
-                        return this.formatRecord(newRecord);
+            return results;
+        } catch (error) {
+            throw new Error(`Failed to re-apply template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render a zone for download
+     * @param {string} zoneName - Zone name
+     * @param {string} [format] - bind (default), json or csv (see recordExport)
+     * @returns {Promise<Object>} { content, filename, contentType }
+     */
+    async exportZone(zoneName, format = 'bind') {
+        try {
+            const { zone, records, soa } = await this.getZone(zoneName);
+            return recordExport.exportZone(zone.name, { soa, records }, format);
+        } catch (error) {
+            throw new Error(`Failed to export zone: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build a tarball of every zone file and named.conf.local (see configArchive)
+     * @returns {Promise<Object>} { file, filename, manifest, cleanup }
+     */
+    async createServerArchive() {
+        try {
+            const zones = await this.listZones();
+            const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+            const archive = await configArchive.createArchive({
+                name: `ndash-config-${stamp}`,
+                zones,
+                confPath: this.namedConfLocal
+            });
+            await activityLogger.custom('system', 'export',
+                `Configuration archive exported (${archive.manifest.zones.length} zones)`,
+                null,
+                { file: archive.filename });
+            return archive;
+        } catch (error) {
+            throw new Error(`Failed to export configuration: ${error.message}`);
+        }
+    }
+
+    /**
+     * Bring the record search index up to date: a zone is indexed again when
+     * the zone catalog parsed it again (its file or one of its $INCLUDE files
+     * changed), or it moved to another view. Zones that are gone are dropped.
+     * @returns {Promise<Object>} { zones, records, refreshed: zone names indexed again }
+     */
+    async refreshRecordIndex() {
+        const zones = await this.listZones();
+        const refreshed = [];
+        for (const zone of zones) {
+            // Not transferred yet (slave) or unreadable: nothing to find
+            const parsed = await this.loadZone(zone.name, zone.file).catch(() => null);
+            const cached = this.recordIndex.get(zone.name);
+            if (cached && cached.parsed === parsed && cached.view === (zone.view || null)) continue;
+
+            this.recordIndex.set(zone.name, {
+                parsed,
+                view: zone.view || null,
+                entries: parsed ? parsed.records.map(record => recordSearch.indexEntry(zone, record)) : []
+            });
+            refreshed.push(zone.name);
+        }
+
+        const names = new Set(zones.map(zone => zone.name));
+        for (const name of this.recordIndex.keys()) {
+            if (!names.has(name)) this.recordIndex.delete(name);
+        }
+        let records = 0;
+        for (const { entries } of this.recordIndex.values()) records += entries.length;
+        return { zones: this.recordIndex.size, records, refreshed };
+    }
+
+    /**
+     * Find records in every zone (see recordSearch for the term syntax)
+     * @param {string} term - Search term
+     * @param {Object} [options]
+     * @param {string} [options.field='any'] - any, name, type, value or ttl
+     * @param {string} [options.type] - Only records of this type
+     * @param {string} [options.zone] - Only records of this zone
+     * @param {string} [options.view] - Only zones of this view; "global" for zones outside views
+     * @returns {Promise<Object>} { results, index: { zones, records } }
+     */
+    async searchRecords(term, { field = 'any', type = null, zone = null, view = null } = {}) {
+        try {
+            const matches = recordSearch.compileQuery(term, field);
+            const { zones, records } = await this.refreshRecordIndex();
+
+            const results = [];
+            const zoneNames = [...this.recordIndex.keys()].sort((a, b) => a.localeCompare(b));
+            for (const name of zoneNames) {
+                const indexed = this.recordIndex.get(name);
+                if (zone && name !== zone) continue;
+                if (view && (indexed.view || 'global') !== view) continue;
+                for (const entry of indexed.entries) {
+                    if (type && entry.type !== type.toUpperCase()) continue;
+                    if (matches(entry)) results.push(entry);
+                }
+            }
+            return { results, index: { zones, records } };
+        } catch (error) {
+            throw new Error(`Failed to search records: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the records whose value matches a search term (see recordSearch)
+     * and work out their new values. Each item gets a status:
+     * - change: the new value validates
+     * - unchanged: the new value is the current one
+     * - invalid: the new value does not validate, or would duplicate a record
+     * - read-only: from $INCLUDE or $GENERATE, or in a zone the user cannot edit
+     * Items are identified by a key (zone, owner, type and current value), so
+     * a selection made on a preview still names the same records later.
+     * @param {string} term - Search term, matched against record values
+     * @param {string} replacement - New value, or the text that replaces the term
+     *   (see recordSearch.replaceValue)
+     * @param {Object} [options]
+     * @param {string} [options.type] - Only records of this type
+     * @param {string} [options.zone] - Only records of this zone
+     * @param {string} [options.view] - Only zones of this view; "global" for zones outside views
+     * @param {Function} [options.canEdit] - zoneName => whether the acting user may edit the zone
+     * @returns {Promise<Object>} { term, replacement, items, summary }
+     */
+    async previewBulkReplace(term, replacement, options = {}) {
+        try {
+            return await this.planBulkReplace(term, replacement, options);
+        } catch (error) {
+            throw new Error(`Failed to preview bulk replace: ${error.message}`);
+        }
+    }
+
+    /**
+     * Work out a bulk replace (see previewBulkReplace)
+     */
+    async planBulkReplace(term, replacement, { type = null, zone = null, view = null, canEdit = null } = {}) {
+        const newText = String(replacement ?? '').trim();
+        if (!newText) {
+            throw new Error('Replacement value is required');
+        }
+        const { results } = await this.searchRecords(term, { field: 'value', type, zone, view });
+
+        const byZone = new Map();
+        for (const entry of results) {
+            if (!byZone.has(entry.zone)) byZone.set(entry.zone, []);
+            byZone.get(entry.zone).push(entry);
+        }
+
+        const items = [];
+        for (const [zoneName, entries] of byZone) {
+            const editable = !canEdit || canEdit(zoneName);
+            const { zone: current, records } = await this.getZone(zoneName);
+            const identities = entries.map(entry => zoneEditor.recordIdentity({ fqdn: entry.fqdn, type: entry.type, rdata: entry.rdataText }, current.name));
+            // New values are validated against the zone without the records being replaced
+            const existing = records.filter(r => !identities.some(identity => zoneEditor.matchesIdentity(r, identity)));
+            const taken = new Set(records.map(r => `${r.fqdn.toLowerCase()} ${r.type} ${zoneEditor.normalizeRdata(r.rdataText)}`));
+
+            for (const entry of entries) {
+                const item = {
+                    key: `${entry.zone} ${entry.fqdn} ${entry.type} ${entry.rdataText}`,
+                    zone: entry.zone,
+                    name: entry.name,
+                    fqdn: entry.fqdn,
+                    type: entry.type,
+                    ttl: entry.ttl,
+                    oldValue: entry.rdataText,
+                    newValue: null,
+                    status: 'invalid',
+                    message: null
+                };
+                items.push(item);
+                if (!editable) {
+                    Object.assign(item, { status: 'read-only', message: `You do not have permission to edit zone ${zoneName}` });
+                    continue;
+                }
+                if (entry.readOnly) {
+                    Object.assign(item, { status: 'read-only', message: 'From $INCLUDE or $GENERATE; edit the source file instead' });
+                    continue;
+                }
+
+                item.newValue = recordSearch.replaceValue(entry, term, newText);
+                const parsed = zoneParser.parseZone(`${entry.fqdn} ${entry.ttl} IN ${entry.type} ${item.newValue}`, { origin: current.name });
+                if (parsed.errors.length > 0 || parsed.records.length !== 1) {
+                    item.message = parsed.errors.length > 0 ? parsed.errors[0].message : 'The new value is not one record';
+                    continue;
+                }
+                const { record, errors } = recordValidator.validateRecord(
+                    { name: entry.name, type: entry.type, ttl: entry.ttl, rdata: parsed.records[0].rdata },
+                    { origin: current.name, existing }
+                );
+                if (errors.length > 0) {
+                    item.message = errors.map(e => `${e.field} ${e.message}`).join('; ');
+                    continue;
+                }
+                item.newValue = zoneEditor.recordRdataText(record);
+                const newKey = `${entry.fqdn.toLowerCase()} ${entry.type} ${zoneEditor.normalizeRdata(item.newValue)}`;
+                if (zoneEditor.normalizeRdata(item.newValue) === zoneEditor.normalizeRdata(entry.rdataText)) {
+                    Object.assign(item, { status: 'unchanged', message: 'The new value is the current one' });
+                } else if (taken.has(newKey)) {
+                    item.message = `${entry.name} ${entry.type} ${item.newValue} already exists`;
+                } else {
+                    Object.assign(item, { status: 'change', record });
+                    taken.add(newKey);
+                }
+            }
+        }
+
+        const summary = { total: items.length, zones: byZone.size };
+        BULK_REPLACE_STATUSES.forEach(status => {
+            summary[status] = items.filter(item => item.status === status).length;
+        });
+        return { term: String(term).trim(), replacement: newText, items, summary };
+    }
+
+    /**
+     * Rewrite the values of records across zones as one transaction: each
+     * zone is edited once (one serial increment), every zone file is checked
+     * and BIND is reloaded once at the end, or the whole change is staged.
+     * The records are looked up again, so a stale preview cannot overwrite
+     * records that changed since.
+     * @param {string} term - Search term, matched against record values
+     * @param {string} replacement - See previewBulkReplace
+     * @param {Object} [options] - { type, zone, view, canEdit } as for previewBulkReplace
+     * @param {string[]} [options.select] - Keys of the items to change; default every changeable item
+     * @returns {Promise<Object>} { success, changed, zones: [{ zone, changed }], staged }
+     */
+    async bulkReplace(term, replacement, { type = null, zone = null, view = null, canEdit = null, select = null } = {}) {
+        try {
+            const plan = await this.planBulkReplace(term, replacement, { type, zone, view, canEdit });
+            let chosen = plan.items.filter(item => item.status === 'change');
+            if (select) {
+                const keys = new Set(select.map(String));
+                for (const key of keys) {
+                    const item = plan.items.find(i => i.key === key);
+                    if (!item) {
+                        throw new Error(`Invalid selection: no record matches ${key} any more`);
+                    }
+                    if (item.status !== 'change') {
+                        throw new Error(`Invalid selection: ${item.fqdn} ${item.type} ${item.oldValue} cannot be changed (${item.status}${item.message ? `: ${item.message}` : ''})`);
                     }
                 }
-                return line;
-            });
-            
-            if (!recordFound) {
-                throw new Error(`Record not found: ${oldRecord.name} ${oldRecord.type}`);
+                chosen = chosen.filter(item => keys.has(item.key));
             }
+            if (chosen.length === 0) {
+                throw new Error('At least one record to change is required');
+            }
+
+            const groups = new Map();
+            for (const item of chosen) {
+                if (!groups.has(item.zone)) groups.set(item.zone, []);
+                groups.get(item.zone).push(item);
+            }
+            const zoneNames = [...groups.keys()];
+            const zones = (await this.listZones()).filter(z => groups.has(z.name));
+            const settings = await settingsUtil.loadSettings();
+            const staged = this.isStaging(settings, { zones: zoneNames });
+            const backup = settings.zones.backupEnabled && !staged;
+
+            await this.transaction(async tx => {
+                for (const current of zones) {
+                    await this.writeZoneEdit(tx, current, (content, parseOptions) => {
+                        for (const item of groups.get(current.name)) {
+                            content = zoneEditor.updateRecord(content,
+                                { name: item.fqdn, type: item.type, rdata: item.oldValue }, item.record, parseOptions);
+                        }
+                        return content;
+                    }, { backup });
+                }
+            }, { zones: zoneNames });
+            if (backup) {
+                for (const current of zones) {
+                    await this.applyBackupRetention(current.file, settings);
+                }
+            }
+            console.log(`✓ Bulk replace changed ${chosen.length} record(s) in ${zoneNames.length} zone(s)`);
+
+            for (const [zoneName, items] of groups) {
+                await this.logChange(staged, customActivity('record', 'bulk_replace',
+                    `${items.length} record(s) in zone "${zoneName}" changed by a bulk replace of ${plan.term}`,
+                    zoneName,
+                    {
+                        search: plan.term,
+                        replacement: plan.replacement,
+                        records: items.slice(0, 100).map(item => `${item.name} ${item.type} ${item.oldValue} -> ${item.newValue}`)
+                    }));
+            }
+
+            return {
+                success: true,
+                changed: chosen.length,
+                zones: zoneNames.map(name => ({ zone: name, changed: groups.get(name).length })),
+                staged
+            };
+        } catch (error) {
+            throw new Error(`Failed to bulk replace: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the snapshots of a zone file, newest first
+     * @returns {Promise<Object>} { zone, backups }
+     */
+    async listZoneBackups(zoneName) {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            return { zone, backups: await zoneBackups.listBackups(zone.file) };
+        } catch (error) {
+            throw new Error(`Failed to list backups: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read and parse one version of a zone: a snapshot id, or 'current' for
+     * the live zone file
+     * @returns {Promise<Object>} { id, createdAt, content, records, soa }
+     */
+    async readZoneVersion(zone, id) {
+        if (id === 'current') {
+            const content = await fs.readFile(zone.file, 'utf8');
+            const stat = await fs.stat(zone.file);
+            const parsed = this.parseZone(content, zone.name);
+            return { id, createdAt: stat.mtime, content, records: parsed.records, soa: parsed.soa };
+        }
+        const content = await zoneBackups.readBackup(zone.file, id);
+        const parsed = this.parseZone(content, zone.name);
+        return { id: String(id), createdAt: new Date(Number(id)), content, records: parsed.records, soa: parsed.soa };
+    }
+
+    /**
+     * Read one snapshot of a zone with its parsed records
+     * @returns {Promise<Object>} { zone, backup: { id, createdAt, content, records, soa } }
+     */
+    async getZoneBackup(zoneName, backupId) {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            return { zone, backup: await this.readZoneVersion(zone, String(backupId)) };
+        } catch (error) {
+            throw new Error(`Failed to read backup: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record-level differences between two versions of a zone
+     * @param {string} zoneName - Zone name
+     * @param {string} fromId - Snapshot id or 'current'
+     * @param {string} [toId='current'] - Snapshot id or 'current'
+     * @returns {Promise<Object>} { zone, from, to, changes } (see zoneBackups.diffRecords)
+     */
+    async diffZoneBackups(zoneName, fromId, toId = 'current') {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            const from = await this.readZoneVersion(zone, fromId);
+            const to = await this.readZoneVersion(zone, toId);
+            return {
+                zone,
+                from: { id: from.id, createdAt: from.createdAt, serial: from.soa?.serial ?? null },
+                to: { id: to.id, createdAt: to.createdAt, serial: to.soa?.serial ?? null },
+                changes: zoneBackups.diffRecords(from.records, to.records)
+            };
+        } catch (error) {
+            throw new Error(`Failed to compare backups: ${error.message}`);
+        }
+    }
+
+    /**
+     * Put a snapshot back as the zone file. It goes through editZoneFile, so
+     * the current file is backed up, the result is checked and BIND reloaded;
+     * the serial continues from the current one so secondaries pick it up.
+     */
+    async restoreZoneBackup(zoneName, backupId) {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            const backupContent = await zoneBackups.readBackup(zone.file, backupId);
+            const { staged } = await this.editZoneFile(zoneName, (content, parseOptions) => {
+                const { serial } = zoneEditor.setSerial(content, current => current, parseOptions);
+                return serial === null ? backupContent : zoneEditor.setSerial(backupContent, serial, parseOptions).content;
+            });
+            console.log(`✓ Restored ${zoneName} from backup ${backupId}`);
             
-            zoneContent = updatedLines.join('\n');
-            
-            // Write updated zone file
-            await fs.writeFile(zoneFile, zoneContent, 'utf8');
-            console.log(`✓ Updated record in ${zoneName}`);
+            await this.logChange(staged, customActivity('zone', 'restore', `Restored zone ${zoneName} from backup of ${new Date(Number(backupId)).toISOString()}`, zoneName, { backupId }));
             
-            // Check zone syntax if validation is enabled
-            if (settings.zones.validateBeforeReload) {
-                await this.checkZone(zoneName, zoneFile);
-                console.log(`✓ Zone validation passed`);
+            return { success: true, zone: zoneName, backupId, staged };
+        } catch (error) {
+            throw new Error(`Failed to restore backup: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the snapshots of a zone outside the retention rules
+     * @param {string} zoneName - Zone name
+     * @param {Object} [retention] - { keepLast, maxAgeDays }; defaults to the settings
+     * @returns {Promise<Array>} The deleted snapshots
+     */
+    async pruneZoneBackups(zoneName, retention = null) {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            const settings = await settingsUtil.loadSettings();
+            const pruned = await zoneBackups.pruneBackups(zone.file, retention || settings.zones.backupRetention);
+            if (pruned.length > 0) {
+                await activityLogger.custom('zone', 'prune', `Pruned ${pruned.length} backup(s) of zone ${zoneName}`, zoneName, { count: pruned.length });
             }
-            
-            // Reload Bind if auto-reload is enabled
-            if (settings.zones.autoReload) {
-                await this.reloadBind();
-                console.log(`✓ Auto-reload enabled - Bind reloaded`);
+            return pruned;
+        } catch (error) {
+            throw new Error(`Failed to prune backups: ${error.message}`);
+        }
+    }
+
+    /**
+     * Zone file -> zone name, for the zones configured now and, when given,
+     * the zones of a named.conf.local about to be written
+     * @param {string} [plannedConfig] - Content of named.conf.local
+     * @returns {Promise<Map<string, string>>}
+     */
+    async zoneNamesByFile(plannedConfig = null) {
+        const names = new Map((await this.listZones()).map(z => [z.file, z.name]));
+        if (plannedConfig) {
+            const zoneRegex = /zone\s+"([^"]+)"\s*\{([\s\S]*?)\};/g;
+            let match;
+            while ((match = zoneRegex.exec(plannedConfig)) !== null) {
+                const fileMatch = /file\s+"([^"]+)";/.exec(match[2]);
+                if (!fileMatch) continue;
+                const zoneFile = fileMatch[1].startsWith('/') ? fileMatch[1] : path.join('/etc/bind', fileMatch[1]);
+                if (!names.has(zoneFile)) names.set(zoneFile, match[1]);
             }
-            
-            // Log activity
-            await activityLogger.recordUpdated(zoneName, newRecord.name, newRecord.type, {
-                oldValue: oldRecord.value,
-                newValue: newRecord.value,
-                ttl: newRecord.ttl
+        }
+        return names;
+    }
+
+    /**
+     * Configuration history, newest first
+     * @param {Object} [options]
+     * @param {string} [options.zone] - Only commits that changed this zone's file
+     * @returns {Promise<Array>} Commits (see configHistory.listCommits)
+     */
+    async listHistory({ zone = null } = {}) {
+        try {
+            if (!zone) {
+                return await configHistory.listCommits();
+            }
+            const { zone: found } = await this.getZone(zone);
+            return await configHistory.listCommits({ file: found.file });
+        } catch (error) {
+            throw new Error(`Failed to load history: ${error.message}`);
+        }
+    }
+
+    /**
+     * One history commit; each change is tagged with the zone whose file it is
+     * (null for named.conf.local and other files)
+     */
+    async getHistoryCommit(commit) {
+        try {
+            const info = await configHistory.getCommit(commit);
+            const zoneNames = await this.zoneNamesByFile();
+            const byRepoPath = new Map([...zoneNames].map(([file, name]) => [configHistory.repoPath(file), name]));
+            info.changes.forEach(change => {
+                change.zone = byRepoPath.get(change.path) || null;
             });
+            return info;
+        } catch (error) {
+            throw new Error(`Failed to load commit: ${error.message}`);
+        }
+    }
+
+    /**
+     * Undo the record changes between two versions of a zone file on top of
+     * the current file. Used when a text merge conflicts, e.g. because a later
+     * record was added on the next line.
+     * @param {Object} versions - { ours: current, base: after the change, theirs: before it }
+     */
+    revertZoneRecords(zoneName, file, { ours, base, theirs }) {
+        const parseOptions = this.zoneParseOptions(zoneName);
+        const after = this.parseZone(base, zoneName).records;
+        const before = this.parseZone(theirs, zoneName).records;
+        const find = (records, change, side) => records.find(r =>
+            r.fqdn === change.fqdn && r.type === change.type && r.rdataText === side.rdata);
+        
+        let content = ours;
+        // diffRecords(after, before): what has to happen to undo the change
+        for (const change of zoneBackups.diffRecords(after, before)) {
+            const target = change.from ? { name: change.fqdn, type: change.type, rdata: change.from.rdata } : null;
+            const original = change.to ? find(before, change, change.to) : null;
+            const record = original ? { name: original.fqdn, type: original.type, ttl: original.ttl, rdata: original.rdata } : null;
+            if (change.change === 'added') {
+                content = zoneEditor.addRecord(content, record, parseOptions);
+            } else if (change.change === 'removed') {
+                content = zoneEditor.deleteRecord(content, target, parseOptions);
+            } else {
+                content = zoneEditor.updateRecord(content, target, record, parseOptions);
+            }
+        }
+        return content;
+    }
+
+    /**
+     * Undo one history commit. The reverse changes are written as one
+     * transaction, so zone files and named.conf.local are checked before
+     * anything is replaced; zones keep counting up from their current serial.
+     * Reverts touching zones that require approval are staged.
+     * @returns {Promise<Object>} { success, commit, files, staged }
+     */
+    async revertHistoryCommit(commit) {
+        try {
+            // Old zone file versions take the current serial so the serial line merges cleanly
+            const currentZones = await this.zoneNamesByFile();
+            const align = (file, content, current) => {
+                const zoneName = currentZones.get(file);
+                if (!zoneName) return content;
+                const parseOptions = this.zoneParseOptions(zoneName);
+                const { serial } = zoneEditor.setSerial(current, value => value, parseOptions);
+                return serial === null ? content : zoneEditor.setSerial(content, serial, parseOptions).content;
+            };
+            const resolve = (file, versions) => {
+                const zoneName = currentZones.get(file);
+                return zoneName ? this.revertZoneRecords(zoneName, file, versions) : null;
+            };
+            const { commit: info, files } = await configHistory.planRevert(commit, { align, resolve });
+            const plannedConfig = files.find(f => f.file === this.namedConfLocal);
+            const zoneNames = await this.zoneNamesByFile(plannedConfig ? plannedConfig.content : null);
+            // Reverts of protected zones wait for approval like any other change
+            const zones = files.map(f => zoneNames.get(f.file)).filter(Boolean);
+            const settings = await settingsUtil.loadSettings();
+            const staged = this.isStaging(settings, { immediate: true, zones });
             
-            return { success: true };
+            await this.transaction(async tx => {
+                for (const { path: repoFile, file, content } of files) {
+                    if (content === null) {
+                        tx.remove(file);
+                        continue;
+                    }
+                    if (file === this.namedConfLocal) {
+                        tx.write(file, content);
+                        continue;
+                    }
+                    const zoneName = zoneNames.get(file);
+                    if (!zoneName) {
+                        throw new Error(`${repoFile} is not a zone file; revert it by hand`);
+                    }
+                    // Existing zone files were aligned to the current serial; count up from it
+                    const zoneContent = await tx.exists(file)
+                        ? this.incrementSerial(content, zoneName, zoneSoa.getSerialScheme(settings, zoneName))
+                        : content;
+                    tx.write(file, zoneContent, { zone: zoneName });
+                }
+            }, { immediate: true, zones });
+            console.log(`✓ ${staged ? 'Staged revert of' : 'Reverted'} history commit ${info.shortHash}`);
+            
+            await this.logChange(staged, customActivity('system', 'revert', `Reverted "${info.description}" (${info.shortHash})`, info.zone, { commit: info.hash }));
+            
+            return { success: true, commit: info, files: files.map(f => f.path), staged };
         } catch (error) {
-            throw new Error(`Failed to update record: ${error.message}`);
+            throw new Error(`Failed to revert change: ${error.message}`);
         }
     }
 
@@ -494,9 +2115,11 @@ class BindService {
      */
     async deleteZone(zoneName) {
         try {
-            // Load settings
-            const settings = await settingsUtil.loadSettings();
-            
+            // Deleting bypasses the pending changeset, so it cannot wait for approval
+            if (zoneTags.requiresApproval(await settingsUtil.loadSettings(), zoneName)) {
+                throw new Error(`Cannot delete protected zone ${zoneName}; remove its ${zoneTags.PROTECTED_TAG} tag first`);
+            }
+
             let zoneData = null;
             let zoneFile = null;
             
@@ -517,21 +2140,25 @@ class BindService {
                 }
             }
             
-            // Remove from named.conf.local
-            await bindConfig.removeZoneFromConfig(zoneName);
-            
-            // Backup and delete zone file if it exists
-            if (zoneFile && await fs.pathExists(zoneFile)) {
-                const backupFile = `${zoneFile}.backup.${Date.now()}`;
-                await fs.copy(zoneFile, backupFile);
-                console.log(`✓ Backed up zone file to ${backupFile}`);
+            await this.transaction(async tx => {
+                // Remove from named.conf.local, with the zone's DNSSEC policy
+                await bindConfig.removeZoneFromConfig(zoneName);
+                const confContent = await tx.read(this.namedConfLocal);
+                const withoutPolicy = bindConfig.setNamedBlock(confContent, 'dnssec-policy', dnssec.policyName(zoneName), null);
+                if (withoutPolicy !== confContent) {
+                    tx.write(this.namedConfLocal, withoutPolicy);
+                }
                 
-                // Delete zone file
-                await fs.remove(zoneFile);
-                console.log(`✓ Deleted zone file`);
-            } else if (zoneFile) {
-                console.log(`ℹ Zone file does not exist (may be a slave zone not yet synced): ${zoneFile}`);
-            }
+                // Backup and delete zone file if it exists
+                if (zoneFile && await tx.exists(zoneFile)) {
+                    await zoneBackups.createBackup(zoneFile);
+                    
+                    tx.remove(zoneFile);
+                } else if (zoneFile) {
+                    console.log(`ℹ Zone file does not exist (may be a slave zone not yet synced): ${zoneFile}`);
+                }
+            }, { immediate: true });
+            console.log(`✓ Deleted zone ${zoneName}`);
 
             // Remove from any view assignments in settings
             try {
@@ -552,33 +2179,6 @@ class BindService {
                 console.warn(`Warning: Failed to remove zone from view settings: ${err.message}`);
             }
             
-            // Validate config before reload if enabled
-            if (settings.zones.validateBeforeReload) {
-                try {
-                    const { exec } = require('child_process');
-                    await new Promise((resolve, reject) => {
-                        exec('named-checkconf', (error, stdout, stderr) => {
-                            if (error) {
-                                reject(new Error(`Config validation failed: ${stderr || error.message}`));
-                            } else {
-                                resolve();
-                            }
-                        });
-                    });
-                    console.log(`✓ Config validated successfully`);
-                } catch (validationError) {
-                    // Restore backup if validation fails
-                    console.error(`✗ Config validation failed, attempting to restore...`);
-                    throw validationError;
-                }
-            }
-            
-            // Reload Bind if auto-reload is enabled
-            if (settings.zones.autoReload) {
-                await this.reloadBind();
-                console.log(`✓ Auto-reload enabled - Bind reloaded`);
-            }
-            
             // Log activity
             await activityLogger.zoneDeleted(zoneName, {
                 zoneFile: zoneFile
@@ -602,6 +2202,9 @@ class BindService {
 
             // Load settings
             const settings = await settingsUtil.loadSettings();
+            if (zoneTags.requiresApproval(settings, zoneName)) {
+                throw new Error(`Cannot reassign protected zone ${zoneName}; remove its ${zoneTags.PROTECTED_TAG} tag first`);
+            }
 
             // current zone info
             const { zone } = await this.getZone(zoneName);
@@ -619,36 +2222,14 @@ class BindService {
             const targetViewObj = viewsList.find(v => v.name === newViewName);
             const targetViewAcl = targetViewObj ? targetViewObj.acl : { allow: ['any'], deny: [] };
 
-            // Build new named.conf.local content with zone moved
-            const newContent = await bindConfig.buildMoveZoneToViewContent(zoneName, zoneFile, newViewName, targetViewAcl);
-
-            // Write tmp file and validate via named-checkconf -z
-            const tmpFile = `${this.namedConfLocal}.tmp.${Date.now()}`;
-            await fs.writeFile(tmpFile, newContent, 'utf8');
-
-            // Validate config using named-checkconf -z against tmp file
-            try {
-                await execPromise(`named-checkconf -z ${tmpFile}`);
-            } catch (err) {
-                throw new Error(`Config validation failed for proposed change: ${err.stderr || err.message}`);
-            }
-
-            // Now backup current conf and apply
-            const backupFile = `${this.namedConfLocal}.backup.${Date.now()}`;
-            await fs.copyFile(this.namedConfLocal, backupFile);
-            await fs.move(tmpFile, this.namedConfLocal, { overwrite: true });
-            // Do not update settings yet; perform reload first to ensure configuration is valid
-
-            // Optionally reload Bind
-            if (settings.zones.autoReload) {
-                try {
-                    await this.reloadBind();
-                } catch (err) {
-                    // rollback config
-                    await fs.copyFile(backupFile, this.namedConfLocal);
-                    throw new Error(`Reload failed after reassign; config restored: ${err.message}`);
-                }
-            }
+            // Move the zone in named.conf.local; settings are only updated once
+            // the new config has been checked and loaded
+            await this.transaction(async tx => {
+                const newContent = await bindConfig.buildMoveZoneToViewContent(zoneName, zoneFile, newViewName, targetViewAcl);
+                const backupFile = `${this.namedConfLocal}.backup.${Date.now()}`;
+                await fs.copyFile(this.namedConfLocal, backupFile);
+                tx.write(this.namedConfLocal, newContent);
+            }, { immediate: true });
 
             // Update settings: remove from old view, add to new (only after successful reload)
             try {
@@ -683,11 +2264,143 @@ class BindService {
         }
     }
 
+    /**
+     * List split-horizon views from settings
+     */
+    async listViews() {
+        const settings = await settingsUtil.loadSettings();
+        return settings.resolver?.views || [];
+    }
+
+    /**
+     * Create a view in settings and named.conf.local
+     * @param {string} name - View name
+     * @param {Object} acl - { allow: [], deny: [] }
+     */
+    async createView(name, acl = {}) {
+        try {
+            if (!name) throw new Error('View name required');
+
+            const views = await this.listViews();
+            if (views.find(v => v.name === name)) {
+                throw new Error(`View ${name} already exists`);
+            }
+
+            const view = {
+                name,
+                acl: {
+                    allow: acl.allow && acl.allow.length ? acl.allow : ['any'],
+                    deny: acl.deny || []
+                },
+                zones: []
+            };
+            await this.transaction(() => bindConfig.addViewToConfig(name, view.acl), { immediate: true });
+            views.push(view);
+            await settingsUtil.updateSettings({ resolver: { views } });
+
+            await activityLogger.custom('view', 'create', `View "${name}" created`, null, { acl: view.acl });
+            return view;
+        } catch (error) {
+            throw new Error(`Failed to create view: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the ACL of a view, keeping its zones
+     * @param {string} name - View name
+     * @param {Object} acl - { allow: [], deny: [] }
+     */
+    async updateView(name, acl = {}) {
+        try {
+            const views = await this.listViews();
+            const view = views.find(v => v.name === name);
+            if (!view) throw new Error(`View ${name} not found`);
+
+            view.acl.allow = acl.allow && acl.allow.length ? acl.allow : ['any'];
+            view.acl.deny = acl.deny || [];
+
+            // Re-create the view block in named.conf.local to update ACLs and keep assigned zones
+            await this.transaction(async () => {
+                await bindConfig.removeViewFromConfig(name);
+                await bindConfig.addViewToConfig(name, view.acl);
+                for (const zoneName of view.zones || []) {
+                    const zoneFile = path.join(this.zonesPath, `db.${zoneName.replace(/\.$/, '')}`);
+                    await bindConfig.addZoneToViewConfig(zoneName, zoneFile, name, view.acl);
+                }
+            }, { immediate: true });
+            await settingsUtil.updateSettings({ resolver: { views } });
+
+            await activityLogger.custom('view', 'update', `View "${name}" updated`, null, { acl: view.acl });
+            return view;
+        } catch (error) {
+            throw new Error(`Failed to update view: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a view; it must not have zones assigned
+     * @param {string} name - View name
+     */
+    async deleteView(name) {
+        try {
+            const views = await this.listViews();
+            const index = views.findIndex(v => v.name === name);
+            if (index === -1) throw new Error(`View ${name} not found`);
+
+            if (views[index].zones && views[index].zones.length > 0) {
+                throw new Error('Cannot delete view that has zones assigned. Please reassign or delete zones first.');
+            }
+
+            await this.transaction(() => bindConfig.removeViewFromConfig(name), { immediate: true });
+            views.splice(index, 1);
+            await settingsUtil.updateSettings({ resolver: { views } });
+
+            await activityLogger.custom('view', 'delete', `View "${name}" deleted`);
+            return { success: true };
+        } catch (error) {
+            throw new Error(`Failed to delete view: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update resolver settings and apply them to Bind
+     * @param {Object} changes - Partial resolver settings; nested objects
+     *   (adblock, doh, dot) are merged with the current values
+     */
+    async updateResolverSettings(changes) {
+        try {
+            const current = await settingsUtil.loadSettings();
+            const previous = current.resolver || {};
+            const resolver = { ...changes };
+            ['adblock', 'doh', 'dot'].forEach(key => {
+                if (changes[key]) {
+                    resolver[key] = { ...previous[key], ...changes[key] };
+                }
+            });
+            delete resolver.views;
+
+            const updated = await settingsUtil.updateSettings({ resolver });
+
+            if (updated.resolver.enabled) {
+                await this.enableResolver();
+            } else if (previous.enabled) {
+                await this.disableResolver();
+            }
+
+            await activityLogger.custom('system', 'update', 'Resolver settings updated', null, { changes: Object.keys(changes) });
+            return updated.resolver;
+        } catch (error) {
+            throw new Error(`Failed to update resolver settings: ${error.message}`);
+        }
+    }
+
     /**
      * Generate zone file content
      */
     generateZoneFile(zoneName, options = {}) {
-        const ttl = options.ttl || 3600;
+        const zoneSettings = options.settings?.zones || settingsUtil.DEFAULT_SETTINGS.zones;
+        const timers = { ...settingsUtil.DEFAULT_SETTINGS.zones.soaDefaults, ...zoneSettings.soaDefaults };
+        const ttl = options.ttl || timers.ttl;
         
         // Ensure nameserver and email end with single dot
         let ns = options.nameserver || `ns1.${zoneName}.`;
@@ -697,7 +2410,7 @@ class BindService {
         ns = ns.replace(/\.+$/, '') + '.';
         email = email.replace(/\.+$/, '') + '.';
         
-        const serial = this.generateSerial();
+        const serial = zoneSoa.initialSerial(zoneSettings.serialScheme);
         
         // Check if this is a reverse zone (in-addr.arpa)
         const isReverseZone = zoneName.includes('in-addr.arpa');
@@ -722,11 +2435,11 @@ class BindService {
 
 $TTL ${ttl}
 @       IN      SOA     ${ns} ${email} (
-                        ${serial}       ; Serial
-                        7200            ; Refresh
-                        3600            ; Retry
-                        1209600         ; Expire
-                        3600 )          ; Minimum TTL
+                        ${String(serial).padEnd(15)} ; Serial
+                        ${String(timers.refresh).padEnd(15)} ; Refresh
+                        ${String(timers.retry).padEnd(15)} ; Retry
+                        ${String(timers.expire).padEnd(15)} ; Expire
+                        ${(timers.minimum + ' )').padEnd(15)} ; Minimum TTL
 
 ; Name servers
 @       IN      NS      ${ns}
@@ -775,91 +2488,33 @@ ${nsHostname}   IN      A       127.0.0.1
     /**
      * Parse zone file to extract records
      */
-    parseZoneFile(content) {
-        const records = [];
-        const lines = content.split('\n');
-        let id = 1;
-        
-        for (const line of lines) {
-            const trimmed = line.trim();
-            
-            // Skip comments and empty lines
-            if (trimmed.startsWith(';') || !trimmed || trimmed.startsWith('$')) {
-                continue;
-            }
-            
-            // Skip SOA record (multi-line)
-            if (trimmed.includes('SOA')) {
-                continue;
-            }
-            
-            // Parse record line
-            const parts = trimmed.split(/\s+/);
-            if (parts.length >= 4 && parts.includes('IN')) {
-                const inIndex = parts.indexOf('IN');
-                const name = parts[0];
-                const type = parts[inIndex + 1];
-                const value = parts.slice(inIndex + 2).join(' ');
-                
-                records.push({
-                    id: id++,
-                    name,
-                    type,
-                    value,
-                    ttl: !isNaN(parts[1]) ? parseInt(parts[1]) : 3600
-                });
-            }
-        }
-        
-        return records;
+    parseZoneFile(content, zoneName = null) {
+        return this.parseZone(content, zoneName).records;
     }
 
     /**
-     * Format record for zone file
+     * Parse zone file into records, SOA and source entries
      */
-    formatRecord(record) {
-        const name = record.name.padEnd(15);
-        const ttl = (record.ttl || 3600).toString().padEnd(8);
-        const type = record.type.padEnd(8);
-        
-        if (record.type === 'MX') {
-            const priority = record.priority || 10;
-            return `${name} ${ttl} IN ${type} ${priority} ${record.value}`;
-        } else if (record.type === 'SRV') {
-            const priority = record.priority || 10;
-            const weight = record.weight || 0;
-            const port = record.port || 0;
-            return `${name} ${ttl} IN ${type} ${priority} ${weight} ${port} ${record.value}`;
-        } else {
-            return `${name} ${ttl} IN ${type} ${record.value}`;
-        }
+    parseZone(content, zoneName = null) {
+        return zoneParser.parseZone(content, this.zoneParseOptions(zoneName));
     }
 
     /**
-     * Generate serial number (YYYYMMDDNN format)
+     * Format record for zone file
      */
-    generateSerial() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        return `${year}${month}${day}01`;
+    formatRecord(record) {
+        return zoneEditor.formatRecordLine(record);
     }
 
     /**
      * Increment serial number in zone file
+     * @param {string} zoneContent - Zone file content
+     * @param {string} [zoneName] - Zone name
+     * @param {string} [scheme='date'] - Serial scheme (see zoneSoa)
      */
-    incrementSerial(zoneContent) {
-        const serialRegex = /(\d{10})\s*;\s*Serial/i;
-        const match = zoneContent.match(serialRegex);
-        
-        if (match) {
-            const currentSerial = match[1];
-            const newSerial = (parseInt(currentSerial) + 1).toString();
-            return zoneContent.replace(serialRegex, `${newSerial}       ; Serial`);
-        }
-        
-        return zoneContent;
+    incrementSerial(zoneContent, zoneName = null, scheme = 'date') {
+        const { content } = zoneEditor.setSerial(zoneContent, serial => zoneSoa.nextSerial(serial, scheme), { origin: zoneName });
+        return content;
     }
 
     /**
@@ -892,17 +2547,19 @@ ${nsHostname}   IN      A       127.0.0.1
             // Generate resolver configuration
             const config = this.generateResolverConfig(resolverSettings);
             
-            // Write configuration to named.conf.options
-            const configPath = settings.bind.namedConfOptions;
-            await fs.writeFile(configPath, config, 'utf8');
-            
-            // Handle adblock zone if enabled
-            if (resolverSettings.adblock?.enabled) {
-                // Setup single adblock zone
-                await this.setupAdblockZone(resolverSettings.adblock);
-            } else {
-                await this.removeAdblockZone();
-            }
+            // Write named.conf.options and the adblock zone, then reload Bind to apply changes
+            await this.transaction(async tx => {
+                const configPath = settings.bind.namedConfOptions;
+                tx.write(configPath, config);
+                
+                // Handle adblock zone if enabled
+                if (resolverSettings.adblock?.enabled) {
+                    // Setup single adblock zone
+                    await this.setupAdblockZone(resolverSettings.adblock);
+                } else {
+                    await this.removeAdblockZone();
+                }
+            }, { reload: true, immediate: true });
             
             // Start encrypted DNS services if enabled
             const encryptedDnsService = require('./encryptedDnsService');
@@ -912,9 +2569,6 @@ ${nsHostname}   IN      A       127.0.0.1
                 await encryptedDnsService.stop();
             }
             
-            // Reload Bind to apply changes
-            await this.reloadBind();
-            
             console.log('✓ DNS Resolver enabled successfully');
             return { success: true, message: 'DNS Resolver enabled' };
         } catch (error) {
@@ -936,23 +2590,21 @@ ${nsHostname}   IN      A       127.0.0.1
             // Generate basic configuration (no resolver)
             const config = this.generateBasicConfig();
             
-            // Write configuration to named.conf.options
-            const configPath = settings.bind.namedConfOptions;
-            await fs.writeFile(configPath, config, 'utf8');
+            // Write named.conf.options, remove adblock zones and clear
+            // named.conf.local to ensure clean state, then reload Bind
+            await this.transaction(async tx => {
+                const configPath = settings.bind.namedConfOptions;
+                tx.write(configPath, config);
+                
+                await this.removeAdblockZone();
+                
+                tx.write(this.namedConfLocal, '');
+            }, { reload: true, immediate: true });
             
             // Stop encrypted DNS services
             const encryptedDnsService = require('./encryptedDnsService');
             await encryptedDnsService.stop();
             
-            // Remove adblock zones
-            await this.removeAdblockZone();
-            
-            // Clear named.conf.local to ensure clean state
-            await fs.writeFile('/etc/bind/named.conf.local', '', 'utf8');
-            
-            // Reload Bind to apply changes
-            await this.reloadBind();
-            
             console.log('✓ DNS Resolver disabled successfully');
             return { success: true, message: 'DNS Resolver disabled' };
         } catch (error) {
@@ -974,7 +2626,7 @@ ${nsHostname}   IN      A       127.0.0.1
         } = resolverSettings;
 
         let config = `options {
-    directory "/var/cache/bind";
+    directory "${this.directory}";
 
     // DNS Resolver Configuration
     recursion yes;
@@ -1045,7 +2697,7 @@ ${nsHostname}   IN      A       127.0.0.1
      */
     generateBasicConfig() {
         return `options {
-    directory "/var/cache/bind";
+    directory "${this.directory}";
 
     // Authoritative-only configuration (no resolver)
     recursion no;
@@ -1138,11 +2790,12 @@ ${nsHostname}   IN      A       127.0.0.1
             // Generate RPZ zone content
             const zoneContent = await this.generateAdblockZoneContent(adblockSettings);
             
-            // Write zone file
-            await fs.writeFile(zoneFile, zoneContent, 'utf8');
-            
-            // Add zone to named.conf.local if not already present
-            await this.addAdblockZoneToConfig(zoneName, zoneFile);
+            await this.transaction(async tx => {
+                tx.write(zoneFile, zoneContent, { zone: zoneName });
+                
+                // Add zone to named.conf.local if not already present
+                await this.addAdblockZoneToConfig(zoneName, zoneFile);
+            }, { immediate: true });
             
             console.log('✓ Adblock zone setup successfully');
         } catch (error) {
@@ -1161,15 +2814,15 @@ ${nsHostname}   IN      A       127.0.0.1
             const zoneName = 'adblock';
             const zoneFile = `/etc/bind/zones/${zoneName}.db`;
             
-            // Remove zone file if exists
-            try {
-                await fs.unlink(zoneFile);
-            } catch (error) {
-                // Ignore if file doesn't exist
-            }
-            
-            // Remove zone from named.conf.local
-            await this.removeAdblockZoneFromConfig(zoneName);
+            await this.transaction(async tx => {
+                // Remove zone file if exists
+                if (await tx.exists(zoneFile)) {
+                    tx.remove(zoneFile);
+                }
+                
+                // Remove zone from named.conf.local
+                await this.removeAdblockZoneFromConfig(zoneName);
+            }, { immediate: true });
             
             console.log('✓ Adblock zone removed successfully');
         } catch (error) {
@@ -1356,11 +3009,12 @@ ${nsHostname}   IN      A       127.0.0.1
      */
     async addAdblockZoneToConfig(zoneName, zoneFile) {
         const bindConfig = require('../utils/bindConfig');
-        const configPath = '/etc/bind/named.conf.local';
+        const configPath = this.namedConfLocal;
+        const tx = bindTransaction.current();
         let configContent = '';
         
         try {
-            configContent = await fs.readFile(configPath, 'utf8');
+            configContent = tx ? await tx.read(configPath) : await fs.readFile(configPath, 'utf8');
         } catch (error) {
             // File doesn't exist, create it
             configContent = '';
@@ -1436,10 +3090,11 @@ ${nsHostname}   IN      A       127.0.0.1
      */
     async removeAdblockZoneFromConfig(zoneName) {
         const bindConfig = require('../utils/bindConfig');
-        const configPath = '/etc/bind/named.conf.local';
+        const configPath = this.namedConfLocal;
+        const tx = bindTransaction.current();
         
         try {
-            let configContent = await fs.readFile(configPath, 'utf8');
+            let configContent = tx ? await tx.read(configPath) : await fs.readFile(configPath, 'utf8');
             
             // Split into lines
             let lines = configContent.split('\n');
@@ -1504,7 +3159,7 @@ ${nsHostname}   IN      A       127.0.0.1
             const aclsMap = new Map();
             const configFiles = [
                 '/etc/bind/named.conf.options',
-                '/etc/bind/named.conf.local'
+                this.namedConfLocal
             ];
 
             for (const filePath of configFiles) {
@@ -1608,22 +3263,26 @@ ${nsHostname}   IN      A       127.0.0.1
             // Format ACL definition
             const aclDef = `acl "${name}" {\n${aclBody}\n};\n\n`;
 
+            const staged = this.isStaging(await settingsUtil.loadSettings());
+
             // Add to named.conf.local
-            let content = await fs.readFile(this.namedConfLocal, 'utf8');
+            await this.transaction(async tx => {
+                let content = await tx.read(this.namedConfLocal);
             
-            // Add ACL at the beginning (after any existing acls or comments)
-            const insertPos = content.search(/^(\/\/|#|acl)/m);
-            if (insertPos !== -1) {
-                content = content.slice(0, insertPos) + aclDef + content.slice(insertPos);
-            } else {
-                content = aclDef + content;
-            }
+                // Add ACL at the beginning (after any existing acls or comments)
+                const insertPos = content.search(/^(\/\/|#|acl)/m);
+                if (insertPos !== -1) {
+                    content = content.slice(0, insertPos) + aclDef + content.slice(insertPos);
+                } else {
+                    content = aclDef + content;
+                }
 
-            await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
+                await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
+            });
             
-            await activityLogger.custom('acl', 'create', `ACL "${name}" created with ${entries.length} entries`, name);
+            await this.logChange(staged, customActivity('acl', 'create', `ACL "${name}" created with ${entries.length} entries`, name));
 
-            return { success: true, message: `ACL "${name}" created successfully` };
+            return { success: true, message: staged ? `ACL "${name}" staged; review it under Pending Changes` : `ACL "${name}" created successfully`, staged };
         } catch (error) {
             console.error('Error creating ACL:', error);
             throw error;
@@ -1637,20 +3296,27 @@ ${nsHostname}   IN      A       127.0.0.1
         try {
             const configFiles = [
                 '/etc/bind/named.conf.options',
-                '/etc/bind/named.conf.local'
+                this.namedConfLocal
             ];
 
+            const staged = this.isStaging(await settingsUtil.loadSettings());
+
             for (const filePath of configFiles) {
                 try {
-                    let content = await fs.readFile(filePath, 'utf8');
-                    const aclRegex = new RegExp(`acl\\s+"${name}"\\s*\\{[\\s\\S]*?\\};\\s*`, 'g');
-                    
-                    if (aclRegex.test(content)) {
+                    const deleted = await this.transaction(async tx => {
+                        let content = await tx.read(filePath);
+                        const aclRegex = new RegExp(`acl\\s+"${name}"\\s*\\{[\\s\\S]*?\\};\\s*`, 'g');
+                        if (!aclRegex.test(content)) {
+                            return false;
+                        }
                         content = content.replace(aclRegex, '');
                         await bindConfig.writeConfigWithValidation(filePath, content);
-                        
-                        await activityLogger.custom('acl', 'delete', `ACL "${name}" deleted`, name);
-                        return { success: true, message: `ACL "${name}" deleted successfully` };
+                        return true;
+                    });
+                    
+                    if (deleted) {
+                        await this.logChange(staged, customActivity('acl', 'delete', `ACL "${name}" deleted`, name));
+                        return { success: true, message: staged ? `Deletion of ACL "${name}" staged; review it under Pending Changes` : `ACL "${name}" deleted successfully`, staged };
                     }
                 } catch (err) {
                     console.warn(`Could not process ${filePath}:`, err.message);
@@ -1679,14 +3345,17 @@ ${nsHostname}   IN      A       127.0.0.1
                 throw new Error('Invalid master server IP address');
             }
 
-            let content = await fs.readFile(this.namedConfLocal, 'utf8');
+            const staged = this.isStaging(await settingsUtil.loadSettings(), { zones: [zoneName] });
+
+            await this.transaction(async tx => {
+                let content = await tx.read(this.namedConfLocal);
             
-            // Remove existing zone definition for this zone (from any location)
-            const zoneRemovalRegex = new RegExp(`zone\\s+"${zoneName}"\\s*\\{[\\s\\S]*?\\};\\s*`, 'g');
-            content = content.replace(zoneRemovalRegex, '');
+                // Remove existing zone definition for this zone (from any location)
+                const zoneRemovalRegex = new RegExp(`zone\\s+"${zoneName}"\\s*\\{[\\s\\S]*?\\};\\s*`, 'g');
+                content = content.replace(zoneRemovalRegex, '');
 
-            // Create slave zone definition with proper indentation for inside view
-            const slaveZoneDef = `
+                // Create slave zone definition with proper indentation for inside view
+                const slaveZoneDef = `
     zone "${zoneName}" {
         type slave;
         file "/etc/bind/zones/slave/${zoneName}.db";
@@ -1694,66 +3363,64 @@ ${nsHostname}   IN      A       127.0.0.1
         allow-transfer { ${allowTransferAcl}; };
     };`;
 
-            // Find global view and add zone before closing brace
-            // If no global view, create standalone zone with proper formatting
-            let added = false;
+                // Find global view and add zone before closing brace
+                // If no global view, create standalone zone with proper formatting
+                let added = false;
             
-            // Try to find 'global' view
-            const globalViewRegex = /view\s+"global"\s*\{([\s\S]*?)\n\};/;
-            const globalMatch = globalViewRegex.exec(content);
+                // Try to find 'global' view
+                const globalViewRegex = /view\s+"global"\s*\{([\s\S]*?)\n\};/;
+                const globalMatch = globalViewRegex.exec(content);
             
-            if (globalMatch) {
-                // Add zone inside global view, before closing brace
-                const insertPoint = content.lastIndexOf('};', globalMatch.index + globalMatch[0].length);
-                if (insertPoint !== -1) {
-                    content = content.slice(0, insertPoint) + slaveZoneDef + '\n' + content.slice(insertPoint);
-                    added = true;
+                if (globalMatch) {
+                    // Add zone inside global view, before closing brace
+                    const insertPoint = content.lastIndexOf('};', globalMatch.index + globalMatch[0].length);
+                    if (insertPoint !== -1) {
+                        content = content.slice(0, insertPoint) + slaveZoneDef + '\n' + content.slice(insertPoint);
+                        added = true;
+                    }
                 }
-            }
 
-            // If not added yet, try to find any view and add there
-            if (!added) {
-                const firstViewMatch = /view\s+"[^"]+"\s*\{/;
-                const viewPos = content.search(firstViewMatch);
-                if (viewPos !== -1) {
-                    // Find this view's closing brace
-                    let braceCount = 0;
-                    let inBrace = false;
-                    for (let i = viewPos; i < content.length; i++) {
-                        if (content[i] === '{') {
-                            braceCount++;
-                            inBrace = true;
-                        } else if (content[i] === '}') {
-                            braceCount--;
-                            if (inBrace && braceCount === 0) {
-                                content = content.slice(0, i) + slaveZoneDef + '\n' + content.slice(i);
-                                added = true;
-                                break;
+                // If not added yet, try to find any view and add there
+                if (!added) {
+                    const firstViewMatch = /view\s+"[^"]+"\s*\{/;
+                    const viewPos = content.search(firstViewMatch);
+                    if (viewPos !== -1) {
+                        // Find this view's closing brace
+                        let braceCount = 0;
+                        let inBrace = false;
+                        for (let i = viewPos; i < content.length; i++) {
+                            if (content[i] === '{') {
+                                braceCount++;
+                                inBrace = true;
+                            } else if (content[i] === '}') {
+                                braceCount--;
+                                if (inBrace && braceCount === 0) {
+                                    content = content.slice(0, i) + slaveZoneDef + '\n' + content.slice(i);
+                                    added = true;
+                                    break;
+                                }
                             }
                         }
                     }
                 }
-            }
 
-            // If still not added, add at top level before views
-            if (!added) {
-                const viewPos = content.search(/^view/m);
-                if (viewPos !== -1) {
-                    content = content.slice(0, viewPos) + slaveZoneDef + '\n\n' + content.slice(viewPos);
-                } else {
-                    content = slaveZoneDef + '\n\n' + content;
+                // If still not added, add at top level before views
+                if (!added) {
+                    const viewPos = content.search(/^view/m);
+                    if (viewPos !== -1) {
+                        content = content.slice(0, viewPos) + slaveZoneDef + '\n\n' + content.slice(viewPos);
+                    } else {
+                        content = slaveZoneDef + '\n\n' + content;
+                    }
                 }
-            }
 
-            await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
-            
-            // Ensure slave directory exists and create placeholder zone file
-            await fs.ensureDir('/etc/bind/zones/slave');
+                await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
             
-            const slaveZoneFile = `/etc/bind/zones/slave/${zoneName}.db`;
-            if (!await fs.pathExists(slaveZoneFile)) {
-                // Create placeholder SOA record for slave zone
-                const placeholderContent = `; Slave zone file for ${zoneName}
+                // Create placeholder zone file
+                const slaveZoneFile = `/etc/bind/zones/slave/${zoneName}.db`;
+                if (!await tx.exists(slaveZoneFile)) {
+                    // Create placeholder SOA record for slave zone
+                    const placeholderContent = `; Slave zone file for ${zoneName}
 ; This file will be populated when zone transfers from master server
 $ORIGIN ${zoneName}.
 $TTL 3600
@@ -1765,15 +3432,17 @@ $TTL 3600
                 86400 )     ; minimum
     IN  NS  ns1.${zoneName}.
 `;
-                await fs.writeFile(slaveZoneFile, placeholderContent);
-                console.log(`✓ Created placeholder slave zone file: ${slaveZoneFile}`);
-            }
+                    tx.write(slaveZoneFile, placeholderContent, { zone: zoneName });
+                    console.log(`✓ Created placeholder slave zone file: ${slaveZoneFile}`);
+                }
+            }, { zones: [zoneName] });
 
-            await activityLogger.custom('zone', 'convert', `Zone "${zoneName}" converted to slave (master: ${masterIp})`, zoneName);
+            await this.logChange(staged, customActivity('zone', 'convert', `Zone "${zoneName}" converted to slave (master: ${masterIp})`, zoneName));
 
             return { 
                 success: true, 
-                message: `Zone "${zoneName}" successfully converted to slave zone`
+                message: staged ? `Conversion of "${zoneName}" to a slave zone staged; review it under Pending Changes` : `Zone "${zoneName}" successfully converted to slave zone`,
+                staged
             };
         } catch (error) {
             console.error('Error converting to slave zone:', error);
@@ -1790,17 +3459,20 @@ $TTL 3600
                 throw new Error('Zone name and zone file are required');
             }
 
-            let content = await fs.readFile(this.namedConfLocal, 'utf8');
+            const staged = this.isStaging(await settingsUtil.loadSettings(), { zones: [zoneName] });
+
+            await this.transaction(async tx => {
+                let content = await tx.read(this.namedConfLocal);
             
-            // Remove existing zone definition for this zone
-            const zoneRemovalRegex = new RegExp(`zone\\s+"${zoneName}"\\s*\\{[\\s\\S]*?\\};\\s*`, 'g');
-            content = content.replace(zoneRemovalRegex, '');
+                // Remove existing zone definition for this zone
+                const zoneRemovalRegex = new RegExp(`zone\\s+"${zoneName}"\\s*\\{[\\s\\S]*?\\};\\s*`, 'g');
+                content = content.replace(zoneRemovalRegex, '');
 
-            // Resolve file path
-            const zoneFile = file.startsWith('/') ? file : '/etc/bind/zones/' + file;
+                // Resolve file path
+                const zoneFile = file.startsWith('/') ? file : '/etc/bind/zones/' + file;
 
-            // Create master zone definition with proper indentation
-            const masterZoneDef = `
+                // Create master zone definition with proper indentation
+                const masterZoneDef = `
     zone "${zoneName}" {
         type master;
         file "${zoneFile}";
@@ -1808,58 +3480,60 @@ $TTL 3600
         allow-update { none; };
     };`;
 
-            // Try to find 'global' view and add zone
-            let added = false;
-            const globalViewRegex = /view\s+"global"\s*\{([\s\S]*?)\n\};/;
-            const globalMatch = globalViewRegex.exec(content);
+                // Try to find 'global' view and add zone
+                let added = false;
+                const globalViewRegex = /view\s+"global"\s*\{([\s\S]*?)\n\};/;
+                const globalMatch = globalViewRegex.exec(content);
             
-            if (globalMatch) {
-                const insertPoint = content.lastIndexOf('};', globalMatch.index + globalMatch[0].length);
-                if (insertPoint !== -1) {
-                    content = content.slice(0, insertPoint) + masterZoneDef + '\n' + content.slice(insertPoint);
-                    added = true;
+                if (globalMatch) {
+                    const insertPoint = content.lastIndexOf('};', globalMatch.index + globalMatch[0].length);
+                    if (insertPoint !== -1) {
+                        content = content.slice(0, insertPoint) + masterZoneDef + '\n' + content.slice(insertPoint);
+                        added = true;
+                    }
                 }
-            }
 
-            // If not added yet, try to find any view
-            if (!added) {
-                const firstViewMatch = /view\s+"[^"]+"\s*\{/;
-                const viewPos = content.search(firstViewMatch);
-                if (viewPos !== -1) {
-                    let braceCount = 0;
-                    let inBrace = false;
-                    for (let i = viewPos; i < content.length; i++) {
-                        if (content[i] === '{') {
-                            braceCount++;
-                            inBrace = true;
-                        } else if (content[i] === '}') {
-                            braceCount--;
-                            if (inBrace && braceCount === 0) {
-                                content = content.slice(0, i) + masterZoneDef + '\n' + content.slice(i);
-                                added = true;
-                                break;
+                // If not added yet, try to find any view
+                if (!added) {
+                    const firstViewMatch = /view\s+"[^"]+"\s*\{/;
+                    const viewPos = content.search(firstViewMatch);
+                    if (viewPos !== -1) {
+                        let braceCount = 0;
+                        let inBrace = false;
+                        for (let i = viewPos; i < content.length; i++) {
+                            if (content[i] === '{') {
+                                braceCount++;
+                                inBrace = true;
+                            } else if (content[i] === '}') {
+                                braceCount--;
+                                if (inBrace && braceCount === 0) {
+                                    content = content.slice(0, i) + masterZoneDef + '\n' + content.slice(i);
+                                    added = true;
+                                    break;
+                                }
                             }
                         }
                     }
                 }
-            }
 
-            if (!added) {
-                const viewPos = content.search(/^view/m);
-                if (viewPos !== -1) {
-                    content = content.slice(0, viewPos) + masterZoneDef + '\n\n' + content.slice(viewPos);
-                } else {
-                    content = masterZoneDef + '\n\n' + content;
+                if (!added) {
+                    const viewPos = content.search(/^view/m);
+                    if (viewPos !== -1) {
+                        content = content.slice(0, viewPos) + masterZoneDef + '\n\n' + content.slice(viewPos);
+                    } else {
+                        content = masterZoneDef + '\n\n' + content;
+                    }
                 }
-            }
 
-            await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
+                await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
+            }, { zones: [zoneName] });
 
-            await activityLogger.custom('zone', 'convert', `Zone "${zoneName}" converted to master`, zoneName);
+            await this.logChange(staged, customActivity('zone', 'convert', `Zone "${zoneName}" converted to master`, zoneName));
 
             return { 
                 success: true, 
-                message: `Zone "${zoneName}" successfully converted to master zone`
+                message: staged ? `Conversion of "${zoneName}" to a master zone staged; review it under Pending Changes` : `Zone "${zoneName}" successfully converted to master zone`,
+                staged
             };
         } catch (error) {
             console.error('Error converting to master zone:', error);
@@ -1880,27 +3554,32 @@ $TTL 3600
                 throw new Error('Invalid master server IP address');
             }
 
-            let content = await fs.readFile(this.namedConfLocal, 'utf8');
+            const staged = this.isStaging(await settingsUtil.loadSettings(), { zones: [zoneName] });
+
+            await this.transaction(async tx => {
+                let content = await tx.read(this.namedConfLocal);
             
-            // Find and update the slave zone's masters statement
-            const zoneRegex = new RegExp(
-                `(zone\\s+"${zoneName}"\\s*\\{[\\s\\S]*?masters\\s*\\{\\s*)([^}]+)(\\s*\\};[\\s\\S]*?\\};)`,
-                'g'
-            );
+                // Find and update the slave zone's masters statement
+                const zoneRegex = new RegExp(
+                    `(zone\\s+"${zoneName}"\\s*\\{[\\s\\S]*?masters\\s*\\{\\s*)([^}]+)(\\s*\\};[\\s\\S]*?\\};)`,
+                    'g'
+                );
 
-            if (!zoneRegex.test(content)) {
-                throw new Error(`Slave zone "${zoneName}" not found`);
-            }
+                if (!zoneRegex.test(content)) {
+                    throw new Error(`Slave zone "${zoneName}" not found`);
+                }
 
-            content = content.replace(zoneRegex, `$1${newMasterIp};$3`);
+                content = content.replace(zoneRegex, `$1${newMasterIp};$3`);
 
-            await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
+                await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
+            }, { zones: [zoneName] });
 
-            await activityLogger.custom('zone', 'update', `Slave zone "${zoneName}" master updated to ${newMasterIp}`, zoneName);
+            await this.logChange(staged, customActivity('zone', 'update', `Slave zone "${zoneName}" master updated to ${newMasterIp}`, zoneName));
 
             return { 
                 success: true, 
-                message: `Master server for "${zoneName}" updated to ${newMasterIp}`
+                message: staged ? `Master server change for "${zoneName}" staged; review it under Pending Changes` : `Master server for "${zoneName}" updated to ${newMasterIp}`,
+                staged
             };
         } catch (error) {
             console.error('Error updating slave zone master:', error);
@@ -2005,33 +3684,38 @@ $TTL 3600
                 throw new Error('Zone name and ACL name are required');
             }
 
-            let content = await fs.readFile(this.namedConfLocal, 'utf8');
+            const staged = this.isStaging(await settingsUtil.loadSettings(), { zones: [zoneName] });
 
-            // Find zone and update or add allow-transfer
-            const zoneRegex = new RegExp(
-                `(zone\\s+"${zoneName}"\\s*\\{[\\s\\S]*?)(allow-transfer\\s*\\{[^}]+\\};|)(\\s*\\};)`,
-                'g'
-            );
+            await this.transaction(async tx => {
+                let content = await tx.read(this.namedConfLocal);
 
-            if (!zoneRegex.test(content)) {
-                throw new Error(`Zone "${zoneName}" not found`);
-            }
+                // Find zone and update or add allow-transfer
+                const zoneRegex = new RegExp(
+                    `(zone\\s+"${zoneName}"\\s*\\{[\\s\\S]*?)(allow-transfer\\s*\\{[^}]+\\};|)(\\s*\\};)`,
+                    'g'
+                );
 
-            const allowTransferLine = `allow-transfer { ${aclName}; };`;
+                if (!zoneRegex.test(content)) {
+                    throw new Error(`Zone "${zoneName}" not found`);
+                }
 
-            content = content.replace(zoneRegex, (match, before, existing, after) => {
-                // Remove existing allow-transfer if any
-                const beforeClean = before.replace(/allow-transfer\s*\{[^}]+\};\s*/g, '');
-                return `${beforeClean}    ${allowTransferLine}${after}`;
-            });
+                const allowTransferLine = `allow-transfer { ${aclName}; };`;
+
+                content = content.replace(zoneRegex, (match, before, existing, after) => {
+                    // Remove existing allow-transfer if any
+                    const beforeClean = before.replace(/allow-transfer\s*\{[^}]+\};\s*/g, '');
+                    return `${beforeClean}    ${allowTransferLine}${after}`;
+                });
 
-            await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
+                await bindConfig.writeConfigWithValidation(this.namedConfLocal, content);
+            }, { zones: [zoneName] });
 
-            await activityLogger.custom('zone', 'update', `Zone "${zoneName}" allow-transfer set to ACL "${aclName}"`, zoneName);
+            await this.logChange(staged, customActivity('zone', 'update', `Zone "${zoneName}" allow-transfer set to ACL "${aclName}"`, zoneName));
 
             return { 
                 success: true, 
-                message: `Zone "${zoneName}" allow-transfer updated`
+                message: staged ? `Allow-transfer change for "${zoneName}" staged; review it under Pending Changes` : `Zone "${zoneName}" allow-transfer updated`,
+                staged
             };
         } catch (error) {
             console.error('Error setting zone allow-transfer:', error);
@@ -2039,6 +3723,223 @@ $TTL 3600
         }
     }
 
+    /**
+     * DNSSEC signing state of a zone: the dnssec-policy of its named.conf
+     * block, the policy options when NDash wrote the policy, and the keys
+     * BIND generated with their DNSKEY and DS records
+     * @param {string} zoneName - Zone name
+     * @returns {Promise<Object>} { zone, status: unsigned|signed|unsigning, policyName, policy, keyDirectory, keys }
+     */
+    async getZoneDnssec(zoneName) {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            const content = await fs.readFile(this.namedConfLocal, 'utf8');
+            const statements = bindConfig.getZoneStatements(content, zone.name) || {};
+            const unquote = value => (value || '').replace(/^"(.*)"$/, '$1') || null;
+
+            const policyName = unquote(statements['dnssec-policy']);
+            const status = !policyName || policyName === 'none' ? 'unsigned'
+                : policyName === 'insecure' ? 'unsigning' : 'signed';
+            const keyDirectory = unquote(statements['key-directory']) || this.keysPath;
+            const policy = policyName === dnssec.policyName(zone.name)
+                ? dnssec.parsePolicyBody(bindConfig.getNamedBlock(content, 'dnssec-policy', policyName))
+                : null;
+
+            return {
+                zone: zone.name,
+                type: zone.type,
+                status,
+                policyName,
+                policy,
+                keyDirectory,
+                keys: status === 'unsigned' ? [] : await dnssec.listKeys(keyDirectory, zone.name)
+            };
+        } catch (error) {
+            throw new Error(`Failed to get DNSSEC state: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sign a master zone, or change its signing policy. The zone gets its own
+     * dnssec-policy (ndash-<zone>) with inline-signing, so BIND keeps the
+     * signed copy next to the zone file and generates and rolls the keys.
+     * @param {string} zoneName - Zone name
+     * @param {Object} options - { algorithm, kskLifetime, zskLifetime, denial }, see dnssec.normalizePolicy
+     * @returns {Promise<Object>} { success, message, policy, staged }
+     */
+    async enableZoneDnssec(zoneName, options = {}) {
+        try {
+            const { zone } = await this.getZone(zoneName);
+            if (!['master', 'primary'].includes(zone.type)) {
+                throw new Error(`Invalid zone type ${zone.type}: only master zones can be signed`);
+            }
+            const policy = dnssec.normalizePolicy(options);
+            const name = dnssec.policyName(zone.name);
+            const staged = this.isStaging(await settingsUtil.loadSettings(), { zones: [zone.name] });
+
+            await fs.ensureDir(this.keysPath);
+            await this.transaction(async tx => {
+                let content = await tx.read(this.namedConfLocal);
+                content = bindConfig.setNamedBlock(content, 'dnssec-policy', name, dnssec.policyBody(policy));
+                content = bindConfig.setZoneStatements(content, zone.name, {
+                    'dnssec-policy': `"${name}"`,
+                    'inline-signing': 'yes',
+                    'key-directory': `"${this.keysPath}"`
+                });
+                tx.write(this.namedConfLocal, content);
+            }, { zones: [zone.name] });
+
+            await this.logChange(staged, customActivity('zone', 'dnssec',
+                `DNSSEC signing enabled for zone "${zone.name}" (${policy.algorithm}, ${policy.denial.toUpperCase()}, KSK ${policy.kskLifetime}, ZSK ${policy.zskLifetime})`,
+                zone.name, { policy }));
+
+            return {
+                success: true,
+                message: staged ? `DNSSEC signing of "${zone.name}" staged; review it under Pending Changes` : `DNSSEC signing enabled for "${zone.name}"; BIND generates the keys and signs the zone`,
+                policy,
+                staged
+            };
+        } catch (error) {
+            throw new Error(`Failed to enable DNSSEC: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop signing a zone. The zone is switched to the built-in insecure
+     * policy, under which BIND withdraws the DNSKEY records and signatures
+     * in safe steps; the DS record must be removed at the parent first.
+     * @param {string} zoneName - Zone name
+     * @returns {Promise<Object>} { success, message, staged }
+     */
+    async disableZoneDnssec(zoneName) {
+        try {
+            const { zone, status } = await this.getZoneDnssec(zoneName);
+            if (status !== 'signed') {
+                throw new Error(`Zone ${zone} is not signed`);
+            }
+            const staged = this.isStaging(await settingsUtil.loadSettings(), { zones: [zone] });
+
+            await this.transaction(async tx => {
+                let content = await tx.read(this.namedConfLocal);
+                content = bindConfig.setZoneStatements(content, zone, { 'dnssec-policy': 'insecure' });
+                content = bindConfig.setNamedBlock(content, 'dnssec-policy', dnssec.policyName(zone), null);
+                tx.write(this.namedConfLocal, content);
+            }, { zones: [zone] });
+
+            await this.logChange(staged, customActivity('zone', 'dnssec', `DNSSEC signing disabled for zone "${zone}"; BIND is unsigning it`, zone));
+
+            return {
+                success: true,
+                message: staged ? `Unsigning of "${zone}" staged; review it under Pending Changes` : `DNSSEC signing disabled for "${zone}"; BIND removes the keys and signatures`,
+                staged
+            };
+        } catch (error) {
+            throw new Error(`Failed to disable DNSSEC: ${error.message}`);
+        }
+    }
+
+    /**
+     * Key rollover state of a signed zone: every key with its lifecycle
+     * phase, the KSK rollovers in progress, the DS steps at the parent with
+     * when they are due, and what `rndc dnssec -status` reports
+     * @param {string} zoneName - Zone name
+     * @returns {Promise<Object>} getZoneDnssec's state plus { view, rollovers, steps, rndc: { output, status, error } }
+     */
+    async getDnssecRollover(zoneName) {
+        try {
+            const state = await this.getZoneDnssec(zoneName);
+            const { zone } = await this.getZone(zoneName);
+            const rndc = { output: null, status: null, error: null };
+            if (state.status !== 'unsigned') {
+                try {
+                    rndc.output = await this.rndcDnssecStatus(zone.name, zone.view);
+                    rndc.status = dnssec.parseRndcStatus(rndc.output);
+                } catch (error) {
+                    rndc.error = error.message;
+                }
+            }
+
+            const reported = new Map((rndc.status ? rndc.status.keys : []).map(key => [key.tag, key]));
+            const keys = state.keys.map(key => ({
+                ...key,
+                phase: dnssec.lifecyclePhase(key),
+                rndc: reported.get(key.tag) || null
+            }));
+            return {
+                ...state,
+                view: zone.view || null,
+                keys,
+                rollovers: dnssec.kskRollovers(keys),
+                steps: dnssec.rolloverSteps(keys, { zone: zone.name, view: zone.view }),
+                rndc
+            };
+        } catch (error) {
+            throw new Error(`Failed to get DNSSEC rollover state: ${error.message}`);
+        }
+    }
+
+    /**
+     * Output of `rndc dnssec -status` for a zone
+     */
+    async rndcDnssecStatus(zoneName, viewName = null) {
+        const args = ['dnssec', '-status', zoneName, ...(viewName ? ['IN', viewName] : [])];
+        try {
+            const { stdout } = await execFilePromise('rndc', args, { timeout: 10000 });
+            return stdout;
+        } catch (error) {
+            throw new Error(`rndc dnssec -status failed: ${(error.stderr || error.message).trim()}`);
+        }
+    }
+
+    /**
+     * Log an alert to the activity log for every DS step of a signed zone
+     * that is overdue. An alert is repeated daily while the step stays overdue.
+     * @returns {Promise<Object[]>} The overdue steps, with their zone
+     */
+    async checkDnssecRollovers() {
+        const overdue = [];
+        const zones = await this.listZones();
+        for (const zone of zones.filter(z => ['master', 'primary'].includes(z.type))) {
+            let state;
+            try {
+                state = await this.getZoneDnssec(zone.name);
+            } catch (error) {
+                continue;
+            }
+            if (state.status === 'unsigned') continue;
+
+            const steps = dnssec.rolloverSteps(state.keys, { zone: zone.name, view: zone.view });
+            for (const step of steps.filter(s => s.overdue)) {
+                overdue.push({ zone: zone.name, ...step });
+                const alertKey = `${zone.name} ${step.tag} ${step.action}`;
+                const lastAlert = this.dnssecAlerts.get(alertKey);
+                if (lastAlert && Date.now() - lastAlert < DNSSEC_ALERT_REPEAT) continue;
+                this.dnssecAlerts.set(alertKey, Date.now());
+
+                const what = step.action === 'publish-ds'
+                    ? `publish the DS record of key ${step.tag} at the parent`
+                    : `withdraw the DS record of key ${step.tag} from the parent`;
+                await activityLogger.custom('zone', 'alert',
+                    `DNSSEC step overdue for zone "${zone.name}": ${what} (due ${step.due.toISOString()}), then run: ${step.command}`,
+                    zone.name, { tag: step.tag, step: step.action, due: step.due, ds: step.ds, command: step.command });
+            }
+        }
+        return overdue;
+    }
+
+    /**
+     * Check signed zones for overdue DS steps now and then every hour
+     */
+    startDnssecMonitor() {
+        if (this.dnssecMonitor) return;
+        const check = () => this.checkDnssecRollovers().catch(error => {
+            console.error('Error checking DNSSEC rollovers:', error.message);
+        });
+        check();
+        this.dnssecMonitor = setInterval(check, DNSSEC_CHECK_INTERVAL);
+        this.dnssecMonitor.unref();
+    }
+
     /**
      * Validate IP address
      */
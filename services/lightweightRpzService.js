@@ -2,13 +2,14 @@ const fs = require('fs-extra');
 const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
+const config = require('../config');
 const execPromise = util.promisify(exec);
 
 class LightweightRPZService {
     constructor() {
         this.lightweightZoneFile = '/opt/ndash/lightweight-rpz.db';
         this.bindOptionsPath = '/etc/bind/named.conf.options';
-        this.bindLocalPath = '/etc/bind/named.conf.local';
+        this.bindLocalPath = config.bind.confPath;
     }
 
     /**
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const bindTransaction = require('../utils/bindTransaction');
+
+async function tempDir(t) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'ndash-tx-'));
+    t.after(() => fs.remove(root));
+    return root;
+}
+
+test('a commit replaces every file and leaves no temporary files', async (t) => {
+    const root = await tempDir(t);
+    const zone = path.join(root, 'db.example.com');
+    const conf = path.join(root, 'named.conf.local');
+    await fs.writeFile(zone, 'old zone\n');
+
+    await bindTransaction.run(async tx => {
+        tx.write(zone, 'new zone\n', { zone: 'example.com' });
+        tx.write(conf, 'zone "example.com" {};\n');
+    }, { validate: false });
+
+    assert.strictEqual(await fs.readFile(zone, 'utf8'), 'new zone\n');
+    assert.strictEqual(await fs.readFile(conf, 'utf8'), 'zone "example.com" {};\n');
+    assert.deepStrictEqual((await fs.readdir(root)).sort(), ['db.example.com', 'named.conf.local']);
+});
+
+test('a failed reload puts the previous files back', async (t) => {
+    const root = await tempDir(t);
+    const zone = path.join(root, 'db.example.com');
+    const created = path.join(root, 'db.new.example');
+    await fs.writeFile(zone, 'old zone\n');
+    let reloads = 0;
+
+    await assert.rejects(bindTransaction.run(async tx => {
+        tx.write(zone, 'new zone\n', { zone: 'example.com' });
+        tx.write(created, 'new file\n', { zone: 'new.example' });
+    }, {
+        validate: false,
+        reload: async () => {
+            reloads++;
+            if (reloads === 1) throw new Error('rndc reload failed');
+        }
+    }), /rndc reload failed; previous files restored/);
+
+    assert.strictEqual(await fs.readFile(zone, 'utf8'), 'old zone\n');
+    assert.strictEqual(await fs.pathExists(created), false);
+    // BIND is reloaded again with the restored files
+    assert.strictEqual(reloads, 2);
+});
+
+test('a file that fails its check is never renamed into place', async (t) => {
+    const root = await tempDir(t);
+    const zone = path.join(root, 'db.example.com');
+    await fs.writeFile(zone, 'old zone\n');
+
+    // Fails with named-checkzone installed (no SOA) and without it (not found)
+    await assert.rejects(bindTransaction.run(async tx => {
+        tx.write(zone, 'www IN A 192.0.2.1\n', { zone: 'example.com' });
+    }));
+
+    assert.strictEqual(await fs.readFile(zone, 'utf8'), 'old zone\n');
+    assert.deepStrictEqual(await fs.readdir(root), ['db.example.com']);
+});
+
+test('a staged transaction builds on earlier changes and writes nothing', async (t) => {
+    const root = await tempDir(t);
+    const zone = path.join(root, 'db.example.com');
+    await fs.writeFile(zone, 'old zone\n');
+    const earlier = new Map([[zone, { content: 'staged zone\n', zone: 'example.com' }]]);
+
+    const { value, changes } = await bindTransaction.stage(async tx => {
+        const content = await tx.read(zone);
+        tx.write(zone, `${content}www IN A 192.0.2.1\n`, { zone: 'example.com' });
+        return content;
+    }, earlier);
+
+    assert.strictEqual(value, 'staged zone\n');
+    assert.strictEqual(changes.get(zone).content, 'staged zone\nwww IN A 192.0.2.1\n');
+    assert.strictEqual(await fs.readFile(zone, 'utf8'), 'old zone\n');
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const bindTransaction = require('../utils/bindTransaction');
+const requestContext = require('../utils/requestContext');
+// Registers the listener that keeps written files with their request
+require('../utils/configHistory');
+
+test('files written by concurrent requests stay with the request that wrote them', async (t) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'ndash-history-'));
+    t.after(() => fs.remove(root));
+    const alice = path.join(root, 'db.a.test');
+    const bob = path.join(root, 'db.b.test');
+
+    const write = (user, file) => requestContext.run({ user: { username: user } }, async () => {
+        await bindTransaction.run(async tx => tx.write(file, `; ${user}\n`), { validate: false });
+        // Give the other request time to write before this one looks
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return [...requestContext.changedFiles()];
+    });
+
+    const [aliceFiles, bobFiles] = await Promise.all([write('alice', alice), write('bob', bob)]);
+    assert.deepStrictEqual(aliceFiles, [alice]);
+    assert.deepStrictEqual(bobFiles, [bob]);
+    assert.deepStrictEqual([...requestContext.changedFiles()], []);
+});
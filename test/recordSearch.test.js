@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const recordSearch = require('../utils/recordSearch');
+
+const zone = { name: 'example.com' };
+
+function entry(type, rdataText) {
+    return recordSearch.indexEntry(zone, { name: '@', fqdn: 'example.com.', type, ttl: 3600, rdataText });
+}
+
+test('an address term matches and replaces only whole addresses in TXT records', () => {
+    const matches = recordSearch.compileQuery('127.0.0.1', 'value');
+    const longer = entry('TXT', '"v=spf1 ip4:127.0.0.10 -all"');
+    const exact = entry('TXT', '"v=spf1 ip4:127.0.0.1 ip4:127.0.0.10 -all"');
+
+    assert.strictEqual(matches(longer), false);
+    assert.strictEqual(matches(exact), true);
+    assert.strictEqual(recordSearch.replaceValue(longer, '127.0.0.1', '10.0.0.5'), '"v=spf1 ip4:127.0.0.10 -all"');
+    assert.strictEqual(recordSearch.replaceValue(exact, '127.0.0.1', '10.0.0.5'), '"v=spf1 ip4:10.0.0.5 ip4:127.0.0.10 -all"');
+});
+
+test('an IPv6 term does not match inside a longer address', () => {
+    const matches = recordSearch.compileQuery('db8::1', 'value');
+    assert.strictEqual(matches(entry('TXT', '"v=spf1 ip6:2001:db8::1 -all"')), false);
+    assert.strictEqual(recordSearch.compileQuery('2001:db8::1', 'value')(entry('TXT', '"v=spf1 ip6:2001:db8::1 -all"')), true);
+    assert.strictEqual(recordSearch.compileQuery('2001:db8::1', 'value')(entry('AAAA', '2001:0db8::0001')), true);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const recordValidator = require('../utils/recordValidator');
+const { ValidationError } = require('../utils/errors');
+
+const options = { origin: 'example.com' };
+
+test('errors are reported per field', () => {
+    assert.deepStrictEqual(recordValidator.validateRecord({ name: 'www', type: 'A', value: '192.0.2.256' }, options).errors,
+        [{ field: 'value', message: 'must be an IPv4 address such as 192.0.2.10' }]);
+    assert.deepStrictEqual(recordValidator.validateRecord({ name: '@', type: 'MX', value: 'mail', priority: 70000 }, options).errors,
+        [{ field: 'priority', message: 'must be an integer between 0 and 65535' }]);
+});
+
+test('assertValidRecord throws a ValidationError carrying the field errors', () => {
+    assert.throws(
+        () => recordValidator.assertValidRecord({ name: 'www', type: 'AAAA', value: '192.0.2.1' }, options),
+        error => error instanceof ValidationError && error.errors[0].field === 'value'
+    );
+});
+
+test('a CNAME cannot join other data at its name', () => {
+    const existing = [{ name: 'www', fqdn: 'www.example.com.', type: 'A' }];
+    const { errors } = recordValidator.validateRecord({ name: 'www', type: 'CNAME', value: 'web.example.com.' }, { ...options, existing });
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].field, 'name');
+    assert.match(errors[0].message, /CNAME cannot coexist/);
+});
+
+test('long TXT values are split into strings of at most 255 bytes', () => {
+    const value = 'x'.repeat(300);
+    const { record, errors } = recordValidator.validateRecord({ name: 'txt', type: 'TXT', value }, options);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(record.rdata.strings.map(s => s.length), [255, 45]);
+    assert.strictEqual(record.rdata.strings.join(''), value);
+});
+
+test('quoted TXT strings are kept as given, escaped quotes included', () => {
+    const { record, errors } = recordValidator.validateRecord({ name: 'txt', type: 'TXT', value: '"v=spf1 -all" "say \\"hi\\""' }, options);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(record.rdata.strings, ['v=spf1 -all', 'say \\"hi\\"']);
+});
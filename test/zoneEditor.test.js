@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zoneEditor = require('../utils/zoneEditor');
+const zoneParser = require('../utils/zoneParser');
+const recordValidator = require('../utils/recordValidator');
+
+const options = { origin: 'example.com' };
+
+const ZONE = [
+    '$TTL 3600',
+    '@ IN SOA ns1.example.com. admin.example.com. (',
+    '        2024010101 ; serial',
+    '        7200 3600 1209600 3600 )',
+    '; web servers',
+    'www  IN A 192.0.2.1 ; first',
+    '     IN A 192.0.2.2',
+    '     IN A 192.0.2.3',
+    'mail IN A 192.0.2.9',
+    ''
+].join('\n');
+
+function addresses(content, name) {
+    return zoneParser.parseZone(content, options).records
+        .filter(r => r.name === name && r.type === 'A')
+        .map(r => r.rdataText);
+}
+
+test('deleting one of several A records of an owner keeps the others and every other line', () => {
+    const content = zoneEditor.deleteRecord(ZONE, { name: 'www', type: 'A', rdata: '192.0.2.2' }, options);
+
+    assert.strictEqual(content, ZONE.replace('     IN A 192.0.2.2\n', ''));
+    assert.deepStrictEqual(addresses(content, 'www'), ['192.0.2.1', '192.0.2.3']);
+});
+
+test('deleting the line that names the owner moves the name to the next record', () => {
+    const content = zoneEditor.deleteRecord(ZONE, { name: 'www', type: 'A', rdata: '192.0.2.1' }, options);
+
+    assert.deepStrictEqual(addresses(content, 'www'), ['192.0.2.2', '192.0.2.3']);
+    assert.deepStrictEqual(addresses(content, 'mail'), ['192.0.2.9']);
+    assert.ok(content.includes('; web servers\n'));
+});
+
+test('deleting without the value is refused when several records share name and type', () => {
+    assert.throws(
+        () => zoneEditor.deleteRecord(ZONE, { name: 'www', type: 'A' }, options),
+        /specify the record value/
+    );
+});
+
+test('a TXT value with quotes and a ; is written quoted and reads back unchanged', () => {
+    const { record } = recordValidator.validateRecord({ name: 'txt', type: 'TXT', value: 'say "hi" ; not a comment' }, options);
+    const content = zoneEditor.addRecord(ZONE, record, options);
+    const txt = zoneParser.parseZone(content, options).records.find(r => r.type === 'TXT');
+
+    assert.match(content, /IN TXT\s+"say \\"hi\\" ; not a comment"\n/);
+    assert.deepStrictEqual(txt.rdata.strings, ['say \\"hi\\" ; not a comment']);
+    assert.strictEqual(txt.comment, null);
+});
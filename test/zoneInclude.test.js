@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const bindService = require('../services/bindService');
+
+test('relative $INCLUDE is read from named\'s directory, not the zone file\'s', async (t) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'ndash-include-'));
+    const directory = bindService.directory;
+    t.after(async () => {
+        bindService.directory = directory;
+        await fs.remove(root);
+    });
+
+    await fs.outputFile(path.join(root, 'named', 'includes', 'www.inc'), 'www IN A 192.0.2.1\n');
+    await fs.outputFile(path.join(root, 'zones', 'includes', 'www.inc'), 'www IN A 198.51.100.1\n');
+    bindService.directory = path.join(root, 'named');
+
+    const parsed = bindService.parseZone([
+        '$TTL 3600',
+        '@ IN SOA ns1.example.com. admin.example.com. ( 1 7200 3600 1209600 3600 )',
+        '@ IN NS ns1.example.com.',
+        '$INCLUDE includes/www.inc'
+    ].join('\n'), 'example.com');
+
+    const www = parsed.records.find(record => record.name === 'www');
+    assert.strictEqual(www.value, '192.0.2.1');
+    assert.strictEqual(bindService.includePath('includes/www.inc'), path.join(root, 'named', 'includes', 'www.inc'));
+    assert.strictEqual(bindService.includePath('/etc/bind/www.inc'), '/etc/bind/www.inc');
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zoneParser = require('../utils/zoneParser');
+
+const SOA = [
+    '$TTL 3600',
+    '@ IN SOA ns1.example.com. admin.example.com. 1 7200 3600 1209600 3600',
+    '@ IN NS ns1.example.com.'
+];
+
+function parse(lines) {
+    return zoneParser.parseZone([...SOA, ...lines].join('\n'), { origin: 'example.com' });
+}
+
+test('$GENERATE ranges past the limit are a parse error, not an expansion', () => {
+    const started = Date.now();
+    const { records, errors } = parse(['$GENERATE 0-4294967295 host$ A 192.0.2.1']);
+
+    assert.ok(Date.now() - started < 1000);
+    assert.strictEqual(records.filter(r => r.generated).length, 0);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].line, 4);
+    assert.match(errors[0].message, /too large/);
+});
+
+test('the $GENERATE limit counts every directive of the zone', () => {
+    const half = zoneParser.MAX_GENERATED_RECORDS / 2;
+    const { records, errors } = parse([
+        `$GENERATE 1-${half} a$ A 192.0.2.1`,
+        `$GENERATE 1-${half} b$ A 192.0.2.1`,
+        '$GENERATE 1-2 c$ A 192.0.2.1'
+    ]);
+
+    assert.strictEqual(records.filter(r => r.generated).length, zoneParser.MAX_GENERATED_RECORDS);
+    assert.deepStrictEqual(errors.map(e => e.line), [6]);
+});
+
+test('a multi-line SOA with comments is read as one record', () => {
+    const { soa, errors } = zoneParser.parseZone([
+        '$TTL 3600',
+        '@ IN SOA ns1.example.com. admin.example.com. (',
+        '        2024010101 ; serial',
+        '        7200       ; refresh',
+        '        3600 1209600 3600 ) ; retry, expire, minimum'
+    ].join('\n'), { origin: 'example.com' });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(soa.rdata, {
+        mname: 'ns1.example.com.',
+        rname: 'admin.example.com.',
+        serial: 2024010101,
+        refresh: 7200,
+        retry: 3600,
+        expire: 1209600,
+        minimum: 3600
+    });
+});
+
+test('a record without an owner takes the owner of the previous line, not its TTL', () => {
+    const { records, errors } = parse([
+        'www 300 IN A 192.0.2.1',
+        '        IN A 192.0.2.2',
+        '        IN AAAA 2001:db8::1'
+    ]);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(records.filter(r => r.type !== 'NS').map(r => [r.fqdn, r.type, r.rdataText, r.ttl]), [
+        ['www.example.com.', 'A', '192.0.2.1', 300],
+        ['www.example.com.', 'A', '192.0.2.2', 3600],
+        ['www.example.com.', 'AAAA', '2001:db8::1', 3600]
+    ]);
+});
+
+test('$GENERATE expands the range with its step and format modifiers', () => {
+    const { records, errors } = parse(['$GENERATE 1-5/2 host-${10,3,d} A 10.0.0.$']);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(records.filter(r => r.generated).map(r => [r.name, r.rdataText]), [
+        ['host-011', '10.0.0.1'],
+        ['host-013', '10.0.0.3'],
+        ['host-015', '10.0.0.5']
+    ]);
+});
+
+test('TXT strings keep escaped quotes and backslashes, and a ; inside quotes is not a comment', () => {
+    const { records, errors } = parse(['txt IN TXT "say \\"hi\\" ; not a comment" "back\\\\slash" ; comment']);
+    const txt = records.find(r => r.type === 'TXT');
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(txt.rdata.strings, ['say \\"hi\\" ; not a comment', 'back\\\\slash']);
+    assert.strictEqual(txt.rdataText, '"say \\"hi\\" ; not a comment" "back\\\\slash"');
+    assert.strictEqual(txt.comment, 'comment');
+});
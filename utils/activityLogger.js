@@ -1,30 +1,42 @@
 const fs = require('fs').promises;
 const path = require('path');
+const requestContext = require('./requestContext');
+const configHistory = require('./configHistory');
 
 const ACTIVITY_LOG_FILE = path.join(__dirname, '../data/activity.log');
 
+/**
+ * Who is behind the current request: the API token name for machine
+ * clients, the username for people, 'system' outside a request
+ */
+function currentUsername() {
+    const { user, token } = requestContext.getContext();
+    if (token) return token.name;
+    return user ? user.username : 'system';
+}
+
 /**
  * Log an activity
  * @param {Object} activity - Activity data
  * @param {string} activity.type - Type: 'zone', 'record', 'system'
- * @param {string} activity.action - Action: 'create', 'update', 'delete', 'reload', 'view'
+ * @param {string} activity.action - Action: 'create', 'update', 'delete', 'stage', 'reload', 'view'
  * @param {string} activity.description - Activity description
  * @param {string} [activity.zone] - Zone name (optional)
- * @param {string} [activity.user] - User (optional, defaults to 'Administrator')
+ * @param {string} [activity.user] - User (optional, defaults to the API token name or logged-in user, or 'system')
  * @param {Object} [activity.details] - Additional details (optional)
  */
 async function logActivity(activity) {
-    try {
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            type: activity.type,
-            action: activity.action,
-            description: activity.description,
-            zone: activity.zone || null,
-            user: activity.user || 'Administrator',
-            details: activity.details || null
-        };
+    const logEntry = {
+        timestamp: new Date().toISOString(),
+        type: activity.type,
+        action: activity.action,
+        description: activity.description,
+        zone: activity.zone || null,
+        user: activity.user || currentUsername(),
+        details: activity.details || null
+    };
 
+    try {
         // Ensure data directory exists
         const dataDir = path.join(__dirname, '../data');
         try {
@@ -42,6 +54,43 @@ async function logActivity(activity) {
         console.error('Error logging activity:', error);
         // Don't throw error - logging should not break the main flow
     }
+
+    // Commit the files this activity changed to the configuration history
+    try {
+        await configHistory.recordChange(logEntry);
+    } catch (error) {
+        console.error('Error recording configuration history:', error.message);
+    }
+}
+
+const RECORD_CHANGES = {
+    create: 'created in',
+    update: 'updated in',
+    delete: 'deleted from'
+};
+
+/**
+ * Activity for a record change, not yet logged (see recordCreated and
+ * bindService.logChange, which holds it back until a staged change is applied)
+ * @param {string} action - 'create', 'update' or 'delete'
+ * @returns {Object} Activity data for logActivity
+ */
+function recordActivity(action, zoneName, recordName, recordType, details = {}) {
+    return {
+        type: 'record',
+        action,
+        description: `Record "${recordName}" (${recordType}) ${RECORD_CHANGES[action]} zone "${zoneName}"`,
+        zone: zoneName,
+        details: { recordName, recordType, ...details }
+    };
+}
+
+/**
+ * Activity data, not yet logged (see recordActivity)
+ * @returns {Object} Activity data for logActivity
+ */
+function customActivity(type, action, description, zone = null, details = {}) {
+    return { type, action, description, zone, details };
 }
 
 /**
@@ -73,29 +122,14 @@ const activityLogger = {
     }),
 
     // Record operations
-    recordCreated: (zoneName, recordName, recordType, details = {}) => logActivity({
-        type: 'record',
-        action: 'create',
-        description: `Record "${recordName}" (${recordType}) created in zone "${zoneName}"`,
-        zone: zoneName,
-        details: { recordName, recordType, ...details }
-    }),
+    recordCreated: (zoneName, recordName, recordType, details = {}) =>
+        logActivity(recordActivity('create', zoneName, recordName, recordType, details)),
 
-    recordUpdated: (zoneName, recordName, recordType, details = {}) => logActivity({
-        type: 'record',
-        action: 'update',
-        description: `Record "${recordName}" (${recordType}) updated in zone "${zoneName}"`,
-        zone: zoneName,
-        details: { recordName, recordType, ...details }
-    }),
+    recordUpdated: (zoneName, recordName, recordType, details = {}) =>
+        logActivity(recordActivity('update', zoneName, recordName, recordType, details)),
 
-    recordDeleted: (zoneName, recordName, recordType, details = {}) => logActivity({
-        type: 'record',
-        action: 'delete',
-        description: `Record "${recordName}" (${recordType}) deleted from zone "${zoneName}"`,
-        zone: zoneName,
-        details: { recordName, recordType, ...details }
-    }),
+    recordDeleted: (zoneName, recordName, recordType, details = {}) =>
+        logActivity(recordActivity('delete', zoneName, recordName, recordType, details)),
 
     // System operations
     bindReloaded: (details = {}) => logActivity({
@@ -121,16 +155,13 @@ const activityLogger = {
     }),
 
     // Custom activity
-    custom: (type, action, description, zone = null, details = {}) => logActivity({
-        type,
-        action,
-        description,
-        zone,
-        details
-    })
+    custom: (type, action, description, zone = null, details = {}) =>
+        logActivity(customActivity(type, action, description, zone, details))
 };
 
 module.exports = {
     logActivity,
+    recordActivity,
+    customActivity,
     activityLogger
 };
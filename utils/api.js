@@ -0,0 +1,121 @@
+const { HttpError, fromServiceError } = require('./errors');
+
+/**
+ * JSON API helpers for /api/v1
+ *
+ * Responses:
+ *   single resource  { data: {...} }
+ *   collection       { data: [...], pagination: { page, perPage, total, totalPages } }
+ *   error            { error: { status, code, message, details? } }
+ */
+
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 500;
+
+/**
+ * Whether a request targets the versioned JSON API
+ */
+function isApiRequest(req) {
+    return (req.originalUrl || '').startsWith('/api/v1');
+}
+
+/**
+ * Wrap an async handler so rejections reach the API error handler
+ */
+function asyncHandler(fn) {
+    return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+/**
+ * Send a structured error body
+ */
+function sendError(res, error) {
+    const httpError = fromServiceError(error);
+    const body = {
+        status: httpError.status,
+        code: httpError.code,
+        message: httpError.message
+    };
+    if (httpError.details !== undefined) {
+        body.details = httpError.details;
+    }
+    res.status(httpError.status).json({ error: body });
+}
+
+/**
+ * Slice a list according to ?page= and ?perPage=
+ * @param {Array} items - Full list
+ * @param {Object} query - req.query
+ * @returns {{ data: Array, pagination: Object }}
+ */
+function paginate(items, query = {}) {
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+    const perPage = query.perPage === undefined ? DEFAULT_PER_PAGE : parseInt(query.perPage, 10);
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new HttpError(400, 'page must be a positive integer');
+    }
+    if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PER_PAGE) {
+        throw new HttpError(400, `perPage must be between 1 and ${MAX_PER_PAGE}`);
+    }
+
+    const total = items.length;
+    return {
+        data: items.slice((page - 1) * perPage, page * perPage),
+        pagination: {
+            page,
+            perPage,
+            total,
+            totalPages: Math.max(1, Math.ceil(total / perPage))
+        }
+    };
+}
+
+/**
+ * Require fields in a JSON body
+ * @param {Object} body - req.body
+ * @param {string[]} fields - Required field names
+ */
+function requireFields(body, fields) {
+    const missing = fields.filter(f => body[f] === undefined || body[f] === null || body[f] === '');
+    if (missing.length > 0) {
+        throw new HttpError(400, `Missing required field(s): ${missing.join(', ')}`, {
+            details: missing.map(field => ({ field, message: 'is required' }))
+        });
+    }
+}
+
+/**
+ * 404 for unknown API routes
+ */
+function notFoundHandler(req, res) {
+    sendError(res, new HttpError(404, `No route for ${req.method} ${req.originalUrl}`));
+}
+
+/**
+ * Error handler for API routes. Also turns body-parser failures on API
+ * paths into structured errors; other requests fall through.
+ */
+function errorHandler(err, req, res, next) {
+    if (!isApiRequest(req)) {
+        return next(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, new HttpError(400, 'Request body is not valid JSON', { code: 'invalid_json' }));
+    }
+    const httpError = fromServiceError(err);
+    if (httpError.status >= 500) {
+        console.error(`API error on ${req.method} ${req.originalUrl}:`, err);
+    }
+    sendError(res, httpError);
+}
+
+module.exports = {
+    isApiRequest,
+    asyncHandler,
+    sendError,
+    paginate,
+    requireFields,
+    notFoundHandler,
+    errorHandler
+};
@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const TOKENS_FILE = path.join(__dirname, '../data/tokens.json');
+const TOKEN_PREFIX = 'ndash_';
+
+// lastUsedAt is only rewritten when older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * API Tokens
+ * Named, revocable bearer tokens for machine clients. Only a SHA-256 hash of
+ * each token is stored; the plaintext is shown once when it is created.
+ */
+
+async function loadTokens() {
+    try {
+        if (!await fs.pathExists(TOKENS_FILE)) {
+            return [];
+        }
+        const content = await fs.readFile(TOKENS_FILE, 'utf8');
+        return content.trim() ? JSON.parse(content) : [];
+    } catch (error) {
+        console.error('Failed to load API tokens:', error.message);
+        throw new Error(`Failed to load API tokens: ${error.message}`);
+    }
+}
+
+async function saveTokens(tokens) {
+    await fs.ensureDir(path.dirname(TOKENS_FILE));
+    const tmpFile = `${TOKENS_FILE}.tmp.${process.pid}.${crypto.randomBytes(6).toString('hex')}`;
+    await fs.writeFile(tmpFile, JSON.stringify(tokens, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.move(tmpFile, TOKENS_FILE, { overwrite: true });
+}
+
+// Tail of the queue every change of tokens.json goes through
+let updateQueue = Promise.resolve();
+
+/**
+ * Read, change and write tokens.json, one change at a time, so a change
+ * is never lost to another one working on an older copy
+ * @param {Function} update - (tokens) => { result, save }; tokens are changed
+ *   in place and written unless save is false
+ * @returns {Promise<*>} The result of update
+ */
+function updateTokens(update) {
+    const run = updateQueue.then(async () => {
+        const tokens = await loadTokens();
+        const { result, save = true } = await update(tokens);
+        if (save) {
+            await saveTokens(tokens);
+        }
+        return result;
+    });
+    updateQueue = run.catch(() => {});
+    return run;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip the hash from a token record and add its status
+ */
+function publicToken(token) {
+    const { tokenHash, ...rest } = token;
+    return { ...rest, status: tokenStatus(token) };
+}
+
+/**
+ * 'active', 'expired' or 'revoked'
+ */
+function tokenStatus(token, now = new Date()) {
+    if (token.revokedAt) return 'revoked';
+    if (token.expiresAt && new Date(token.expiresAt) <= now) return 'expired';
+    return 'active';
+}
+
+/**
+ * List tokens, optionally only those owned by a user
+ * @param {string} [username] - Owner filter
+ */
+async function listTokens(username = null) {
+    const tokens = await loadTokens();
+    return tokens
+        .filter(t => !username || t.username === username)
+        .map(publicToken);
+}
+
+/**
+ * Create a token
+ * @param {Object} data
+ * @param {string} data.name - Display name, recorded as the user in the activity log
+ * @param {string} data.username - Owner; the token never has more rights than its owner
+ * @param {string[]} [data.zones] - Limit the token to these zones (empty: owner's full access)
+ * @param {string|Date|null} [data.expiresAt] - Expiry, null for none
+ * @returns {Promise<{ token: string, record: Object }>} Plaintext token and stored record
+ */
+async function createToken({ name, username, zones = [], expiresAt = null }) {
+    name = String(name || '').trim();
+    if (!/^[a-zA-Z0-9._-]{1,64}$/.test(name)) {
+        throw new Error('Token name must be 1-64 characters: letters, numbers, dots, hyphens and underscores');
+    }
+    if (expiresAt !== null) {
+        expiresAt = new Date(expiresAt);
+        if (isNaN(expiresAt.getTime())) {
+            throw new Error('Invalid expiry date');
+        }
+        if (expiresAt <= new Date()) {
+            throw new Error('Expiry date must be in the future');
+        }
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        name,
+        username,
+        tokenHash: hashToken(token),
+        hint: token.slice(0, TOKEN_PREFIX.length + 4),
+        zones: [...new Set(zones.map(z => String(z).trim()).filter(Boolean))],
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        lastUsedAt: null,
+        revokedAt: null
+    };
+    await updateTokens(tokens => {
+        if (tokens.some(t => t.name.toLowerCase() === name.toLowerCase() && tokenStatus(t) === 'active')) {
+            throw new Error(`An active token named "${name}" already exists`);
+        }
+        tokens.push(record);
+        return {};
+    });
+    return { token, record: publicToken(record) };
+}
+
+/**
+ * Revoke a token
+ * @param {string} id - Token id
+ * @returns {Promise<Object>} The revoked token
+ */
+async function revokeToken(id) {
+    return updateTokens(tokens => {
+        const token = tokens.find(t => t.id === id);
+        if (!token) {
+            throw new Error('Token not found');
+        }
+        if (token.revokedAt) {
+            return { result: publicToken(token), save: false };
+        }
+        token.revokedAt = new Date().toISOString();
+        return { result: publicToken(token) };
+    });
+}
+
+/**
+ * Get a token by id
+ */
+async function getToken(id) {
+    const tokens = await loadTokens();
+    const token = tokens.find(t => t.id === id);
+    return token ? publicToken(token) : null;
+}
+
+/**
+ * Resolve a plaintext token; returns the active token record or null
+ */
+async function verifyToken(plaintext) {
+    if (typeof plaintext !== 'string' || !plaintext.startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+    const tokens = await loadTokens();
+    const expected = Buffer.from(hashToken(plaintext), 'hex');
+    const token = tokens.find(t => crypto.timingSafeEqual(Buffer.from(t.tokenHash, 'hex'), expected));
+    if (!token || tokenStatus(token) !== 'active') {
+        return null;
+    }
+
+    const now = Date.now();
+    if (token.lastUsedAt && now - new Date(token.lastUsedAt).getTime() <= LAST_USED_RESOLUTION_MS) {
+        return publicToken(token);
+    }
+    // Written against the current file: the token may have been revoked meanwhile
+    return updateTokens(current => {
+        const latest = current.find(t => t.id === token.id);
+        if (!latest || tokenStatus(latest) !== 'active') {
+            return { result: null, save: false };
+        }
+        latest.lastUsedAt = new Date(now).toISOString();
+        return { result: publicToken(latest) };
+    });
+}
+
+module.exports = {
+    listTokens,
+    getToken,
+    createToken,
+    revokeToken,
+    verifyToken,
+    tokenStatus
+};
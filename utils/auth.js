@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const users = require('./users');
+const apiTokens = require('./apiTokens');
+const requestContext = require('./requestContext');
+const api = require('./api');
+const { HttpError } = require('./errors');
+
+const SESSION_SECRET_FILE = path.join(__dirname, '../data/session.secret');
+
+/**
+ * Routes reachable without a session
+ */
+const PUBLIC_PATHS = ['/login', '/logout', '/setup'];
+
+/**
+ * Resolve the session secret: SESSION_SECRET from the environment, otherwise
+ * a random secret generated once and kept under data/
+ */
+function getSessionSecret() {
+    if (config.session.secret) {
+        return config.session.secret;
+    }
+    try {
+        if (fs.existsSync(SESSION_SECRET_FILE)) {
+            return fs.readFileSync(SESSION_SECRET_FILE, 'utf8').trim();
+        }
+        const secret = crypto.randomBytes(48).toString('hex');
+        fs.ensureDirSync(path.dirname(SESSION_SECRET_FILE));
+        fs.writeFileSync(SESSION_SECRET_FILE, secret, { encoding: 'utf8', mode: 0o600 });
+        return secret;
+    } catch (error) {
+        throw new Error(`Failed to initialize session secret: ${error.message}`);
+    }
+}
+
+/**
+ * Whether the client expects a JSON response rather than a page
+ */
+function wantsJson(req) {
+    return req.xhr ||
+        req.originalUrl.includes('/api/') ||
+        (req.get('accept') || '').includes('application/json') ||
+        (req.get('content-type') || '').includes('application/json') ||
+        bearerToken(req) !== null;
+}
+
+/**
+ * Token from an `Authorization: Bearer <token>` header, or null
+ */
+function bearerToken(req) {
+    const header = req.get('authorization') || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : null;
+}
+
+/**
+ * Authenticate a machine client by API token. The request acts with the
+ * rights of the token owner, narrowed to the token's zones if it has any.
+ */
+function authenticateToken(req, res, next, plaintext) {
+    apiTokens.verifyToken(plaintext).then(async token => {
+        const owner = token ? await users.getUser(token.username) : null;
+        if (!owner) {
+            return denyUnauthenticated(req, res, 'Invalid, expired or revoked API token');
+        }
+        const user = { ...owner, token: { id: token.id, name: token.name, zones: token.zones } };
+        req.user = user;
+        res.locals.currentUser = user;
+        requestContext.run({ user, token }, next);
+    }).catch(next);
+}
+
+/**
+ * Require a logged-in user (or a valid API token) for every route except
+ * the public ones. The user is exposed as req.user, res.locals.currentUser
+ * and through the request context for activity logging. API tokens are
+ * only accepted by the REST API, whose routers apply a token's zone scope.
+ */
+function requireAuth(req, res, next) {
+    if (PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    const token = bearerToken(req);
+    if (token) {
+        if (!api.isApiRequest(req)) {
+            return denyUnauthenticated(req, res, 'API tokens are only accepted by the REST API (/api/v1)');
+        }
+        return authenticateToken(req, res, next, token);
+    }
+
+    const username = req.session && req.session.username;
+    if (!username) {
+        return denyUnauthenticated(req, res);
+    }
+
+    users.getUser(username).then(user => {
+        if (!user) {
+            // Account was removed while the session was active
+            return req.session.destroy(() => denyUnauthenticated(req, res));
+        }
+        req.user = user;
+        res.locals.currentUser = user;
+        requestContext.run({ user }, next);
+    }).catch(next);
+}
+
+function denyUnauthenticated(req, res, message = 'Authentication required') {
+    if (api.isApiRequest(req)) {
+        return api.sendError(res, new HttpError(401, message));
+    }
+    if (wantsJson(req)) {
+        return res.status(401).json({
+            success: false,
+            error: message
+        });
+    }
+    res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+}
+
+/**
+ * Only allow redirects to local paths after login
+ */
+function safeRedirectTarget(target) {
+    if (typeof target === 'string' && target.startsWith('/') && !target.startsWith('//')) {
+        return target;
+    }
+    return '/';
+}
+
+module.exports = {
+    getSessionSecret,
+    requireAuth,
+    wantsJson,
+    safeRedirectTarget
+};
@@ -4,6 +4,7 @@ const { exec } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('../config');
+const settingsUtil = require('./settings');
 
 /**
  * Read a zone file
@@ -74,14 +75,16 @@ function checkZoneSyntax(zoneName, zonePath) {
  */
 function generateZoneFile(zone, records) {
     const ttl = zone.ttl || config.dns.defaultTTL;
+    // SOA timers default to those of new zones (settings zones.soaDefaults)
+    const { refresh, retry, expire, minimum } = settingsUtil.DEFAULT_SETTINGS.zones.soaDefaults;
     const soa = zone.soa || {
         nameserver: `ns1.${zone.name}.`,
         email: `admin.${zone.name}.`,
         serial: generateSerial(),
-        refresh: config.dns.defaultRefresh,
-        retry: config.dns.defaultRetry,
-        expire: config.dns.defaultExpire,
-        minimum: config.dns.defaultMinimum
+        refresh,
+        retry,
+        expire,
+        minimum
     };
 
     let content = `; Zone file for ${zone.name}\n`;
@@ -1,28 +1,33 @@
 const fs = require('fs-extra');
+const bindTransaction = require('./bindTransaction');
+const config = require('../config');
 
 /**
  * Bind Configuration Manager
- * Manages /etc/bind/named.conf.local
+ * Manages named.conf.local (config.bind.confPath). Changes are staged in a BIND
+ * transaction (see bindTransaction) and only reach the disk once the whole
+ * transaction has been checked.
  */
 
-const NAMED_CONF_LOCAL = '/etc/bind/named.conf.local';
+const NAMED_CONF_LOCAL = config.bind.confPath;
 
 /**
  * Add zone to named.conf.local
  */
 async function addZoneToConfig(zoneName, zoneFile, zoneType = 'master') {
     try {
-        let configContent = await fs.readFile(NAMED_CONF_LOCAL, 'utf8');
+        await bindTransaction.run(async tx => {
+            let configContent = await tx.read(NAMED_CONF_LOCAL);
         
-        // Check if zone already exists
-        const zonePattern = new RegExp(`zone\\s+"${zoneName}"`, 'i');
-        if (zonePattern.test(configContent)) {
-            console.log(`Zone ${zoneName} already in config`);
-            return;
-        }
+            // Check if zone already exists
+            const zonePattern = new RegExp(`zone\\s+"${zoneName}"`, 'i');
+            if (zonePattern.test(configContent)) {
+                console.log(`Zone ${zoneName} already in config`);
+                return;
+            }
         
-        // Prepare zone block
-        const zoneBlock = `
+            // Prepare zone block
+            const zoneBlock = `
 zone "${zoneName}" {
     type ${zoneType};
     file "${zoneFile}";
@@ -30,9 +35,9 @@ zone "${zoneName}" {
 };
 `;
         
-        // Append to config as top-level zone
-        await fs.appendFile(NAMED_CONF_LOCAL, zoneBlock);
-        
+            // Append to config as top-level zone
+            tx.write(NAMED_CONF_LOCAL, configContent + zoneBlock);
+        });
     } catch (error) {
         throw new Error(`Failed to add zone to config: ${error.message}`);
     }
@@ -56,36 +61,38 @@ function normalizeList(arr) {
 
 async function addViewToConfig(viewName, acl = { allow: ['any'], deny: [] }) {
     try {
-        let content = await fs.readFile(NAMED_CONF_LOCAL, 'utf8');
-        const viewPattern = new RegExp(`view\\s+"${viewName}"`, 'i');
-        if (viewPattern.test(content)) {
-            // view already exists
-            return;
-        }
+        await bindTransaction.run(async tx => {
+            let content = await tx.read(NAMED_CONF_LOCAL);
+            const viewPattern = new RegExp(`view\\s+"${viewName}"`, 'i');
+            if (viewPattern.test(content)) {
+                // view already exists
+                return;
+            }
 
-        const aclLines = [];
-        // Normalize ACL allow/deny lists: split items that contain newline characters or commas
-        const allowList = normalizeList(acl.allow || ['any']);
-        const denyList = normalizeList(acl.deny || []);
-        if (allowList.length > 0) {
-            const allowNetworks = allowList.join('; ');
-            aclLines.push(`    match-clients { ${allowNetworks}; };`);
-        }
-        if (denyList && denyList.length > 0) {
-            const denyNetworks = denyList.join('; ');
-            aclLines.push(`    // deny: ${denyNetworks};`);
-        }
+            const aclLines = [];
+            // Normalize ACL allow/deny lists: split items that contain newline characters or commas
+            const allowList = normalizeList(acl.allow || ['any']);
+            const denyList = normalizeList(acl.deny || []);
+            if (allowList.length > 0) {
+                const allowNetworks = allowList.join('; ');
+                aclLines.push(`    match-clients { ${allowNetworks}; };`);
+            }
+            if (denyList && denyList.length > 0) {
+                const denyNetworks = denyList.join('; ');
+                aclLines.push(`    // deny: ${denyNetworks};`);
+            }
 
-        const viewBlock = `\nview "${viewName}" {\n${aclLines.join('\n')}\n};\n`;
-        await fs.appendFile(NAMED_CONF_LOCAL, viewBlock);
+            const viewBlock = `\nview "${viewName}" {\n${aclLines.join('\n')}\n};\n`;
+            tx.write(NAMED_CONF_LOCAL, content + viewBlock);
 
-        // After creating a view, ensure any zone declarations in root-hints are moved into a 'global' view to
-        // prevent named-checkconf errors when 'view' statements are in use.
-        try {
-            await moveZonesFromFileToGlobal('/etc/bind/named.conf.root-hints', 'global', { allow: ['any'] });
-        } catch (err) {
-            console.warn('Could not move zones from root-hints to global view:', err.message);
-        }
+            // After creating a view, ensure any zone declarations in root-hints are moved into a 'global' view to
+            // prevent named-checkconf errors when 'view' statements are in use.
+            try {
+                await moveZonesFromFileToGlobal('/etc/bind/named.conf.root-hints', 'global', { allow: ['any'] });
+            } catch (err) {
+                console.warn('Could not move zones from root-hints to global view:', err.message);
+            }
+        });
     } catch (error) {
         throw new Error(`Failed to add view to config: ${error.message}`);
     }
@@ -97,67 +104,67 @@ async function addViewToConfig(viewName, acl = { allow: ['any'], deny: [] }) {
  */
 async function addZoneToViewConfig(zoneName, zoneFile, viewName, viewAcl = { allow: ['any'] }, zoneType = 'master') {
     try {
-        let content = await fs.readFile(NAMED_CONF_LOCAL, 'utf8');
-
-        // If view doesn't exist, create it
-            const updateLine = zoneType.toLowerCase() === 'hint' ? '' : '\n    allow-update { none; };';
-            const zoneBlock = `zone "${zoneName}" {\n    type ${zoneType};\n    file "${zoneFile}";${updateLine}\n};\n`;
+        await bindTransaction.run(async tx => {
+            let content = await tx.read(NAMED_CONF_LOCAL);
 
-            // Ensure view exists using provided ACL
-            if (!content.includes(`view \"${viewName}\"`)) {
-                await addViewToConfig(viewName, viewAcl);
-                content = await fs.readFile(NAMED_CONF_LOCAL, 'utf8');
-            }
+            // If view doesn't exist, create it
+                const updateLine = zoneType.toLowerCase() === 'hint' ? '' : '\n    allow-update { none; };';
+                const zoneBlock = `zone "${zoneName}" {\n    type ${zoneType};\n    file "${zoneFile}";${updateLine}\n};\n`;
 
-            // Find the view block using brace matching (safer than regex for nested blocks)
-            const viewSearch = `view "${viewName}"`;
-            const idx = content.indexOf(viewSearch);
-            if (idx === -1) {
-                throw new Error(`View ${viewName} was not found even after creating it`);
-            }
-            // find opening brace position after the view name
-            const afterMatch = content.slice(idx);
-            const openBraceIndex = afterMatch.indexOf('{');
-            if (openBraceIndex === -1) throw new Error(`Malformed view block for ${viewName}`);
-            let startBracePos = idx + openBraceIndex; // position of '{'
+                // Ensure view exists using provided ACL
+                if (!content.includes(`view \"${viewName}\"`)) {
+                    await addViewToConfig(viewName, viewAcl);
+                    content = await tx.read(NAMED_CONF_LOCAL);
+                }
 
-            // Now scan forward to find matching closing '}' using a brace counter
-            let braceCount = 0;
-            let endBracePos = -1;
-            let closingBraceIdx = -1;
-            for (let i = startBracePos; i < content.length; i++) {
-                const ch = content[i];
-                if (ch === '{') braceCount++;
-                else if (ch === '}') {
-                    braceCount--;
-                    if (braceCount === 0) {
-                        closingBraceIdx = i;
-                        // include following semicolon and whitespace
-                        let j = i + 1;
-                        while (j < content.length && /[\s;\n\r]/.test(content[j])) j++;
-                        endBracePos = j;
-                        break;
+                // Find the view block using brace matching (safer than regex for nested blocks)
+                const viewSearch = `view "${viewName}"`;
+                const idx = content.indexOf(viewSearch);
+                if (idx === -1) {
+                    throw new Error(`View ${viewName} was not found even after creating it`);
+                }
+                // find opening brace position after the view name
+                const afterMatch = content.slice(idx);
+                const openBraceIndex = afterMatch.indexOf('{');
+                if (openBraceIndex === -1) throw new Error(`Malformed view block for ${viewName}`);
+                let startBracePos = idx + openBraceIndex; // position of '{'
+
+                // Now scan forward to find matching closing '}' using a brace counter
+                let braceCount = 0;
+                let endBracePos = -1;
+                let closingBraceIdx = -1;
+                for (let i = startBracePos; i < content.length; i++) {
+                    const ch = content[i];
+                    if (ch === '{') braceCount++;
+                    else if (ch === '}') {
+                        braceCount--;
+                        if (braceCount === 0) {
+                            closingBraceIdx = i;
+                            // include following semicolon and whitespace
+                            let j = i + 1;
+                            while (j < content.length && /[\s;\n\r]/.test(content[j])) j++;
+                            endBracePos = j;
+                            break;
+                        }
                     }
                 }
-            }
-            if (endBracePos === -1) throw new Error(`Could not find end of view ${viewName} block`);
+                if (endBracePos === -1) throw new Error(`Could not find end of view ${viewName} block`);
 
-            const viewHeader = content.slice(idx, startBracePos + 1); // include open brace
-            const viewBody = content.slice(startBracePos + 1, closingBraceIdx); // content inside braces
-            const viewFooter = content.slice(closingBraceIdx, endBracePos); // include closing brace and semicolon
-            const viewEnd = endBracePos;
+                const viewHeader = content.slice(idx, startBracePos + 1); // include open brace
+                const viewBody = content.slice(startBracePos + 1, closingBraceIdx); // content inside braces
+                const viewFooter = content.slice(closingBraceIdx, endBracePos); // include closing brace and semicolon
+                const viewEnd = endBracePos;
 
-            // If zone already exists inside view, skip
-            if (new RegExp(`zone\\s+\"${zoneName}\"`, 'i').test(viewBody)) {
-                return;
-            }
+                // If zone already exists inside view, skip
+                if (new RegExp(`zone\\s+\"${zoneName}\"`, 'i').test(viewBody)) {
+                    return;
+                }
 
-            // Rebuild the view block with the new zone appended before the footer
-            const newViewBlock = `${viewHeader}${viewBody}\n    ${zoneBlock}${viewFooter}`;
-            const newViewContent = content.slice(0, idx) + newViewBlock + content.slice(viewEnd);
-        const tmpFile = `${NAMED_CONF_LOCAL}.tmp.${Date.now()}`;
-        await fs.writeFile(tmpFile, newViewContent, 'utf8');
-        await fs.move(tmpFile, NAMED_CONF_LOCAL, { overwrite: true });
+                // Rebuild the view block with the new zone appended before the footer
+                const newViewBlock = `${viewHeader}${viewBody}\n    ${zoneBlock}${viewFooter}`;
+                const newViewContent = content.slice(0, idx) + newViewBlock + content.slice(viewEnd);
+                tx.write(NAMED_CONF_LOCAL, newViewContent);
+        });
     } catch (error) {
         throw new Error(`Failed to add zone to view ${viewName}: ${error.message}`);
     }
@@ -168,37 +175,37 @@ async function addZoneToViewConfig(zoneName, zoneFile, viewName, viewAcl = { all
  */
 async function removeViewFromConfig(viewName) {
     try {
-        const content = await fs.readFile(NAMED_CONF_LOCAL, 'utf8');
-        const viewPattern = new RegExp(`\\bview\\s+"${viewName}"`, 'i');
-        if (!viewPattern.test(content)) {
-            console.log(`View ${viewName} not found in config, nothing to remove`);
-            return;
-        }
+        await bindTransaction.run(async tx => {
+            const content = await tx.read(NAMED_CONF_LOCAL);
+            const viewPattern = new RegExp(`\\bview\\s+"${viewName}"`, 'i');
+            if (!viewPattern.test(content)) {
+                console.log(`View ${viewName} not found in config, nothing to remove`);
+                return;
+            }
 
-        // Find the full block and remove it
-        const startIndex = content.search(viewPattern);
-        const afterMatch = content.slice(startIndex);
-        const openBraceIndex = afterMatch.indexOf('{');
-        let idx = startIndex + openBraceIndex;
-        let braceCount = 0;
-        let endIndex = -1;
-        for (let i = idx; i < content.length; i++) {
-            if (content[i] === '{') braceCount++;
-            else if (content[i] === '}') {
-                braceCount--;
-                if (braceCount === 0) {
-                    let j = i + 1;
-                    while (j < content.length && /[\s;\n\r]/.test(content[j])) j++;
-                    endIndex = j;
-                    break;
+            // Find the full block and remove it
+            const startIndex = content.search(viewPattern);
+            const afterMatch = content.slice(startIndex);
+            const openBraceIndex = afterMatch.indexOf('{');
+            let idx = startIndex + openBraceIndex;
+            let braceCount = 0;
+            let endIndex = -1;
+            for (let i = idx; i < content.length; i++) {
+                if (content[i] === '{') braceCount++;
+                else if (content[i] === '}') {
+                    braceCount--;
+                    if (braceCount === 0) {
+                        let j = i + 1;
+                        while (j < content.length && /[\s;\n\r]/.test(content[j])) j++;
+                        endIndex = j;
+                        break;
+                    }
                 }
             }
-        }
-        if (endIndex === -1) return; // malformed
-        const newContent = content.slice(0, startIndex) + content.slice(endIndex);
-        const tmpFile = `${NAMED_CONF_LOCAL}.tmp.${Date.now()}`;
-        await fs.writeFile(tmpFile, newContent, 'utf8');
-        await fs.move(tmpFile, NAMED_CONF_LOCAL, { overwrite: true });
+            if (endIndex === -1) return; // malformed
+            const newContent = content.slice(0, startIndex) + content.slice(endIndex);
+            tx.write(NAMED_CONF_LOCAL, newContent);
+        });
     } catch (error) {
         throw new Error(`Failed to remove view ${viewName}: ${error.message}`);
     }
@@ -270,41 +277,43 @@ async function listConfiguredViews() {
  */
 async function moveZonesFromFileToGlobal(filePath, viewName = 'global', viewAcl = { allow: ['any'], deny: [] }) {
     try {
-        // Read source file
-        let content = await fs.readFile(filePath, 'utf8');
-        const zoneRegex = /zone\s+"([^"]+)"\s*\{[\s\S]*?file\s+"([^"]+)";[\s\S]*?\}/g;
-        let match;
-        const zonesToMove = [];
-        while ((match = zoneRegex.exec(content)) !== null) {
-            zonesToMove.push({ name: match[1], file: match[2], block: match[0] });
-        }
-
-        if (!zonesToMove.length) return { moved: 0 };
-
-        // Ensure view exists
-        await addViewToConfig(viewName, viewAcl);
-
-        // Backup source file
-        const backup = `${filePath}.backup.${Date.now()}`;
-        await fs.copyFile(filePath, backup);
+        return await bindTransaction.run(async tx => {
+            // Read source file
+            let content = await tx.read(filePath);
+            const zoneRegex = /zone\s+"([^"]+)"\s*\{[\s\S]*?file\s+"([^"]+)";[\s\S]*?\}/g;
+            let match;
+            const zonesToMove = [];
+            while ((match = zoneRegex.exec(content)) !== null) {
+                zonesToMove.push({ name: match[1], file: match[2], block: match[0] });
+            }
 
-        for (const z of zonesToMove) {
-            try {
-            // Extract type from block (fallback to master)
-            const m = z.block.match(/type\s+([a-zA-Z]+)\s*;/i);
-            const zoneType = m ? m[1] : 'master';
-            // Add to named.conf.local view with discovered type
-            await addZoneToViewConfig(z.name, z.file, viewName, viewAcl, zoneType);
-                // Remove block from the original content
-                content = removeZoneFromConfigContent(content, z.name);
-            } catch (err) {
-                console.warn(`Failed moving zone ${z.name} from ${filePath}: ${err.message}`);
+            if (!zonesToMove.length) return { moved: 0 };
+
+            // Ensure view exists
+            await addViewToConfig(viewName, viewAcl);
+
+            // Backup source file
+            const backup = `${filePath}.backup.${Date.now()}`;
+            await fs.copyFile(filePath, backup);
+
+            for (const z of zonesToMove) {
+                try {
+                // Extract type from block (fallback to master)
+                const m = z.block.match(/type\s+([a-zA-Z]+)\s*;/i);
+                const zoneType = m ? m[1] : 'master';
+                // Add to named.conf.local view with discovered type
+                await addZoneToViewConfig(z.name, z.file, viewName, viewAcl, zoneType);
+                    // Remove block from the original content
+                    content = removeZoneFromConfigContent(content, z.name);
+                } catch (err) {
+                    console.warn(`Failed moving zone ${z.name} from ${filePath}: ${err.message}`);
+                }
             }
-        }
 
-        // Write back cleaned source file
-        await fs.writeFile(filePath, content, 'utf8');
-        return { moved: zonesToMove.length, backup };
+            // Write back cleaned source file
+            tx.write(filePath, content);
+            return { moved: zonesToMove.length, backup };
+        });
     } catch (error) {
         throw new Error(`Failed to move zones from ${filePath} to ${viewName}: ${error.message}`);
     }
@@ -365,6 +374,116 @@ function removeZoneFromConfigContent(content, zoneName) {
     return newContent;
 }
 
+/**
+ * Position of a `<keyword> "<name>" { ... };` statement in config content
+ * @returns {Object|null} { start, open, close, end }: start of the statement,
+ *   its opening and closing brace, and the end of the line holding `};`
+ */
+function findBlock(content, keyword, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`(^|[\\s;{}])${keyword}\\s+"${escaped}"\\s*(?:IN\\s+)?\\{`, 'i').exec(content);
+    if (!match) return null;
+
+    const start = match.index + match[1].length;
+    const open = match.index + match[0].length - 1;
+    let braceCount = 0;
+    for (let i = open; i < content.length; i++) {
+        if (content[i] === '{') braceCount++;
+        else if (content[i] === '}') {
+            braceCount--;
+            if (braceCount === 0) {
+                const rest = /^\s*;[ \t]*\n?/.exec(content.slice(i + 1));
+                return { start, open, close: i, end: i + 1 + (rest ? rest[0].length : 0) };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Simple statements (`name value;`) of a zone block, nested blocks such as
+ * allow-transfer { ... } left out (content-only)
+ * @returns {Object|null} statement name -> value, or null when the zone is not declared
+ */
+function getZoneStatements(content, zoneName) {
+    const block = findBlock(content, 'zone', zoneName);
+    if (!block) return null;
+    let body = content.slice(block.open + 1, block.close);
+    while (/\{[^{}]*\}/.test(body)) {
+        body = body.replace(/[\w-]+\s*\{[^{}]*\}\s*;?/g, '');
+    }
+    const statements = {};
+    const statementRegex = /(?:^|;|\n)\s*([a-z][\w-]*)\s+([^;{}]+?)\s*;/gi;
+    let match;
+    while ((match = statementRegex.exec(body)) !== null) {
+        statements[match[1].toLowerCase()] = match[2];
+        statementRegex.lastIndex--;
+    }
+    return statements;
+}
+
+/**
+ * Set or remove simple statements of a zone block (content-only)
+ * @param {string} content - named.conf content
+ * @param {string} zoneName - Zone name
+ * @param {Object} statements - statement name -> value, or null to remove it
+ * @returns {string} The new content
+ */
+function setZoneStatements(content, zoneName, statements) {
+    const block = findBlock(content, 'zone', zoneName);
+    if (!block) {
+        throw new Error(`Zone "${zoneName}" not found`);
+    }
+    let body = content.slice(block.open + 1, block.close);
+    const indentMatch = /\n([ \t]+)\S/.exec(body);
+    const indent = indentMatch ? indentMatch[1] : '    ';
+    const closingIndent = /\n([ \t]*)$/.exec(body);
+
+    for (const [name, value] of Object.entries(statements)) {
+        body = body.replace(new RegExp(`\\n?[ \\t]*${name}\\s+[^;{}]*;[ \\t]*(?=\\n|$)`, 'gi'), '');
+        if (value !== null && value !== undefined) {
+            body = body.replace(/\s*$/, '') + `\n${indent}${name} ${value};`;
+        }
+    }
+    body = body.replace(/\s*$/, '') + `\n${closingIndent ? closingIndent[1] : ''}`;
+    return content.slice(0, block.open + 1) + body + content.slice(block.close);
+}
+
+/**
+ * Body of a top-level `<keyword> "<name>" { ... };` statement such as a
+ * dnssec-policy (content-only)
+ * @returns {string|null} Text between the braces, or null when there is none
+ */
+function getNamedBlock(content, keyword, name) {
+    const block = findBlock(content, keyword, name);
+    return block ? content.slice(block.open + 1, block.close) : null;
+}
+
+/**
+ * Replace, add or remove a top-level `<keyword> "<name>" { ... };`
+ * statement (content-only). A new statement goes before the first view or
+ * zone, so it is defined before anything refers to it.
+ * @param {string|null} body - Text between the braces; null removes the statement
+ * @returns {string} The new content
+ */
+function setNamedBlock(content, keyword, name, body) {
+    const block = findBlock(content, keyword, name);
+    if (block) {
+        if (body === null) {
+            return content.slice(0, block.start) + content.slice(block.end).replace(/^\n/, '');
+        }
+        return content.slice(0, block.open + 1) + `\n${body}\n` + content.slice(block.close);
+    }
+    if (body === null) return content;
+
+    const statement = `${keyword} "${name}" {\n${body}\n};\n\n`;
+    const first = /^(view|zone)\s+"/m.exec(content);
+    if (!first) {
+        return content.replace(/\s*$/, '\n\n') + statement;
+    }
+    return content.slice(0, first.index) + statement + content.slice(first.index);
+}
+
 /**
  * Insert a zoneBlock into the specified view in the provided content string.
  * If the view doesn't exist, a new view will be appended (with ACL if provided).
@@ -426,42 +545,49 @@ function insertZoneIntoViewContent(content, zoneBlock, viewName, viewAcl = { all
  * Build new config content string with zone moved to view (content-only)
  */
 async function buildMoveZoneToViewContent(zoneName, zoneFile, targetView, targetViewAcl = { allow: ['any'], deny: [] }) {
-    const content = await fs.readFile(NAMED_CONF_LOCAL, 'utf8');
+    const tx = bindTransaction.current();
+    const content = tx ? await tx.read(NAMED_CONF_LOCAL) : await fs.readFile(NAMED_CONF_LOCAL, 'utf8');
+    // A signed zone keeps signing in its new view
+    const statements = getZoneStatements(content, zoneName) || {};
+    const signing = ['dnssec-policy', 'inline-signing', 'key-directory']
+        .filter(name => statements[name])
+        .map(name => `    ${name} ${statements[name]};\n`)
+        .join('');
+
     // Remove zone from any location it exists
     const cleaned = removeZoneFromConfigContent(content, zoneName);
 
     // Prepare zone block
-    const zoneBlock = `zone "${zoneName}" {\n    type master;\n    file "${zoneFile}";\n    allow-update { none; };\n};\n`;
+    const zoneBlock = `zone "${zoneName}" {\n    type master;\n    file "${zoneFile}";\n    allow-update { none; };\n${signing}};\n`;
 
     const newContent = insertZoneIntoViewContent(cleaned, zoneBlock, targetView, targetViewAcl);
     return newContent;
 }
 
 /**
- * Remove zone from named.conf.local (safe, atomic write with backup)
+ * Remove zone from named.conf.local (transactional, with backup)
  */
 async function removeZoneFromConfig(zoneName) {
     try {
-        // Backup current config
-        const backupFile = `${NAMED_CONF_LOCAL}.backup.${Date.now()}`;
-        await fs.copyFile(NAMED_CONF_LOCAL, backupFile);
+        await bindTransaction.run(async tx => {
+            // Backup current config
+            const backupFile = `${NAMED_CONF_LOCAL}.backup.${Date.now()}`;
+            await fs.copyFile(NAMED_CONF_LOCAL, backupFile);
 
-        const configContent = await fs.readFile(NAMED_CONF_LOCAL, 'utf8');
+            const configContent = await tx.read(NAMED_CONF_LOCAL);
 
-        const cleanedContent = removeZoneFromConfigContent(configContent, zoneName);
+            const cleanedContent = removeZoneFromConfigContent(configContent, zoneName);
 
-        if (cleanedContent === configContent) {
-            console.log(`Zone ${zoneName} not found in config, no changes made`);
-            return;
-        }
+            if (cleanedContent === configContent) {
+                console.log(`Zone ${zoneName} not found in config, no changes made`);
+                return;
+            }
 
-        // Write atomically to temp file then move into place
-        const tmpFile = `${NAMED_CONF_LOCAL}.tmp.${Date.now()}`;
-        await fs.writeFile(tmpFile, cleanedContent, 'utf8');
-        await fs.move(tmpFile, NAMED_CONF_LOCAL, { overwrite: true });
+            tx.write(NAMED_CONF_LOCAL, cleanedContent);
 
-        console.log(`✓ Removed zone ${zoneName} from config`);
-        console.log(`✓ Backup saved: ${backupFile}`);
+            console.log(`✓ Removed zone ${zoneName} from config`);
+            console.log(`✓ Backup saved: ${backupFile}`);
+        });
     } catch (error) {
         throw new Error(`Failed to remove zone from config: ${error.message}`);
     }
@@ -492,31 +618,14 @@ async function listConfiguredZones() {
 }
 
 /**
- * Write config file with validation
+ * Write config file with validation. BIND config files are staged in the
+ * current transaction (or a new one) and checked with named-checkconf on commit.
  */
 async function writeConfigWithValidation(filePath, content) {
     try {
         // First check if it's a BIND config file
         if (filePath.includes('named.conf')) {
-            const { exec } = require('child_process');
-            const util = require('util');
-            const execPromise = util.promisify(exec);
-            
-            // Write to temporary file
-            const tmpFile = `${filePath}.tmp.${Date.now()}`;
-            await fs.writeFile(tmpFile, content, 'utf8');
-            
-            // Validate with named-checkconf
-            try {
-                await execPromise(`named-checkconf -z ${tmpFile}`);
-            } catch (error) {
-                // Clean up temp file
-                await fs.unlink(tmpFile).catch(() => {});
-                throw new Error(`BIND config validation failed: ${error.stderr || error.message}`);
-            }
-            
-            // If valid, move to actual location
-            await fs.move(tmpFile, filePath, { overwrite: true });
+            await bindTransaction.run(async tx => tx.write(filePath, content));
         } else {
             // For non-BIND config files, write directly
             await fs.writeFile(filePath, content, 'utf8');
@@ -537,6 +646,10 @@ module.exports = {
     listConfiguredViews,
     listConfiguredZones,
     removeZoneFromConfigContent,
+    getZoneStatements,
+    setZoneStatements,
+    getNamedBlock,
+    setNamedBlock,
     insertZoneIntoViewContent,
     buildMoveZoneToViewContent,
     moveZonesFromFileToGlobal,
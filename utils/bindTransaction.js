@@ -0,0 +1,279 @@
+const fs = require('fs-extra');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * BIND Transactions
+ * Zone files and named.conf files are never edited in place. Changes are
+ * staged in a transaction; on commit every staged file is written to a
+ * temporary file next to its target and checked (named-checkzone or
+ * named-checkconf), then all files are renamed into place and BIND is
+ * reloaded. If a check fails nothing is touched; if a rename or the reload
+ * fails, the previous files are put back and BIND is reloaded with them.
+ *
+ * Transactions are serialized, and a transaction started while another one
+ * is running joins it, so helpers such as bindConfig can be used both on
+ * their own and as part of a larger change.
+ *
+ * A transaction can also be staged: the work runs on top of earlier staged
+ * changes but nothing is written, and the caller keeps the resulting changes
+ * (see changesets) to commit later.
+ */
+
+const storage = new AsyncLocalStorage();
+let queue = Promise.resolve();
+const changeListeners = [];
+
+class Transaction {
+    /**
+     * @param {Map} [changes] - Changes staged earlier, which this transaction builds on
+     */
+    constructor(changes = new Map()) {
+        // target path -> { content, zone } for writes, { removed: true } for deletions
+        this.changes = new Map(changes);
+    }
+
+    /**
+     * Read a file as this transaction sees it (staged content first)
+     */
+    async read(file) {
+        const change = this.changes.get(file);
+        if (change) {
+            if (change.removed) {
+                throw new Error(`ENOENT: ${file} is removed in this transaction`);
+            }
+            return change.content;
+        }
+        return fs.readFile(file, 'utf8');
+    }
+
+    /**
+     * Whether a file exists as this transaction sees it
+     */
+    async exists(file) {
+        const change = this.changes.get(file);
+        return change ? !change.removed : fs.pathExists(file);
+    }
+
+    /**
+     * Whether this transaction already changes a file
+     */
+    has(file) {
+        return this.changes.has(file);
+    }
+
+    /**
+     * Stage new content for a file
+     * @param {string} file - Target path
+     * @param {string} content - New content
+     * @param {Object} [options]
+     * @param {string} [options.zone] - Zone name; the file is checked with named-checkzone
+     *   instead of named-checkconf
+     */
+    write(file, content, { zone = null } = {}) {
+        this.changes.set(file, { content, zone });
+    }
+
+    /**
+     * Stage the deletion of a file
+     */
+    remove(file) {
+        this.changes.set(file, { removed: true });
+    }
+
+    /**
+     * Check, apply and reload
+     * @param {Object} [options]
+     * @param {boolean} [options.validate=true] - Run named-checkzone / named-checkconf on staged files
+     * @param {Function} [options.reload] - Reloads BIND; skipped when not given
+     */
+    async commit({ validate = true, reload = null } = {}) {
+        if (this.changes.size === 0) {
+            return;
+        }
+        const stamp = `${process.pid}.${Date.now()}`;
+        const entries = [...this.changes.entries()].map(([file, change]) => ({
+            file,
+            ...change,
+            tmpFile: change.removed ? null : `${file}.tmp.${stamp}`
+        }));
+
+        try {
+            for (const entry of entries.filter(e => !e.removed)) {
+                await fs.ensureDir(path.dirname(entry.file));
+                await fs.writeFile(entry.tmpFile, entry.content, 'utf8');
+                if (validate) {
+                    await checkFile(entry);
+                }
+            }
+        } catch (error) {
+            await removeTmpFiles(entries);
+            throw error;
+        }
+
+        // Keep what is on disk now so it can be put back
+        for (const entry of entries) {
+            entry.previous = await fs.pathExists(entry.file) ? await fs.readFile(entry.file, 'utf8') : null;
+        }
+
+        const applied = [];
+        try {
+            try {
+                for (const entry of entries) {
+                    if (entry.removed) {
+                        await fs.remove(entry.file);
+                    } else {
+                        await fs.rename(entry.tmpFile, entry.file);
+                    }
+                    applied.push(entry);
+                }
+            } catch (error) {
+                await restore(applied);
+                await removeTmpFiles(entries);
+                throw new Error(`${error.message}; previous files restored`);
+            }
+
+            if (reload) {
+                try {
+                    await reload();
+                } catch (error) {
+                    await restore(applied);
+                    try {
+                        await reload();
+                    } catch (reloadError) {
+                        console.error(`✗ Reload with restored files failed: ${reloadError.message}`);
+                    }
+                    throw new Error(`${error.message}; previous files restored`);
+                }
+            }
+        } finally {
+            notifyChanged(applied.map(entry => entry.file));
+        }
+    }
+}
+
+/**
+ * Check a staged file with the BIND tool for its kind
+ */
+async function checkFile(entry) {
+    try {
+        if (entry.zone) {
+            await execFilePromise('named-checkzone', [entry.zone, entry.tmpFile]);
+        } else {
+            await execFilePromise('named-checkconf', [entry.tmpFile]);
+        }
+    } catch (error) {
+        const output = (error.stdout || '') + (error.stderr || '') || error.message;
+        const what = entry.zone ? `Zone syntax error in ${entry.zone}` : `BIND config validation failed for ${path.basename(entry.file)}`;
+        throw new Error(`${what}: ${output.split(entry.tmpFile).join(entry.file).trim()}`);
+    }
+}
+
+/**
+ * Put back the previous content of applied entries, newest first
+ */
+async function restore(applied) {
+    for (const entry of [...applied].reverse()) {
+        try {
+            if (entry.previous === null) {
+                await fs.remove(entry.file);
+            } else {
+                const tmpFile = `${entry.file}.restore.${process.pid}.${Date.now()}`;
+                await fs.writeFile(tmpFile, entry.previous, 'utf8');
+                await fs.rename(tmpFile, entry.file);
+            }
+            console.log(`✓ Restored ${entry.file}`);
+        } catch (error) {
+            console.error(`✗ Failed to restore ${entry.file}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Tell listeners which files a commit replaced or removed (also when it was rolled back)
+ */
+function notifyChanged(files) {
+    if (files.length === 0) return;
+    for (const listener of changeListeners) {
+        try {
+            listener(files);
+        } catch (error) {
+            console.error(`✗ File change listener failed: ${error.message}`);
+        }
+    }
+}
+
+async function removeTmpFiles(entries) {
+    for (const entry of entries) {
+        if (entry.tmpFile) {
+            await fs.remove(entry.tmpFile).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Run work in a transaction and commit it. Inside a running transaction the
+ * work joins it and the outer transaction commits.
+ * @param {Function} work - async (tx) => result
+ * @param {Object} [options] - Commit options ({ validate, reload })
+ * @returns {Promise<*>} What work returned
+ */
+function run(work, options = {}) {
+    const current = storage.getStore();
+    if (current) {
+        return work(current);
+    }
+    return enqueue(new Transaction(), async tx => {
+        const value = await work(tx);
+        await tx.commit(options);
+        return value;
+    });
+}
+
+/**
+ * Run work in a transaction without committing it. Inside a running
+ * transaction the work joins it and nothing is returned as staged.
+ * @param {Function} work - async (tx) => result
+ * @param {Map} [changes] - Earlier staged changes the work builds on
+ * @returns {Promise<{ value: *, changes: Map }>} What work returned and all staged changes
+ */
+function stage(work, changes = new Map()) {
+    const current = storage.getStore();
+    if (current) {
+        return work(current).then(value => ({ value, changes: new Map() }));
+    }
+    return enqueue(new Transaction(changes), async tx => ({ value: await work(tx), changes: tx.changes }));
+}
+
+function enqueue(tx, work) {
+    const result = queue.then(() => storage.run(tx, () => work(tx)));
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * The running transaction, or null
+ */
+function current() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Register a listener called with the paths of the files each commit
+ * replaced or removed
+ * @param {Function} listener - (files) => void
+ */
+function onChange(listener) {
+    changeListeners.push(listener);
+}
+
+module.exports = {
+    run,
+    stage,
+    current,
+    onChange
+};
@@ -0,0 +1,274 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const permissions = require('./permissions');
+
+const execFilePromise = util.promisify(execFile);
+
+const CHANGESETS_FILE = path.join(__dirname, '../data/changesets.json');
+
+/**
+ * Pending Changesets
+ * With staging on (zones.stageChanges), BIND transactions are not committed.
+ * The files they would write are kept per user as a pending changeset until
+ * the user applies it (one checked transaction, one reload) or discards it.
+ * Changes to zones that require approval (see zoneTags) are always staged,
+ * and their changeset is applied by an approver instead of its owner.
+ *
+ * Each staged file remembers a fingerprint of the file as it was on disk
+ * when first staged, so a changeset is never applied over changes made since.
+ */
+
+let queue = Promise.resolve();
+
+async function loadChangesets() {
+    try {
+        if (!await fs.pathExists(CHANGESETS_FILE)) {
+            return {};
+        }
+        const content = await fs.readFile(CHANGESETS_FILE, 'utf8');
+        return content.trim() ? JSON.parse(content) : {};
+    } catch (error) {
+        console.error('Failed to load pending changes:', error.message);
+        throw new Error(`Failed to load pending changes: ${error.message}`);
+    }
+}
+
+async function saveChangesets(changesets) {
+    await fs.ensureDir(path.dirname(CHANGESETS_FILE));
+    const tmpFile = `${CHANGESETS_FILE}.tmp.${Date.now()}`;
+    await fs.writeFile(tmpFile, JSON.stringify(changesets, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.move(tmpFile, CHANGESETS_FILE, { overwrite: true });
+}
+
+/**
+ * Run changeset updates one at a time
+ */
+function exclusive(work) {
+    const result = queue.then(work);
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Fingerprint of file content, null for a missing file
+ */
+function fingerprint(content) {
+    return content === null ? null : crypto.createHash('sha256').update(content).digest('hex');
+}
+
+async function readCurrent(file) {
+    return await fs.pathExists(file) ? fs.readFile(file, 'utf8') : null;
+}
+
+/**
+ * A user's pending changeset
+ * @param {string} owner - Username
+ * @returns {Promise<Object|null>} { owner, createdAt, updatedAt, zones, approval, activities,
+ *   serialSchemes, files: { [path]: { content, zone, removed, base } } }; activities
+ *   are the changes to log once it is applied, serialSchemes the zone name ->
+ *   serial scheme settings it writes then; approval is null or
+ *   { status: pending|rejected, requestedAt, comment, reviewedBy, reviewedAt, reviewComment }
+ */
+async function getChangeset(owner) {
+    const changesets = await loadChangesets();
+    return changesets[owner] || null;
+}
+
+/**
+ * Replace a user's pending changeset; null or one without files removes it
+ */
+async function saveChangeset(owner, changeset) {
+    const changesets = await loadChangesets();
+    if (changeset && Object.keys(changeset.files).length > 0) {
+        changesets[owner] = changeset;
+    } else if (changesets[owner]) {
+        delete changesets[owner];
+    } else {
+        return;
+    }
+    await saveChangesets(changesets);
+}
+
+/**
+ * All pending changesets
+ */
+async function listChangesets() {
+    return Object.values(await loadChangesets());
+}
+
+/**
+ * Number of files a user has staged
+ */
+async function countPending(owner) {
+    const changeset = await getChangeset(owner);
+    return changeset ? Object.keys(changeset.files).length : 0;
+}
+
+/**
+ * Staged files as transaction changes (see bindTransaction)
+ */
+function toChanges(changeset) {
+    const changes = new Map();
+    for (const [file, entry] of Object.entries(changeset ? changeset.files : {})) {
+        changes.set(file, entry.removed ? { removed: true } : { content: entry.content, zone: entry.zone });
+    }
+    return changes;
+}
+
+/**
+ * Fold the changes of a staged transaction into a changeset. Files that end
+ * up as they are on disk are dropped. A new edit turns a rejected changeset
+ * back into a draft.
+ * @param {Object|null} changeset - Current changeset
+ * @param {string} owner - Username
+ * @param {Map} changes - All changes of the staged transaction
+ * @param {string[]} [zones] - Zones the transaction changes, including through named.conf
+ * @returns {Promise<Object>} The updated changeset
+ */
+async function merge(changeset, owner, changes, zones = []) {
+    const now = new Date().toISOString();
+    const previous = changeset ? changeset.files : {};
+    const files = {};
+    for (const [file, change] of changes) {
+        const current = await readCurrent(file);
+        const unchanged = change.removed ? current === null : current === change.content;
+        if (unchanged) continue;
+        files[file] = {
+            content: change.removed ? null : change.content,
+            zone: change.zone || (previous[file] && previous[file].zone) || null,
+            removed: !!change.removed,
+            base: previous[file] ? previous[file].base : fingerprint(current)
+        };
+    }
+    return {
+        owner,
+        createdAt: changeset ? changeset.createdAt : now,
+        updatedAt: now,
+        zones: [...new Set([...(changeset ? changeset.zones || [] : []), ...zones])].sort(),
+        approval: null,
+        activities: changeset ? changeset.activities || [] : [],
+        serialSchemes: changeset ? changeset.serialSchemes || {} : {},
+        files
+    };
+}
+
+/**
+ * Keep an activity on a user's changeset, to be logged when it is applied.
+ * Runs inside exclusive; does nothing when the user has no changeset.
+ * @param {string} owner - Username
+ * @param {Object} activity - Activity data (see activityLogger.logActivity)
+ */
+async function addActivity(owner, activity) {
+    const changeset = await getChangeset(owner);
+    if (!changeset) return;
+    changeset.activities = [...(changeset.activities || []), activity];
+    await saveChangeset(owner, changeset);
+}
+
+/**
+ * Keep a zone's new serial scheme on a user's changeset; the setting is
+ * written when the changeset is applied and dropped with it when it is
+ * discarded. Runs inside exclusive; does nothing when the user has no
+ * changeset.
+ * @param {string} owner - Username
+ * @param {string} zoneName - Zone name
+ * @param {string} scheme - Serial scheme (see zoneSoa.SERIAL_SCHEMES)
+ */
+async function addSerialScheme(owner, zoneName, scheme) {
+    const changeset = await getChangeset(owner);
+    if (!changeset) return;
+    changeset.serialSchemes = { ...(changeset.serialSchemes || {}), [zoneName]: scheme };
+    await saveChangeset(owner, changeset);
+}
+
+/**
+ * Zones a changeset changes
+ */
+function changesetZones(changeset) {
+    const zones = Object.values(changeset.files).map(entry => entry.zone);
+    return [...new Set([...(changeset.zones || []), ...zones].filter(Boolean))].sort();
+}
+
+/**
+ * Whether a staged file still has the content it was staged against
+ */
+async function isCurrent(file, entry) {
+    return fingerprint(await readCurrent(file)) === entry.base;
+}
+
+/**
+ * Unified diff between the file on disk and its staged version
+ * @returns {Promise<Object>} { status: added|modified|deleted, diff }
+ */
+async function diffEntry(file, entry) {
+    const current = await readCurrent(file);
+    const status = entry.removed ? 'deleted' : current === null ? 'added' : 'modified';
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ndash-changes-'));
+    try {
+        const before = path.join(dir, 'before');
+        const after = path.join(dir, 'after');
+        await fs.writeFile(before, current || '', 'utf8');
+        await fs.writeFile(after, entry.removed ? '' : entry.content, 'utf8');
+        const labels = [
+            '--label', current === null ? '/dev/null' : `a${file}`,
+            '--label', entry.removed ? '/dev/null' : `b${file}`
+        ];
+        try {
+            await execFilePromise('diff', ['-u', ...labels, before, after], { maxBuffer: 64 * 1024 * 1024 });
+            return { status, diff: '' };
+        } catch (error) {
+            // diff exits with 1 when the files differ
+            if (error.code === 1) {
+                return { status, diff: error.stdout };
+            }
+            throw new Error(`diff failed: ${(error.stderr || error.message).trim()}`);
+        }
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+/**
+ * Number of other users' changesets awaiting approval
+ */
+async function countAwaitingApproval(reviewer) {
+    return (await listChangesets())
+        .filter(changeset => changeset.owner !== reviewer && changeset.approval && changeset.approval.status === 'pending')
+        .length;
+}
+
+/**
+ * Middleware: count of the user's pending changes, and of the changes
+ * awaiting the user's approval, for the sidebar
+ */
+async function exposePendingChanges(req, res, next) {
+    try {
+        res.locals.pendingChanges = req.user ? await countPending(req.user.username) : 0;
+        res.locals.pendingApprovals = permissions.canApproveChanges(req.user) ? await countAwaitingApproval(req.user.username) : 0;
+    } catch (error) {
+        res.locals.pendingChanges = 0;
+        res.locals.pendingApprovals = 0;
+    }
+    next();
+}
+
+module.exports = {
+    exclusive,
+    getChangeset,
+    saveChangeset,
+    listChangesets,
+    changesetZones,
+    countPending,
+    countAwaitingApproval,
+    toChanges,
+    merge,
+    addActivity,
+    addSerialScheme,
+    isCurrent,
+    diffEntry,
+    exposePendingChanges
+};
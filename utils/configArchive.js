@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Configuration Archive
+ * A gzipped tarball of the zone files and named.conf.local as they are on
+ * disk, for audits and disaster recovery. Everything sits under one top-level
+ * directory:
+ *
+ *   named.conf.local
+ *   zones/<zone file>
+ *   manifest.json - where each file came from, and the zone it holds
+ *
+ * Zone files that do not exist yet (a slave zone before its first transfer)
+ * are listed in the manifest without a file.
+ */
+
+/**
+ * Archive path of a zone file; zones of different views may use the same
+ * file name, so later ones are prefixed with their view
+ */
+function archivePath(zone, used) {
+    const base = path.basename(zone.file);
+    const name = used.has(base) && zone.view ? `${zone.view}-${base}` : base;
+    let candidate = name;
+    for (let n = 2; used.has(candidate); n++) {
+        candidate = `${name}.${n}`;
+    }
+    used.add(candidate);
+    return `zones/${candidate}`;
+}
+
+/**
+ * Build the archive in a temporary directory
+ * @param {Object} options
+ * @param {string} options.name - Top-level directory and file name (without .tar.gz)
+ * @param {Array} options.zones - Zones as listed by bindService.listZones
+ * @param {string} options.confPath - named.conf.local
+ * @returns {Promise<Object>} { file, filename, manifest, cleanup }; call cleanup once the file is sent
+ */
+async function createArchive({ name, zones, confPath }) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ndash-archive-'));
+    const cleanup = () => fs.remove(dir);
+    try {
+        const root = path.join(dir, name);
+        await fs.ensureDir(path.join(root, 'zones'));
+
+        const manifest = {
+            createdAt: new Date().toISOString(),
+            hostname: os.hostname(),
+            namedConfLocal: null,
+            zones: []
+        };
+        if (await fs.pathExists(confPath)) {
+            await fs.copy(confPath, path.join(root, 'named.conf.local'));
+            manifest.namedConfLocal = { source: confPath, path: 'named.conf.local' };
+        }
+
+        const used = new Set();
+        for (const zone of zones) {
+            const entry = { name: zone.name, type: zone.type, view: zone.view || null, source: zone.file || null, path: null };
+            if (zone.file && await fs.pathExists(zone.file)) {
+                entry.path = archivePath(zone, used);
+                await fs.copy(zone.file, path.join(root, entry.path));
+            }
+            manifest.zones.push(entry);
+        }
+        await fs.writeFile(path.join(root, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+
+        const file = path.join(dir, `${name}.tar.gz`);
+        try {
+            await execFilePromise('tar', ['-czf', file, '-C', dir, name]);
+        } catch (error) {
+            throw new Error(`tar failed: ${(error.stderr || error.message).trim()}`);
+        }
+        return { file, filename: path.basename(file), manifest, cleanup };
+    } catch (error) {
+        await cleanup();
+        throw error;
+    }
+}
+
+module.exports = {
+    createArchive
+};
@@ -0,0 +1,378 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const config = require('../config');
+const bindTransaction = require('./bindTransaction');
+const requestContext = require('./requestContext');
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Configuration History
+ * Every change made through NDash is committed to a git repository in the
+ * zones directory, with the acting user as author and the activity
+ * description as message. Only the files the same request wrote since its
+ * previous activity are committed; changes made by other requests or
+ * outside NDash (zone transfers, manual edits) stay out of commits
+ * attributed to a user. named.conf.local
+ * lives outside that directory, so a copy of it is kept in the repository
+ * under config/.
+ *
+ * Generated files (the adblock RPZ zone), zone backups and temporary files
+ * are ignored. Without a git binary history is silently off.
+ */
+
+const REPO_DIR = config.bind.zonesPath;
+const CONFIG_DIR = 'config';
+
+// Repository path -> live file, for files mirrored from outside the zones directory
+const MIRRORED_FILES = {
+    [`${CONFIG_DIR}/named.conf.local`]: config.bind.confPath
+};
+
+const GITIGNORE = [
+    '# Managed by NDash',
+    '*.backup.*',
+    '*.tmp.*',
+    '*.restore.*',
+    'backups/',
+    'adblock.db',
+    '# Maintained by BIND for signed zones',
+    '*.signed',
+    '*.jnl',
+    '*.jbk',
+    ''
+].join('\n');
+
+// Activities that never change files. A reload is logged while the change
+// that triggered it is still being written, so it must not take the commit.
+const READ_ONLY_ACTIONS = ['reload', 'view', 'export', 'alert'];
+
+const COMMIT_PATTERN = /^[0-9a-f]{7,40}$/i;
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+let ready = null;
+let queue = Promise.resolve();
+
+// Live files written by BIND transactions, kept with the request that wrote them
+bindTransaction.onChange(files => {
+    const changed = requestContext.changedFiles();
+    files.forEach(file => changed.add(file));
+});
+
+async function git(args, { allowFailure = false } = {}) {
+    try {
+        const { stdout } = await execFilePromise('git', [
+            '-C', REPO_DIR,
+            '-c', `safe.directory=${REPO_DIR}`,
+            '-c', 'user.name=NDash',
+            '-c', 'user.email=ndash@localhost',
+            ...args
+        ], { maxBuffer: 64 * 1024 * 1024 });
+        return stdout;
+    } catch (error) {
+        if (allowFailure) return null;
+        throw new Error(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+    }
+}
+
+/**
+ * Run git operations one at a time
+ */
+function serialized(work) {
+    const result = queue.then(work);
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Create the repository with an initial import on first use
+ * @returns {Promise<boolean>} Whether history is available
+ */
+function ensureRepository() {
+    if (!ready) {
+        ready = (async () => {
+            try {
+                await execFilePromise('git', ['--version']);
+            } catch {
+                console.warn('⚠ git not found; configuration history is disabled');
+                return false;
+            }
+            await fs.ensureDir(REPO_DIR);
+            if (!await fs.pathExists(path.join(REPO_DIR, '.git'))) {
+                await git(['init', '-q']);
+                await fs.writeFile(path.join(REPO_DIR, '.gitignore'), GITIGNORE, 'utf8');
+                await syncMirroredFiles();
+                await git(['add', '-A']);
+                await git(['commit', '-q', '--allow-empty', '-m', 'Initial import of zone files and named.conf.local']);
+                console.log(`✓ Configuration history initialized in ${REPO_DIR}`);
+            }
+            return true;
+        })().catch(error => {
+            console.error('✗ Failed to initialize configuration history:', error.message);
+            ready = null;
+            return false;
+        });
+    }
+    return ready;
+}
+
+/**
+ * Copy files kept outside the zones directory into the repository
+ * @param {string[]} [only] - Repository paths to copy; default all
+ */
+async function syncMirroredFiles(only = null) {
+    for (const [repoPath, liveFile] of Object.entries(MIRRORED_FILES)) {
+        if (only && !only.includes(repoPath)) continue;
+        const target = path.join(REPO_DIR, repoPath);
+        if (await fs.pathExists(liveFile)) {
+            await fs.ensureDir(path.dirname(target));
+            await fs.copy(liveFile, target);
+        } else {
+            await fs.remove(target);
+        }
+    }
+}
+
+/**
+ * Repository paths of live files that can be committed: tracked or present,
+ * and not ignored (generated zones, backups)
+ */
+async function committablePaths(files) {
+    const paths = [...new Set(files.map(repoPath).filter(Boolean))];
+    if (paths.length === 0) return [];
+    const ignored = (await git(['check-ignore', '--', ...paths], { allowFailure: true }) || '').split('\n');
+    const tracked = (await git(['ls-files', '--', ...paths])).split('\n');
+    const result = [];
+    for (const repoFile of paths) {
+        if (ignored.includes(repoFile)) continue;
+        if (tracked.includes(repoFile) || await fs.pathExists(liveFile(repoFile))) {
+            result.push(repoFile);
+        }
+    }
+    return result;
+}
+
+/**
+ * Author line for a username; token names may contain spaces
+ */
+function author(user) {
+    const name = String(user || 'system');
+    const email = name.toLowerCase().replace(/[^a-z0-9._-]+/g, '-') || 'system';
+    return `${name} <${email}@ndash>`;
+}
+
+/**
+ * Commit the files the current request wrote since its previous activity,
+ * attributed to this one. Nothing is committed when none of them changed.
+ * @param {Object} activity - Activity log entry ({ type, action, description, zone, user })
+ * @returns {Promise<string|null>} The new commit hash, or null
+ */
+function recordChange(activity) {
+    if (READ_ONLY_ACTIONS.includes(activity.action)) {
+        return Promise.resolve(null);
+    }
+    const changed = requestContext.changedFiles();
+    const files = [...changed];
+    changed.clear();
+    return serialized(async () => {
+        if (!await ensureRepository()) return null;
+        const paths = await committablePaths(files);
+        if (paths.length === 0) return null;
+
+        await syncMirroredFiles(paths);
+        await git(['add', '-A', '--', ...paths]);
+        const unchanged = await git(['diff', '--cached', '--quiet', '--', ...paths], { allowFailure: true });
+        if (unchanged !== null) return null;
+
+        const trailers = [`Activity: ${activity.type}/${activity.action}`];
+        if (activity.zone) trailers.push(`Zone: ${activity.zone}`);
+        await git(['commit', '-q', `--author=${author(activity.user)}`, '-m', activity.description, '-m', trailers.join('\n'), '--', ...paths]);
+        const hash = (await git(['rev-parse', 'HEAD'])).trim();
+        console.log(`✓ Configuration change committed: ${hash.slice(0, 8)} ${activity.description}`);
+        return hash;
+    });
+}
+
+/**
+ * Repository path of a live file, or null when it is not tracked
+ */
+function repoPath(file) {
+    const mirrored = Object.keys(MIRRORED_FILES).find(p => MIRRORED_FILES[p] === file);
+    if (mirrored) return mirrored;
+    const relative = path.relative(REPO_DIR, file);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative.split(path.sep).join('/') : null;
+}
+
+/**
+ * Live file of a repository path
+ */
+function liveFile(repoFile) {
+    return MIRRORED_FILES[repoFile] || path.join(REPO_DIR, repoFile);
+}
+
+function parseCommit(text) {
+    const [hash, authorName, date, subject, body = '', files = ''] = text.split(FIELD);
+    const trailer = name => (new RegExp(`^${name}: (.+)$`, 'm').exec(body) || [])[1] || null;
+    const activity = trailer('Activity');
+    return {
+        hash,
+        shortHash: hash.slice(0, 8),
+        author: authorName,
+        date: new Date(date),
+        description: subject,
+        zone: trailer('Zone'),
+        activity: activity ? { type: activity.split('/')[0], action: activity.split('/')[1] } : null,
+        files: files.split('\n').map(f => f.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Commits, newest first
+ * @param {Object} [options]
+ * @param {string} [options.file] - Only commits touching this live file (e.g. a zone file)
+ * @returns {Promise<Array>} [{ hash, shortHash, author, date, description, zone, activity, files }]
+ */
+async function listCommits({ file = null } = {}) {
+    if (!await ensureRepository()) return [];
+    const args = ['log', `--format=${RECORD}%H${FIELD}%an${FIELD}%aI${FIELD}%s${FIELD}%b${FIELD}`, '--name-only'];
+    if (file) {
+        const tracked = repoPath(file);
+        if (!tracked) return [];
+        args.push('--', tracked);
+    }
+    const output = await git(args, { allowFailure: true });
+    if (!output) return [];
+    return output.split(RECORD).filter(Boolean).map(parseCommit);
+}
+
+function assertCommitId(commit) {
+    if (!COMMIT_PATTERN.test(String(commit))) {
+        throw new Error(`Invalid commit id: ${commit}`);
+    }
+}
+
+/**
+ * Split a unified patch into one entry per file
+ */
+function splitPatch(patch) {
+    return patch.split(/^(?=diff --git )/m).filter(Boolean).map(section => {
+        const header = /^diff --git a\/(.+?) b\/(.+)$/m.exec(section);
+        return { path: header ? header[2] : null, diff: section };
+    });
+}
+
+/**
+ * One commit with its per-file diffs
+ * @returns {Promise<Object>} { ...commit, parent, changes: [{ path, status, diff }] }
+ */
+async function getCommit(commit) {
+    assertCommitId(commit);
+    if (!await ensureRepository()) {
+        throw new Error('Configuration history is not available');
+    }
+    const meta = await git(['log', '-1', `--format=%H${FIELD}%an${FIELD}%aI${FIELD}%s${FIELD}%b${FIELD}`, '--name-only', commit, '--'], { allowFailure: true });
+    if (!meta) {
+        throw new Error(`Commit ${commit} not found`);
+    }
+    const info = parseCommit(meta);
+    const parent = (await git(['rev-parse', '--verify', '-q', `${info.hash}^`], { allowFailure: true }) || '').trim() || null;
+
+    const statuses = await git(['show', '--format=', '--name-status', '--no-renames', info.hash]);
+    const patches = splitPatch(await git(['show', '--format=', '--patch', '--no-renames', info.hash]));
+    const changes = statuses.split('\n').filter(Boolean).map(line => {
+        const [status, file] = line.split('\t');
+        const patch = patches.find(p => p.path === file);
+        return { path: file, status: { A: 'added', D: 'deleted' }[status] || 'modified', diff: patch ? patch.diff : '' };
+    });
+    return { ...info, parent, changes };
+}
+
+async function showFile(commit, repoFile) {
+    return git(['show', `${commit}:${repoFile}`], { allowFailure: true });
+}
+
+/**
+ * Three-way merge of one file, as git revert does: undo base -> theirs on ours
+ */
+async function mergeFile(ours, base, theirs) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ndash-revert-'));
+    try {
+        const files = ['ours', 'base', 'theirs'].map(name => path.join(dir, name));
+        await Promise.all([ours, base, theirs].map((content, i) => fs.writeFile(files[i], content, 'utf8')));
+        try {
+            const { stdout } = await execFilePromise('git', ['merge-file', '-p', ...files], { maxBuffer: 64 * 1024 * 1024 });
+            return stdout;
+        } catch (error) {
+            return null; // conflicts (exit code > 0)
+        }
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+/**
+ * Work out the file contents that undo a commit on top of the current files.
+ * Nothing is written; bindService applies the result as a transaction.
+ * @param {string} commit - Commit hash
+ * @param {Object} [options]
+ * @param {Function} [options.align] - (file, content, current) => content; brings the
+ *   old versions in line with the current file before merging (e.g. the SOA serial,
+ *   which changes with every edit and would otherwise always conflict)
+ * @param {Function} [options.resolve] - (file, { ours, base, theirs }) => content or null;
+ *   called when the text merge conflicts
+ * @returns {Promise<Object>} { commit, files: [{ path, file, content }] } with content null for deletions
+ * @throws When the commit is the initial import or a file has since changed in a conflicting way
+ */
+async function planRevert(commit, { align = null, resolve = null } = {}) {
+    const info = await getCommit(commit);
+    if (!info.parent) {
+        throw new Error('Cannot revert the initial import');
+    }
+    const files = [];
+    for (const change of info.changes) {
+        if (change.path === '.gitignore') continue;
+        const file = liveFile(change.path);
+        const ours = await fs.pathExists(file) ? await fs.readFile(file, 'utf8') : null;
+        let base = await showFile(info.hash, change.path);   // as the commit left it
+        let theirs = await showFile(info.parent, change.path); // as it was before
+        if (align && ours !== null) {
+            base = base === null ? null : align(file, base, ours);
+            theirs = theirs === null ? null : align(file, theirs, ours);
+        }
+
+        let content;
+        if (ours === base) {
+            content = theirs;
+        } else if (ours === null || base === null || theirs === null) {
+            throw new Error(`Cannot revert ${info.shortHash}: ${change.path} has changed since`);
+        } else {
+            content = await mergeFile(ours, base, theirs);
+            if (content === null && resolve) {
+                try {
+                    content = await resolve(file, { ours, base, theirs });
+                } catch (error) {
+                    throw new Error(`Cannot revert ${info.shortHash}: ${change.path}: ${error.message}`);
+                }
+            }
+            if (content === null) {
+                throw new Error(`Cannot revert ${info.shortHash}: ${change.path} has conflicting later changes`);
+            }
+        }
+        files.push({ path: change.path, file, content });
+    }
+    return { commit: info, files };
+}
+
+module.exports = {
+    ensureRepository,
+    recordChange,
+    listCommits,
+    getCommit,
+    planRevert,
+    repoPath,
+    MIRRORED_FILES
+};
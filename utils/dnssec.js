@@ -0,0 +1,427 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * DNSSEC
+ * Signing of master zones with BIND 9.18's dnssec-policy: BIND generates
+ * the keys, signs the zone (inline-signing, so the zone file NDash edits
+ * stays unsigned) and rolls keys as the policy says. NDash writes a policy
+ * per zone, named ndash-<zone>, and reads the key files BIND keeps in the
+ * key directory:
+ *
+ *   K<zone>.+<alg>+<tag>.key      the DNSKEY record
+ *   K<zone>.+<alg>+<tag>.state    key timing and state (dnssec-policy only)
+ *
+ * DS records for the parent are computed from the DNSKEY of each KSK.
+ *
+ * The parent zone is the one step BIND cannot do itself: during a KSK
+ * rollover the operator publishes the new DS once BIND starts publishing
+ * CDS records for the new key, withdraws the old DS once CDS records for the
+ * old key are deleted, and confirms each with `rndc dnssec -checkds`.
+ * rolloverSteps works out those steps and when they are due.
+ */
+
+// Algorithm mnemonics accepted by dnssec-policy and their numbers (RFC 8624)
+const ALGORITHMS = {
+    ecdsap256sha256: 13,
+    ecdsap384sha384: 14,
+    ed25519: 15,
+    ed448: 16,
+    rsasha256: 8,
+    rsasha512: 10
+};
+
+const DENIAL_METHODS = ['nsec', 'nsec3'];
+
+const DEFAULT_POLICY = {
+    algorithm: 'ecdsap256sha256',
+    kskLifetime: 'unlimited',
+    zskLifetime: 'P90D',
+    denial: 'nsec'
+};
+
+// ISO 8601 duration as dnssec-policy takes it (P1Y, P90D, PT12H)
+const DURATION = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/i;
+
+/**
+ * Name of the dnssec-policy NDash writes for a zone
+ */
+function policyName(zoneName) {
+    return `ndash-${zoneName}`;
+}
+
+/**
+ * Policy options from a form or API body, with defaults for missing ones
+ * @param {Object} input - { algorithm, kskLifetime, zskLifetime, denial }
+ * @returns {Object} The normalized policy
+ * @throws {Error} On an unknown algorithm or denial method, or a malformed lifetime
+ */
+function normalizePolicy(input = {}) {
+    const value = (name) => String(input[name] ?? '').trim().toLowerCase() || DEFAULT_POLICY[name];
+    const policy = {
+        algorithm: value('algorithm'),
+        kskLifetime: value('kskLifetime'),
+        zskLifetime: value('zskLifetime'),
+        denial: value('denial')
+    };
+    if (!ALGORITHMS[policy.algorithm]) {
+        throw new Error(`Invalid DNSSEC algorithm ${policy.algorithm}; expected one of ${Object.keys(ALGORITHMS).join(', ')}`);
+    }
+    for (const [field, label] of [['kskLifetime', 'KSK'], ['zskLifetime', 'ZSK']]) {
+        if (policy[field] !== 'unlimited' && !DURATION.test(policy[field])) {
+            throw new Error(`Invalid ${label} lifetime ${policy[field]}: expected unlimited or an ISO 8601 duration such as P1Y or P90D`);
+        }
+        policy[field] = policy[field] === 'unlimited' ? policy[field] : policy[field].toUpperCase();
+    }
+    if (!DENIAL_METHODS.includes(policy.denial)) {
+        throw new Error(`Invalid denial of existence ${policy.denial}; expected nsec or nsec3`);
+    }
+    return policy;
+}
+
+/**
+ * Body of a dnssec-policy statement (between the braces)
+ */
+function policyBody(policy) {
+    const lines = [
+        '    keys {',
+        `        ksk lifetime ${policy.kskLifetime} algorithm ${policy.algorithm};`,
+        `        zsk lifetime ${policy.zskLifetime} algorithm ${policy.algorithm};`,
+        '    };'
+    ];
+    if (policy.denial === 'nsec3') {
+        // RFC 9276: no extra iterations, no salt
+        lines.push('    nsec3param iterations 0 optout no salt-length 0;');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Policy options of a dnssec-policy body written by policyBody
+ * @returns {Object|null} The policy, or null when the body is not one NDash understands
+ */
+function parsePolicyBody(body) {
+    const ksk = /\bksk\s+(?:key-directory\s+)?lifetime\s+(\S+)\s+algorithm\s+([\w-]+)\s*;/i.exec(body || '');
+    const zsk = /\bzsk\s+(?:key-directory\s+)?lifetime\s+(\S+)\s+algorithm\s+([\w-]+)\s*;/i.exec(body || '');
+    if (!ksk || !zsk) return null;
+    return {
+        algorithm: ksk[2].toLowerCase(),
+        kskLifetime: ksk[1],
+        zskLifetime: zsk[1],
+        denial: /\bnsec3param\b/.test(body) ? 'nsec3' : 'nsec'
+    };
+}
+
+/**
+ * Date of a key timing value (YYYYMMDDHHMMSS, UTC)
+ */
+function parseTimestamp(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(value || '');
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * Fields of a key state file (K*.state): "Name: value" lines
+ */
+function parseStateFile(content) {
+    const fields = {};
+    for (const line of content.split('\n')) {
+        const match = /^([A-Za-z]+):\s*(.*)$/.exec(line.trim());
+        if (match) fields[match[1]] = match[2].trim();
+    }
+    return fields;
+}
+
+/**
+ * DNSKEY record of a key file (K*.key)
+ * @returns {Object|null} { owner, ttl, flags, protocol, algorithm, publicKey, text }
+ */
+function parseKeyFile(content) {
+    const line = content.split('\n').map(l => l.trim()).find(l => l && !l.startsWith(';'));
+    if (!line) return null;
+    const tokens = line.split(/\s+/);
+    const at = tokens.findIndex(token => token.toUpperCase() === 'DNSKEY');
+    if (at === -1 || tokens.length < at + 5) return null;
+    const ttl = tokens.slice(1, at).find(token => /^\d+$/.test(token));
+    const record = {
+        owner: tokens[0],
+        ttl: ttl ? Number(ttl) : null,
+        flags: Number(tokens[at + 1]),
+        protocol: Number(tokens[at + 2]),
+        algorithm: Number(tokens[at + 3]),
+        publicKey: tokens.slice(at + 4).join('')
+    };
+    record.text = `${record.owner} IN DNSKEY ${record.flags} ${record.protocol} ${record.algorithm} ${record.publicKey}`;
+    return record;
+}
+
+/**
+ * Wire format of a domain name, lowercased (RFC 4034 6.2)
+ */
+function nameWire(name) {
+    const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+    return Buffer.concat([
+        ...labels.map(label => {
+            const bytes = Buffer.from(label.toLowerCase(), 'ascii');
+            return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+        }),
+        Buffer.from([0])
+    ]);
+}
+
+function dnskeyRdata(dnskey) {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(dnskey.flags, 0);
+    header.writeUInt8(dnskey.protocol, 2);
+    header.writeUInt8(dnskey.algorithm, 3);
+    return Buffer.concat([header, Buffer.from(dnskey.publicKey, 'base64')]);
+}
+
+/**
+ * Key tag of a DNSKEY (RFC 4034 appendix B)
+ */
+function keyTag(dnskey) {
+    const rdata = dnskeyRdata(dnskey);
+    let sum = 0;
+    for (let i = 0; i < rdata.length; i++) {
+        sum += i & 1 ? rdata[i] : rdata[i] << 8;
+    }
+    sum += (sum >> 16) & 0xffff;
+    return sum & 0xffff;
+}
+
+/**
+ * DS record (SHA-256, digest type 2) of a DNSKEY, for the parent zone
+ */
+function dsRecord(dnskey) {
+    const digest = crypto.createHash('sha256')
+        .update(Buffer.concat([nameWire(dnskey.owner), dnskeyRdata(dnskey)]))
+        .digest('hex')
+        .toUpperCase();
+    return `${dnskey.owner} IN DS ${keyTag(dnskey)} ${dnskey.algorithm} 2 ${digest}`;
+}
+
+/**
+ * Where a key is in its life, from its timing
+ */
+function keyStatus(timing, now = new Date()) {
+    const passed = date => date && date <= now;
+    if (passed(timing.removed)) return 'removed';
+    if (passed(timing.retired)) return 'retired';
+    if (passed(timing.active)) return 'active';
+    if (passed(timing.published)) return 'published';
+    return 'generated';
+}
+
+/**
+ * Keys of a zone in a key directory, newest first
+ * @param {string} keyDirectory - Directory BIND keeps the zone's keys in
+ * @param {string} zoneName - Zone name
+ * @returns {Promise<Object[]>} [{ tag, algorithm, role, status, timing, states, dnskey, ds }]
+ */
+async function listKeys(keyDirectory, zoneName) {
+    let files;
+    try {
+        files = await fs.readdir(keyDirectory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const prefix = `k${zoneName.replace(/\.$/, '').toLowerCase()}.+`;
+    const keys = [];
+    for (const file of files) {
+        if (!file.toLowerCase().startsWith(prefix) || !file.endsWith('.key')) continue;
+        const base = path.join(keyDirectory, file.slice(0, -'.key'.length));
+        const dnskey = parseKeyFile(await fs.readFile(`${base}.key`, 'utf8'));
+        if (!dnskey) continue;
+        const state = await fs.pathExists(`${base}.state`)
+            ? parseStateFile(await fs.readFile(`${base}.state`, 'utf8'))
+            : {};
+
+        const ksk = state.KSK ? state.KSK === 'yes' : (dnskey.flags & 1) === 1;
+        const zsk = state.ZSK ? state.ZSK === 'yes' : !ksk;
+        const timing = {
+            generated: parseTimestamp(state.Generated),
+            published: parseTimestamp(state.Published),
+            active: parseTimestamp(state.Active),
+            retired: parseTimestamp(state.Retired),
+            removed: parseTimestamp(state.Removed),
+            // BIND publishes CDS/CDNSKEY from publishCds until deleteCds; dsPublish and
+            // dsRemoved are set by `rndc dnssec -checkds`
+            publishCds: parseTimestamp(state.PublishCDS),
+            deleteCds: parseTimestamp(state.DeleteCDS),
+            dsPublish: parseTimestamp(state.DSPublish),
+            dsRemoved: parseTimestamp(state.DSRemoved)
+        };
+        keys.push({
+            file: `${base}.key`,
+            tag: keyTag(dnskey),
+            algorithm: dnskey.algorithm,
+            role: ksk && zsk ? 'CSK' : ksk ? 'KSK' : 'ZSK',
+            predecessor: state.Predecessor ? Number(state.Predecessor) : null,
+            successor: state.Successor ? Number(state.Successor) : null,
+            lifetime: state.Lifetime !== undefined ? Number(state.Lifetime) : null,
+            status: keyStatus(timing),
+            timing,
+            states: {
+                dnskey: state.DNSKEYState || null,
+                zrrsig: state.ZRRSIGState || null,
+                krrsig: state.KRRSIGState || null,
+                ds: state.DSState || null,
+                goal: state.GoalState || null
+            },
+            dnskey: dnskey.text,
+            ds: ksk ? dsRecord(dnskey) : null
+        });
+    }
+    return keys.sort((a, b) => (b.timing.generated || 0) - (a.timing.generated || 0));
+}
+
+// Lifecycle phases of a key, from its key states (see lifecyclePhase)
+const PHASES = {
+    introducing: 'DNSKEY being published',
+    'awaiting-ds': 'Waiting for the DS at the parent',
+    'ds-propagating': 'DS propagating',
+    signing: 'Signatures being introduced',
+    active: 'Active',
+    'ds-withdrawal': 'Waiting for the old DS to be withdrawn',
+    retiring: 'Retiring',
+    removed: 'Removed',
+    unknown: 'Unknown (no key state file)'
+};
+
+/**
+ * Lifecycle phase of a key (a key of PHASES), from the states BIND keeps
+ * for it: hidden, rumoured (propagating in), omnipresent, unretentive
+ * (propagating out)
+ */
+function lifecyclePhase(key) {
+    const { goal, dnskey, zrrsig, ds } = key.states;
+    if (!goal) return 'unknown';
+    const ksk = key.role !== 'ZSK';
+    const zsk = key.role !== 'KSK';
+    if (goal === 'hidden') {
+        if ([dnskey, zrrsig, ds, key.states.krrsig].every(state => !state || state === 'hidden')) return 'removed';
+        if (ksk && (ds === 'omnipresent' || ds === 'rumoured')) return 'ds-withdrawal';
+        return 'retiring';
+    }
+    if (dnskey === 'hidden' || dnskey === 'rumoured') return 'introducing';
+    if (ksk && ds === 'hidden') return 'awaiting-ds';
+    if (ksk && ds === 'rumoured') return 'ds-propagating';
+    if (zsk && zrrsig === 'rumoured') return 'signing';
+    return 'active';
+}
+
+/**
+ * Command that tells BIND a DS step at the parent is done
+ */
+function checkdsCommand(zoneName, tag, what, view = null) {
+    return `rndc dnssec -checkds -key ${tag} ${what} ${zoneName}${view ? ` IN ${view}` : ''}`;
+}
+
+/**
+ * Manual steps at the parent zone for the KSKs (and CSKs) of a zone. A key
+ * BIND is introducing needs its DS published once BIND publishes its CDS; a
+ * key being retired needs its DS withdrawn once BIND deletes its CDS.
+ * @param {Object[]} keys - Keys from listKeys
+ * @param {Object} options
+ * @param {string} options.zone - Zone name
+ * @param {string} [options.view] - View of the zone
+ * @param {Date} [options.now] - Current time
+ * @returns {Object[]} [{ tag, action: publish-ds|withdraw-ds, due, done, overdue, ds, command }]
+ */
+function rolloverSteps(keys, { zone, view = null, now = new Date() } = {}) {
+    const steps = [];
+    for (const key of keys.filter(k => k.role !== 'ZSK' && k.states.goal)) {
+        const { ds } = key.states;
+        if (key.states.goal === 'omnipresent') {
+            const done = !!key.timing.dsPublish || ds === 'rumoured' || ds === 'omnipresent';
+            steps.push({
+                tag: key.tag,
+                action: 'publish-ds',
+                due: key.timing.publishCds,
+                done,
+                overdue: !done && !!key.timing.publishCds && key.timing.publishCds <= now,
+                ds: key.ds,
+                command: checkdsCommand(zone, key.tag, 'published', view)
+            });
+        } else if (ds && ds !== 'hidden') {
+            const done = !!key.timing.dsRemoved || ds === 'unretentive';
+            steps.push({
+                tag: key.tag,
+                action: 'withdraw-ds',
+                due: key.timing.deleteCds,
+                done,
+                overdue: !done && !!key.timing.deleteCds && key.timing.deleteCds <= now,
+                ds: key.ds,
+                command: checkdsCommand(zone, key.tag, 'withdrawn', view)
+            });
+        }
+    }
+    return steps.sort((a, b) => (a.due || Infinity) - (b.due || Infinity));
+}
+
+/**
+ * KSK rollovers in progress: a retiring key and its successor
+ * @returns {Object[]} [{ from, to }] - the keys (from listKeys)
+ */
+function kskRollovers(keys) {
+    const byTag = new Map(keys.map(key => [key.tag, key]));
+    return keys
+        .filter(key => key.role !== 'ZSK' && key.successor && byTag.has(key.successor))
+        .filter(key => lifecyclePhase(key) !== 'removed')
+        .map(key => ({ from: key, to: byTag.get(key.successor) }));
+}
+
+/**
+ * Parse the output of `rndc dnssec -status <zone>`
+ * @returns {Object} { policy, currentTime, keys: [{ tag, algorithm, role, published,
+ *   keySigning, zoneSigning, rollover, states }] }
+ */
+function parseRndcStatus(output) {
+    const status = { policy: null, currentTime: null, keys: [] };
+    let key = null;
+    for (const rawLine of (output || '').split('\n')) {
+        const line = rawLine.trim();
+        let match;
+        if ((match = /^dnssec-policy:\s*(.+)$/.exec(line))) {
+            status.policy = match[1];
+        } else if ((match = /^current time:\s*(.+)$/.exec(line))) {
+            status.currentTime = match[1];
+        } else if ((match = /^key:\s*(\d+)\s*\(([^)]+)\),\s*(\w+)/.exec(line))) {
+            key = { tag: Number(match[1]), algorithm: match[2], role: match[3], published: null, keySigning: null, zoneSigning: null, rollover: null, states: {} };
+            status.keys.push(key);
+        } else if (!key) {
+            continue;
+        } else if ((match = /^(published|key signing|zone signing):\s*(.+)$/.exec(line))) {
+            const field = { published: 'published', 'key signing': 'keySigning', 'zone signing': 'zoneSigning' }[match[1]];
+            key[field] = match[2];
+        } else if ((match = /^-\s*([a-z ]+):\s*(\S+)$/.exec(line))) {
+            key.states[match[1].trim()] = match[2];
+        } else if (line) {
+            key.rollover = line;
+        }
+    }
+    return status;
+}
+
+module.exports = {
+    ALGORITHMS,
+    DENIAL_METHODS,
+    DEFAULT_POLICY,
+    policyName,
+    normalizePolicy,
+    policyBody,
+    parsePolicyBody,
+    parseTimestamp,
+    parseStateFile,
+    listKeys,
+    PHASES,
+    lifecyclePhase,
+    rolloverSteps,
+    kskRollovers,
+    parseRndcStatus
+};
@@ -0,0 +1,82 @@
+/**
+ * Error types shared by routes and services
+ */
+
+/**
+ * An error with an HTTP status and a stable machine-readable code
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Human-readable message
+     * @param {Object} [options]
+     * @param {string} [options.code] - Machine-readable code (default derived from status)
+     * @param {*} [options.details] - Extra data for clients, e.g. per-field errors
+     */
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || HttpError.defaultCode(status);
+        this.details = details;
+    }
+
+    static defaultCode(status) {
+        const codes = {
+            400: 'bad_request',
+            401: 'unauthorized',
+            403: 'forbidden',
+            404: 'not_found',
+            409: 'conflict',
+            422: 'validation_failed'
+        };
+        return codes[status] || (status >= 500 ? 'internal_error' : 'error');
+    }
+}
+
+/**
+ * Invalid input, reported per field so forms and the API can point at the
+ * offending value
+ */
+class ValidationError extends Error {
+    /**
+     * @param {Array<{ field: string, message: string }>} errors - One entry per problem
+     * @param {string} [message] - Summary (default built from the field errors)
+     */
+    constructor(errors, message = null) {
+        super(message || errors.map(e => `${e.field} ${e.message}`).join('; '));
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Map an error thrown by bindService (plain Error with a message) to an
+ * HttpError. Services prefix messages ("Failed to get zone: ..."), so the
+ * patterns match anywhere in the message.
+ */
+function fromServiceError(error) {
+    if (error instanceof HttpError) {
+        return error;
+    }
+    if (error instanceof ValidationError) {
+        return new HttpError(422, error.message, { details: error.errors });
+    }
+    const message = error.message || 'Unexpected error';
+    if (/not found/i.test(message)) {
+        return new HttpError(404, message);
+    }
+    if (/already exists|multiple .* records exist|cannot delete view that has zones|cannot revert|cannot apply|awaiting approval|cannot (approve|reject) your own|is not signed/i.test(message)) {
+        return new HttpError(409, message);
+    }
+    if (/required|invalid|cannot be edited|cannot (reassign|delete)/i.test(message)) {
+        return new HttpError(400, message);
+    }
+    return new HttpError(500, message);
+}
+
+module.exports = {
+    HttpError,
+    ValidationError,
+    fromServiceError
+};
@@ -0,0 +1,1815 @@
+const config = require('../config');
+const { RECORD_TYPES } = require('./recordTypes');
+const recordImport = require('./recordImport');
+const recordExport = require('./recordExport');
+const recordSearch = require('./recordSearch');
+const dnssec = require('./dnssec');
+const zoneLint = require('./zoneLint');
+const zoneSoa = require('./zoneSoa');
+const packageInfo = require('../package.json');
+
+/**
+ * OpenAPI 3 document for the running app
+ *
+ * Paths come from the routers mounted on the Express app, so every route is
+ * listed even when it has no entry in OPERATIONS below; OPERATIONS adds the
+ * summaries and the request/response schemas, keyed by "METHOD /path".
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const form = schema => ({ required: true, content: { 'application/x-www-form-urlencoded': { schema } } });
+const jsonBody = schema => ({ required: true, ...json(schema) });
+
+const html = description => ({ 200: { description, content: { 'text/html': {} } } });
+const redirect = description => ({ 302: { description } });
+const ok = (schema, description = 'OK') => ({ 200: { description, ...json(schema) } });
+const created = schema => ({ 201: { description: 'Created', headers: { Location: { schema: { type: 'string' } } }, ...json(schema) } });
+const noContent = { 204: { description: 'No Content' } };
+const staged = (schema = null) => ({
+    202: {
+        description: 'Staged as a pending change (staging is on); see /api/v1/changes',
+        headers: { Location: { schema: { type: 'string' } } },
+        ...(schema ? json(schema) : {})
+    }
+});
+const apiErrors = (...statuses) => Object.fromEntries(statuses.map(status => [
+    status,
+    { description: STATUS_TEXT[status], ...json(ref('Error')) }
+]));
+
+const STATUS_TEXT = {
+    400: 'Invalid request',
+    401: 'Not authenticated',
+    403: 'Not permitted',
+    404: 'Not found',
+    409: 'Conflict',
+    422: 'Validation failed; details lists each invalid field'
+};
+
+const data = schema => ({ type: 'object', properties: { data: schema } });
+const page = items => ({
+    type: 'object',
+    properties: { data: arrayOf(items), pagination: ref('Pagination') }
+});
+const legacyData = schema => ({
+    type: 'object',
+    properties: { success: { type: 'boolean' }, data: schema, error: { type: 'string' } }
+});
+
+const str = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const int = (description, extra = {}) => ({ type: 'integer', description, ...extra });
+const bool = description => ({ type: 'boolean', description });
+const duration = description => ({ oneOf: [{ type: 'integer' }, { type: 'string' }], description: `${description}; seconds, or with BIND units such as 2h` });
+const checkbox = description => ({ type: 'string', enum: ['on'], description: `${description} (checkbox; omitted when off)` });
+const multi = description => ({
+    oneOf: [{ type: 'string' }, arrayOf({ type: 'string' })],
+    description: `${description} (repeat the field for several values)`
+});
+
+const PAGINATION_PARAMS = [
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'perPage', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } }
+];
+const query = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', description, schema });
+
+const EXPORT_FORMAT_PARAM = query('format', 'Export format', { type: 'string', enum: Object.keys(recordExport.FORMATS), default: 'bind' });
+const zoneExport = {
+    200: {
+        description: 'The zone as an attachment: a canonical BIND zone file, JSON ({ zone, exportedAt, soa, records: Record[] }) or CSV with the import columns',
+        content: Object.fromEntries(Object.values(recordExport.FORMATS).map(({ contentType }) => [contentType, {}]))
+    }
+};
+const archive = { 200: { description: 'Zone files, named.conf.local and manifest.json as a .tar.gz attachment', content: { 'application/gzip': {} } } };
+
+const BACKUP_RECORD_DATA = {
+    type: 'object',
+    nullable: true,
+    properties: { ttl: { type: 'integer' }, rdata: str('Record data as written in the zone file') }
+};
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['status', 'code', 'message'],
+                properties: {
+                    status: { type: 'integer' },
+                    code: str('Machine-readable code, e.g. not_found, conflict, invalid_json'),
+                    message: { type: 'string' },
+                    details: arrayOf({
+                        type: 'object',
+                        properties: { field: { type: 'string' }, message: { type: 'string' } }
+                    })
+                }
+            }
+        }
+    },
+    Pagination: {
+        type: 'object',
+        properties: {
+            page: { type: 'integer' },
+            perPage: { type: 'integer' },
+            total: { type: 'integer' },
+            totalPages: { type: 'integer' }
+        }
+    },
+    LegacyResult: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            error: { type: 'string' }
+        }
+    },
+    Soa: {
+        type: 'object',
+        properties: {
+            mname: str('Primary nameserver'),
+            rname: str('Responsible mailbox, e.g. admin.example.com.'),
+            serial: { type: 'integer' },
+            refresh: { type: 'integer' },
+            retry: { type: 'integer' },
+            expire: { type: 'integer' },
+            minimum: { type: 'integer' },
+            ttl: { type: 'integer' }
+        }
+    },
+    Zone: {
+        type: 'object',
+        properties: {
+            name: str('Zone name, e.g. example.com'),
+            type: str('Zone type', { enum: ['master', 'slave'] }),
+            view: { type: 'string', nullable: true, description: 'View the zone belongs to; null for global' },
+            file: str('Zone file path'),
+            status: { type: 'string' },
+            recordCount: { type: 'integer' },
+            lastModified: { type: 'string', format: 'date-time' },
+            tags: arrayOf(str('Zone tag; "protected" puts the zone under the approval rule'))
+        }
+    },
+    ZoneDetail: {
+        allOf: [ref('Zone'), {
+            type: 'object',
+            properties: {
+                soa: ref('Soa'),
+                parseErrors: arrayOf({ type: 'object', description: 'Zone file lines that could not be parsed' })
+            }
+        }]
+    },
+    ZoneInput: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: str('Zone name; reverse zones end in in-addr.arpa'),
+            type: str('Zone type', { enum: ['master', 'slave'], default: 'master' }),
+            nameserver: str('Primary nameserver (default ns1.<zone>.)'),
+            email: str('SOA mailbox (default admin.<zone>.)'),
+            view: str('View to create the zone in; empty or "global" for none'),
+            domain: str('Forward domain for PTR records of a reverse zone'),
+            template: str('Zone template whose records are added to the new zone (master zones only)'),
+            variables: { type: 'object', additionalProperties: { type: 'string' }, description: 'Values of the template\'s variables by name; variables[name] in forms' }
+        }
+    },
+    ZoneUpdate: {
+        type: 'object',
+        required: ['view'],
+        properties: { view: str('Target view; empty or "global" moves the zone out of views') }
+    },
+    Record: {
+        type: 'object',
+        properties: {
+            name: str('Owner name relative to the zone; @ for the apex'),
+            fqdn: { type: 'string' },
+            type: str('Record type', { enum: Object.keys(RECORD_TYPES) }),
+            ttl: { type: 'integer' },
+            class: { type: 'string', example: 'IN' },
+            value: str('Main value (address, target, text...)'),
+            priority: int('MX preference or SRV priority'),
+            weight: int('SRV weight'),
+            port: int('SRV port'),
+            rdata: { type: 'object', description: 'Structured fields for the record type, e.g. { preference, exchange } for MX', additionalProperties: true },
+            rdataText: str('Record data as written in the zone file'),
+            readOnly: bool('True for records from $INCLUDE or $GENERATE, which cannot be edited')
+        }
+    },
+    ZoneBackup: {
+        type: 'object',
+        properties: {
+            id: str('Snapshot id: the time it was taken, in milliseconds since the epoch'),
+            createdAt: { type: 'string', format: 'date-time' },
+            size: int('Size in bytes')
+        }
+    },
+    ZoneBackupDetail: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            soa: ref('Soa'),
+            content: str('Zone file text of the snapshot'),
+            records: arrayOf(ref('Record'))
+        }
+    },
+    ZoneBackupDiff: {
+        type: 'object',
+        properties: {
+            from: ref('ZoneVersion'),
+            to: ref('ZoneVersion'),
+            changes: arrayOf({
+                type: 'object',
+                properties: {
+                    change: str('What happened to the record', { enum: ['added', 'removed', 'changed'] }),
+                    fqdn: { type: 'string' },
+                    type: { type: 'string' },
+                    from: { ...BACKUP_RECORD_DATA, description: 'Before; null when added' },
+                    to: { ...BACKUP_RECORD_DATA, description: 'After; null when removed' }
+                }
+            })
+        }
+    },
+    ZoneVersion: {
+        type: 'object',
+        properties: {
+            id: str('Snapshot id, or "current" for the live zone file'),
+            createdAt: { type: 'string', format: 'date-time' },
+            serial: { type: 'integer', nullable: true }
+        }
+    },
+    RecordSearchResult: {
+        type: 'object',
+        properties: {
+            zone: { type: 'string' },
+            view: { type: 'string', nullable: true },
+            name: str('Owner relative to the zone; @ for the apex'),
+            fqdn: { type: 'string' },
+            type: { type: 'string' },
+            ttl: { type: 'integer' },
+            rdataText: { type: 'string' },
+            readOnly: bool('From $INCLUDE or $GENERATE; edit the source instead'),
+            editUrl: { type: 'string', nullable: true, description: 'Web page to edit the record' }
+        }
+    },
+    BulkReplaceInput: {
+        type: 'object',
+        required: ['q', 'replacement'],
+        properties: {
+            q: str('Search term matched against record values: an address, a CIDR range, text or a wildcard pattern'),
+            replacement: str('New value; addresses and wildcard matches are replaced as a whole, text replaces each occurrence in the value'),
+            type: str('Only records of this type'),
+            zone: str('Only records of this zone'),
+            view: str('Only zones of this view; "global" for zones outside views'),
+            select: { ...arrayOf({ type: 'string' }), description: 'Keys (from the preview) of the records to change; default every record that can change' }
+        }
+    },
+    BulkReplacePlan: {
+        type: 'object',
+        properties: {
+            term: { type: 'string' },
+            replacement: { type: 'string' },
+            summary: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Count per status, total and zones' },
+            items: arrayOf({
+                type: 'object',
+                properties: {
+                    key: str('Identifies the record in select'),
+                    zone: { type: 'string' },
+                    name: { type: 'string' },
+                    fqdn: { type: 'string' },
+                    type: { type: 'string' },
+                    ttl: { type: 'integer' },
+                    oldValue: { type: 'string' },
+                    newValue: { type: 'string', nullable: true },
+                    status: { type: 'string', enum: ['change', 'unchanged', 'invalid', 'read-only'] },
+                    message: { type: 'string', nullable: true }
+                }
+            })
+        }
+    },
+    BulkReplaceResult: {
+        type: 'object',
+        properties: {
+            changed: { type: 'integer' },
+            zones: arrayOf({ type: 'object', properties: { zone: { type: 'string' }, changed: { type: 'integer' } } })
+        }
+    },
+    DnssecPolicy: {
+        type: 'object',
+        properties: {
+            algorithm: str('Signing algorithm', { enum: Object.keys(dnssec.ALGORITHMS), default: dnssec.DEFAULT_POLICY.algorithm }),
+            kskLifetime: str('KSK lifetime: ISO 8601 duration (P1Y) or unlimited', { default: dnssec.DEFAULT_POLICY.kskLifetime }),
+            zskLifetime: str('ZSK lifetime: ISO 8601 duration (P90D) or unlimited', { default: dnssec.DEFAULT_POLICY.zskLifetime }),
+            denial: str('Denial of existence', { enum: dnssec.DENIAL_METHODS, default: dnssec.DEFAULT_POLICY.denial })
+        }
+    },
+    ZoneDnssec: {
+        type: 'object',
+        properties: {
+            zone: { type: 'string' },
+            status: str('unsigned, signed, or unsigning (insecure policy)', { enum: ['unsigned', 'signed', 'unsigning'] }),
+            policyName: { type: 'string', nullable: true },
+            policy: { ...ref('DnssecPolicy'), nullable: true, description: 'Set when the policy was written by NDash' },
+            keyDirectory: { type: 'string' },
+            keys: arrayOf({
+                type: 'object',
+                properties: {
+                    tag: { type: 'integer' },
+                    algorithm: { type: 'integer' },
+                    role: { type: 'string', enum: ['KSK', 'ZSK', 'CSK'] },
+                    status: { type: 'string', enum: ['generated', 'published', 'active', 'retired', 'removed'] },
+                    timing: {
+                        type: 'object',
+                        description: 'From the key and state files; publishCds/deleteCds are when BIND adds and removes the CDS record, dsPublish/dsRemoved when the DS change at the parent was confirmed',
+                        properties: Object.fromEntries(['generated', 'published', 'active', 'retired', 'removed', 'publishCds', 'deleteCds', 'dsPublish', 'dsRemoved']
+                            .map(name => [name, { type: 'string', format: 'date-time', nullable: true }]))
+                    },
+                    states: {
+                        type: 'object',
+                        description: 'Key states from the BIND state file (hidden, rumoured, omnipresent, unretentive)',
+                        properties: Object.fromEntries(['dnskey', 'zrrsig', 'krrsig', 'ds', 'goal']
+                            .map(name => [name, { type: 'string', nullable: true }]))
+                    },
+                    dnskey: str('DNSKEY record'),
+                    ds: { type: 'string', nullable: true, description: 'DS record (SHA-256) for the parent; KSK and CSK only' }
+                }
+            })
+        }
+    },
+    DnssecStep: {
+        type: 'object',
+        description: 'Manual step at the parent zone for a KSK or CSK',
+        properties: {
+            tag: { type: 'integer' },
+            action: { type: 'string', enum: ['publish-ds', 'withdraw-ds'] },
+            due: { type: 'string', format: 'date-time', nullable: true, description: 'When the DS can be published or withdrawn' },
+            done: { type: 'boolean' },
+            overdue: { type: 'boolean' },
+            ds: { type: 'string', nullable: true },
+            command: str('rndc command that tells BIND the step is done')
+        }
+    },
+    ZoneDnssecRollover: {
+        allOf: [ref('ZoneDnssec'), {
+            type: 'object',
+            properties: {
+                keys: arrayOf({
+                    type: 'object',
+                    description: 'ZoneDnssec keys, plus:',
+                    properties: {
+                        phase: { type: 'string', enum: Object.keys(dnssec.PHASES) },
+                        predecessor: { type: 'integer', nullable: true },
+                        successor: { type: 'integer', nullable: true }
+                    }
+                }),
+                rollovers: arrayOf({ type: 'object', properties: { from: { type: 'integer' }, to: { type: 'integer' } } }),
+                steps: arrayOf(ref('DnssecStep')),
+                rndc: {
+                    type: 'object',
+                    properties: {
+                        output: { type: 'string', nullable: true, description: 'Output of rndc dnssec -status' },
+                        error: { type: 'string', nullable: true }
+                    }
+                }
+            }
+        }]
+    },
+    ZoneSoa: {
+        type: 'object',
+        properties: {
+            mname: str('Primary name server'),
+            rname: str('Mailbox of the person responsible, with the @ written as a dot'),
+            serial: { type: 'integer' },
+            ttl: { type: 'integer', nullable: true, description: 'Default TTL of the zone ($TTL); null when the file sets none' },
+            refresh: { type: 'integer' },
+            retry: { type: 'integer' },
+            expire: { type: 'integer' },
+            minimum: int('Negative caching TTL'),
+            serialScheme: str('How the serial counts on: YYYYMMDDNN, a plain counter or unix time', { enum: zoneSoa.SERIAL_SCHEMES })
+        }
+    },
+    ZoneSoaInput: {
+        type: 'object',
+        description: 'Fields left out keep their value; ranges follow RFC 1912 and RFC 2308',
+        properties: {
+            mname: { type: 'string' },
+            rname: str('hostmaster.example.com. or hostmaster@example.com'),
+            ttl: duration('Default TTL ($TTL)'),
+            refresh: duration('1200-43200'),
+            retry: duration('Shorter than refresh'),
+            expire: duration('1209600-2419200, above refresh plus retry'),
+            minimum: duration('300-86400'),
+            serialScheme: { type: 'string', enum: zoneSoa.SERIAL_SCHEMES }
+        }
+    },
+    LintFinding: {
+        type: 'object',
+        properties: {
+            severity: str('error: resolvers or servers fail on it; warning: against an RFC recommendation; info: often deliberate', { enum: zoneLint.SEVERITIES }),
+            rule: str('Check that reported it, e.g. glue-missing, mx-cname, soa-refresh'),
+            name: str('Owner of the record, relative to the zone; @ for zone-wide findings'),
+            type: { type: 'string', nullable: true },
+            line: { type: 'integer', nullable: true },
+            file: { type: 'string', nullable: true, description: '$INCLUDE file the record is in' },
+            message: { type: 'string' }
+        }
+    },
+    HistoryCommit: {
+        type: 'object',
+        properties: {
+            hash: { type: 'string' },
+            author: str('User or API token that made the change'),
+            date: { type: 'string', format: 'date-time' },
+            description: str('Activity description'),
+            zone: { type: 'string', nullable: true },
+            activity: { type: 'object', nullable: true, properties: { type: { type: 'string' }, action: { type: 'string' } } },
+            files: arrayOf(str('Path in the history repository; named.conf.local is config/named.conf.local'))
+        }
+    },
+    HistoryCommitDetail: {
+        allOf: [ref('HistoryCommit'), {
+            type: 'object',
+            properties: {
+                parent: { type: 'string', nullable: true },
+                changes: arrayOf({
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string' },
+                        status: { type: 'string', enum: ['added', 'modified', 'deleted'] },
+                        zone: { type: 'string', nullable: true },
+                        diff: str('Unified diff')
+                    }
+                })
+            }
+        }]
+    },
+    Changeset: {
+        type: 'object',
+        properties: {
+            owner: str('User the changes belong to'),
+            createdAt: { type: 'string', format: 'date-time', nullable: true },
+            updatedAt: { type: 'string', format: 'date-time', nullable: true },
+            zones: arrayOf(str('Zones the changes touch')),
+            approvalZones: arrayOf(str('Protected zones among them; the changes need approval')),
+            approval: { allOf: [ref('Approval')], nullable: true, description: 'Approval request; null for a draft' },
+            files: arrayOf({
+                type: 'object',
+                properties: {
+                    file: str('Path of the zone or configuration file'),
+                    zone: { type: 'string', nullable: true },
+                    status: { type: 'string', enum: ['added', 'modified', 'deleted'] },
+                    diff: str('Unified diff against the file on disk'),
+                    stale: bool('The file changed on disk since it was staged; the changes cannot be applied')
+                }
+            })
+        }
+    },
+    Approval: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['pending', 'rejected'] },
+            requestedAt: { type: 'string', format: 'date-time' },
+            comment: str('Note from the requester'),
+            reviewedBy: str('Approver who rejected the changes'),
+            reviewedAt: { type: 'string', format: 'date-time' },
+            reviewComment: str('Reason for the rejection')
+        }
+    },
+    ApprovalRequest: {
+        type: 'object',
+        properties: {
+            owner: str('User who requested approval'),
+            requestedAt: { type: 'string', format: 'date-time' },
+            comment: { type: 'string' },
+            zones: arrayOf({ type: 'string' }),
+            files: arrayOf({ type: 'string' })
+        }
+    },
+    RecordInput: {
+        type: 'object',
+        required: ['name', 'type'],
+        description: 'Either value (with priority/weight/port where the type needs them) or rdata is required',
+        properties: {
+            name: str('Owner name relative to the zone; @ for the apex'),
+            type: str('Record type', { enum: Object.keys(RECORD_TYPES) }),
+            ttl: int('TTL in seconds', { default: 3600 }),
+            value: { type: 'string' },
+            priority: { type: 'integer' },
+            weight: { type: 'integer' },
+            port: { type: 'integer' },
+            rdata: {
+                type: 'object',
+                additionalProperties: true,
+                description: 'Fields by type: ' + Object.entries(RECORD_TYPES)
+                    .map(([type, definition]) => `${type} { ${definition.fields.join(', ')} }`).join('; ')
+            }
+        }
+    },
+    RecordImportInput: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+            content: str(`BIND zone file lines, CSV with a header row (${recordImport.CSV_COLUMNS.join(', ')}), a JSON array of RecordInput, or a Cloudflare, Route 53 or PowerDNS export`),
+            format: str('Document format', { enum: ['auto', ...recordImport.FORMATS], default: 'auto' }),
+            replace: bool('Imported records replace existing records with the same name and type instead of being added next to them'),
+            select: { ...arrayOf({ type: 'integer' }), description: 'Indexes (from the preview) of the records to import; default all new records' }
+        }
+    },
+    RecordImportPlan: {
+        type: 'object',
+        properties: {
+            format: { type: 'string', enum: recordImport.FORMATS },
+            replace: { type: 'boolean' },
+            summary: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Count per status, and total' },
+            errors: arrayOf({ type: 'object', properties: { source: { type: 'string' }, message: { type: 'string' } } }),
+            items: arrayOf({
+                type: 'object',
+                properties: {
+                    index: { type: 'integer' },
+                    source: str('Where the record is in the document, e.g. "line 12"'),
+                    name: { type: 'string' },
+                    type: { type: 'string' },
+                    ttl: { type: 'integer', nullable: true },
+                    rdataText: { type: 'string', nullable: true },
+                    status: { type: 'string', enum: ['new', 'conflict', 'exists', 'duplicate', 'invalid', 'skipped'] },
+                    importable: { type: 'boolean' },
+                    message: { type: 'string', nullable: true },
+                    errors: arrayOf({ type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }),
+                    existing: { ...arrayOf({ type: 'string' }), description: 'Record data of the zone\'s records with this name and type' },
+                    warnings: { ...arrayOf({ type: 'string' }), description: 'Provider features lost on import, e.g. proxying or a flattened alias' }
+                }
+            })
+        }
+    },
+    ZoneImportInput: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+            content: str('Cloudflare BIND export, Route 53 list-resource-record-sets JSON, PowerDNS API zone JSON, or any format of RecordImportInput'),
+            format: str('Document format', { enum: ['auto', ...recordImport.FORMATS], default: 'auto' }),
+            zoneName: str('Zone to create; default the zone named in the document'),
+            view: str('View of the new zone'),
+            select: { ...arrayOf({ type: 'integer' }), description: 'Indexes (from the preview) of the records to import; default all importable records' }
+        }
+    },
+    ZoneImportPlan: {
+        allOf: [ref('RecordImportPlan'), {
+            type: 'object',
+            properties: {
+                zone: str('Zone that will be created'),
+                documentZone: { type: 'string', nullable: true, description: 'Zone named in the document' }
+            }
+        }]
+    },
+    ZoneImportResult: {
+        type: 'object',
+        properties: {
+            zone: { type: 'string' },
+            added: { type: 'integer' },
+            replaced: { type: 'integer' },
+            skipped: int('Provider records left out, e.g. its SOA and name servers')
+        }
+    },
+    RecordImportResult: {
+        type: 'object',
+        properties: {
+            format: { type: 'string' },
+            added: { type: 'integer' },
+            replaced: int('Existing records removed in favor of imported ones')
+        }
+    },
+    ZoneTemplate: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            records: str('BIND zone file lines with {{variable}} placeholders; {{zone}} is the zone name'),
+            updatedAt: { type: 'string', format: 'date-time' },
+            variables: { ...arrayOf({ type: 'string' }), description: 'Variables to fill in, besides zone' },
+            zones: { ...arrayOf({ type: 'string' }), description: 'Zones the template was last applied to' }
+        }
+    },
+    ZoneTemplateInput: {
+        type: 'object',
+        required: ['name', 'records'],
+        properties: {
+            name: str('Template name; the path gives it on update', { pattern: '^[a-z0-9._-]{1,32}$' }),
+            description: str('Up to 200 characters'),
+            records: str('BIND zone file lines with {{variable}} placeholders; $INCLUDE is not allowed')
+        }
+    },
+    ZoneTemplateApply: {
+        type: 'object',
+        required: ['template'],
+        properties: {
+            template: str('Template name'),
+            variables: { type: 'object', additionalProperties: { type: 'string' }, description: 'Values of the template\'s variables by name; variables[name] in forms' },
+            replace: bool('Template records replace existing records with the same name and type instead of being added next to them'),
+            select: { ...arrayOf({ type: 'integer' }), description: 'Indexes (from the preview) of the records to write; default every new or conflicting record' }
+        }
+    },
+    ZoneTemplateResult: {
+        type: 'object',
+        properties: {
+            template: { type: 'string' },
+            added: { type: 'integer' },
+            replaced: int('Existing records removed in favor of template records')
+        }
+    },
+    RecordForm: {
+        type: 'object',
+        required: ['name', 'type', 'value'],
+        properties: {
+            name: { type: 'string' },
+            type: { type: 'string', enum: Object.keys(RECORD_TYPES) },
+            value: { type: 'string' },
+            ttl: { type: 'integer', default: 3600 },
+            priority: { type: 'integer' },
+            weight: { type: 'integer' },
+            port: { type: 'integer' }
+        }
+    },
+    ViewAcl: {
+        type: 'object',
+        properties: {
+            allow: arrayOf(str('Address, CIDR, ACL name or keyword such as any')),
+            deny: arrayOf({ type: 'string' })
+        }
+    },
+    View: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            acl: ref('ViewAcl'),
+            zones: arrayOf({ type: 'string' })
+        }
+    },
+    ViewInput: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string' },
+            acl: ref('ViewAcl'),
+            allow: arrayOf({ type: 'string' }),
+            deny: arrayOf({ type: 'string' })
+        },
+        description: 'ACL lists may be given inside acl or at the top level'
+    },
+    AclEntry: {
+        type: 'object',
+        required: ['address'],
+        properties: {
+            address: str('IP address, CIDR, key or ACL name'),
+            negated: bool('Written as !address'),
+            description: { type: 'string' }
+        }
+    },
+    Acl: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            entries: arrayOf(ref('AclEntry')),
+            file: str('Configuration file the ACL is defined in'),
+            raw: { type: 'string' }
+        }
+    },
+    AclInput: {
+        type: 'object',
+        required: ['name', 'entries'],
+        properties: {
+            name: { type: 'string' },
+            entries: { ...arrayOf(ref('AclEntry')), minItems: 1 },
+            description: { type: 'string' }
+        }
+    },
+    SlaveZone: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['slave'] },
+            masters: arrayOf(str('Master server IP'))
+        }
+    },
+    MasterZone: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['master'] },
+            file: { type: 'string' }
+        }
+    },
+    SlaveZoneInput: {
+        type: 'object',
+        required: ['zoneName', 'masterIp'],
+        properties: {
+            zoneName: { type: 'string' },
+            masterIp: str('IP address of the master server'),
+            allowTransferAcl: str('ACL allowed to transfer the zone', { default: 'none' })
+        }
+    },
+    ResolverSettings: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            forwarders: arrayOf(str('IP address')),
+            queryLogging: { type: 'boolean' },
+            cacheSize: str('Cache size such as 256M', { pattern: '^\\d+[KMGkmg]?$' }),
+            dnssecValidation: { type: 'boolean' },
+            adblock: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean' },
+                    blocklistUrls: arrayOf({ type: 'string', format: 'uri' }),
+                    redirectTo: { type: 'string' },
+                    customDomains: arrayOf({ type: 'string' }),
+                    wildcardEnabled: { type: 'boolean' },
+                    wildcardDomains: arrayOf({ type: 'string' })
+                }
+            },
+            doh: ref('TlsListener'),
+            dot: ref('TlsListener')
+        }
+    },
+    TlsListener: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            port: { type: 'integer' },
+            certPath: { type: 'string' },
+            keyPath: { type: 'string' }
+        }
+    },
+    Activity: {
+        type: 'object',
+        properties: {
+            timestamp: { type: 'string', format: 'date-time' },
+            type: str('Subject, e.g. zone, record, view, acl, user, token'),
+            action: str('e.g. create, update, delete'),
+            description: { type: 'string' },
+            zone: { type: 'string', nullable: true },
+            user: str('Username, or the API token name for token requests'),
+            details: { type: 'object', additionalProperties: true }
+        }
+    }
+};
+
+const PARAM_DESCRIPTIONS = {
+    zoneName: 'Zone name, e.g. example.com',
+    recordName: 'Record owner name relative to the zone; @ for the apex',
+    recordType: 'Record type, e.g. A or MX',
+    name: 'Resource name',
+    type: 'Record type',
+    username: 'Username',
+    id: 'API token id'
+};
+
+const RDATA_PARAM = query('rdata', 'Record data as written in the zone file; selects one of several records sharing name and type');
+
+const OPERATIONS = {
+    // Authentication
+    'GET /login': { summary: 'Login page', security: [], parameters: [query('next', 'Path to return to after login')], responses: html('Login form') },
+    'POST /login': {
+        summary: 'Sign in',
+        security: [],
+        requestBody: form({
+            type: 'object',
+            required: ['username', 'password'],
+            properties: { username: { type: 'string' }, password: { type: 'string', format: 'password' }, next: { type: 'string' } }
+        }),
+        responses: redirect('To `next` on success, back to /login with ?error= otherwise')
+    },
+    'POST /logout': { summary: 'Sign out', responses: redirect('To /login') },
+    'GET /setup': { summary: 'First-run page to create the initial administrator', security: [], responses: html('Setup form') },
+    'POST /setup': {
+        summary: 'Create the initial administrator',
+        security: [],
+        requestBody: form({
+            type: 'object',
+            required: ['username', 'password', 'confirmPassword'],
+            properties: {
+                username: { type: 'string' },
+                password: { type: 'string', format: 'password' },
+                confirmPassword: { type: 'string', format: 'password' },
+                displayName: { type: 'string' }
+            }
+        }),
+        responses: redirect('To the dashboard')
+    },
+
+    // Dashboard and zones
+    'GET /': { summary: 'Dashboard', responses: html('Dashboard') },
+    'GET /zones': { summary: 'Zone list page', responses: html('Zone list') },
+    'GET /zones/{zoneName}': {
+        summary: 'Zone detail page with its records, best-practice checks and backup history',
+        parameters: [
+            query('from', 'Backup id to compare; shows the record differences'),
+            query('to', 'Backup id to compare with, or "current" (default)')
+        ],
+        responses: html('Zone detail')
+    },
+    'GET /zones/{zoneName}/export': {
+        summary: 'Download a zone',
+        parameters: [EXPORT_FORMAT_PARAM],
+        responses: { ...zoneExport, ...redirect('Back to the zone with ?error=') }
+    },
+    'GET /zones/export/archive': { summary: 'Download all zone files and named.conf.local (admin)', responses: archive },
+    'GET /zones/new/create': { summary: 'New zone form', responses: html('Zone form') },
+    'GET /zones/new/import': { summary: 'Zone import form', responses: html('Import form') },
+    'POST /zones/new/import/preview': {
+        summary: 'Preview a zone created from a provider export',
+        requestBody: form({
+            type: 'object',
+            required: ['content'],
+            properties: {
+                content: { type: 'string' },
+                format: { type: 'string', enum: ['auto', ...recordImport.FORMATS] },
+                zoneName: { type: 'string' },
+                view: { type: 'string' }
+            }
+        }),
+        responses: html('Import form with the preview')
+    },
+    'POST /zones/new/import': {
+        summary: 'Create the zone with the selected records',
+        requestBody: form({
+            type: 'object',
+            required: ['content', 'zoneName'],
+            properties: {
+                content: { type: 'string' },
+                format: { type: 'string', enum: ['auto', ...recordImport.FORMATS] },
+                zoneName: { type: 'string' },
+                view: { type: 'string' },
+                select: multi('Index of a record to import')
+            }
+        }),
+        responses: { ...redirect('To the new zone'), 400: { description: 'Import form with the preview and the error', content: { 'text/html': {} } } }
+    },
+    'POST /zones': { summary: 'Create a zone', requestBody: form(ref('ZoneInput')), responses: redirect('To the new zone, or back to the form with ?error=') },
+    'POST /zones/{zoneName}/delete': { summary: 'Delete a zone', responses: redirect('To /zones') },
+    'POST /zones/{zoneName}/reassign': {
+        summary: 'Move a zone to another view',
+        requestBody: form(ref('ZoneUpdate')),
+        responses: redirect('To /zones')
+    },
+    'POST /zones/{zoneName}/backups/{backupId}/restore': {
+        summary: 'Restore a zone file backup; the current file is backed up first',
+        responses: redirect('To the zone, with ?success= or ?error=')
+    },
+    'POST /zones/{zoneName}/backups/prune': {
+        summary: 'Delete zone file backups outside the retention rules',
+        responses: redirect('To the zone, with ?success= or ?error=')
+    },
+    'POST /zones/{zoneName}/soa': {
+        summary: 'Change the SOA fields, $TTL and serial scheme of a zone',
+        requestBody: form(ref('ZoneSoaInput')),
+        responses: redirect('To the zone, with ?success= or ?error=')
+    },
+    'GET /zones/{zoneName}/template': { summary: 'Apply-template page, filled in with the template last applied', responses: html('Template form') },
+    'POST /zones/{zoneName}/template/preview': {
+        summary: 'Compare the records of a zone template with the zone',
+        requestBody: form(ref('ZoneTemplateApply')),
+        responses: html('Template form with the preview')
+    },
+    'POST /zones/{zoneName}/template': {
+        summary: 'Write the selected records of a zone template',
+        requestBody: form({
+            type: 'object',
+            required: ['template'],
+            properties: {
+                template: { type: 'string' },
+                variables: { type: 'object', additionalProperties: { type: 'string' }, description: 'Values of the template\'s variables by name; variables[name] in forms' },
+                replace: { type: 'string', enum: ['1'] },
+                select: multi('Index of a record to write')
+            }
+        }),
+        responses: redirect('To the zone with ?success=, or back to the form with ?error=')
+    },
+    'POST /zones/{zoneName}/tags': {
+        summary: 'Replace the tags of a zone (admin)',
+        requestBody: form({ type: 'object', properties: { tags: str('Comma separated tags; protected puts the zone under the approval rule') } }),
+        responses: redirect('To the zone, with ?success= or ?error=')
+    },
+    'GET /zones/{zoneName}/dnssec': {
+        summary: 'DNSSEC key rollover page: key phases, DS steps at the parent and rndc dnssec -status',
+        responses: html('Key rollovers')
+    },
+    'POST /zones/{zoneName}/dnssec': {
+        summary: 'Sign a zone with a dnssec-policy, or change its policy',
+        requestBody: form(ref('DnssecPolicy')),
+        responses: redirect('To the zone, with ?success= or ?error=')
+    },
+    'POST /zones/{zoneName}/dnssec/disable': {
+        summary: 'Stop signing a zone',
+        responses: redirect('To the zone, with ?success= or ?error=')
+    },
+    'POST /zones/reload': {
+        summary: 'Reload BIND',
+        responses: ok(ref('LegacyResult'))
+    },
+
+    // Records
+    'GET /records/zone/{zoneName}': { summary: 'Record list page', responses: html('Record list') },
+    'GET /records/zone/{zoneName}/new': { summary: 'New record form', responses: html('Record form') },
+    'POST /records/zone/{zoneName}': { summary: 'Add a record', requestBody: form(ref('RecordForm')), responses: redirect('To the zone') },
+    'GET /records/zone/{zoneName}/import': { summary: 'Record import form', responses: html('Import form') },
+    'POST /records/zone/{zoneName}/import/preview': {
+        summary: 'Compare an import document with the zone',
+        requestBody: form({
+            type: 'object',
+            required: ['content'],
+            properties: {
+                content: { type: 'string' },
+                format: { type: 'string', enum: ['auto', ...recordImport.FORMATS] },
+                replace: str('Replace existing records with the same name and type (checkbox)')
+            }
+        }),
+        responses: html('Import form with the preview')
+    },
+    'POST /records/zone/{zoneName}/import': {
+        summary: 'Import the selected records',
+        requestBody: form({
+            type: 'object',
+            required: ['content'],
+            properties: {
+                content: { type: 'string' },
+                format: { type: 'string', enum: ['auto', ...recordImport.FORMATS] },
+                replace: str('Replace existing records with the same name and type (checkbox)'),
+                select: multi('Index of a record to import')
+            }
+        }),
+        responses: { ...redirect('To the zone'), 400: { description: 'Import form with the preview and the error', content: { 'text/html': {} } } }
+    },
+    'GET /records/{zoneName}/{recordName}/{recordType}/edit': {
+        summary: 'Edit record form',
+        parameters: [RDATA_PARAM],
+        responses: html('Record form')
+    },
+    'POST /records/{zoneName}/{recordName}/{recordType}/edit': {
+        summary: 'Update a record',
+        requestBody: form({
+            allOf: [ref('RecordForm'), {
+                type: 'object',
+                properties: { oldRdata: str('Record data of the record being edited, when several share name and type') }
+            }]
+        }),
+        responses: redirect('To the zone')
+    },
+    'POST /records/{zoneName}/{recordName}/{recordType}/delete': {
+        summary: 'Delete a record',
+        requestBody: form({ type: 'object', properties: { rdata: str('Selects one of several records sharing name and type') } }),
+        responses: redirect('To the zone')
+    },
+
+    // Views
+    'GET /views': { summary: 'View list page', responses: html('View list') },
+    'GET /views/new': { summary: 'New view form', responses: html('View form') },
+    'POST /views': {
+        summary: 'Create a view',
+        requestBody: form({
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string' },
+                allow: str('Allowed clients, one per line'),
+                deny: str('Denied clients, one per line')
+            }
+        }),
+        responses: redirect('To /views')
+    },
+    'GET /views/{name}/edit': { summary: 'Edit view form', responses: html('View form') },
+    'POST /views/{name}': {
+        summary: 'Replace the ACL of a view',
+        requestBody: form({
+            type: 'object',
+            properties: { allow: str('Allowed clients, one per line'), deny: str('Denied clients, one per line') }
+        }),
+        responses: redirect('To /views')
+    },
+    'POST /views/{name}/delete': { summary: 'Delete a view without zones', responses: redirect('To /views') },
+
+    // ACLs and zone transfers
+    'GET /acl': { summary: 'Access control page', responses: html('ACLs, master and slave zones') },
+    'GET /acl/api/list': { summary: 'List ACLs', responses: ok(legacyData(arrayOf(ref('Acl')))) },
+    'POST /acl/api/create': { summary: 'Create an ACL', requestBody: jsonBody(ref('AclInput')), responses: ok(ref('LegacyResult')) },
+    'POST /acl/api/delete': {
+        summary: 'Delete an ACL',
+        requestBody: jsonBody({ type: 'object', required: ['name'], properties: { name: { type: 'string' } } }),
+        responses: ok(ref('LegacyResult'))
+    },
+    'GET /acl/api/master-zones': { summary: 'List master zones', responses: ok(legacyData(arrayOf(ref('MasterZone')))) },
+    'GET /acl/api/slave-zones': { summary: 'List slave zones', responses: ok(legacyData(arrayOf(ref('SlaveZone')))) },
+    'POST /acl/api/convert-to-slave': { summary: 'Convert a zone to a slave', requestBody: jsonBody(ref('SlaveZoneInput')), responses: ok(ref('LegacyResult')) },
+    'POST /acl/api/convert-to-master': {
+        summary: 'Convert a slave zone back to a master',
+        requestBody: jsonBody({
+            type: 'object',
+            required: ['zoneName', 'file'],
+            properties: { zoneName: { type: 'string' }, file: str('Zone file to serve the zone from') }
+        }),
+        responses: ok(ref('LegacyResult'))
+    },
+    'POST /acl/api/update-slave-master': {
+        summary: 'Change the master server of a slave zone',
+        requestBody: jsonBody({
+            type: 'object',
+            required: ['zoneName', 'masterIp'],
+            properties: { zoneName: { type: 'string' }, masterIp: { type: 'string' } }
+        }),
+        responses: ok(ref('LegacyResult'))
+    },
+    'POST /acl/api/set-allow-transfer': {
+        summary: 'Set the allow-transfer ACL of a zone',
+        requestBody: jsonBody({
+            type: 'object',
+            required: ['zoneName', 'aclName'],
+            properties: { zoneName: { type: 'string' }, aclName: { type: 'string' } }
+        }),
+        responses: ok(ref('LegacyResult'))
+    },
+
+    // Settings
+    'GET /settings': { summary: 'Server settings page', responses: html('Settings') },
+    'POST /settings': {
+        summary: 'Update server and resolver settings',
+        requestBody: form({
+            type: 'object',
+            properties: {
+                autoReload: checkbox('Reload BIND after changes'),
+                validateBeforeReload: checkbox('Check configuration before reloading'),
+                stageChanges: checkbox('Stage zone file and named.conf changes for review'),
+                requireApproval: checkbox('Require a second user to approve changes to zones tagged "protected"'),
+                backupEnabled: checkbox('Back up zone files before changes'),
+                backupKeepLast: int('Newest zone backups kept per zone (0 = no limit)'),
+                backupMaxAgeDays: int('Zone backups younger than this many days are kept (0 = off)'),
+                autoGeneratePTR: checkbox('Create PTR records for new A records'),
+                soaTtl: str('$TTL of new zones'),
+                soaRefresh: str('SOA refresh of new zones'),
+                soaRetry: str('SOA retry of new zones'),
+                soaExpire: str('SOA expire of new zones'),
+                soaMinimum: str('SOA minimum (negative caching TTL) of new zones'),
+                serialScheme: str('Serial scheme of zones without one of their own', { enum: zoneSoa.SERIAL_SCHEMES }),
+                enableResolver: checkbox('Enable the recursive resolver'),
+                queryLogging: checkbox('Log queries'),
+                dnssecValidation: checkbox('Validate DNSSEC'),
+                cacheSize: { type: 'string' },
+                forwarders: str('Forwarder addresses, one per line'),
+                enableAdblock: checkbox('Enable the ad-blocking RPZ'),
+                adblockUrls: str('Blocklist URLs, one per line'),
+                adblockRedirect: { type: 'string' },
+                customAdblockDomains: str('Blocked domains, one per line'),
+                enableWildcardAdblock: checkbox('Block subdomains of wildcard domains'),
+                wildcardAdblockDomains: str('Wildcard domains, one per line'),
+                enableHageziPro: checkbox('Hagezi Pro list'),
+                enableHageziTif: checkbox('Hagezi TIF list'),
+                enableHageziFake: checkbox('Hagezi Fake list'),
+                enableHageziPopup: checkbox('Hagezi Pop-Up Ads list'),
+                enableHageziTlds: checkbox('Hagezi TLDs list'),
+                enableDoH: checkbox('DNS over HTTPS'),
+                dohPort: { type: 'integer' },
+                dohCertPath: { type: 'string' },
+                dohKeyPath: { type: 'string' },
+                enableDoT: checkbox('DNS over TLS'),
+                dotPort: { type: 'integer' },
+                dotCertPath: { type: 'string' },
+                dotKeyPath: { type: 'string' }
+            }
+        }),
+        responses: redirect('To /settings')
+    },
+    'GET /settings/status': {
+        summary: 'BIND service status',
+        responses: ok({
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                status: { type: 'string', enum: ['running', 'stopped'] },
+                version: { type: 'string' },
+                rndcStatus: { type: 'string' },
+                error: { type: 'string' }
+            }
+        })
+    },
+    'POST /settings/generate-ssl': {
+        summary: 'Generate a self-signed certificate for DoH/DoT',
+        requestBody: jsonBody({
+            type: 'object',
+            properties: {
+                commonName: { type: 'string', default: 'localhost' },
+                organizationName: { type: 'string', default: 'NDash DNS Server' },
+                countryCode: { type: 'string', default: 'US' },
+                validityDays: { type: 'integer', default: 365 }
+            }
+        }),
+        responses: ok({
+            allOf: [ref('LegacyResult'), {
+                type: 'object',
+                properties: { certPath: { type: 'string' }, keyPath: { type: 'string' } }
+            }]
+        })
+    },
+    'GET /settings/ssl-info': {
+        summary: 'Certificate status',
+        responses: ok({
+            type: 'object',
+            properties: {
+                certExists: { type: 'boolean' },
+                keyExists: { type: 'boolean' },
+                certPath: { type: 'string' },
+                keyPath: { type: 'string' },
+                certInfo: { type: 'object', nullable: true, additionalProperties: true }
+            }
+        })
+    },
+    'POST /settings/delete-ssl': { summary: 'Delete the DoH/DoT certificate', responses: ok(ref('LegacyResult')) },
+    'GET /settings/tokens': { summary: 'API tokens page', responses: html('API tokens') },
+    'POST /settings/tokens': {
+        summary: 'Create an API token',
+        requestBody: form({
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: str('Token name, recorded as the user in the activity log', { pattern: '^[a-zA-Z0-9._-]{1,64}$' }),
+                zones: multi('Zones the token is limited to'),
+                expiresInDays: str('Days until expiry; empty for never')
+            }
+        }),
+        responses: html('API tokens page showing the new token once')
+    },
+    'POST /settings/tokens/{id}/revoke': { summary: 'Revoke an API token', responses: redirect('To /settings/tokens') },
+    'GET /settings/templates': { summary: 'Zone templates page (admin)', responses: html('Zone templates') },
+    'POST /settings/templates': {
+        summary: 'Create a zone template (admin)',
+        requestBody: form(ref('ZoneTemplateInput')),
+        responses: { ...redirect('To /settings/templates'), 422: { description: 'Templates page with the error and the form as typed', content: { 'text/html': {} } } }
+    },
+    'POST /settings/templates/{name}': {
+        summary: 'Change a zone template (admin)',
+        requestBody: form({ type: 'object', required: ['records'], properties: { description: { type: 'string' }, records: { type: 'string' } } }),
+        responses: { ...redirect('To /settings/templates'), 422: { description: 'Templates page with the error and the form as typed', content: { 'text/html': {} } } }
+    },
+    'POST /settings/templates/{name}/delete': { summary: 'Delete a zone template (admin); zones keep their records', responses: redirect('To /settings/templates') },
+    'POST /settings/templates/{name}/reapply': {
+        summary: 'Apply a zone template again to every zone it was last applied to (admin)',
+        requestBody: form({ type: 'object', properties: { replace: checkbox('Replace records with the same name and type') } }),
+        responses: redirect('To /settings/templates with a summary; per-zone failures in ?error=')
+    },
+
+    // Users
+    'GET /users': { summary: 'User management page', responses: html('Users') },
+    'POST /users': {
+        summary: 'Create a user',
+        requestBody: form({
+            type: 'object',
+            required: ['username', 'password'],
+            properties: {
+                username: { type: 'string' },
+                password: { type: 'string', format: 'password' },
+                displayName: { type: 'string' },
+                role: { type: 'string', enum: ['admin', 'editor', 'viewer'], default: 'viewer' },
+                zones: multi('Zones an editor may change'),
+                views: multi('Views an editor may change'),
+                approver: checkbox('May approve other users\' changes to protected zones')
+            }
+        }),
+        responses: redirect('To /users')
+    },
+    'POST /users/{username}': {
+        summary: 'Update role, scope and approver flag of a user',
+        requestBody: form({
+            type: 'object',
+            properties: {
+                displayName: { type: 'string' },
+                role: { type: 'string', enum: ['admin', 'editor', 'viewer'] },
+                zones: multi('Zones an editor may change'),
+                views: multi('Views an editor may change'),
+                approver: checkbox('May approve other users\' changes to protected zones')
+            }
+        }),
+        responses: redirect('To /users')
+    },
+    'POST /users/{username}/password': {
+        summary: 'Set the password of a user',
+        requestBody: form({
+            type: 'object',
+            required: ['password', 'confirmPassword'],
+            properties: { password: { type: 'string', format: 'password' }, confirmPassword: { type: 'string', format: 'password' } }
+        }),
+        responses: redirect('To /users')
+    },
+    'POST /users/{username}/delete': { summary: 'Delete a user', responses: redirect('To /users') },
+
+    // Monitoring, statistics and activity
+    'GET /monitoring': { summary: 'Monitoring page', responses: html('Monitoring') },
+    'GET /monitoring/api/stats': { summary: 'Server statistics', responses: ok(legacyData({ type: 'object', additionalProperties: true })) },
+    'GET /monitoring/api/logs': {
+        summary: 'Recent BIND log lines',
+        responses: ok({ type: 'object', properties: { success: { type: 'boolean' }, logs: arrayOf({ type: 'object', additionalProperties: true }) } })
+    },
+    'GET /monitoring/api/queries': {
+        summary: 'Recent queries',
+        responses: ok({ type: 'object', properties: { success: { type: 'boolean' }, queries: arrayOf({ type: 'object', additionalProperties: true }) } })
+    },
+    'GET /statistics': { summary: 'Statistics page, with the best-practice checks of every master zone', responses: html('Statistics') },
+    'GET /statistics/api/data': { summary: 'Zone and record statistics, and best-practice findings per zone (lint)', responses: ok(legacyData({ type: 'object', additionalProperties: true })) },
+    'GET /resolver': { summary: 'Resolver statistics page', responses: html('Resolver statistics') },
+    'GET /resolver/api/data': { summary: 'Resolver statistics', responses: ok(legacyData({ type: 'object', additionalProperties: true })) },
+    'GET /activity': { summary: 'Activity log page', responses: html('Activity log') },
+    'GET /activity/api/logs': {
+        summary: 'Activity log entries, newest first',
+        parameters: [
+            query('type', 'Filter by subject'),
+            query('action', 'Filter by action'),
+            query('zone', 'Filter by zone'),
+            query('limit', 'Maximum entries', { type: 'integer', default: 100 })
+        ],
+        responses: ok({
+            type: 'object',
+            properties: { success: { type: 'boolean' }, count: { type: 'integer' }, activities: arrayOf(ref('Activity')) }
+        })
+    },
+    'GET /activity/api/stats': {
+        summary: 'Activity counts and timeline',
+        responses: ok({ type: 'object', properties: { success: { type: 'boolean' }, stats: { type: 'object' }, timeline: { type: 'object' } } })
+    },
+    'POST /activity/api/clear': { summary: 'Clear the activity log (admin); the clearing is logged', responses: ok(ref('LegacyResult')) },
+    'GET /search': {
+        summary: 'Record search page',
+        parameters: [
+            query('q', 'Search term: text is matched in names and values, * and ? are wildcards over the whole name or value, a CIDR range (10.0.0.0/8, 2001:db8::/32) matches A and AAAA addresses'),
+            query('field', 'Field to match', { type: 'string', enum: recordSearch.FIELDS, default: 'any' }),
+            query('type', 'Only records of this type'),
+            query('zone', 'Only records of this zone'),
+            query('view', 'Only zones of this view; "global" for zones outside views'),
+            query('page', 'Page number', { type: 'integer', default: 1 })
+        ],
+        responses: html('Search form and results')
+    },
+    'GET /search/replace': { summary: 'Bulk replace form', responses: html('Bulk replace form') },
+    'POST /search/replace/preview': {
+        summary: 'Show the records a bulk replace would change',
+        requestBody: form({
+            type: 'object',
+            required: ['q', 'replacement'],
+            properties: { q: { type: 'string' }, replacement: { type: 'string' }, type: { type: 'string' }, zone: { type: 'string' }, view: { type: 'string' } }
+        }),
+        responses: html('Bulk replace form with the preview')
+    },
+    'POST /search/replace': {
+        summary: 'Change the selected records',
+        requestBody: form({
+            type: 'object',
+            required: ['q', 'replacement', 'select'],
+            properties: {
+                q: { type: 'string' },
+                replacement: { type: 'string' },
+                type: { type: 'string' },
+                zone: { type: 'string' },
+                view: { type: 'string' },
+                select: multi('Key of a record to change')
+            }
+        }),
+        responses: { ...redirect('Back to the form with ?success='), 400: { description: 'Bulk replace form with the preview and the error', content: { 'text/html': {} } } }
+    },
+    'GET /history': {
+        summary: 'Configuration change history page',
+        parameters: [query('zone', 'Only changes to this zone'), query('page', 'Page number', { type: 'integer', default: 1 })],
+        responses: html('Change history')
+    },
+    'GET /history/{commit}': { summary: 'One configuration change with its diff', responses: html('Change detail') },
+    'POST /history/{commit}/revert': {
+        summary: 'Revert one configuration change',
+        responses: redirect('To /history, or back to the change with ?error=')
+    },
+    'GET /changes': { summary: 'Pending changes of the current user with their diffs', responses: html('Pending changes') },
+    'POST /changes/apply': {
+        summary: 'Apply the pending changes as one checked transaction with one reload',
+        responses: redirect('To /changes with ?success= or ?error=')
+    },
+    'POST /changes/discard': {
+        summary: 'Discard the pending changes; nothing on disk changes',
+        responses: redirect('To /changes with ?success= or ?error=')
+    },
+    'POST /changes/submit': {
+        summary: 'Ask another user to approve the pending changes',
+        requestBody: form({ type: 'object', properties: { comment: str('Note for the approvers') } }),
+        responses: redirect('To /changes with ?success= or ?error=')
+    },
+    'POST /changes/withdraw': {
+        summary: 'Withdraw the approval request; the changes stay pending',
+        responses: redirect('To /changes with ?success= or ?error=')
+    },
+    'GET /approvals': { summary: 'Changes awaiting approval (approvers)', responses: html('Approvals') },
+    'GET /approvals/{owner}': { summary: 'One approval request with its diffs', responses: html('Approval request') },
+    'POST /approvals/{owner}/approve': {
+        summary: 'Approve and apply another user\'s changes',
+        requestBody: form({ type: 'object', properties: { comment: { type: 'string' } } }),
+        responses: redirect('To /approvals, or back to the request with ?error=')
+    },
+    'POST /approvals/{owner}/reject': {
+        summary: 'Reject another user\'s changes with a comment',
+        requestBody: form({ type: 'object', required: ['comment'], properties: { comment: { type: 'string' } } }),
+        responses: redirect('To /approvals, or back to the request with ?error=')
+    },
+
+    // REST API v1: zones and records
+    'GET /api/v1/search/records': {
+        summary: 'Records of all zones matching a search term',
+        parameters: [
+            query('q', 'Search term: text is matched in names and values, * and ? are wildcards over the whole name or value, a CIDR range (10.0.0.0/8, 2001:db8::/32) matches A and AAAA addresses'),
+            query('field', 'Field to match', { type: 'string', enum: recordSearch.FIELDS, default: 'any' }),
+            query('type', 'Only records of this type'),
+            query('zone', 'Only records of this zone'),
+            query('view', 'Only zones of this view; "global" for zones outside views'),
+            ...PAGINATION_PARAMS
+        ],
+        responses: { ...ok(page(ref('RecordSearchResult'))), ...apiErrors(400, 401) }
+    },
+    'POST /api/v1/search/replace/preview': {
+        summary: 'Records whose value a bulk replace would change; nothing is written',
+        requestBody: jsonBody(ref('BulkReplaceInput')),
+        responses: { ...ok(data(ref('BulkReplacePlan'))), ...apiErrors(400, 401, 403) }
+    },
+    'POST /api/v1/search/replace': {
+        summary: 'Change record values across zones in one transaction (one serial increment per zone, one reload)',
+        requestBody: jsonBody(ref('BulkReplaceInput')),
+        responses: {
+            ...ok(data(ref('BulkReplaceResult'))),
+            ...staged(data(ref('BulkReplaceResult'))),
+            ...apiErrors(400, 401, 403)
+        }
+    },
+    'GET /api/v1/zones': {
+        summary: 'List zones',
+        parameters: [
+            query('type', 'Filter by zone type'),
+            query('view', 'Filter by view; "global" for zones outside views'),
+            query('q', 'Substring of the zone name'),
+            ...PAGINATION_PARAMS
+        ],
+        responses: { ...ok(page(ref('Zone'))), ...apiErrors(400, 401) }
+    },
+    'POST /api/v1/zones': {
+        summary: 'Create a zone',
+        requestBody: jsonBody(ref('ZoneInput')),
+        responses: { ...created(data(ref('ZoneDetail'))), ...apiErrors(400, 401, 403, 409) }
+    },
+    'POST /api/v1/zones/import/preview': {
+        summary: 'Preview a zone created from a provider export; nothing is written',
+        requestBody: jsonBody(ref('ZoneImportInput')),
+        responses: { ...ok(data(ref('ZoneImportPlan'))), ...apiErrors(400, 401, 403, 409) }
+    },
+    'POST /api/v1/zones/import': {
+        summary: 'Create a zone from a provider export',
+        requestBody: jsonBody(ref('ZoneImportInput')),
+        responses: {
+            ...created(data(ref('ZoneImportResult'))),
+            ...staged(data(ref('ZoneImportResult'))),
+            ...apiErrors(400, 401, 403, 409)
+        }
+    },
+    'GET /api/v1/zones/export/archive': {
+        summary: 'Download all zone files and named.conf.local (admin)',
+        responses: { ...archive, ...apiErrors(401, 403) }
+    },
+    'GET /api/v1/zones/{zoneName}': {
+        summary: 'Get a zone and its SOA',
+        responses: { ...ok(data(ref('ZoneDetail'))), ...apiErrors(401, 404) }
+    },
+    'PATCH /api/v1/zones/{zoneName}': {
+        summary: 'Move a zone to another view',
+        requestBody: jsonBody(ref('ZoneUpdate')),
+        responses: { ...ok(data(ref('Zone'))), ...apiErrors(400, 401, 403, 404) }
+    },
+    'DELETE /api/v1/zones/{zoneName}': {
+        summary: 'Delete a zone',
+        responses: { ...noContent, ...apiErrors(401, 403, 404) }
+    },
+    'PUT /api/v1/zones/{zoneName}/allow-transfer': {
+        summary: 'Set the allow-transfer ACL of a zone',
+        requestBody: jsonBody({ type: 'object', required: ['acl'], properties: { acl: str('ACL name, or none') } }),
+        responses: {
+            ...ok(data({ type: 'object', properties: { zone: { type: 'string' }, allowTransfer: { type: 'string' } } })),
+            ...staged(data({ type: 'object', properties: { zone: { type: 'string' }, allowTransfer: { type: 'string' } } })),
+            ...apiErrors(400, 401, 403, 404)
+        }
+    },
+    'PUT /api/v1/zones/{zoneName}/tags': {
+        summary: 'Replace the tags of a zone (admin)',
+        requestBody: jsonBody({ type: 'object', required: ['tags'], properties: { tags: arrayOf({ type: 'string' }) } }),
+        responses: {
+            ...ok(data({ type: 'object', properties: { zone: { type: 'string' }, tags: arrayOf({ type: 'string' }) } })),
+            ...apiErrors(400, 401, 403, 404)
+        }
+    },
+    'GET /api/v1/zones/{zoneName}/soa': {
+        summary: 'SOA fields, $TTL and serial scheme of a zone',
+        responses: { ...ok(data(ref('ZoneSoa'))), ...apiErrors(401, 404) }
+    },
+    'PATCH /api/v1/zones/{zoneName}/soa': {
+        summary: 'Change SOA fields, $TTL or the serial scheme; the serial counts on under the zone\'s scheme',
+        requestBody: jsonBody(ref('ZoneSoaInput')),
+        responses: { ...ok(data(ref('ZoneSoa'))), ...staged(data(ref('ZoneSoa'))), ...apiErrors(400, 401, 403, 404, 422) }
+    },
+    'GET /api/v1/zones/{zoneName}/lint': {
+        summary: 'Best-practice findings for a zone: NS and glue, CNAMEs, dangling targets, TTLs, SOA timers, SPF/DMARC/CAA, PTR',
+        parameters: [query('severity', 'Only findings of this severity', { type: 'string', enum: zoneLint.SEVERITIES })],
+        responses: {
+            ...ok(data({
+                type: 'object',
+                properties: {
+                    counts: { type: 'object', properties: Object.fromEntries(zoneLint.SEVERITIES.map(severity => [severity, { type: 'integer' }])) },
+                    findings: arrayOf(ref('LintFinding'))
+                }
+            })),
+            ...apiErrors(400, 401, 404)
+        }
+    },
+    'GET /api/v1/zones/{zoneName}/dnssec': {
+        summary: 'DNSSEC signing state, keys and DS records of a zone',
+        responses: { ...ok(data(ref('ZoneDnssec'))), ...apiErrors(401, 404) }
+    },
+    'GET /api/v1/zones/{zoneName}/dnssec/rollover': {
+        summary: 'Key lifecycle phases, KSK rollovers in progress and the DS steps due at the parent',
+        responses: { ...ok(data(ref('ZoneDnssecRollover'))), ...apiErrors(401, 404) }
+    },
+    'PUT /api/v1/zones/{zoneName}/dnssec': {
+        summary: 'Sign a master zone with a dnssec-policy, or change its policy',
+        requestBody: jsonBody(ref('DnssecPolicy')),
+        responses: { ...ok(data(ref('ZoneDnssec'))), ...staged(data(ref('ZoneDnssec'))), ...apiErrors(400, 401, 403, 404) }
+    },
+    'DELETE /api/v1/zones/{zoneName}/dnssec': {
+        summary: 'Stop signing a zone (insecure policy; remove the DS at the parent first)',
+        responses: { ...ok(data(ref('ZoneDnssec'))), ...staged(data(ref('ZoneDnssec'))), ...apiErrors(401, 403, 404, 409) }
+    },
+    'GET /api/v1/zones/{zoneName}/export': {
+        summary: 'Export a zone as a BIND zone file, JSON or CSV',
+        parameters: [EXPORT_FORMAT_PARAM],
+        responses: { ...zoneExport, ...apiErrors(400, 401, 404) }
+    },
+    'GET /api/v1/zones/{zoneName}/records': {
+        summary: 'List records of a zone',
+        parameters: [query('name', 'Filter by owner name'), query('type', 'Filter by record type'), ...PAGINATION_PARAMS],
+        responses: { ...ok(page(ref('Record'))), ...apiErrors(400, 401, 404) }
+    },
+    'POST /api/v1/zones/{zoneName}/records': {
+        summary: 'Add a record',
+        requestBody: jsonBody(ref('RecordInput')),
+        responses: { ...created(data(ref('Record'))), ...staged(data(ref('RecordInput'))), ...apiErrors(400, 401, 403, 404, 409, 422) }
+    },
+    'POST /api/v1/zones/{zoneName}/template/preview': {
+        summary: 'Compare the records of a zone template with the zone; nothing is written',
+        requestBody: jsonBody(ref('ZoneTemplateApply')),
+        responses: {
+            ...ok(data({ allOf: [ref('RecordImportPlan'), { type: 'object', properties: { template: { type: 'string' }, variables: { type: 'object', additionalProperties: { type: 'string' } } } }] })),
+            ...apiErrors(400, 401, 403, 404, 422)
+        }
+    },
+    'POST /api/v1/zones/{zoneName}/template': {
+        summary: 'Apply a zone template in one change and remember it for the zone',
+        requestBody: jsonBody(ref('ZoneTemplateApply')),
+        responses: {
+            ...created(data(ref('ZoneTemplateResult'))),
+            ...staged(data(ref('ZoneTemplateResult'))),
+            ...apiErrors(400, 401, 403, 404, 422)
+        }
+    },
+    'POST /api/v1/zones/{zoneName}/records/import/preview': {
+        summary: 'Compare an import document (BIND, CSV or JSON) with the zone; nothing is written',
+        requestBody: jsonBody(ref('RecordImportInput')),
+        responses: { ...ok(data(ref('RecordImportPlan'))), ...apiErrors(400, 401, 403, 404) }
+    },
+    'POST /api/v1/zones/{zoneName}/records/import': {
+        summary: 'Import records in one change (one serial increment and reload)',
+        requestBody: jsonBody(ref('RecordImportInput')),
+        responses: {
+            ...created(data(ref('RecordImportResult'))),
+            ...staged(data(ref('RecordImportResult'))),
+            ...apiErrors(400, 401, 403, 404, 409)
+        }
+    },
+    'GET /api/v1/zones/{zoneName}/records/{name}/{type}': {
+        summary: 'Get the records with a name and type',
+        parameters: [RDATA_PARAM],
+        responses: { ...ok(data(arrayOf(ref('Record')))), ...apiErrors(401, 404) }
+    },
+    'PUT /api/v1/zones/{zoneName}/records/{name}/{type}': {
+        summary: 'Replace a record',
+        parameters: [RDATA_PARAM],
+        requestBody: jsonBody(ref('RecordInput')),
+        responses: { ...ok(data(ref('Record'))), ...staged(data(ref('RecordInput'))), ...apiErrors(400, 401, 403, 404, 409, 422) }
+    },
+    'DELETE /api/v1/zones/{zoneName}/records/{name}/{type}': {
+        summary: 'Delete a record',
+        parameters: [RDATA_PARAM],
+        responses: { ...noContent, ...staged(), ...apiErrors(401, 403, 404, 409) }
+    },
+    'GET /api/v1/zones/{zoneName}/backups': {
+        summary: 'List zone file backups, newest first',
+        parameters: PAGINATION_PARAMS,
+        responses: { ...ok(page(ref('ZoneBackup'))), ...apiErrors(400, 401, 404) }
+    },
+    'GET /api/v1/zones/{zoneName}/backups/diff': {
+        summary: 'Record differences between two versions of a zone',
+        parameters: [
+            { ...query('from', 'Backup id, or "current"'), required: true },
+            query('to', 'Backup id, or "current" (default)')
+        ],
+        responses: { ...ok(data(ref('ZoneBackupDiff'))), ...apiErrors(400, 401, 404) }
+    },
+    'GET /api/v1/zones/{zoneName}/backups/{backupId}': {
+        summary: 'Get a zone file backup with its records',
+        responses: { ...ok(data(ref('ZoneBackupDetail'))), ...apiErrors(400, 401, 404) }
+    },
+    'POST /api/v1/zones/{zoneName}/backups/{backupId}/restore': {
+        summary: 'Restore a zone file backup; the serial continues from the current one',
+        responses: { ...ok(data(ref('ZoneDetail'))), ...staged(), ...apiErrors(400, 401, 403, 404) }
+    },
+    'POST /api/v1/zones/{zoneName}/backups/prune': {
+        summary: 'Delete zone file backups outside the retention rules',
+        requestBody: {
+            ...jsonBody({
+                type: 'object',
+                properties: {
+                    keepLast: int('Newest backups to keep (0 = no limit); default from settings'),
+                    maxAgeDays: int('Keep backups younger than this many days (0 = off); default from settings')
+                }
+            }),
+            required: false
+        },
+        responses: { ...ok(data({ type: 'object', properties: { deleted: arrayOf(ref('ZoneBackup')) } })), ...apiErrors(400, 401, 403, 404) }
+    },
+
+    // REST API v1: views, ACLs, slave zones, resolver
+    'GET /api/v1/views': { summary: 'List views', parameters: PAGINATION_PARAMS, responses: { ...ok(page(ref('View'))), ...apiErrors(400, 401) } },
+    'POST /api/v1/views': {
+        summary: 'Create a view',
+        requestBody: jsonBody(ref('ViewInput')),
+        responses: { ...created(data(ref('View'))), ...apiErrors(400, 401, 403, 409) }
+    },
+    'GET /api/v1/views/{name}': { summary: 'Get a view', responses: { ...ok(data(ref('View'))), ...apiErrors(401, 404) } },
+    'PUT /api/v1/views/{name}': {
+        summary: 'Replace the ACL of a view',
+        requestBody: jsonBody(ref('ViewAcl')),
+        responses: { ...ok(data(ref('View'))), ...apiErrors(400, 401, 403, 404) }
+    },
+    'DELETE /api/v1/views/{name}': { summary: 'Delete a view without zones', responses: { ...noContent, ...apiErrors(401, 403, 404, 409) } },
+    'GET /api/v1/acls': { summary: 'List ACLs', parameters: PAGINATION_PARAMS, responses: { ...ok(page(ref('Acl'))), ...apiErrors(400, 401) } },
+    'POST /api/v1/acls': {
+        summary: 'Create an ACL',
+        requestBody: jsonBody(ref('AclInput')),
+        responses: { ...created(data(ref('Acl'))), ...staged(data(ref('AclInput'))), ...apiErrors(400, 401, 403, 409) }
+    },
+    'GET /api/v1/acls/{name}': { summary: 'Get an ACL', responses: { ...ok(data(ref('Acl'))), ...apiErrors(401, 404) } },
+    'DELETE /api/v1/acls/{name}': { summary: 'Delete an ACL', responses: { ...noContent, ...staged(), ...apiErrors(401, 403, 404) } },
+    'GET /api/v1/slave-zones': {
+        summary: 'List slave zones',
+        parameters: PAGINATION_PARAMS,
+        responses: { ...ok(page(ref('SlaveZone'))), ...apiErrors(400, 401) }
+    },
+    'POST /api/v1/slave-zones': {
+        summary: 'Convert a zone to a slave of a master server',
+        requestBody: jsonBody(ref('SlaveZoneInput')),
+        responses: { ...created(data(ref('SlaveZone'))), ...staged(data(ref('SlaveZone'))), ...apiErrors(400, 401, 403, 404) }
+    },
+    'GET /api/v1/slave-zones/{zoneName}': { summary: 'Get a slave zone', responses: { ...ok(data(ref('SlaveZone'))), ...apiErrors(401, 404) } },
+    'PATCH /api/v1/slave-zones/{zoneName}': {
+        summary: 'Change the master server of a slave zone',
+        requestBody: jsonBody({ type: 'object', required: ['masterIp'], properties: { masterIp: { type: 'string' } } }),
+        responses: { ...ok(data(ref('SlaveZone'))), ...staged(data(ref('SlaveZone'))), ...apiErrors(400, 401, 403, 404) }
+    },
+    'DELETE /api/v1/slave-zones/{zoneName}': {
+        summary: 'Convert a slave zone back to a master zone',
+        parameters: [query('file', 'Zone file to serve the zone from (may also be sent in the body)')],
+        responses: { ...noContent, ...staged(), ...apiErrors(400, 401, 403, 404) }
+    },
+    'GET /api/v1/resolver/settings': {
+        summary: 'Get resolver settings',
+        responses: { ...ok(data(ref('ResolverSettings'))), ...apiErrors(401, 403) }
+    },
+    'PATCH /api/v1/resolver/settings': {
+        summary: 'Update resolver settings; only the given fields change',
+        requestBody: jsonBody(ref('ResolverSettings')),
+        responses: { ...ok(data(ref('ResolverSettings'))), ...apiErrors(400, 401, 403) }
+    },
+    'GET /api/v1/history': {
+        summary: 'Configuration change history, newest first',
+        parameters: [query('zone', 'Only changes to this zone'), ...PAGINATION_PARAMS],
+        responses: { ...ok(page(ref('HistoryCommit'))), ...apiErrors(400, 401, 404) }
+    },
+    'GET /api/v1/history/{commit}': {
+        summary: 'One configuration change with per-file diffs',
+        responses: { ...ok(data(ref('HistoryCommitDetail'))), ...apiErrors(400, 401, 404) }
+    },
+    'POST /api/v1/history/{commit}/revert': {
+        summary: 'Revert one configuration change; fails with 409 when later changes conflict',
+        responses: {
+            ...ok(data({ type: 'object', properties: { reverted: { type: 'string' }, files: arrayOf({ type: 'string' }) } })),
+            ...staged(data({ type: 'object', properties: { reverted: { type: 'string' }, files: arrayOf({ type: 'string' }) } })),
+            ...apiErrors(400, 401, 403, 404, 409)
+        }
+    },
+    'GET /api/v1/changes': {
+        summary: 'Pending changes of the current user with a unified diff per file',
+        responses: { ...ok(data(ref('Changeset'))), ...apiErrors(401) }
+    },
+    'POST /api/v1/changes/apply': {
+        summary: 'Apply the pending changes as one checked transaction with one reload; 409 when a file changed since it was staged or the changes need approval',
+        responses: {
+            ...ok(data({ type: 'object', properties: { files: arrayOf({ type: 'string' }), zones: arrayOf({ type: 'string' }) } })),
+            ...apiErrors(401, 404, 409)
+        }
+    },
+    'DELETE /api/v1/changes': {
+        summary: 'Discard the pending changes; nothing on disk changes',
+        responses: { ...noContent, ...apiErrors(401, 404) }
+    },
+    'POST /api/v1/changes/submit': {
+        summary: 'Ask another user to approve the pending changes; they are locked until reviewed or withdrawn',
+        requestBody: { ...jsonBody({ type: 'object', properties: { comment: str('Note for the approvers') } }), required: false },
+        responses: { ...ok(data({ type: 'object', properties: { approval: ref('Approval') } })), ...apiErrors(401, 404, 409) }
+    },
+    'POST /api/v1/changes/withdraw': {
+        summary: 'Withdraw the approval request; the changes stay pending',
+        responses: { ...noContent, ...apiErrors(401, 404) }
+    },
+    'GET /api/v1/approvals': {
+        summary: 'Changes awaiting approval, oldest first (approvers)',
+        parameters: PAGINATION_PARAMS,
+        responses: { ...ok(page(ref('ApprovalRequest'))), ...apiErrors(400, 401, 403) }
+    },
+    'GET /api/v1/approvals/{owner}': {
+        summary: 'One approval request with a unified diff per file',
+        responses: { ...ok(data(ref('Changeset'))), ...apiErrors(401, 403, 404) }
+    },
+    'POST /api/v1/approvals/{owner}/approve': {
+        summary: 'Approve and apply another user\'s changes with one reload',
+        requestBody: { ...jsonBody({ type: 'object', properties: { comment: { type: 'string' } } }), required: false },
+        responses: {
+            ...ok(data({ type: 'object', properties: { files: arrayOf({ type: 'string' }), zones: arrayOf({ type: 'string' }) } })),
+            ...apiErrors(401, 403, 404, 409)
+        }
+    },
+    'POST /api/v1/approvals/{owner}/reject': {
+        summary: 'Reject another user\'s changes; the comment is required',
+        requestBody: jsonBody({ type: 'object', required: ['comment'], properties: { comment: { type: 'string' } } }),
+        responses: { ...ok(data({ type: 'object', properties: { approval: ref('Approval') } })), ...apiErrors(400, 401, 403, 404) }
+    },
+    'GET /api/v1/zone-templates': {
+        summary: 'List zone templates',
+        parameters: PAGINATION_PARAMS,
+        responses: { ...ok(page(ref('ZoneTemplate'))), ...apiErrors(400, 401) }
+    },
+    'POST /api/v1/zone-templates': {
+        summary: 'Create a zone template (admin)',
+        requestBody: jsonBody(ref('ZoneTemplateInput')),
+        responses: { ...created(data(ref('ZoneTemplate'))), ...apiErrors(400, 401, 403, 409, 422) }
+    },
+    'GET /api/v1/zone-templates/{name}': {
+        summary: 'Get a zone template',
+        responses: { ...ok(data(ref('ZoneTemplate'))), ...apiErrors(401, 404) }
+    },
+    'PUT /api/v1/zone-templates/{name}': {
+        summary: 'Replace a zone template (admin)',
+        requestBody: jsonBody({ type: 'object', required: ['records'], properties: { description: { type: 'string' }, records: { type: 'string' } } }),
+        responses: { ...ok(data(ref('ZoneTemplate'))), ...apiErrors(400, 401, 403, 404, 422) }
+    },
+    'DELETE /api/v1/zone-templates/{name}': {
+        summary: 'Delete a zone template (admin); zones it was applied to keep their records',
+        responses: { ...noContent, ...apiErrors(401, 403, 404) }
+    },
+    'POST /api/v1/zone-templates/{name}/reapply': {
+        summary: 'Apply a zone template again to every zone it was last applied to, with the values used then (admin)',
+        requestBody: { ...jsonBody({ type: 'object', properties: { replace: bool('Replace records with the same name and type') } }), required: false },
+        responses: {
+            ...ok(data(arrayOf({
+                type: 'object',
+                properties: {
+                    zone: { type: 'string' },
+                    added: { type: 'integer' },
+                    replaced: { type: 'integer' },
+                    staged: { type: 'boolean' },
+                    error: { type: 'string', nullable: true, description: 'Why the zone failed; the other zones are still applied' }
+                }
+            }))),
+            ...staged(),
+            ...apiErrors(401, 403, 404)
+        }
+    },
+
+    'GET /test-toast': { summary: 'Toast notification test page', responses: html('Test page') },
+    'POST /test-toast': {
+        summary: 'Show a test toast',
+        requestBody: form({
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: ['success', 'error', 'warning', 'info'] },
+                message: { type: 'string' },
+                title: { type: 'string' }
+            }
+        }),
+        responses: redirect('To /test-toast')
+    },
+
+    'GET /api/openapi.json': { summary: 'This document', security: [], responses: ok({ type: 'object' }) }
+};
+
+/**
+ * Mount path of a router layer, recovered from the regexp Express builds
+ * for app.use('/prefix', router). Only static prefixes are supported.
+ */
+function mountPath(layer) {
+    if (layer.regexp.fast_slash) return '';
+    const match = /^\^(.*?)\\\/\?\(\?=\\\/\|\$\)$/.exec(layer.regexp.source);
+    return match ? match[1].replace(/\\\//g, '/') : null;
+}
+
+/**
+ * All routes of an Express app as { method, path } with OpenAPI-style
+ * {param} placeholders, in registration order
+ */
+function collectRoutes(app) {
+    const routes = [];
+    const walk = (stack, prefix) => {
+        stack.forEach(layer => {
+            if (layer.route) {
+                const routePath = (prefix + layer.route.path).replace(/\/$/, '') || '/';
+                Object.keys(layer.route.methods)
+                    .filter(method => method !== '_all')
+                    .forEach(method => routes.push({
+                        method: method.toUpperCase(),
+                        path: routePath.replace(/:(\w+)/g, '{$1}')
+                    }));
+            } else if (layer.name === 'router' && layer.handle.stack) {
+                const mount = mountPath(layer);
+                if (mount !== null) walk(layer.handle.stack, prefix + mount);
+            }
+        });
+    };
+    walk(app._router ? app._router.stack : [], '');
+    return routes;
+}
+
+function tagFor(routePath) {
+    if (routePath.startsWith('/api/v1/')) {
+        return `API: ${routePath.split('/')[3]}`;
+    }
+    if (['/login', '/logout', '/setup'].includes(routePath)) return 'auth';
+    return routePath.split('/')[1] || 'dashboard';
+}
+
+/**
+ * Build the OpenAPI document for an app
+ * @param {Object} app - Express app with all routers mounted
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildDocument(app) {
+    const paths = {};
+    collectRoutes(app).forEach(({ method, path: routePath }) => {
+        const documented = OPERATIONS[`${method} ${routePath}`] || {
+            summary: `${method} ${routePath}`,
+            responses: { 200: { description: 'OK' } }
+        };
+        const pathParams = [...routePath.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+            name,
+            in: 'path',
+            required: true,
+            description: PARAM_DESCRIPTIONS[name],
+            schema: { type: 'string' }
+        }));
+
+        paths[routePath] = paths[routePath] || {};
+        paths[routePath][method.toLowerCase()] = {
+            tags: [tagFor(routePath)],
+            operationId: `${method.toLowerCase()}${routePath.replace(/[{}]/g, '').replace(/[^a-zA-Z0-9]+(\w)?/g, (m, c) => (c || '').toUpperCase())}`,
+            ...documented,
+            parameters: [...pathParams, ...(documented.parameters || [])]
+        };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'NDash',
+            version: packageInfo.version,
+            description: 'Bind DNS management. The versioned JSON API lives under /api/v1; ' +
+                'the other routes serve the web UI (HTML forms) and its JSON helpers.'
+        },
+        servers: [{ url: '/' }],
+        security: [{ bearerToken: [] }, { session: [] }],
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: {
+                bearerToken: { type: 'http', scheme: 'bearer', description: 'API token from Settings → API Tokens. A token limited to zones reads and edits only those zones: lists and search leave the others out, and other zones answer 403' },
+                session: { type: 'apiKey', in: 'cookie', name: config.session.name }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildDocument,
+    collectRoutes
+};
@@ -0,0 +1,306 @@
+const settingsUtil = require('./settings');
+const { ROLES } = require('./users');
+const { wantsJson } = require('./auth');
+const api = require('./api');
+const { HttpError } = require('./errors');
+
+/**
+ * Permissions
+ * Role-based access control for NDash users.
+ *
+ * - admin:  everything, including users, settings, ACLs and views
+ * - editor: read everything; change records of the zones in `user.zones`
+ *           and manage zones assigned to the views in `user.views`
+ * - viewer: read-only
+ *
+ * Requests made with an API token that is limited to zones can at most
+ * change the records of those zones, whatever the owner's role.
+ *
+ * Approvers (and administrators) review other users' changes to protected
+ * zones; nobody approves their own.
+ */
+
+function normalizeZoneName(name) {
+    return String(name || '').toLowerCase().replace(/\.$/, '');
+}
+
+function isAdmin(user) {
+    return !!user && user.role === 'admin';
+}
+
+function isEditor(user) {
+    return !!user && user.role === 'editor';
+}
+
+/**
+ * Zones an API token is limited to, or null for unrestricted requests
+ */
+function tokenZoneScope(user) {
+    return user && user.token && user.token.zones.length > 0 ? user.token.zones : null;
+}
+
+/**
+ * Whether the user may see a zone: API tokens limited to specific zones
+ * see only those, for reads as well as writes
+ * @param {Object} user - Current user
+ * @param {string} zoneName - Zone name
+ */
+function canReadZone(user, zoneName) {
+    const tokenZones = tokenZoneScope(user);
+    const name = normalizeZoneName(zoneName);
+    return !tokenZones || tokenZones.some(z => normalizeZoneName(z) === name);
+}
+
+/**
+ * View a zone is assigned to in settings, or null for the global scope
+ * @param {Object} settings - Loaded settings
+ * @param {string} zoneName - Zone name
+ */
+function findZoneView(settings, zoneName) {
+    const name = normalizeZoneName(zoneName);
+    const views = settings.resolver?.views || [];
+    const view = views.find(v => (v.zones || []).some(z => normalizeZoneName(z) === name));
+    return view ? view.name : null;
+}
+
+/**
+ * Whether the user may change the records of a zone
+ * @param {Object} user - Current user
+ * @param {string} zoneName - Zone name
+ * @param {string|null} viewName - View the zone is assigned to
+ */
+function canEditZone(user, zoneName, viewName = null) {
+    const name = normalizeZoneName(zoneName);
+    if (!canReadZone(user, name)) return false;
+    if (isAdmin(user)) return true;
+    if (!isEditor(user)) return false;
+    return (user.zones || []).some(z => normalizeZoneName(z) === name) ||
+        (!!viewName && (user.views || []).includes(viewName));
+}
+
+/**
+ * canEditZone for zones by name alone, looking up their view in settings
+ * @param {Object} user - Current user
+ * @param {Object} settings - Loaded settings
+ * @returns {Function} zoneName => boolean
+ */
+function zoneEditChecker(user, settings) {
+    return zoneName => canEditZone(user, zoneName, findZoneView(settings, zoneName));
+}
+
+/**
+ * Whether the user may create, delete or move zones within a view.
+ * Zones outside any view (global) are admin-only.
+ * @param {Object} user - Current user
+ * @param {string|null} viewName - View name, null for global
+ */
+function canManageZonesInView(user, viewName) {
+    if (tokenZoneScope(user)) return false;
+    if (isAdmin(user)) return true;
+    return isEditor(user) && !!viewName && (user.views || []).includes(viewName);
+}
+
+/**
+ * Whether the user may manage zones in at least one scope
+ */
+function canCreateZones(user) {
+    if (tokenZoneScope(user)) return false;
+    return isAdmin(user) || (isEditor(user) && (user.views || []).length > 0);
+}
+
+/**
+ * Whether the user may change the ACL of a view
+ */
+function canEditView(user, viewName) {
+    return canManageZonesInView(user, viewName);
+}
+
+/**
+ * Whether the user may revert a configuration history commit: changes to
+ * zone files need edit rights on each zone, anything else is admin-only
+ * @param {Object} user - Current user
+ * @param {Object} commit - Commit with changes tagged by zone (bindService.getHistoryCommit)
+ * @param {Object} settings - Loaded settings
+ */
+function canRevertChange(user, commit, settings) {
+    if (isAdmin(user) && !tokenZoneScope(user)) return true;
+    return commit.changes.length > 0 && commit.changes.every(change =>
+        change.zone && canEditZone(user, change.zone, findZoneView(settings, change.zone)));
+}
+
+/**
+ * Whether the user may review changes to protected zones, optionally those
+ * requested by a given user
+ * @param {Object} user - Current user
+ * @param {string} [owner] - User who requested approval
+ */
+function canApproveChanges(user, owner = null) {
+    if (!user || tokenZoneScope(user)) return false;
+    if (!isAdmin(user) && !user.approver) return false;
+    return !owner || user.username !== owner;
+}
+
+/**
+ * Capabilities of a user, exposed to templates as `can`
+ */
+function capabilities(user) {
+    const scoped = !!tokenZoneScope(user);
+    return {
+        role: user ? user.role : null,
+        admin: isAdmin(user) && !scoped,
+        editZones: isAdmin(user) || (isEditor(user) && ((user.zones || []).length > 0 || (user.views || []).length > 0)),
+        createZones: canCreateZones(user),
+        editZone: (zoneName, viewName = null) => canEditZone(user, zoneName, viewName),
+        manageZonesInView: (viewName) => canManageZonesInView(user, viewName),
+        editView: (viewName) => canEditView(user, viewName),
+        manageViews: isAdmin(user) && !scoped,
+        manageAcls: isAdmin(user) && !scoped,
+        manageSettings: isAdmin(user) && !scoped,
+        manageUsers: isAdmin(user) && !scoped,
+        approveChanges: canApproveChanges(user),
+        reload: isAdmin(user) || isEditor(user)
+    };
+}
+
+/**
+ * Middleware: expose the capabilities of the logged-in user to templates
+ */
+function exposeCapabilities(req, res, next) {
+    res.locals.can = capabilities(req.user);
+    next();
+}
+
+/**
+ * Respond with 403, as JSON for API clients or as the error page
+ */
+function forbidden(req, res, message = 'You do not have permission to perform this action') {
+    if (api.isApiRequest(req)) {
+        return api.sendError(res, new HttpError(403, message));
+    }
+    if (wantsJson(req)) {
+        return res.status(403).json({
+            success: false,
+            error: message
+        });
+    }
+    res.status(403).render('error', {
+        title: 'Access Denied',
+        message
+    });
+}
+
+/**
+ * Middleware: require one of the given roles
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (tokenZoneScope(req.user) && !roles.includes('editor')) {
+            return forbidden(req, res, 'This API token is limited to specific zones');
+        }
+        if (req.user && roles.includes(req.user.role)) {
+            return next();
+        }
+        forbidden(req, res);
+    };
+}
+
+/**
+ * Middleware: require an approver (see canApproveChanges)
+ */
+function requireApprover(req, res, next) {
+    if (canApproveChanges(req.user)) {
+        return next();
+    }
+    forbidden(req, res, 'Only approvers can review changes to protected zones');
+}
+
+/**
+ * Middleware: require that the request may see a zone (see canReadZone)
+ * @param {Function} [getZoneName] - Extracts the zone name from the request
+ */
+function requireZoneRead(getZoneName = req => req.params.zoneName) {
+    return (req, res, next) => {
+        if (canReadZone(req.user, getZoneName(req))) {
+            return next();
+        }
+        forbidden(req, res, 'This API token is limited to specific zones');
+    };
+}
+
+/**
+ * Middleware: require permission to edit the records of a zone
+ * @param {Function} [getZoneName] - Extracts the zone name from the request
+ */
+function requireZoneEdit(getZoneName = req => req.params.zoneName || req.body.zoneName) {
+    return async (req, res, next) => {
+        try {
+            const zoneName = getZoneName(req);
+            if (isAdmin(req.user) && !tokenZoneScope(req.user)) return next();
+            const settings = await settingsUtil.loadSettings();
+            if (zoneName && canEditZone(req.user, zoneName, findZoneView(settings, zoneName))) {
+                return next();
+            }
+            forbidden(req, res, `You do not have permission to modify zone ${zoneName || ''}`.trim());
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Middleware: require permission to manage a view and the zones in it
+ * @param {Function} getViewName - Resolves the view name (may be async); null for global
+ */
+function requireViewScope(getViewName) {
+    return async (req, res, next) => {
+        try {
+            if (isAdmin(req.user) && !tokenZoneScope(req.user)) return next();
+            const viewName = await getViewName(req);
+            if (canManageZonesInView(req.user, viewName)) {
+                return next();
+            }
+            forbidden(req, res, tokenZoneScope(req.user)
+                ? 'This API token is limited to specific zones'
+                : viewName
+                ? `You do not have permission to manage view ${viewName}`
+                : 'Only administrators can manage zones outside of a view');
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Middleware: resolve a zone's current view and require permission to manage zones in it
+ * @param {Function} [getZoneName] - Extracts the zone name from the request
+ */
+function requireZoneManage(getZoneName = req => req.params.zoneName || req.body.zoneName) {
+    return requireViewScope(async req => {
+        const settings = await settingsUtil.loadSettings();
+        return findZoneView(settings, getZoneName(req));
+    });
+}
+
+module.exports = {
+    ROLES,
+    isAdmin,
+    findZoneView,
+    canReadZone,
+    canEditZone,
+    zoneEditChecker,
+    canManageZonesInView,
+    canCreateZones,
+    canEditView,
+    canRevertChange,
+    canApproveChanges,
+    capabilities,
+    exposeCapabilities,
+    forbidden,
+    requireRole,
+    requireApprover,
+    requireZoneRead,
+    requireZoneEdit,
+    requireViewScope,
+    requireZoneManage
+};
@@ -0,0 +1,355 @@
+const dns = require('dns');
+const zoneParser = require('./zoneParser');
+
+/**
+ * Provider Import
+ * Parsers for the zone exports of hosted DNS providers, used by recordImport
+ * next to its own BIND, CSV and JSON parsers:
+ * - cloudflare: the BIND file from "Export DNS records"
+ * - route53: the JSON of `aws route53 list-resource-record-sets`
+ * - powerdns: a zone as returned by the PowerDNS API (GET .../zones/:zone)
+ *
+ * Besides items and errors, every parser returns the zone name the document
+ * is for (or null) and per-item warnings for provider features BIND has no
+ * equivalent of. The provider's SOA and apex NS records are skipped: the zone
+ * keeps the ones NDash writes.
+ *
+ * ALIAS records, Route 53 alias targets and CNAMEs at the zone apex cannot be
+ * served by BIND. They come back with `alias` set, and flattenAliases turns
+ * them into the A/AAAA records their target has at import time.
+ */
+
+// Cloudflare's "automatic" TTL, and what it means there
+const CLOUDFLARE_AUTO_TTL = 1;
+const CLOUDFLARE_AUTO_SECONDS = 300;
+
+// Route 53 routing policies, by the field that sets them
+const ROUTE53_POLICIES = {
+    Weight: 'weighted',
+    Region: 'latency',
+    Failover: 'failover',
+    GeoLocation: 'geolocation',
+    GeoProximityLocation: 'geoproximity',
+    CidrRoutingConfig: 'IP-based',
+    MultiValueAnswer: 'multivalue answer'
+};
+
+const RESOLVE_TIMEOUT = 3000;
+
+function normalizeZone(name) {
+    return name ? String(name).trim().toLowerCase().replace(/\.$/, '') || null : null;
+}
+
+/**
+ * Items from zone file lines; each line is { source, text, warnings? }
+ */
+function itemsFromLines(lines, { origin, defaultTTL }) {
+    const parsed = zoneParser.parseZone(lines.map(line => line.text).join('\n'), {
+        origin,
+        defaultTTL,
+        readInclude: file => {
+            throw new Error(`$INCLUDE ${file} cannot be imported`);
+        }
+    });
+    const items = parsed.records.map(record => ({
+        source: lines[record.line - 1].source,
+        fqdn: record.fqdn.toLowerCase(),
+        input: { name: record.name, type: record.type, ttl: record.ttl, rdata: record.rdata },
+        warnings: [...(lines[record.line - 1].warnings || [])]
+    }));
+    const errors = parsed.errors.map(error => ({
+        source: lines[error.line - 1] ? lines[error.line - 1].source : `line ${error.line}`,
+        message: error.message
+    }));
+    return { items, errors };
+}
+
+/**
+ * An item for a record that has to be flattened (see flattenAliases)
+ */
+function aliasItem(source, owner, ttl, target, types, origin, warnings = []) {
+    const fqdn = zoneParser.fqdn(owner).toLowerCase();
+    return {
+        source,
+        fqdn,
+        input: { name: origin ? zoneParser.relativeName(fqdn, zoneParser.fqdn(origin)) : fqdn, type: 'ALIAS', ttl, value: target },
+        alias: { target: zoneParser.fqdn(target).toLowerCase(), types },
+        warnings
+    };
+}
+
+/**
+ * Mark the provider's SOA and apex name servers as skipped, and turn
+ * CNAMEs at the apex into aliases
+ */
+function applyApexRules(items, origin, provider) {
+    const apex = zoneParser.fqdn(origin).toLowerCase();
+    return items.map(item => {
+        if (item.fqdn !== apex) return item;
+        if (item.input.type === 'SOA') {
+            return { ...item, skip: 'The SOA record is managed by NDash' };
+        }
+        if (item.input.type === 'NS') {
+            return { ...item, skip: `Name server of ${provider}; the zone keeps the name servers NDash writes` };
+        }
+        if (item.input.type === 'CNAME') {
+            const target = zoneParser.absoluteName(item.input.rdata.target, zoneParser.fqdn(origin));
+            return aliasItem(item.source, item.fqdn, item.input.ttl, target, ['A', 'AAAA'], origin, [
+                ...item.warnings,
+                'A CNAME cannot exist at the zone apex in BIND'
+            ]);
+        }
+        return item;
+    });
+}
+
+/**
+ * Zone of a BIND file: its $ORIGIN, or the owner of its SOA record
+ */
+function bindZone(text) {
+    const origin = /^\$ORIGIN[ \t]+(\S+)/im.exec(text);
+    if (origin) return normalizeZone(origin[1]);
+    const soa = /^([^\s;$]\S*)[ \t]+(?:\d+[ \t]+)?(?:IN[ \t]+)?(?:\d+[ \t]+)?SOA[ \t]/im.exec(text);
+    return soa && soa[1] !== '@' ? normalizeZone(soa[1]) : null;
+}
+
+/**
+ * Cloudflare BIND export. Proxied records (;; cf_tags=cf-proxied:true) and
+ * the automatic TTL (1) get a warning; the latter becomes 300 seconds.
+ */
+function parseCloudflare(text, { origin, defaultTTL } = {}) {
+    const zone = bindZone(text);
+    const zoneOrigin = origin || zone;
+    const lines = text.split(/\r?\n/).map((line, index) => {
+        const warnings = [];
+        if (/cf-proxied:true/.test(line)) {
+            warnings.push('Proxied by Cloudflare; it now resolves to the origin address directly');
+        }
+        const autoTtl = /^(\S+\s+)1(\s+(?:IN\s+)?[A-Z][A-Z0-9]*\s)/i;
+        if (!/^[\s;$]/.test(line) && autoTtl.test(line)) {
+            warnings.push(`Cloudflare automatic TTL (${CLOUDFLARE_AUTO_TTL}) set to ${CLOUDFLARE_AUTO_SECONDS} seconds`);
+            line = line.replace(autoTtl, `$1${CLOUDFLARE_AUTO_SECONDS}$2`);
+        }
+        return { source: `line ${index + 1}`, text: line, warnings };
+    });
+    const { items, errors } = itemsFromLines(lines, { origin: zoneOrigin, defaultTTL });
+    return { zone, items: zoneOrigin ? applyApexRules(items, zoneOrigin, 'Cloudflare') : items, errors };
+}
+
+/**
+ * Route 53 names escape characters outside letters, digits, - and . as \ooo
+ */
+function route53Name(name) {
+    return String(name || '').replace(/\\(\d{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+/**
+ * Route 53 record sets: { ResourceRecordSets: [...] } or the bare array
+ */
+function parseRoute53(text, { origin, defaultTTL } = {}) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (error) {
+        return { zone: null, items: [], errors: [{ source: 'document', message: `Invalid JSON: ${error.message}` }] };
+    }
+    const sets = Array.isArray(document) ? document : document && document.ResourceRecordSets;
+    if (!Array.isArray(sets)) {
+        return { zone: null, items: [], errors: [{ source: 'document', message: 'Expected the output of list-resource-record-sets (a ResourceRecordSets array)' }] };
+    }
+    const soa = sets.find(set => set && set.Type === 'SOA');
+    const zone = soa ? normalizeZone(route53Name(soa.Name)) : null;
+    const zoneOrigin = origin || zone;
+
+    const lines = [];
+    const aliases = [];
+    const errors = [];
+    sets.forEach((set, index) => {
+        const source = `record set ${index + 1}`;
+        if (!set || typeof set !== 'object' || !set.Name || !set.Type) {
+            errors.push({ source, message: 'is not a record set with Name and Type' });
+            return;
+        }
+        const name = zoneParser.fqdn(route53Name(set.Name));
+        const warnings = [];
+        const policy = Object.keys(ROUTE53_POLICIES).find(field => set[field] !== undefined);
+        if (set.SetIdentifier || policy) {
+            warnings.push(`Route 53 ${ROUTE53_POLICIES[policy] || 'routing'} policy "${set.SetIdentifier || ''}" is not supported; its values are served together with the other sets of this name`);
+        }
+        if (set.HealthCheckId) {
+            warnings.push('Route 53 health check is not imported');
+        }
+        if (set.AliasTarget) {
+            const types = ['A', 'AAAA'].includes(set.Type) ? [set.Type] : ['A', 'AAAA'];
+            aliases.push(aliasItem(source, name, defaultTTL, route53Name(set.AliasTarget.DNSName), types, zoneOrigin, [
+                ...warnings,
+                `Route 53 alias record (${set.Type})`
+            ]));
+            return;
+        }
+        const ttl = set.TTL ?? defaultTTL;
+        for (const record of set.ResourceRecords || []) {
+            lines.push({ source, text: `${name} ${ttl} IN ${set.Type} ${record.Value}`, warnings });
+        }
+    });
+
+    const parsed = itemsFromLines(lines, { origin: zoneOrigin, defaultTTL });
+    const items = [...parsed.items, ...aliases];
+    return {
+        zone,
+        items: zoneOrigin ? applyApexRules(items, zoneOrigin, 'Route 53') : items,
+        errors: [...errors, ...parsed.errors]
+    };
+}
+
+/**
+ * PowerDNS API zone: { name, rrsets: [{ name, type, ttl, records: [{ content, disabled }] }] }
+ */
+function parsePowerDns(text, { origin, defaultTTL } = {}) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (error) {
+        return { zone: null, items: [], errors: [{ source: 'document', message: `Invalid JSON: ${error.message}` }] };
+    }
+    if (!document || !Array.isArray(document.rrsets)) {
+        return { zone: null, items: [], errors: [{ source: 'document', message: 'Expected a PowerDNS zone with an rrsets array' }] };
+    }
+    const zone = normalizeZone(document.name);
+    const zoneOrigin = origin || zone;
+
+    const lines = [];
+    const others = [];
+    const errors = [];
+    document.rrsets.forEach((rrset, index) => {
+        const source = `rrset ${index + 1}`;
+        if (!rrset || !rrset.name || !rrset.type) {
+            errors.push({ source, message: 'is not an rrset with name and type' });
+            return;
+        }
+        const name = zoneParser.fqdn(rrset.name);
+        const ttl = rrset.ttl ?? defaultTTL;
+        for (const record of rrset.records || []) {
+            if (rrset.type === 'LUA') {
+                errors.push({ source, message: 'LUA records are PowerDNS scripts and cannot be served by BIND' });
+            } else if (rrset.type === 'ALIAS') {
+                others.push(aliasItem(source, name, ttl, record.content, ['A', 'AAAA'], zoneOrigin, ['PowerDNS ALIAS record']));
+            } else if (record.disabled) {
+                others.push({
+                    source,
+                    fqdn: name.toLowerCase(),
+                    input: { name: zoneOrigin ? zoneParser.relativeName(name, zoneParser.fqdn(zoneOrigin)) : name, type: rrset.type, ttl, value: record.content },
+                    skip: 'Disabled in PowerDNS',
+                    warnings: []
+                });
+            } else {
+                lines.push({ source, text: `${name} ${ttl} IN ${rrset.type} ${record.content}` });
+            }
+        }
+    });
+
+    const parsed = itemsFromLines(lines, { origin: zoneOrigin, defaultTTL });
+    const items = [...parsed.items, ...others];
+    return {
+        zone,
+        items: zoneOrigin ? applyApexRules(items, zoneOrigin, 'PowerDNS') : items,
+        errors: [...errors, ...parsed.errors]
+    };
+}
+
+/**
+ * Provider parsers, with how to recognize their documents
+ */
+const PROVIDERS = {
+    cloudflare: {
+        label: 'Cloudflare (BIND export)',
+        parse: parseCloudflare,
+        detect: text => /cf_tags=|^;;\s*Domain:/m.test(text),
+        zone: bindZone
+    },
+    route53: {
+        label: 'Route 53 (list-resource-record-sets JSON)',
+        parse: parseRoute53,
+        detect: (text, json) => !!json && (Array.isArray(json.ResourceRecordSets) ||
+            (Array.isArray(json) && json.length > 0 && !!json[0] && json[0].ResourceRecords !== undefined)),
+        zone: text => parseRoute53(text).zone
+    },
+    powerdns: {
+        label: 'PowerDNS (API zone JSON)',
+        parse: parsePowerDns,
+        detect: (text, json) => !!json && Array.isArray(json.rrsets),
+        zone: text => parsePowerDns(text).zone
+    }
+};
+
+/**
+ * Look up addresses in DNS; a name without records gives an empty list
+ */
+async function resolveAddresses(name, type) {
+    const resolver = new dns.promises.Resolver({ timeout: RESOLVE_TIMEOUT, tries: 2 });
+    try {
+        return await (type === 'A' ? resolver.resolve4(name) : resolver.resolve6(name));
+    } catch (error) {
+        if (['ENODATA', 'ENOTFOUND'].includes(error.code)) return [];
+        throw new Error(`cannot resolve ${name} ${type}: ${error.code || error.message}`);
+    }
+}
+
+/**
+ * Replace alias items with the A and AAAA records of their targets.
+ * Targets in the document itself are taken from it; others are looked up.
+ * An alias that resolves to nothing is kept with an error.
+ * @param {Array} items - Parsed items
+ * @param {Object} [options]
+ * @param {Function} [options.resolve] - async (name, type) => addresses
+ * @returns {Promise<Array>} The items, with aliases flattened
+ */
+async function flattenAliases(items, { resolve = resolveAddresses } = {}) {
+    const result = [];
+    for (const item of items) {
+        if (!item.alias) {
+            result.push(item);
+            continue;
+        }
+        const { target, types } = item.alias;
+        const flattened = [];
+        const problems = [];
+        for (const type of types) {
+            const local = items.filter(other => !other.alias && !other.skip && other.fqdn === target && other.input.type === type);
+            let addresses = local.map(other => other.input.rdata.address);
+            if (addresses.length === 0) {
+                try {
+                    addresses = await resolve(target, type);
+                } catch (error) {
+                    problems.push(error.message);
+                }
+            }
+            for (const address of [...new Set(addresses)].sort()) {
+                flattened.push({ type, address });
+            }
+        }
+        if (flattened.length === 0) {
+            result.push({ ...item, error: `${target} has no A or AAAA records to flatten to${problems.length ? ` (${problems.join('; ')})` : ''}` });
+            continue;
+        }
+        const summary = flattened.map(f => `${f.type} ${f.address}`).join(', ');
+        for (const { type, address } of flattened) {
+            result.push({
+                source: item.source,
+                index: item.index,
+                fqdn: item.fqdn,
+                input: { name: item.input.name, type, ttl: item.input.ttl, value: address },
+                warnings: [
+                    ...item.warnings,
+                    `Flattened from ${target} to ${summary} as resolved now; it does not follow later changes of the target`
+                ]
+            });
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    PROVIDERS,
+    flattenAliases
+};
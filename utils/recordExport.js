@@ -0,0 +1,158 @@
+const zoneParser = require('./zoneParser');
+const { CSV_COLUMNS } = require('./recordImport');
+
+/**
+ * Record Export
+ * Renders a parsed zone (see zoneParser.parseZone) as a canonical BIND zone
+ * file, as JSON in the API record schema, or as CSV. The JSON and CSV
+ * documents are what recordImport reads, so an export can be imported into
+ * another zone or server as is.
+ *
+ * Records from $INCLUDE files and $GENERATE directives are written out like
+ * any other record, so every export is self-contained.
+ */
+
+const FORMATS = {
+    bind: { extension: 'zone', contentType: 'text/dns' },
+    json: { extension: 'json', contentType: 'application/json' },
+    csv: { extension: 'csv', contentType: 'text/csv' }
+};
+
+/**
+ * Record as returned by the API and written to JSON exports
+ */
+function recordJson(record) {
+    return {
+        name: record.name,
+        fqdn: record.fqdn,
+        type: record.type,
+        ttl: record.ttl,
+        class: record.class,
+        value: record.value,
+        priority: record.priority,
+        weight: record.weight,
+        port: record.port,
+        rdata: record.rdata,
+        rdataText: record.rdataText,
+        readOnly: !!(record.include || record.generated)
+    };
+}
+
+/**
+ * Sort key of an owner name in DNSSEC canonical order (RFC 4034 6.1):
+ * labels compared right to left, case-insensitively
+ */
+function canonicalKey(fqdn) {
+    return fqdn.toLowerCase().replace(/\.$/, '').split('.').reverse();
+}
+
+function compareCanonical(a, b) {
+    const left = canonicalKey(a.fqdn);
+    const right = canonicalKey(b.fqdn);
+    for (let i = 0; i < Math.min(left.length, right.length); i++) {
+        if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+    }
+    return left.length - right.length || a.type.localeCompare(b.type) || a.rdataText.localeCompare(b.rdataText);
+}
+
+/**
+ * Records in canonical order, apex first
+ */
+function sortRecords(records) {
+    return [...records].sort(compareCanonical);
+}
+
+/**
+ * Canonical BIND zone file: fully qualified owners, an explicit TTL and
+ * class on every record, records in canonical order
+ * @param {string} zoneName - Zone name
+ * @param {Object} parsed - { soa, records } from zoneParser.parseZone
+ * @param {Object} [options]
+ * @param {Date} [options.exportedAt] - Time stamped in the header
+ */
+function toBind(zoneName, { soa, records }, { exportedAt = new Date() } = {}) {
+    const origin = zoneParser.fqdn(zoneName);
+    const line = (owner, ttl, type, rdata) => `${owner.padEnd(31)} ${String(ttl).padEnd(7)} IN ${type.padEnd(7)} ${rdata}`;
+    const lines = [
+        `; Zone file for ${zoneName}`,
+        `; Exported by NDash on ${exportedAt.toISOString()}`,
+        '',
+        // Names inside RDATA are kept as written, relative to the origin
+        `$ORIGIN ${origin}`
+    ];
+    if (soa) {
+        lines.push(line(soa.fqdn || origin, soa.ttl, 'SOA', soa.rdataText));
+    }
+    for (const record of sortRecords(records)) {
+        lines.push(line(record.fqdn, record.ttl, record.type, record.rdataText));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * JSON export: the zone with its SOA and records in the API record schema
+ */
+function toJson(zoneName, { soa, records }, { exportedAt = new Date() } = {}) {
+    return JSON.stringify({
+        zone: zoneName,
+        exportedAt: exportedAt.toISOString(),
+        soa: soa ? {
+            mname: soa.mname,
+            rname: soa.rname,
+            serial: soa.serial,
+            refresh: soa.refresh,
+            retry: soa.retry,
+            expire: soa.expire,
+            minimum: soa.minimum,
+            ttl: soa.ttl
+        } : null,
+        records: sortRecords(records).map(recordJson)
+    }, null, 2) + '\n';
+}
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ */
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export with the columns the importer reads; the SOA is left out
+ */
+function toCsv(zoneName, { records }) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const record of sortRecords(records)) {
+        rows.push(CSV_COLUMNS.map(column => csvField(record[column])).join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+const RENDERERS = { bind: toBind, json: toJson, csv: toCsv };
+
+/**
+ * Render a zone in an export format
+ * @param {string} zoneName - Zone name
+ * @param {Object} parsed - { soa, records } from zoneParser.parseZone
+ * @param {string} [format] - bind (default), json or csv
+ * @returns {{ content: string, filename: string, contentType: string }}
+ */
+function exportZone(zoneName, parsed, format = 'bind', options = {}) {
+    const resolved = String(format || 'bind').toLowerCase();
+    if (!FORMATS[resolved]) {
+        throw new Error(`Invalid export format: ${format}; use ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return {
+        content: RENDERERS[resolved](zoneName, parsed, options),
+        filename: `${zoneName}.${FORMATS[resolved].extension}`,
+        contentType: FORMATS[resolved].contentType
+    };
+}
+
+module.exports = {
+    FORMATS,
+    recordJson,
+    sortRecords,
+    exportZone
+};
@@ -0,0 +1,298 @@
+const zoneParser = require('./zoneParser');
+const providerImport = require('./providerImport');
+
+/**
+ * Record Import
+ * Turns a pasted or uploaded BIND zone file, CSV or JSON document into
+ * record inputs for the record validator. Nothing here looks at the target
+ * zone; bindService.previewImport compares the records with it.
+ *
+ * Every parser returns { items, errors }: items are { source, input } with
+ * input shaped like a record form or API body, errors are { source, message }
+ * for parts of the document that could not be read. source says where an
+ * item came from ("line 12", "row 3", "item 2") so problems can be found.
+ * The exports of hosted providers are read by providerImport, whose items
+ * may also carry warnings, a reason to skip them or an error.
+ */
+
+const FORMATS = ['bind', 'csv', 'json', ...Object.keys(providerImport.PROVIDERS)];
+
+const FORMAT_LABELS = {
+    bind: 'BIND zone file',
+    csv: 'CSV',
+    json: 'JSON',
+    ...Object.fromEntries(Object.entries(providerImport.PROVIDERS).map(([format, provider]) => [format, provider.label]))
+};
+
+// CSV columns; value also accepts the names other tools export it under
+const CSV_COLUMNS = ['name', 'type', 'ttl', 'value', 'priority', 'weight', 'port'];
+const CSV_ALIASES = { data: 'value', content: 'value', rdata: 'value', host: 'name' };
+
+/**
+ * Guess the format of a document from its first characters
+ */
+function detectFormat(text) {
+    const trimmed = text.trimStart();
+    let json = null;
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+            json = JSON.parse(trimmed);
+        } catch (error) {
+            return 'json';
+        }
+    }
+    const provider = Object.keys(providerImport.PROVIDERS).find(format => providerImport.PROVIDERS[format].detect(text, json));
+    if (provider) {
+        return provider;
+    }
+    if (json !== null) {
+        return 'json';
+    }
+    const firstLine = trimmed.split('\n', 1)[0].toLowerCase();
+    const header = splitCsvLine(firstLine).map(column => CSV_ALIASES[column.trim()] || column.trim());
+    return header.includes('name') && header.includes('type') ? 'csv' : 'bind';
+}
+
+/**
+ * Records of a BIND master file. $ORIGIN, $TTL and $GENERATE are honored;
+ * $INCLUDE cannot be followed and is reported.
+ * @param {string} text - Zone file content
+ * @param {Object} options - { origin, defaultTTL }
+ */
+function parseBind(text, { origin, defaultTTL } = {}) {
+    const parsed = zoneParser.parseZone(text, {
+        origin,
+        defaultTTL,
+        readInclude: file => {
+            throw new Error(`$INCLUDE ${file} cannot be imported; paste the included records instead`);
+        }
+    });
+    const items = [];
+    if (parsed.soa) {
+        items.push({ source: `line ${parsed.soa.line}`, input: { name: parsed.soa.name, type: 'SOA', ttl: parsed.soa.ttl } });
+    }
+    for (const record of parsed.records) {
+        items.push({
+            source: `line ${record.line}`,
+            input: { name: record.name, type: record.type, ttl: record.ttl, rdata: record.rdata }
+        });
+    }
+    const errors = parsed.errors.map(error => ({ source: `line ${error.line}`, message: error.message }));
+    return { items, errors };
+}
+
+/**
+ * Split one CSV line, honoring double quotes ("" is a literal quote)
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Split CSV text into rows; quoted fields may span lines
+ * @returns {Array<{ line: number, fields: string[] }>}
+ */
+function csvRows(text) {
+    const rows = [];
+    let pending = null;
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (pending) {
+            pending.text += `\n${line}`;
+        } else {
+            pending = { line: index + 1, text: line };
+        }
+        // An odd number of quotes means a quoted field continues on the next line
+        if ((pending.text.match(/"/g) || []).length % 2 === 0) {
+            if (pending.text.trim() !== '') {
+                rows.push({ line: pending.line, fields: splitCsvLine(pending.text) });
+            }
+            pending = null;
+        }
+    });
+    if (pending) {
+        rows.push({ line: pending.line, fields: splitCsvLine(pending.text) });
+    }
+    return rows;
+}
+
+/**
+ * Optional number column; NaN is kept so validation can report it
+ */
+function csvNumber(value) {
+    return value === undefined || value.trim() === '' ? undefined : Number(value);
+}
+
+/**
+ * Records of a CSV document whose first row names the columns:
+ * name, type, ttl, value and optionally priority, weight and port
+ */
+function parseCsv(text) {
+    const rows = csvRows(text);
+    if (rows.length === 0) {
+        return { items: [], errors: [] };
+    }
+    const header = rows[0].fields.map(column => {
+        const name = column.trim().toLowerCase();
+        return CSV_ALIASES[name] || name;
+    });
+    const unknown = header.filter(column => !CSV_COLUMNS.includes(column));
+    const missing = ['name', 'type', 'value'].filter(column => !header.includes(column));
+    if (unknown.length > 0 || missing.length > 0) {
+        const problems = [];
+        if (missing.length > 0) problems.push(`missing column(s) ${missing.join(', ')}`);
+        if (unknown.length > 0) problems.push(`unknown column(s) ${unknown.join(', ')}`);
+        return {
+            items: [],
+            errors: [{ source: 'row 1', message: `Header ${problems.join('; ')}; expected ${CSV_COLUMNS.join(', ')}` }]
+        };
+    }
+
+    const items = [];
+    const errors = [];
+    rows.slice(1).forEach(({ line, fields }) => {
+        const source = `line ${line}`;
+        if (fields.length > header.length) {
+            errors.push({ source, message: `has ${fields.length} fields but the header has ${header.length} columns` });
+            return;
+        }
+        const row = Object.fromEntries(header.map((column, i) => [column, fields[i] === undefined ? undefined : fields[i]]));
+        items.push({
+            source,
+            input: {
+                name: (row.name || '').trim(),
+                type: (row.type || '').trim().toUpperCase(),
+                ttl: csvNumber(row.ttl),
+                value: row.value,
+                priority: csvNumber(row.priority),
+                weight: csvNumber(row.weight),
+                port: csvNumber(row.port)
+            }
+        });
+    });
+    return { items, errors };
+}
+
+/**
+ * Records of a JSON document: an array of records, or { records: [...] },
+ * each shaped like the body of POST /api/v1/zones/:zone/records
+ */
+function parseJson(text) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (error) {
+        return { items: [], errors: [{ source: 'document', message: `Invalid JSON: ${error.message}` }] };
+    }
+    const list = Array.isArray(document) ? document : document && Array.isArray(document.records) ? document.records : null;
+    if (!list) {
+        return { items: [], errors: [{ source: 'document', message: 'Expected an array of records or an object with a records array' }] };
+    }
+
+    const items = [];
+    const errors = [];
+    list.forEach((entry, index) => {
+        const source = `item ${index + 1}`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push({ source, message: 'is not a record object' });
+            return;
+        }
+        const { name, type, ttl, value, rdata, priority, weight, port } = entry;
+        items.push({
+            source,
+            input: rdata && typeof rdata === 'object'
+                ? { name, type, ttl, rdata }
+                : { name, type, ttl, value, priority, weight, port }
+        });
+    });
+    return { items, errors };
+}
+
+const PARSERS = {
+    bind: parseBind,
+    csv: parseCsv,
+    json: parseJson,
+    ...Object.fromEntries(Object.entries(providerImport.PROVIDERS).map(([format, provider]) => [format, provider.parse]))
+};
+
+function resolveFormat(content, format) {
+    const resolved = !format || format === 'auto' ? detectFormat(content) : String(format).toLowerCase();
+    if (!PARSERS[resolved]) {
+        throw new Error(`Invalid import format: ${format}; use ${FORMATS.join(', ')} or auto`);
+    }
+    return resolved;
+}
+
+function requireContent(text) {
+    const content = String(text || '');
+    if (content.trim() === '') {
+        throw new Error('Import content is required');
+    }
+    return content;
+}
+
+/**
+ * Read the records of a document. Items are numbered in document order;
+ * the A/AAAA records an alias is flattened to share its number.
+ * @param {string} text - Document content
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of FORMATS, or auto (default) to detect it
+ * @param {string} [options.origin] - Zone the records are for, used for relative names
+ * @param {number} [options.defaultTTL] - TTL for records without one
+ * @param {Function} [options.resolve] - async (name, type) => addresses, for flattening aliases
+ * @returns {Promise<Object>} { format, zone, items, errors }; zone is the zone the
+ *   document names, when its format says
+ */
+async function parseImport(text, { format = 'auto', origin = null, defaultTTL = 3600, resolve } = {}) {
+    const content = requireContent(text);
+    const resolved = resolveFormat(content, format);
+    const { zone = null, items, errors } = PARSERS[resolved](content, { origin, defaultTTL });
+    const numbered = items.map((item, index) => ({ ...item, index }));
+    return {
+        format: resolved,
+        zone,
+        items: await providerImport.flattenAliases(numbered, resolve ? { resolve } : {}),
+        errors
+    };
+}
+
+/**
+ * Zone a provider export is for, or null when its format does not say
+ */
+function documentZone(text, format = 'auto') {
+    const content = requireContent(text);
+    const provider = providerImport.PROVIDERS[resolveFormat(content, format)];
+    return provider ? provider.zone(content) : null;
+}
+
+module.exports = {
+    FORMATS,
+    FORMAT_LABELS,
+    CSV_COLUMNS,
+    detectFormat,
+    parseImport,
+    documentZone
+};
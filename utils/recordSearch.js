@@ -0,0 +1,192 @@
+const net = require('net');
+
+/**
+ * Record Search
+ * Matching of records across zones against a search term. The term is
+ * compared with the record name, type, value (rdata text) or TTL:
+ *
+ *   mail.example.com   name or value contains the text (case-insensitive)
+ *   mx, 3600           type or TTL equals the term
+ *   *.example.com      wildcards: * any run of characters, ? one character,
+ *                      \* and \? the characters themselves; the whole name or
+ *                      value must match
+ *   192.0.2.0/24       CIDR: A and AAAA records with an address in the range
+ *   2001:db8::1        an address matches A and AAAA records with exactly that
+ *                      address, in any spelling, and other records (such as
+ *                      TXT) where it appears as a whole address: ip4:10.0.0.1
+ *                      but not 10.0.0.10
+ */
+
+const FIELDS = ['any', 'name', 'type', 'value', 'ttl'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regular expression of a wildcard pattern, anchored at both ends
+ */
+function globPattern(term) {
+    let source = '';
+    for (let i = 0; i < term.length; i++) {
+        const char = term[i];
+        if (char === '\\' && i + 1 < term.length) {
+            source += escapeRegExp(term[++i]);
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Address range (a net.BlockList) of a CIDR term, or null when the term is not one
+ * @throws {Error} When it looks like CIDR but the prefix does not fit the address
+ */
+function parseCidr(term) {
+    const match = /^([0-9a-f:.]+)\/(\d{1,3})$/i.exec(term);
+    if (!match || !net.isIP(match[1])) return null;
+    const family = net.isIPv4(match[1]) ? 'ipv4' : 'ipv6';
+    const prefix = Number(match[2]);
+    if (prefix > (family === 'ipv4' ? 32 : 128)) {
+        throw new Error(`Invalid CIDR ${term}: the prefix length is out of range`);
+    }
+    const range = new net.BlockList();
+    range.addSubnet(match[1], prefix, family);
+    return range;
+}
+
+/**
+ * Regular expression finding an address as a whole in rdata text. It may not
+ * be part of a longer address or word, except after a prefix such as ip4: or
+ * ip6: (one with a letter that is not a hex digit, so 2001: does not count).
+ * @param {string} address - Address as written in the search term
+ * @param {string} [flags='i'] - Regular expression flags
+ */
+function addressPattern(address, flags = 'i') {
+    const before = '(?:(?<![0-9a-z.:])|(?<=(?<![0-9a-z.:])[0-9a-z]*[g-z][0-9a-z]*:))';
+    const after = '(?![0-9a-z:]|\\.[0-9a-z])';
+    return new RegExp(`${before}${escapeRegExp(address)}${after}`, flags);
+}
+
+/**
+ * Address of an A or AAAA record in a form that compares equal for every
+ * spelling of it, or null
+ */
+function canonicalAddress(address) {
+    if (net.isIPv4(address)) return address;
+    if (!net.isIPv6(address)) return null;
+    // The URL parser serializes IPv6 in its compressed form (RFC 5952)
+    return new URL(`http://[${address}]/`).hostname.slice(1, -1);
+}
+
+/**
+ * Searchable entry of a parsed record
+ * @param {Object} zone - Zone as listed by bindService.listZones
+ * @param {Object} record - Record from zoneParser.parseZone
+ */
+function indexEntry(zone, record) {
+    const address = record.type === 'A' || record.type === 'AAAA' ? record.rdataText : null;
+    return {
+        zone: zone.name,
+        view: zone.view || null,
+        name: record.name,
+        fqdn: record.fqdn,
+        type: record.type,
+        ttl: record.ttl,
+        rdataText: record.rdataText,
+        address: address && canonicalAddress(address),
+        readOnly: !!(record.include || record.generated)
+    };
+}
+
+/**
+ * Predicate for index entries matching a search term
+ * @param {string} term - Search term (see the top of this file)
+ * @param {string} [field='any'] - any, name, type, value or ttl
+ * @returns {Function} entry => boolean
+ * @throws {Error} On an unknown field or an invalid CIDR
+ */
+function compileQuery(term, field = 'any') {
+    if (!FIELDS.includes(field)) {
+        throw new Error(`Invalid search field ${field}; expected one of ${FIELDS.join(', ')}`);
+    }
+    const text = String(term || '').trim();
+    if (!text) {
+        throw new Error('Search term is required');
+    }
+    const wanted = name => field === 'any' || field === name;
+
+    const range = parseCidr(text);
+    if (range) {
+        if (!wanted('value')) {
+            throw new Error('Invalid search: CIDR ranges only match record values');
+        }
+        return entry => !!entry.address && range.check(entry.address, net.isIPv4(entry.address) ? 'ipv4' : 'ipv6');
+    }
+
+    const lower = text.toLowerCase();
+    const glob = /[*?]/.test(text) ? globPattern(text) : null;
+    const address = canonicalAddress(text);
+    const addressInText = address !== null ? addressPattern(text) : null;
+    const names = entry => [entry.name, entry.fqdn, entry.fqdn.replace(/\.$/, '')];
+
+    const matchers = [];
+    if (wanted('name')) {
+        matchers.push(glob
+            ? entry => names(entry).some(name => glob.test(name))
+            : entry => entry.fqdn.toLowerCase().includes(lower));
+    }
+    if (wanted('type')) {
+        matchers.push(glob ? entry => glob.test(entry.type) : entry => entry.type.toLowerCase() === lower);
+    }
+    if (wanted('value')) {
+        if (glob) {
+            matchers.push(entry => entry.rdataText !== null && glob.test(entry.rdataText));
+        } else {
+            // An address finds itself in A and AAAA records, not 10.0.0.10 for 10.0.0.1
+            matchers.push(entry => {
+                if (address !== null && entry.address) return entry.address === address;
+                if (entry.rdataText === null) return false;
+                return addressInText ? addressInText.test(entry.rdataText) : entry.rdataText.toLowerCase().includes(lower);
+            });
+        }
+    }
+    if (wanted('ttl')) {
+        matchers.push(glob
+            ? entry => entry.ttl !== null && glob.test(String(entry.ttl))
+            : entry => String(entry.ttl) === text);
+    }
+    return entry => matchers.some(matches => matches(entry));
+}
+
+/**
+ * Value of a matching record after a bulk replace. An address found by an
+ * address or CIDR term, and a value matched with wildcards, are replaced as
+ * a whole; otherwise each occurrence of the term in the value is replaced,
+ * for an address only where it appears as a whole address.
+ * @param {Object} entry - Index entry that matched the term as a value
+ * @param {string} term - Search term
+ * @param {string} replacement - New text
+ * @returns {string} The new value (rdata text)
+ */
+function replaceValue(entry, term, replacement) {
+    const text = String(term).trim();
+    if (/[*?]/.test(text) || (entry.address && (parseCidr(text) || canonicalAddress(text)))) {
+        return replacement;
+    }
+    const pattern = canonicalAddress(text) !== null ? addressPattern(text, 'gi') : new RegExp(escapeRegExp(text), 'gi');
+    return entry.rdataText.replace(pattern, () => replacement);
+}
+
+module.exports = {
+    FIELDS,
+    canonicalAddress,
+    indexEntry,
+    compileQuery,
+    replaceValue
+};
@@ -0,0 +1,593 @@
+/**
+ * DNS Record Types
+ * Typed RDATA definitions used by the zone parser and record editor.
+ *
+ * Each type describes its RDATA fields in presentation order, how to build
+ * a structured RDATA object from zone file tokens, how to render it back and
+ * how to validate it. `validate` receives the RDATA and a checker from
+ * utils/recordValidator.js that records errors per field.
+ */
+
+/**
+ * Join tokens back into presentation text
+ */
+function joinTokens(tokens) {
+    return tokens.map(t => t.text).join(' ');
+}
+
+/**
+ * Hex data that may be split over several tokens (SSHFP, TLSA, DS)
+ */
+function joinHex(tokens) {
+    return tokens.map(t => t.text).join('').toUpperCase();
+}
+
+/**
+ * Quote a character-string, escaping embedded quotes and backslashes
+ */
+function quoteString(value) {
+    return `"${String(value).replace(/(?<!\\)"/g, '\\"')}"`;
+}
+
+// Largest TTL BIND accepts (2^31 - 1, RFC 2181)
+const MAX_TTL = 2147483647;
+
+// CAA property tags in the IANA registry
+const CAA_TAGS = ['issue', 'issuewild', 'iodef', 'issuemail', 'issuevmc', 'contactemail', 'contactphone'];
+
+// Hex digits of a digest by SSHFP fingerprint type, TLSA matching type and DS digest type
+const SSHFP_DIGEST_LENGTHS = { 1: 40, 2: 64 };
+const TLSA_DIGEST_LENGTHS = { 1: 64, 2: 128 };
+const DS_DIGEST_LENGTHS = { 1: 40, 2: 64, 4: 96 };
+
+// SvcParamKeys (RFC 9460); keyNNNN is accepted for the rest
+const SVC_PARAM_KEYS = ['mandatory', 'alpn', 'no-default-alpn', 'port', 'ipv4hint', 'ech', 'ipv6hint', 'dohpath', 'ohttp'];
+
+const DNSSEC_ALGORITHMS = [
+    [8, 'RSASHA256'], [10, 'RSASHA512'], [13, 'ECDSAP256SHA256'],
+    [14, 'ECDSAP384SHA384'], [15, 'ED25519'], [16, 'ED448']
+];
+
+/**
+ * SvcParams as written; a quoted value (alpn="h3,h2") is split off by the
+ * tokenizer and joined back to its key
+ */
+function joinSvcParams(tokens) {
+    return tokens.reduce((params, token) => {
+        const glued = token.quoted && params.endsWith('=');
+        return params + (glued || params === '' ? '' : ' ') + token.text;
+    }, '');
+}
+
+/**
+ * Check the SvcParams of an SVCB/HTTPS record ("alpn=h3,h2 port=443")
+ */
+function validateSvcParams(rdata, check) {
+    const params = String(rdata.params || '').trim();
+    if (rdata.priority === 0) {
+        if (params) check.error('params', 'must be empty in AliasMode (priority 0)');
+        return;
+    }
+    const seen = new Set();
+    const pairs = params ? params.match(/[^\s=]+(="[^"]*"|=\S*)?/g) : [];
+    for (const pair of pairs) {
+        const [key, ...rest] = pair.split('=');
+        const value = rest.join('=').replace(/^"|"$/g, '');
+        if (!SVC_PARAM_KEYS.includes(key) && !/^key\d{1,5}$/.test(key)) {
+            return check.error('params', `unknown key "${key}"`);
+        }
+        if (seen.has(key)) {
+            return check.error('params', `key "${key}" is given twice`);
+        }
+        seen.add(key);
+        const list = value.split(',').filter(Boolean);
+        if (key === 'no-default-alpn' ? rest.length > 0 : list.length === 0) {
+            return check.error('params', key === 'no-default-alpn' ? 'no-default-alpn takes no value' : `${key} needs a value`);
+        }
+        if (key === 'port' && !(/^\d+$/.test(value) && Number(value) <= 65535)) {
+            return check.error('params', 'port must be between 0 and 65535');
+        }
+        if (key === 'ipv4hint' && list.some(ip => !check.isIPv4(ip))) {
+            return check.error('params', 'ipv4hint must be a comma-separated list of IPv4 addresses');
+        }
+        if (key === 'ipv6hint' && list.some(ip => !check.isIPv6(ip))) {
+            return check.error('params', 'ipv6hint must be a comma-separated list of IPv6 addresses');
+        }
+    }
+    if (seen.has('mandatory')) {
+        const mandatory = (pairs.find(p => p.startsWith('mandatory=')) || '').slice('mandatory='.length).replace(/"/g, '').split(',');
+        const missing = mandatory.filter(key => key && !seen.has(key));
+        if (missing.length > 0) check.error('params', `mandatory lists keys that are not present: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Check a LOC coordinate such as "52 22 23.000 N"
+ * @returns {string|null} Error message
+ */
+function locCoordinateError(text, hemispheres, maxDegrees) {
+    const match = new RegExp(`^(\\d+)(?:\\s+(\\d+)(?:\\s+(\\d+(?:\\.\\d{1,3})?))?)?\\s+([${hemispheres}])$`, 'i')
+        .exec(String(text || '').trim());
+    if (!match) {
+        return `must be degrees [minutes [seconds]] followed by ${hemispheres.split('').join(' or ')}`;
+    }
+    const [, degrees, minutes = '0', seconds = '0'] = match;
+    if (Number(degrees) > maxDegrees || Number(minutes) > 59 || Number(seconds) >= 60 ||
+        (Number(degrees) === maxDegrees && (Number(minutes) > 0 || Number(seconds) > 0))) {
+        return `is out of range (at most ${maxDegrees} degrees, 59 minutes, 59.999 seconds)`;
+    }
+    return null;
+}
+
+/**
+ * Check a LOC distance in meters such as "10m" or "-2.50m"
+ */
+function locDistanceError(text, min, max) {
+    const match = /^(-?\d+(?:\.\d{1,2})?)m?$/i.exec(String(text).trim());
+    if (!match || Number(match[1]) < min || Number(match[1]) > max) {
+        return `must be a distance in meters between ${min} and ${max}, e.g. 10m`;
+    }
+    return null;
+}
+
+const LOC_OPTIONAL_FIELDS = ['size', 'horizontalPrecision', 'verticalPrecision'];
+
+const RECORD_TYPES = {
+    A: {
+        description: 'IPv4 Address',
+        fields: ['address'],
+        parse: tokens => ({ address: tokens[0].text }),
+        format: rdata => rdata.address,
+        validate: (rdata, check) => check.ipv4('address')
+    },
+    AAAA: {
+        description: 'IPv6 Address',
+        fields: ['address'],
+        parse: tokens => ({ address: tokens[0].text }),
+        format: rdata => rdata.address,
+        validate: (rdata, check) => check.ipv6('address')
+    },
+    NS: {
+        description: 'Name Server',
+        fields: ['host'],
+        parse: tokens => ({ host: tokens[0].text }),
+        format: rdata => rdata.host,
+        validate: (rdata, check) => check.hostname('host')
+    },
+    CNAME: {
+        description: 'Canonical Name',
+        fields: ['target'],
+        parse: tokens => ({ target: tokens[0].text }),
+        format: rdata => rdata.target,
+        validate: (rdata, check) => check.domainName('target')
+    },
+    PTR: {
+        description: 'Pointer',
+        fields: ['target'],
+        parse: tokens => ({ target: tokens[0].text }),
+        format: rdata => rdata.target,
+        validate: (rdata, check) => check.domainName('target')
+    },
+    MX: {
+        description: 'Mail Exchange',
+        fields: ['preference', 'exchange'],
+        parse: tokens => ({
+            preference: parseInt(tokens[0].text, 10),
+            exchange: tokens[1].text
+        }),
+        format: rdata => `${rdata.preference} ${rdata.exchange}`,
+        validate: (rdata, check) => {
+            check.uint('preference', 65535);
+            // "0 ." is a null MX (RFC 7505): the domain accepts no mail
+            check.hostname('exchange', { root: true });
+        }
+    },
+    TXT: {
+        description: 'Text Record',
+        fields: ['strings'],
+        minTokens: 0,
+        parse: tokens => ({ strings: tokens.map(t => t.value) }),
+        format: rdata => rdata.strings.map(quoteString).join(' '),
+        validate: (rdata, check) => check.characterStrings('strings')
+    },
+    SRV: {
+        description: 'Service',
+        fields: ['priority', 'weight', 'port', 'target'],
+        parse: tokens => ({
+            priority: parseInt(tokens[0].text, 10),
+            weight: parseInt(tokens[1].text, 10),
+            port: parseInt(tokens[2].text, 10),
+            target: tokens[3].text
+        }),
+        format: rdata => `${rdata.priority} ${rdata.weight} ${rdata.port} ${rdata.target}`,
+        validate: (rdata, check) => {
+            check.uint('priority', 65535);
+            check.uint('weight', 65535);
+            check.uint('port', 65535);
+            check.hostname('target', { root: true });
+            if (!/^_[a-z0-9-]+\._[a-z0-9-]+(\.|$)/i.test(check.owner)) {
+                check.ownerError('must start with _service._protocol, e.g. _sip._tcp');
+            }
+        }
+    },
+    CAA: {
+        description: 'Certification Authority Authorization',
+        fields: ['flags', 'tag', 'value'],
+        minTokens: 2,
+        parse: tokens => ({
+            flags: parseInt(tokens[0].text, 10),
+            tag: tokens[1].text,
+            value: tokens.slice(2).map(t => t.value).join(' ')
+        }),
+        format: rdata => `${rdata.flags} ${rdata.tag} ${quoteString(rdata.value)}`,
+        validate: (rdata, check) => {
+            check.uint('flags', 255);
+            const tag = String(rdata.tag || '').toLowerCase();
+            if (!CAA_TAGS.includes(tag)) {
+                return check.error('tag', `must be one of ${CAA_TAGS.join(', ')}`);
+            }
+            rdata.tag = tag;
+            const value = String(rdata.value === undefined ? '' : rdata.value);
+            if (tag === 'issue' || tag === 'issuewild') {
+                // issuer domain (empty forbids issuance), then optional "; key=value" parameters
+                const [issuer, ...params] = value.split(';');
+                if (issuer.trim() && check.nameError(issuer.trim(), { hostname: true })) {
+                    check.error('value', `issuer "${issuer.trim()}" is not a valid domain name`);
+                } else if (params.some(p => p.trim() && !/^[a-z0-9]+=[\x21-\x3a\x3c-\x7e]*$/i.test(p.trim()))) {
+                    check.error('value', 'parameters must be written as ; key=value');
+                }
+            } else if (tag === 'iodef' && !/^(mailto:[^\s@]+@[^\s@]+|https?:\/\/\S+)$/i.test(value)) {
+                check.error('value', 'must be a mailto: or http(s):// URL');
+            } else if (value === '') {
+                check.error('value', 'is required');
+            }
+        }
+    },
+    SSHFP: {
+        description: 'SSH Key Fingerprint',
+        fields: ['algorithm', 'fingerprintType', 'fingerprint'],
+        parse: tokens => ({
+            algorithm: parseInt(tokens[0].text, 10),
+            fingerprintType: parseInt(tokens[1].text, 10),
+            fingerprint: joinHex(tokens.slice(2))
+        }),
+        format: rdata => `${rdata.algorithm} ${rdata.fingerprintType} ${rdata.fingerprint}`,
+        validate: (rdata, check) => {
+            check.uint('algorithm', 255);
+            check.uint('fingerprintType', 255);
+            check.hex('fingerprint', SSHFP_DIGEST_LENGTHS[rdata.fingerprintType]);
+        },
+        inputs: [
+            { field: 'algorithm', label: 'Algorithm', input: 'select', options: [[1, 'RSA'], [2, 'DSA'], [3, 'ECDSA'], [4, 'Ed25519'], [6, 'Ed448']] },
+            { field: 'fingerprintType', label: 'Fingerprint Type', input: 'select', options: [[2, 'SHA-256'], [1, 'SHA-1']] },
+            { field: 'fingerprint', label: 'Fingerprint', placeholder: 'hex digest', help: 'ssh-keygen -r <host> prints these records' }
+        ]
+    },
+    TLSA: {
+        description: 'DANE TLS Association',
+        fields: ['usage', 'selector', 'matchingType', 'certificateData'],
+        parse: tokens => ({
+            usage: parseInt(tokens[0].text, 10),
+            selector: parseInt(tokens[1].text, 10),
+            matchingType: parseInt(tokens[2].text, 10),
+            certificateData: joinHex(tokens.slice(3))
+        }),
+        format: rdata => `${rdata.usage} ${rdata.selector} ${rdata.matchingType} ${rdata.certificateData}`,
+        validate: (rdata, check) => {
+            check.uint('usage', 3);
+            check.uint('selector', 1);
+            check.uint('matchingType', 2);
+            check.hex('certificateData', TLSA_DIGEST_LENGTHS[rdata.matchingType]);
+            if (!/^_\d{1,5}\._(tcp|udp|sctp)(\.|$)/i.test(check.owner)) {
+                check.ownerError('must start with _port._protocol, e.g. _443._tcp');
+            }
+        },
+        inputs: [
+            { field: 'usage', label: 'Certificate Usage', input: 'select', options: [[3, 'DANE-EE (3)'], [2, 'DANE-TA (2)'], [1, 'PKIX-EE (1)'], [0, 'PKIX-TA (0)']] },
+            { field: 'selector', label: 'Selector', input: 'select', options: [[1, 'Public key (1)'], [0, 'Full certificate (0)']] },
+            { field: 'matchingType', label: 'Matching Type', input: 'select', options: [[1, 'SHA-256 (1)'], [2, 'SHA-512 (2)'], [0, 'Exact match (0)']] },
+            { field: 'certificateData', label: 'Certificate Data', placeholder: 'hex digest' }
+        ]
+    },
+    SVCB: {
+        description: 'Service Binding',
+        fields: ['priority', 'target', 'params'],
+        minTokens: 2,
+        parse: tokens => ({
+            priority: parseInt(tokens[0].text, 10),
+            target: tokens[1].text,
+            params: joinSvcParams(tokens.slice(2))
+        }),
+        format: rdata => [rdata.priority, rdata.target, rdata.params].filter(v => v !== undefined && v !== '').join(' '),
+        validate: (rdata, check) => {
+            check.uint('priority', 65535);
+            check.domainName('target', { root: true });
+            validateSvcParams(rdata, check);
+        },
+        inputs: [
+            { field: 'priority', label: 'Priority', input: 'number', placeholder: '1', help: '0 makes this an alias (AliasMode)' },
+            { field: 'target', label: 'Target', placeholder: '.', help: '. means the owner name itself' },
+            { field: 'params', label: 'Parameters', placeholder: 'alpn=h3,h2 port=443', required: false }
+        ]
+    },
+    NAPTR: {
+        description: 'Naming Authority Pointer',
+        fields: ['order', 'preference', 'flags', 'services', 'regexp', 'replacement'],
+        parse: tokens => ({
+            order: parseInt(tokens[0].text, 10),
+            preference: parseInt(tokens[1].text, 10),
+            flags: tokens[2].value,
+            services: tokens[3].value,
+            regexp: tokens[4].value,
+            replacement: tokens[5].text
+        }),
+        format: rdata => `${rdata.order} ${rdata.preference} ${quoteString(rdata.flags || '')} ` +
+            `${quoteString(rdata.services || '')} ${quoteString(rdata.regexp || '')} ${rdata.replacement}`,
+        validate: (rdata, check) => {
+            check.uint('order', 65535);
+            check.uint('preference', 65535);
+            if (!/^[a-z0-9]*$/i.test(rdata.flags || '')) {
+                check.error('flags', 'may only contain letters and digits, e.g. U, S, A or P');
+            }
+            if (rdata.services && !/^[a-z0-9+:.-]+$/i.test(rdata.services)) {
+                check.error('services', 'must be a service field such as E2U+sip or SIP+D2U');
+            }
+            check.domainName('replacement', { root: true });
+            // A rule either rewrites with regexp or points at replacement (RFC 3403)
+            if (rdata.regexp && rdata.replacement !== '.') {
+                check.error('replacement', 'must be . when a regular expression is given');
+            }
+        },
+        inputs: [
+            { field: 'order', label: 'Order', input: 'number', placeholder: '100' },
+            { field: 'preference', label: 'Preference', input: 'number', placeholder: '10' },
+            { field: 'flags', label: 'Flags', placeholder: 'U', required: false },
+            { field: 'services', label: 'Services', placeholder: 'E2U+sip', required: false },
+            { field: 'regexp', label: 'Regular Expression', placeholder: '!^.*$!sip:info@example.com!', required: false },
+            { field: 'replacement', label: 'Replacement', placeholder: '.' }
+        ]
+    },
+    DS: {
+        description: 'Delegation Signer',
+        fields: ['keyTag', 'algorithm', 'digestType', 'digest'],
+        parse: tokens => ({
+            keyTag: parseInt(tokens[0].text, 10),
+            algorithm: parseInt(tokens[1].text, 10),
+            digestType: parseInt(tokens[2].text, 10),
+            digest: joinHex(tokens.slice(3))
+        }),
+        format: rdata => `${rdata.keyTag} ${rdata.algorithm} ${rdata.digestType} ${rdata.digest}`,
+        validate: (rdata, check) => {
+            check.uint('keyTag', 65535);
+            check.uint('algorithm', 255);
+            check.uint('digestType', 255);
+            check.hex('digest', DS_DIGEST_LENGTHS[rdata.digestType]);
+            if (check.owner === '@') {
+                check.ownerError('DS records belong to a delegated child zone, not to the zone apex');
+            }
+        },
+        inputs: [
+            { field: 'keyTag', label: 'Key Tag', input: 'number', placeholder: '12345' },
+            { field: 'algorithm', label: 'Algorithm', input: 'select', options: DNSSEC_ALGORITHMS.map(([id, name]) => [id, `${name} (${id})`]) },
+            { field: 'digestType', label: 'Digest Type', input: 'select', options: [[2, 'SHA-256 (2)'], [4, 'SHA-384 (4)'], [1, 'SHA-1 (1)']] },
+            { field: 'digest', label: 'Digest', placeholder: 'hex digest' }
+        ]
+    },
+    DNAME: {
+        description: 'Delegation Name',
+        fields: ['target'],
+        parse: tokens => ({ target: tokens[0].text }),
+        format: rdata => rdata.target,
+        validate: (rdata, check) => check.domainName('target')
+    },
+    LOC: {
+        description: 'Location',
+        fields: ['latitude', 'longitude', 'altitude', ...LOC_OPTIONAL_FIELDS],
+        minTokens: 5,
+        parse: tokens => {
+            const texts = tokens.map(t => t.text);
+            const ns = texts.findIndex(t => /^[NS]$/i.test(t));
+            const ew = texts.findIndex((t, i) => i > ns && /^[EW]$/i.test(t));
+            if (ns < 1 || ew < ns + 2 || ew + 1 >= texts.length) {
+                throw new Error('LOC record needs a latitude ending in N or S, a longitude ending in E or W and an altitude');
+            }
+            const rdata = {
+                latitude: texts.slice(0, ns + 1).join(' '),
+                longitude: texts.slice(ns + 1, ew + 1).join(' '),
+                altitude: texts[ew + 1]
+            };
+            LOC_OPTIONAL_FIELDS.forEach((field, i) => {
+                if (texts[ew + 2 + i] !== undefined) rdata[field] = texts[ew + 2 + i];
+            });
+            return rdata;
+        },
+        format: rdata => ['latitude', 'longitude', 'altitude', ...LOC_OPTIONAL_FIELDS]
+            .map(field => rdata[field])
+            .filter(v => v !== undefined && v !== null && String(v).trim() !== '')
+            .join(' '),
+        validate: (rdata, check) => {
+            const latitude = locCoordinateError(rdata.latitude, 'NS', 90);
+            if (latitude) check.error('latitude', latitude);
+            const longitude = locCoordinateError(rdata.longitude, 'EW', 180);
+            if (longitude) check.error('longitude', longitude);
+            const altitude = rdata.altitude === undefined || String(rdata.altitude).trim() === ''
+                ? 'is required'
+                : locDistanceError(rdata.altitude, -100000, 42849672.95);
+            if (altitude) check.error('altitude', altitude);
+
+            let missing = null;
+            LOC_OPTIONAL_FIELDS.forEach(field => {
+                const value = rdata[field] === undefined || rdata[field] === null ? '' : String(rdata[field]).trim();
+                if (value === '') {
+                    missing = missing || field;
+                } else if (missing) {
+                    check.error(field, `needs ${missing} to be set as well`);
+                } else {
+                    const error = locDistanceError(value, 0, 90000000);
+                    if (error) check.error(field, error);
+                }
+            });
+        },
+        inputs: [
+            { field: 'latitude', label: 'Latitude', placeholder: '52 22 23.000 N' },
+            { field: 'longitude', label: 'Longitude', placeholder: '4 53 32.000 E' },
+            { field: 'altitude', label: 'Altitude', placeholder: '-2.00m' },
+            { field: 'size', label: 'Size', placeholder: '1m', required: false },
+            { field: 'horizontalPrecision', label: 'Horizontal Precision', placeholder: '10000m', required: false },
+            { field: 'verticalPrecision', label: 'Vertical Precision', placeholder: '10m', required: false }
+        ]
+    },
+    URI: {
+        description: 'Uniform Resource Identifier',
+        fields: ['priority', 'weight', 'target'],
+        parse: tokens => ({
+            priority: parseInt(tokens[0].text, 10),
+            weight: parseInt(tokens[1].text, 10),
+            target: tokens.slice(2).map(t => t.value).join(' ')
+        }),
+        format: rdata => `${rdata.priority} ${rdata.weight} ${quoteString(rdata.target)}`,
+        validate: (rdata, check) => {
+            check.uint('priority', 65535);
+            check.uint('weight', 65535);
+            if (!/^[a-z][a-z0-9+.-]*:\S+$/i.test(rdata.target || '')) {
+                check.error('target', 'must be an absolute URI such as https://www.example.com/');
+            }
+            if (!/^_[a-z0-9-]+\._[a-z0-9-]+(\.|$)/i.test(check.owner)) {
+                check.ownerError('must start with _service._protocol, e.g. _ftp._tcp');
+            }
+        },
+        inputs: [
+            { field: 'priority', label: 'Priority', input: 'number', placeholder: '10' },
+            { field: 'weight', label: 'Weight', input: 'number', placeholder: '1' },
+            { field: 'target', label: 'Target URI', placeholder: 'https://www.example.com/' }
+        ]
+    },
+    SOA: {
+        description: 'Start of Authority',
+        fields: ['mname', 'rname', 'serial', 'refresh', 'retry', 'expire', 'minimum'],
+        parse: (tokens, helpers) => ({
+            mname: tokens[0].text,
+            rname: tokens[1].text,
+            serial: parseInt(tokens[2].text, 10),
+            refresh: helpers.parseTtl(tokens[3].text),
+            retry: helpers.parseTtl(tokens[4].text),
+            expire: helpers.parseTtl(tokens[5].text),
+            minimum: helpers.parseTtl(tokens[6].text)
+        }),
+        format: rdata => `${rdata.mname} ${rdata.rname} ${rdata.serial} ${rdata.refresh} ${rdata.retry} ${rdata.expire} ${rdata.minimum}`,
+        validate: (rdata, check) => {
+            check.hostname('mname');
+            check.domainName('rname');
+            check.uint('serial', 4294967295);
+            ['refresh', 'retry', 'expire', 'minimum'].forEach(field => check.uint(field, MAX_TTL));
+        }
+    }
+};
+
+// HTTPS is SVCB for HTTP origins (RFC 9460)
+RECORD_TYPES.HTTPS = { ...RECORD_TYPES.SVCB, description: 'HTTPS Service Binding' };
+
+/**
+ * Fields exposed on the flat record object used by forms and routes.
+ * MX and SRV keep their numeric parameters separate from the target so the
+ * record editor can round-trip them.
+ */
+const FLAT_FIELDS = {
+    MX: rdata => ({ value: rdata.exchange, priority: rdata.preference }),
+    SRV: rdata => ({ value: rdata.target, priority: rdata.priority, weight: rdata.weight, port: rdata.port })
+};
+
+/**
+ * Get a record type definition
+ */
+function getRecordType(type) {
+    return RECORD_TYPES[String(type || '').toUpperCase()] || null;
+}
+
+/**
+ * Build structured RDATA from zone file tokens.
+ * Unknown types and RFC 3597 generic data keep their raw text.
+ */
+function parseRdata(type, tokens, helpers) {
+    if (tokens.length > 0 && tokens[0].text === '\\#') {
+        return {
+            generic: true,
+            length: parseInt(tokens[1] ? tokens[1].text : '0', 10),
+            data: tokens.slice(2).map(t => t.text).join('')
+        };
+    }
+
+    const definition = getRecordType(type);
+    if (!definition) {
+        return { text: joinTokens(tokens) };
+    }
+
+    const minTokens = definition.minTokens ?? definition.fields.length;
+    if (tokens.length < minTokens) {
+        throw new Error(`${type} record expects ${minTokens} RDATA field(s), got ${tokens.length}`);
+    }
+
+    const rdata = definition.parse(tokens, helpers);
+    for (const [key, value] of Object.entries(rdata)) {
+        if (typeof value === 'number' && isNaN(value)) {
+            throw new Error(`${type} record has an invalid ${key} value`);
+        }
+    }
+    return rdata;
+}
+
+/**
+ * Render structured RDATA in presentation format
+ */
+function formatRdata(type, rdata) {
+    if (rdata.generic) {
+        return `\\# ${rdata.length} ${rdata.data}`.trim();
+    }
+    const definition = getRecordType(type);
+    if (!definition || rdata.text !== undefined) {
+        return rdata.text;
+    }
+    return definition.format(rdata);
+}
+
+// Order of the type menu in the record editor
+const EDITOR_TYPES = [
+    'A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'PTR', 'SRV', 'CAA',
+    'HTTPS', 'SVCB', 'TLSA', 'SSHFP', 'NAPTR', 'URI', 'DS', 'DNAME', 'LOC'
+];
+
+/**
+ * Types offered by the record editor. Types with `inputs` get one form
+ * field per RDATA field (posted as rdata[field]); the rest use the value,
+ * priority, weight and port fields.
+ * @returns {Array<{ type: string, description: string, inputs: Array|null }>}
+ */
+function editorTypes() {
+    return EDITOR_TYPES.map(type => ({
+        type,
+        description: RECORD_TYPES[type].description,
+        inputs: RECORD_TYPES[type].inputs || null
+    }));
+}
+
+/**
+ * Flat value/priority/weight/port view of RDATA for forms and legacy callers
+ */
+function flattenRdata(type, rdata, rdataText) {
+    const flatten = FLAT_FIELDS[type];
+    if (flatten && !rdata.generic && rdata.text === undefined) {
+        return flatten(rdata);
+    }
+    return { value: rdataText };
+}
+
+module.exports = {
+    RECORD_TYPES,
+    MAX_TTL,
+    getRecordType,
+    parseRdata,
+    formatRdata,
+    flattenRdata,
+    editorTypes,
+    quoteString
+};
@@ -0,0 +1,336 @@
+const net = require('net');
+const zoneParser = require('./zoneParser');
+const recordTypes = require('./recordTypes');
+const { ValidationError } = require('./errors');
+
+/**
+ * Record Validator
+ * Checks a record from the record form or the API against its type before
+ * it is written to a zone file. Problems are reported per field, using the
+ * field names of the input: value/priority/weight/port for form-style input,
+ * rdata.<field> when structured RDATA was given.
+ */
+
+const TXT_STRING_BYTES = 255;
+
+// Types allowed next to a CNAME at the same name (RFC 4035)
+const CNAME_COMPANION_TYPES = ['RRSIG', 'NSEC', 'NSEC3'];
+
+// Form fields that carry RDATA fields; other RDATA lives in `value`
+const FLAT_FIELD_NAMES = {
+    MX: { preference: 'priority', exchange: 'value' },
+    SRV: { priority: 'priority', weight: 'weight', port: 'port', target: 'value' }
+};
+
+/**
+ * Check the syntax of a domain name; returns an error message or null
+ * @param {string} name - Name as written ('@', relative or absolute)
+ * @param {Object} [options]
+ * @param {boolean} [options.hostname] - Only letters, digits and inner hyphens (RFC 1123)
+ * @param {boolean} [options.wildcard] - Allow * as the first label
+ * @param {boolean} [options.root] - Allow the root name "."
+ */
+function nameError(name, { hostname = false, wildcard = false, root = false } = {}) {
+    if (typeof name !== 'string' || name.trim() === '') return 'is required';
+    if (name === '@') return null;
+    if (name === '.') return root ? null : 'cannot be the root name';
+    if (/\s/.test(name)) return 'cannot contain spaces';
+
+    const bare = name.endsWith('.') ? name.slice(0, -1) : name;
+    if (bare.length > 253) return 'is longer than 253 characters';
+
+    const labels = bare.split('.');
+    for (let i = 0; i < labels.length; i++) {
+        const label = labels[i];
+        if (label === '') return 'contains an empty label';
+        if (label.length > 63) return `label "${label}" is longer than 63 characters`;
+        if (label === '*' && wildcard && i === 0) continue;
+        const pattern = hostname
+            ? /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i
+            : /^[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?$/i;
+        if (!pattern.test(label)) {
+            return hostname
+                ? `label "${label}" may only contain letters, digits and hyphens`
+                : `label "${label}" contains invalid characters`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Catch the classic relative-name mistake: "mail.example.com" without a
+ * trailing dot in zone example.com becomes mail.example.com.example.com.
+ */
+function qualificationError(name, origin) {
+    if (!origin || typeof name !== 'string' || name === '@' || name.endsWith('.')) return null;
+    const zone = zoneParser.fqdn(origin).slice(0, -1).toLowerCase();
+    const lower = name.toLowerCase();
+    if (lower === zone || lower.endsWith(`.${zone}`)) {
+        return `is relative and would become ${zoneParser.absoluteName(name, zoneParser.fqdn(origin))}; ` +
+            'add a trailing dot to make it fully qualified';
+    }
+    return null;
+}
+
+/**
+ * Wire length of a character-string written in presentation format
+ * (\X and \DDD escapes are one byte)
+ */
+function stringBytes(value) {
+    return Buffer.byteLength(String(value).replace(/\\(\d{3}|.)/g, '_'));
+}
+
+/**
+ * Split plain text into character-strings of at most 255 bytes
+ */
+function chunkText(text) {
+    const chunks = [];
+    let current = '';
+    for (const ch of text) {
+        if (current && stringBytes(current + ch) > TXT_STRING_BYTES) {
+            chunks.push(current);
+            current = '';
+        }
+        current += ch;
+    }
+    chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Character-strings of a TXT value. Quoted input ("a" "b") is taken as
+ * written; plain text is split into 255-byte strings.
+ */
+function txtStrings(value) {
+    const text = String(value).trim();
+    if (!text.startsWith('"')) {
+        return chunkText(text);
+    }
+    const { entries, errors } = zoneParser.tokenize(text);
+    if (errors.length > 0) {
+        throw new Error(errors[0].message.toLowerCase());
+    }
+    const tokens = entries.flatMap(e => e.tokens);
+    if (tokens.some(t => !t.quoted)) {
+        throw new Error('must be plain text or a list of quoted strings');
+    }
+    return tokens.map(t => t.value);
+}
+
+/**
+ * Structured RDATA from form-style input (value, priority, weight, port)
+ */
+function rdataFromFlat(record, definition) {
+    const value = record.value === undefined || record.value === null ? '' : String(record.value).trim();
+    if (value === '') {
+        throw new Error('is required');
+    }
+    switch (record.type) {
+        case 'MX':
+            return { preference: record.priority ?? 10, exchange: value };
+        case 'SRV':
+            return { priority: record.priority ?? 10, weight: record.weight ?? 0, port: record.port, target: value };
+        case 'TXT':
+            return { strings: txtStrings(value) };
+    }
+    if (definition.fields.length === 1) {
+        return { [definition.fields[0]]: value };
+    }
+
+    const { entries } = zoneParser.tokenize(value);
+    const tokens = entries.flatMap(e => e.tokens);
+    return recordTypes.parseRdata(record.type, tokens, { parseTtl: zoneParser.parseTtl });
+}
+
+/**
+ * Checker handed to a record type's `validate`
+ */
+function createChecker(rdata, { owner, origin, fieldError, addError }) {
+    const check = {
+        owner,
+        error: fieldError,
+        ownerError: message => addError('name', message),
+        nameError,
+        isIPv4: value => net.isIPv4(String(value)),
+        isIPv6: value => net.isIPv6(String(value)),
+
+        ipv4(field) {
+            if (!net.isIPv4(String(rdata[field] || ''))) {
+                check.error(field, 'must be an IPv4 address such as 192.0.2.10');
+            }
+        },
+
+        ipv6(field) {
+            if (!net.isIPv6(String(rdata[field] || ''))) {
+                check.error(field, 'must be an IPv6 address such as 2001:db8::10');
+            }
+        },
+
+        /** Host name of a server (letters, digits and hyphens only) */
+        hostname(field, options = {}) {
+            const message = nameError(rdata[field], { hostname: true, ...options }) ||
+                qualificationError(rdata[field], origin);
+            if (message) check.error(field, message);
+        },
+
+        /** Any domain name (underscores allowed, e.g. for DKIM targets) */
+        domainName(field, options = {}) {
+            const message = nameError(rdata[field], options) || qualificationError(rdata[field], origin);
+            if (message) check.error(field, message);
+        },
+
+        /** Unsigned integer up to max; numeric strings are converted */
+        uint(field, max) {
+            const raw = rdata[field];
+            const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (raw === undefined || raw === null || raw === '') {
+                check.error(field, 'is required');
+            } else if (!Number.isInteger(number) || number < 0 || number > max) {
+                check.error(field, `must be an integer between 0 and ${max}`);
+            } else {
+                rdata[field] = number;
+            }
+        },
+
+        /** Hex digest, optionally of a fixed number of digits; spaces are removed */
+        hex(field, length) {
+            const value = String(rdata[field] ?? '').replace(/\s+/g, '').toUpperCase();
+            if (value === '') {
+                check.error(field, 'is required');
+            } else if (!/^[0-9A-F]+$/.test(value) || value.length % 2 !== 0) {
+                check.error(field, 'must be an even number of hexadecimal digits');
+            } else if (length && value.length !== length) {
+                check.error(field, `must be ${length} hexadecimal digits for this digest type, got ${value.length}`);
+            } else {
+                rdata[field] = value;
+            }
+        },
+
+        /** TXT-style list of character-strings of at most 255 bytes each */
+        characterStrings(field) {
+            const strings = rdata[field];
+            if (!Array.isArray(strings) || strings.length === 0 || strings.some(s => typeof s !== 'string')) {
+                return check.error(field, 'is required');
+            }
+            strings.forEach((value, index) => {
+                const bytes = stringBytes(value);
+                if (bytes > TXT_STRING_BYTES) {
+                    check.error(field, `string ${index + 1} is ${bytes} bytes; each string is limited to ${TXT_STRING_BYTES}`);
+                }
+            });
+        }
+    };
+    return check;
+}
+
+/**
+ * Records already at the owner name that conflict with a CNAME rule:
+ * a CNAME cannot share its name with any other data (RFC 1034 3.6.2)
+ */
+function cnameConflict(record, fqdn, existing) {
+    const atName = existing.filter(r => r.fqdn.toLowerCase() === fqdn && !CNAME_COMPANION_TYPES.includes(r.type));
+    if (record.type === 'CNAME' && atName.length > 0) {
+        const types = [...new Set(atName.map(r => r.type))].join(', ');
+        return `already has ${types} data; a CNAME cannot coexist with other records at the same name`;
+    }
+    if (record.type !== 'CNAME' && !CNAME_COMPANION_TYPES.includes(record.type) && atName.some(r => r.type === 'CNAME')) {
+        return 'has a CNAME record; no other data can exist at the same name';
+    }
+    return null;
+}
+
+/**
+ * Validate a record
+ * @param {Object} input - { name, type, ttl, value, priority, weight, port } or { name, type, ttl, rdata }
+ * @param {Object} [options]
+ * @param {string} [options.origin] - Zone the record belongs to
+ * @param {Array} [options.existing] - Parsed records of the zone, without the record being replaced
+ * @returns {{ record: Object, errors: Array<{ field: string, message: string }> }}
+ *          The record with normalized structured `rdata` (e.g. TXT split into 255-byte strings)
+ */
+function validateRecord(input, { origin = null, existing = [] } = {}) {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+    const record = { ...input, type: String(input.type || '').toUpperCase() };
+
+    const ownerMessage = nameError(record.name, { wildcard: true }) || qualificationError(record.name, origin);
+    if (ownerMessage) {
+        addError('name', ownerMessage);
+    }
+    const fqdn = !ownerMessage && origin
+        ? zoneParser.absoluteName(record.name, zoneParser.fqdn(origin)).toLowerCase()
+        : null;
+    if (fqdn && fqdn !== zoneParser.fqdn(origin).toLowerCase() && !fqdn.endsWith(`.${zoneParser.fqdn(origin).toLowerCase()}`)) {
+        addError('name', `is outside zone ${origin}`);
+    }
+
+    if (record.ttl !== undefined && record.ttl !== null && record.ttl !== '' &&
+        (!Number.isInteger(Number(record.ttl)) || Number(record.ttl) < 0 || Number(record.ttl) > recordTypes.MAX_TTL)) {
+        addError('ttl', `must be an integer between 0 and ${recordTypes.MAX_TTL}`);
+    }
+
+    const definition = recordTypes.getRecordType(record.type);
+    if (!record.type) {
+        addError('type', 'is required');
+    } else if (!definition) {
+        addError('type', `${record.type} is not a supported record type`);
+    }
+    if (!definition) {
+        return { record, errors };
+    }
+
+    const structured = record.rdata && typeof record.rdata === 'object';
+    const fieldError = (field, message) => {
+        if (structured) {
+            return addError(`rdata.${field}`, message);
+        }
+        const flat = FLAT_FIELD_NAMES[record.type];
+        if (flat) {
+            return addError(flat[field] || 'value', message);
+        }
+        // Several RDATA fields written in one value: say which one is wrong
+        addError('value', definition.fields.length > 1 ? `${field} ${message}` : message);
+    };
+
+    let rdata;
+    try {
+        rdata = structured ? { ...record.rdata } : rdataFromFlat(record, definition);
+    } catch (error) {
+        addError(structured ? 'rdata' : 'value', error.message);
+        return { record, errors };
+    }
+
+    if (definition.validate) {
+        definition.validate(rdata, createChecker(rdata, { owner: String(record.name || ''), origin, fieldError, addError }));
+    }
+    record.rdata = rdata;
+
+    if (fqdn) {
+        const conflict = cnameConflict(record, fqdn, existing);
+        if (conflict) addError('name', conflict);
+        if (record.type === 'SOA' && existing.some(r => r.type === 'SOA')) {
+            addError('type', 'the zone already has an SOA record');
+        }
+    }
+
+    return { record, errors };
+}
+
+/**
+ * Validate a record and throw a ValidationError listing every problem
+ * @returns {Object} The normalized record
+ */
+function assertValidRecord(input, options = {}) {
+    const { record, errors } = validateRecord(input, options);
+    if (errors.length > 0) {
+        throw new ValidationError(errors, `Invalid ${record.type || 'DNS'} record: ` +
+            errors.map(e => `${e.field} ${e.message}`).join('; '));
+    }
+    return record;
+}
+
+module.exports = {
+    validateRecord,
+    assertValidRecord,
+    nameError
+};
@@ -0,0 +1,56 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request Context
+ * Carries the acting user through async calls made while handling a
+ * request, so services and the activity logger can attribute changes
+ * without every function taking a user argument.
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Changed files of work done outside a request (startup, timers)
+const backgroundChanges = new Set();
+
+/**
+ * Run a function within a context
+ * @param {Object} context - { user, token? } (token is set for API token requests)
+ * @param {Function} fn - Function to run
+ */
+function run(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Get the current context, or an empty object outside a request
+ */
+function getContext() {
+    return storage.getStore() || {};
+}
+
+/**
+ * Get the acting user, or null outside a request
+ */
+function getCurrentUser() {
+    return getContext().user || null;
+}
+
+/**
+ * Files changed by the current request and not committed to the
+ * configuration history yet (see configHistory). Work outside a request
+ * shares one set.
+ * @returns {Set<string>}
+ */
+function changedFiles() {
+    const context = storage.getStore();
+    if (!context) return backgroundChanges;
+    if (!context.changedFiles) context.changedFiles = new Set();
+    return context.changedFiles;
+}
+
+module.exports = {
+    run,
+    getContext,
+    getCurrentUser,
+    changedFiles
+};
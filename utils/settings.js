@@ -8,8 +8,33 @@ const DEFAULT_SETTINGS = {
     zones: {
         autoReload: true,
         validateBeforeReload: true,
+        // Collect zone file and named.conf changes per user for review instead of writing them
+        stageChanges: false,
+        // Changes to zones tagged "protected" wait for a second user's approval
+        requireApproval: false,
+        // Zone name -> tags (see zoneTags)
+        tags: {},
         backupEnabled: true,
-        autoGeneratePTR: true
+        // Zone file snapshots kept: the newest keepLast, plus any younger than maxAgeDays (0 = rule off)
+        backupRetention: {
+            keepLast: 20,
+            maxAgeDays: 30
+        },
+        autoGeneratePTR: true,
+        // Serial numbering of zones (see zoneSoa): the default, and zone name -> scheme for the others
+        serialScheme: 'date',
+        serialSchemes: {},
+        // $TTL and SOA timers of new zones, in seconds
+        soaDefaults: {
+            ttl: 3600,
+            refresh: 7200,
+            retry: 3600,
+            expire: 1209600,
+            minimum: 3600
+        },
+        // Zone templates, and the template last applied to each zone (see zoneTemplates)
+        templates: {},
+        appliedTemplates: {}
     },
     bind: {
         version: 'Bind 9.18.28',
@@ -73,7 +98,8 @@ async function loadSettings() {
         }
         
         const settings = JSON.parse(fileContent);
-        return { ...DEFAULT_SETTINGS, ...settings };
+        // Zone options added in later versions get their defaults
+        return { ...DEFAULT_SETTINGS, ...settings, zones: { ...DEFAULT_SETTINGS.zones, ...settings.zones } };
     } catch (error) {
         console.warn('Failed to load settings, using defaults:', error.message);
         return DEFAULT_SETTINGS;
@@ -0,0 +1,324 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const USERS_FILE = path.join(__dirname, '../data/users.json');
+const KEY_LENGTH = 64;
+
+/**
+ * Account roles; permissions are defined in utils/permissions.js. Whatever
+ * its role, an account can also be an approver, who reviews other users'
+ * changes to protected zones (see utils/zoneTags.js).
+ */
+const ROLES = {
+    admin: {
+        label: 'Administrator',
+        description: 'Full access, including users, settings, ACLs and views'
+    },
+    editor: {
+        label: 'Zone Editor',
+        description: 'Edits the zones and views assigned to the account'
+    },
+    viewer: {
+        label: 'Viewer',
+        description: 'Read-only access'
+    }
+};
+
+/**
+ * Load all user accounts (including password hashes)
+ */
+async function loadUsers() {
+    try {
+        if (!await fs.pathExists(USERS_FILE)) {
+            return [];
+        }
+        const content = await fs.readFile(USERS_FILE, 'utf8');
+        const users = content.trim() ? JSON.parse(content) : [];
+        // Accounts created before roles existed were all fully privileged
+        return users.map(u => ({ role: 'admin', zones: [], views: [], approver: false, ...u }));
+    } catch (error) {
+        console.error('Failed to load users:', error.message);
+        throw new Error(`Failed to load users: ${error.message}`);
+    }
+}
+
+/**
+ * Save user accounts; the file only holds password hashes but is kept private
+ */
+async function saveUsers(users) {
+    await fs.ensureDir(path.dirname(USERS_FILE));
+    const tmpFile = `${USERS_FILE}.tmp.${process.pid}.${crypto.randomBytes(6).toString('hex')}`;
+    await fs.writeFile(tmpFile, JSON.stringify(users, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.move(tmpFile, USERS_FILE, { overwrite: true });
+}
+
+// Tail of the queue every change of users.json goes through
+let updateQueue = Promise.resolve();
+
+/**
+ * Read, change and write users.json, one change at a time, so a change
+ * is never lost to another one working on an older copy
+ * @param {Function} update - (users) => { result, save }; users are changed
+ *   in place and written unless save is false
+ * @returns {Promise<*>} The result of update
+ */
+function updateUsers(update) {
+    const run = updateQueue.then(async () => {
+        const users = await loadUsers();
+        const { result, save = true } = await update(users);
+        if (save) {
+            await saveUsers(users);
+        }
+        return result;
+    });
+    updateQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Strip secrets from a user record
+ */
+function publicUser(user) {
+    if (!user) return null;
+    const { passwordHash, passwordSalt, ...rest } = user;
+    return rest;
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ */
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return { passwordSalt: salt, passwordHash: derived.toString('hex') };
+}
+
+function validateUsername(username) {
+    if (!username || !/^[a-zA-Z0-9._-]{1,32}$/.test(username)) {
+        throw new Error('Username must be 1-32 characters: letters, numbers, dots, hyphens and underscores');
+    }
+}
+
+function validateRole(role) {
+    if (!ROLES[role]) {
+        throw new Error(`Invalid role: ${role}`);
+    }
+}
+
+/**
+ * Normalize a scope list given as an array or a comma/newline separated string
+ */
+function parseScope(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
+
+function countAdmins(users) {
+    return users.filter(u => u.role === 'admin').length;
+}
+
+function validatePassword(password) {
+    if (!password || password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+    }
+}
+
+/**
+ * Whether any account exists (used to offer first-run setup)
+ */
+async function hasUsers() {
+    const users = await loadUsers();
+    return users.length > 0;
+}
+
+/**
+ * List accounts without secrets
+ */
+async function listUsers() {
+    const users = await loadUsers();
+    return users.map(publicUser);
+}
+
+/**
+ * Get one account without secrets
+ */
+async function getUser(username) {
+    const users = await loadUsers();
+    return publicUser(users.find(u => u.username === username));
+}
+
+/**
+ * Create a new account
+ * @param {Object} data
+ * @param {string} data.username
+ * @param {string} data.password
+ * @param {string} [data.displayName]
+ * @param {string} [data.role] - admin, editor or viewer (default: viewer)
+ * @param {string[]} [data.zones] - Zones an editor may change
+ * @param {string[]} [data.views] - Views whose zones an editor may manage
+ * @param {boolean} [data.approver] - May approve other users' changes to protected zones
+ */
+async function createUser(data) {
+    const user = await newUser(data);
+    return updateUsers(users => {
+        if (users.some(u => u.username.toLowerCase() === user.username.toLowerCase())) {
+            throw new Error(`User "${user.username}" already exists`);
+        }
+        users.push(user);
+        return { result: publicUser(user) };
+    });
+}
+
+/**
+ * Create the first account, an administrator, during first-run setup
+ * @param {Object} data - As for createUser; the role is always admin
+ * @returns {Promise<Object|null>} The account, or null when one already exists
+ */
+async function createInitialUser(data) {
+    const user = await newUser({ ...data, role: 'admin' });
+    return updateUsers(users => {
+        if (users.length > 0) {
+            return { result: null, save: false };
+        }
+        users.push(user);
+        return { result: publicUser(user) };
+    });
+}
+
+/**
+ * Validate the data of a new account and hash its password
+ */
+async function newUser({ username, password, displayName, role = 'viewer', zones = [], views = [], approver = false }) {
+    validateUsername(username);
+    validatePassword(password);
+    validateRole(role);
+
+    return {
+        username,
+        displayName: (displayName || '').trim() || username,
+        role,
+        zones: role === 'editor' ? parseScope(zones) : [],
+        views: role === 'editor' ? parseScope(views) : [],
+        approver: !!approver,
+        ...await hashPassword(password),
+        createdAt: new Date().toISOString(),
+        lastLoginAt: null
+    };
+}
+
+/**
+ * Check credentials; returns the user on success, null otherwise
+ */
+async function verifyCredentials(username, password) {
+    const users = await loadUsers();
+    const user = users.find(u => u.username === username);
+
+    // Hash even when the user is unknown so timing does not reveal valid names
+    const { passwordHash } = await hashPassword(password || '', user ? user.passwordSalt : 'unknown-user');
+    if (!user) {
+        return null;
+    }
+
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(passwordHash, 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    return updateUsers(current => {
+        const account = current.find(u => u.username === username);
+        // Removed, or the password was changed, while the hash was computed
+        if (!account || account.passwordHash !== user.passwordHash) {
+            return { result: null, save: false };
+        }
+        account.lastLoginAt = new Date().toISOString();
+        return { result: publicUser(account) };
+    });
+}
+
+/**
+ * Update the display name, role, scopes or approver flag of an account.
+ * The last administrator cannot be demoted.
+ * @param {string} username
+ * @param {Object} changes - { displayName, role, zones, views, approver }
+ */
+async function updateUser(username, changes) {
+    return updateUsers(users => {
+        const user = users.find(u => u.username === username);
+        if (!user) {
+            throw new Error(`User "${username}" not found`);
+        }
+
+        if (changes.role !== undefined) {
+            validateRole(changes.role);
+            if (user.role === 'admin' && changes.role !== 'admin' && countAdmins(users) === 1) {
+                throw new Error('Cannot change the role of the last administrator');
+            }
+            user.role = changes.role;
+        }
+        if (changes.displayName !== undefined) {
+            user.displayName = String(changes.displayName).trim() || user.username;
+        }
+        if (changes.zones !== undefined) user.zones = parseScope(changes.zones);
+        if (changes.views !== undefined) user.views = parseScope(changes.views);
+        if (changes.approver !== undefined) user.approver = !!changes.approver;
+        if (user.role !== 'editor') {
+            user.zones = [];
+            user.views = [];
+        }
+
+        return { result: publicUser(user) };
+    });
+}
+
+/**
+ * Change a user's password
+ */
+async function setPassword(username, password) {
+    validatePassword(password);
+    const hashed = await hashPassword(password);
+    await updateUsers(users => {
+        const user = users.find(u => u.username === username);
+        if (!user) {
+            throw new Error(`User "${username}" not found`);
+        }
+        Object.assign(user, hashed);
+        return { result: undefined };
+    });
+}
+
+/**
+ * Delete an account; the last remaining account cannot be removed
+ */
+async function deleteUser(username) {
+    await updateUsers(users => {
+        const index = users.findIndex(u => u.username === username);
+        if (index === -1) {
+            throw new Error(`User "${username}" not found`);
+        }
+        if (users.length === 1) {
+            throw new Error('Cannot delete the last user account');
+        }
+        if (users[index].role === 'admin' && countAdmins(users) === 1) {
+            throw new Error('Cannot delete the last administrator');
+        }
+        users.splice(index, 1);
+        return { result: undefined };
+    });
+}
+
+module.exports = {
+    ROLES,
+    hasUsers,
+    listUsers,
+    getUser,
+    createUser,
+    createInitialUser,
+    verifyCredentials,
+    updateUser,
+    setPassword,
+    deleteUser
+};
@@ -0,0 +1,152 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Zone Backups
+ * Snapshots of a zone file taken before each change, stored next to it as
+ * <zone file>.backup.<timestamp>. The timestamp (milliseconds since the
+ * epoch) is the snapshot's id.
+ */
+
+const BACKUP_ID_PATTERN = /^\d+$/;
+
+/**
+ * Path of a snapshot
+ * @param {string} zoneFile - Zone file the snapshot belongs to
+ * @param {string|number} id - Snapshot id
+ */
+function backupPath(zoneFile, id) {
+    if (!BACKUP_ID_PATTERN.test(String(id))) {
+        throw new Error(`Invalid backup id: ${id}`);
+    }
+    return `${zoneFile}.backup.${id}`;
+}
+
+/**
+ * List the snapshots of a zone file, newest first
+ * @returns {Promise<Array<{ id: string, file: string, createdAt: Date, size: number }>>}
+ */
+async function listBackups(zoneFile) {
+    const dir = path.dirname(zoneFile);
+    if (!await fs.pathExists(dir)) {
+        return [];
+    }
+    const prefix = `${path.basename(zoneFile)}.backup.`;
+    const backups = [];
+    for (const name of await fs.readdir(dir)) {
+        const id = name.startsWith(prefix) ? name.slice(prefix.length) : null;
+        if (!id || !BACKUP_ID_PATTERN.test(id)) continue;
+        const file = path.join(dir, name);
+        const stat = await fs.stat(file);
+        backups.push({ id, file, createdAt: new Date(Number(id)), size: stat.size });
+    }
+    return backups.sort((a, b) => Number(b.id) - Number(a.id));
+}
+
+/**
+ * Copy the zone file to a new snapshot
+ * @returns {Promise<Object|null>} The snapshot, or null when the zone file does not exist
+ */
+async function createBackup(zoneFile) {
+    if (!await fs.pathExists(zoneFile)) {
+        return null;
+    }
+    const id = String(Date.now());
+    const file = backupPath(zoneFile, id);
+    await fs.copy(zoneFile, file);
+    console.log(`✓ Backup created: ${file}`);
+    return { id, file, createdAt: new Date(Number(id)) };
+}
+
+/**
+ * Read a snapshot
+ */
+async function readBackup(zoneFile, id) {
+    const file = backupPath(zoneFile, id);
+    if (!await fs.pathExists(file)) {
+        throw new Error(`Backup ${id} not found`);
+    }
+    return fs.readFile(file, 'utf8');
+}
+
+/**
+ * Snapshots to delete under the retention rules. A snapshot is kept when it
+ * is one of the newest `keepLast` or younger than `maxAgeDays`; a rule set to
+ * 0 is off, and with both off everything is kept.
+ * @param {Array} backups - Snapshots, newest first
+ * @param {Object} retention - { keepLast, maxAgeDays }
+ * @param {Date} [now]
+ */
+function selectForPruning(backups, { keepLast = 0, maxAgeDays = 0 } = {}, now = new Date()) {
+    keepLast = Number(keepLast) || 0;
+    maxAgeDays = Number(maxAgeDays) || 0;
+    if (keepLast <= 0 && maxAgeDays <= 0) {
+        return [];
+    }
+    const cutoff = now.getTime() - maxAgeDays * DAY_MS;
+    return backups.filter((backup, index) => {
+        const recent = keepLast > 0 && index < keepLast;
+        const young = maxAgeDays > 0 && Number(backup.id) > cutoff;
+        return !recent && !young;
+    });
+}
+
+/**
+ * Delete the snapshots of a zone file that fall outside the retention rules
+ * @returns {Promise<Array>} The deleted snapshots
+ */
+async function pruneBackups(zoneFile, retention) {
+    const pruned = selectForPruning(await listBackups(zoneFile), retention);
+    for (const backup of pruned) {
+        await fs.remove(backup.file);
+    }
+    if (pruned.length > 0) {
+        console.log(`✓ Pruned ${pruned.length} backup(s) of ${path.basename(zoneFile)}`);
+    }
+    return pruned;
+}
+
+/**
+ * Record-level differences between two parsed zones. Records are matched by
+ * name, type and RDATA, so a changed value shows as removed + added and a
+ * record whose TTL changed shows as changed. The SOA is not a parsed record;
+ * compare serials separately.
+ * @param {Array} fromRecords - Parsed records of the older version
+ * @param {Array} toRecords - Parsed records of the newer version
+ * @returns {Array<{ change: string, fqdn: string, type: string, from: Object|null, to: Object|null }>}
+ *          change is 'added', 'removed' or 'changed'; from/to are { ttl, rdata }
+ */
+function diffRecords(fromRecords, toRecords) {
+    const key = r => `${r.fqdn.toLowerCase()} ${r.type} ${String(r.rdataText).trim().replace(/\s+/g, ' ')}`;
+    const side = r => (r ? { ttl: r.ttl, rdata: r.rdataText } : null);
+    const from = new Map(fromRecords.map(r => [key(r), r]));
+    const to = new Map(toRecords.map(r => [key(r), r]));
+
+    const changes = [];
+    for (const [k, record] of from) {
+        const other = to.get(k);
+        if (!other) {
+            changes.push({ change: 'removed', fqdn: record.fqdn, type: record.type, from: side(record), to: null });
+        } else if (other.ttl !== record.ttl) {
+            changes.push({ change: 'changed', fqdn: record.fqdn, type: record.type, from: side(record), to: side(other) });
+        }
+    }
+    for (const [k, record] of to) {
+        if (!from.has(k)) {
+            changes.push({ change: 'added', fqdn: record.fqdn, type: record.type, from: null, to: side(record) });
+        }
+    }
+    return changes.sort((a, b) => a.fqdn.localeCompare(b.fqdn) || a.type.localeCompare(b.type));
+}
+
+module.exports = {
+    backupPath,
+    listBackups,
+    createBackup,
+    readBackup,
+    selectForPruning,
+    pruneBackups,
+    diffRecords
+};
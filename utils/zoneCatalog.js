@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Zone Catalog
+ * In-memory cache of what is read from named.conf.local and the zone files
+ * (the zone declarations, parsed zones), so pages that look at every zone do
+ * not read and parse every file on each request.
+ *
+ * An entry remembers the version (inode, size, mtime) of each file it was
+ * loaded from, $INCLUDE files included, and is loaded again when one of them
+ * changed. The directories of those files are watched: until the watcher
+ * reports a change an entry is served without touching the disk. Files in
+ * directories that are not watched are compared with their version on every
+ * use. Directories are watched rather than files because transactions
+ * replace files by renaming new ones into place.
+ */
+
+// key -> { file, files, version, value, fresh }
+const entries = new Map();
+// directory -> fs.FSWatcher
+const watchers = new Map();
+// Bumped on every change report, so a load that raced a change is not trusted
+let generation = 0;
+
+/**
+ * Version of a file for change detection: a replaced file has a new inode,
+ * an edited one a new size or mtime
+ */
+async function fileVersion(file) {
+    try {
+        const stats = await fs.stat(file);
+        return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    } catch (error) {
+        return 'missing';
+    }
+}
+
+async function versionOf(files) {
+    return (await Promise.all(files.map(fileVersion))).join(' ');
+}
+
+/**
+ * Whether a change to any of these files would be reported by a watcher
+ */
+function watched(files) {
+    return files.every(file => watchers.has(path.dirname(file)));
+}
+
+function markStale(test) {
+    generation++;
+    for (const entry of entries.values()) {
+        if (entry.files.some(test)) entry.fresh = false;
+    }
+}
+
+/**
+ * Mark the entries loaded from any of these files as possibly changed
+ * @param {string[]} files - Changed files
+ */
+function invalidate(files) {
+    const changed = new Set(files.map(file => path.resolve(file)));
+    markStale(file => changed.has(file));
+}
+
+/**
+ * Watch directories for changes to the files entries are loaded from. A
+ * directory that cannot be watched is left to version checks.
+ * @param {string[]} directories - Directories to watch
+ */
+function watch(directories) {
+    for (const directory of directories.map(dir => path.resolve(dir))) {
+        if (watchers.has(directory)) continue;
+        try {
+            const watcher = fs.watch(directory, { persistent: false }, (eventType, filename) => {
+                if (filename) {
+                    invalidate([path.join(directory, filename.toString())]);
+                } else {
+                    markStale(file => path.dirname(file) === directory);
+                }
+            });
+            watcher.on('error', error => {
+                console.warn(`Zone catalog: stopped watching ${directory}: ${error.message}`);
+                unwatch(directory);
+            });
+            watchers.set(directory, watcher);
+        } catch (error) {
+            console.warn(`Zone catalog: cannot watch ${directory}, files there are checked on each use: ${error.message}`);
+        }
+    }
+}
+
+function unwatch(directory) {
+    const watcher = watchers.get(directory);
+    if (!watcher) return;
+    watchers.delete(directory);
+    watcher.close();
+    markStale(file => path.dirname(file) === directory);
+}
+
+/**
+ * Stop all watchers; entries are then checked on each use
+ */
+function close() {
+    for (const directory of [...watchers.keys()]) {
+        unwatch(directory);
+    }
+}
+
+/**
+ * Cached value loaded from a file, loaded again when the file or one of the
+ * other files it was loaded from changed
+ * @param {string} key - Cache key
+ * @param {string} file - File the value is loaded from
+ * @param {Function} loader - async () => ({ value, files }), files being any
+ *   further files the value depends on, such as $INCLUDE files
+ * @returns {Promise<*>} The value; it is shared between callers and must not be modified
+ */
+async function load(key, file, loader) {
+    const started = generation;
+    const entry = entries.get(key);
+    if (entry && entry.file === file) {
+        if (entry.fresh) return entry.value;
+        if (entry.version === await versionOf(entry.files)) {
+            entry.fresh = started === generation && watched(entry.files);
+            return entry.value;
+        }
+    }
+
+    // Versions are taken before reading, so a change made meanwhile is seen next time
+    const mainVersion = await fileVersion(file);
+    let loaded;
+    try {
+        loaded = await loader();
+    } catch (error) {
+        entries.delete(key);
+        throw error;
+    }
+    const extra = (loaded.files || []).map(other => path.resolve(other));
+    const files = [path.resolve(file), ...extra];
+    entries.set(key, {
+        file,
+        files,
+        version: [mainVersion, await versionOf(extra)].filter(Boolean).join(' '),
+        value: loaded.value,
+        fresh: started === generation && watched(files)
+    });
+    return loaded.value;
+}
+
+/**
+ * Drop the entries whose key is not kept
+ * @param {Function} keep - key => boolean
+ */
+function prune(keep) {
+    for (const key of [...entries.keys()]) {
+        if (!keep(key)) entries.delete(key);
+    }
+}
+
+module.exports = {
+    load,
+    invalidate,
+    prune,
+    watch,
+    close
+};
@@ -0,0 +1,383 @@
+const zoneParser = require('./zoneParser');
+const recordTypes = require('./recordTypes');
+
+/**
+ * Zone Editor
+ * Applies record edits to zone file content through the parsed zone AST.
+ *
+ * Only the entry of the targeted record is rewritten; comments, directives,
+ * blank lines and the order of every other entry are kept byte for byte.
+ * Records are targeted by identity: owner name, type and RDATA.
+ */
+
+/**
+ * Collapse whitespace so RDATA written with different spacing compares equal
+ */
+function normalizeRdata(text) {
+    return String(text || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Build the identity of a record relative to a zone origin
+ * @param {Object} record - { name, type, rdata|rdataText }
+ * @param {string} origin - Zone origin
+ */
+function recordIdentity(record, origin) {
+    const rdata = typeof record.rdata === 'string' ? record.rdata : record.rdataText;
+    return {
+        fqdn: zoneParser.absoluteName(record.fqdn || record.name, zoneParser.fqdn(origin)).toLowerCase(),
+        type: String(record.type).toUpperCase(),
+        rdata: rdata !== undefined && rdata !== null && rdata !== '' ? normalizeRdata(rdata) : null
+    };
+}
+
+function matchesIdentity(record, identity) {
+    if (record.fqdn.toLowerCase() !== identity.fqdn || record.type !== identity.type) {
+        return false;
+    }
+    return identity.rdata === null || normalizeRdata(record.rdataText) === identity.rdata;
+}
+
+/**
+ * Render the RDATA of a record coming from a form, the API or the parser
+ */
+function recordRdataText(record) {
+    const type = String(record.type).toUpperCase();
+    if (record.rdata && typeof record.rdata === 'object') {
+        return recordTypes.formatRdata(type, record.rdata);
+    }
+    if (type === 'MX') {
+        return `${record.priority || 10} ${record.value}`;
+    }
+    if (type === 'SRV') {
+        return `${record.priority || 10} ${record.weight || 0} ${record.port || 0} ${record.value}`;
+    }
+    return record.value;
+}
+
+/**
+ * Format a record as a zone file line
+ * @param {Object} record - Record with name, ttl, type and value or rdata
+ * @param {string} [origin] - Origin in effect where the line is written
+ * @param {string} [zoneOrigin] - Zone origin the record name is relative to
+ */
+function formatRecordLine(record, origin = null, zoneOrigin = origin) {
+    let owner = record.name;
+    if (origin) {
+        const absolute = zoneParser.absoluteName(record.fqdn || record.name, zoneParser.fqdn(zoneOrigin));
+        owner = zoneParser.relativeName(absolute, zoneParser.fqdn(origin));
+    }
+    const name = owner.padEnd(15);
+    const ttl = (record.ttl ?? 3600).toString().padEnd(8);
+    const type = String(record.type).toUpperCase().padEnd(8);
+    return `${name} ${ttl} IN ${type} ${recordRdataText(record)}`;
+}
+
+/**
+ * Locate the editable entry of a record. Throws if the record does not exist,
+ * is ambiguous, or comes from an $INCLUDE file or $GENERATE directive.
+ */
+function findRecordEntry(parsed, identity) {
+    const candidates = parsed.entries.filter(e => e.kind === 'record' && e.record.type !== 'SOA' && matchesIdentity(e.record, identity));
+
+    if (candidates.length === 0) {
+        const readOnly = parsed.records.find(r => (r.include || r.generated) && matchesIdentity(r, identity));
+        if (readOnly) {
+            const source = readOnly.include ? `$INCLUDE file ${readOnly.include}` : `$GENERATE directive on line ${readOnly.line}`;
+            throw new Error(`Record is defined by ${source} and cannot be edited here`);
+        }
+        throw new Error(`Record not found: ${identity.fqdn} ${identity.type}${identity.rdata ? ' ' + identity.rdata : ''}`);
+    }
+
+    if (candidates.length > 1 && identity.rdata === null) {
+        throw new Error(`Multiple ${identity.type} records exist for ${identity.fqdn}; specify the record value`);
+    }
+
+    return candidates[0];
+}
+
+/**
+ * Index of the next record entry that inherits its owner from the given one
+ */
+function findInheritingEntry(parsed, entry) {
+    const index = parsed.entries.indexOf(entry);
+    for (let i = index + 1; i < parsed.entries.length; i++) {
+        const next = parsed.entries[i];
+        if (next.kind === 'trivia' || next.kind === 'directive') continue;
+        return next.kind === 'record' && next.blankOwner ? next : null;
+    }
+    return null;
+}
+
+/**
+ * Apply a list of { start, end, text } replacements to content
+ */
+function applySplices(content, splices) {
+    return splices
+        .sort((a, b) => b.start - a.start)
+        .reduce((acc, s) => acc.slice(0, s.start) + s.text + acc.slice(s.end), content);
+}
+
+/**
+ * When an entry with an explicit owner is removed or renamed, the following
+ * owner-less entries would silently inherit a different name. Pin the owner
+ * on the first inheriting entry so they keep their identity.
+ */
+function pinInheritedOwner(parsed, entry, splices) {
+    if (entry.blankOwner) return;
+    const next = findInheritingEntry(parsed, entry);
+    if (!next) return;
+    const ownerText = next.origin === entry.origin
+        ? entry.tokens[0].text
+        : next.record.fqdn;
+    // Replace leading whitespace with the owner name, keeping column alignment
+    const indent = /^[ \t]*/.exec(next.raw)[0];
+    const padded = ownerText.length < indent.length ? ownerText.padEnd(indent.length) : `${ownerText} `;
+    splices.push({ start: next.start, end: next.start + indent.length, text: padded });
+}
+
+/**
+ * Trailing newline of a single-line entry, preserved when it is rewritten
+ */
+function lineEnding(raw) {
+    const match = /\r?\n$/.exec(raw);
+    return match ? match[0] : '';
+}
+
+/**
+ * Verify an edit changed only the targeted records
+ */
+function assertOnlyTargetChanged(before, after, removed, added) {
+    const key = r => `${r.fqdn.toLowerCase()} ${r.ttl} ${r.class} ${r.type} ${normalizeRdata(r.rdataText)}`;
+    const expected = before.records.map(key);
+    removed.forEach(r => {
+        const i = expected.indexOf(key(r));
+        if (i !== -1) expected.splice(i, 1);
+    });
+    added.forEach(r => expected.push(key(r)));
+    const actual = after.records.map(key);
+    if (after.errors.length > before.errors.length) {
+        throw new Error(`Edit produced an invalid zone file: ${after.errors[after.errors.length - 1].message}`);
+    }
+    if (expected.length !== actual.length || expected.sort().join('\n') !== actual.sort().join('\n')) {
+        throw new Error('Edit would change records other than the target; zone file left untouched');
+    }
+}
+
+function parse(content, options) {
+    return zoneParser.parseZone(content, options);
+}
+
+/**
+ * Add a record. It is placed after the last record with the same owner,
+ * or at the end of the file.
+ * @param {string} content - Zone file content
+ * @param {Object} record - New record
+ * @param {Object} options - Parser options ({ origin, readInclude, ... })
+ */
+function addRecord(content, record, options = {}) {
+    return addRecords(content, [record], options);
+}
+
+/**
+ * Add several records with one parse of the file. Each is placed after the
+ * last record with the same owner, or at the end of the file, in the order
+ * given.
+ * @param {string} content - Zone file content
+ * @param {Array} records - New records
+ * @param {Object} options - Parser options ({ origin, readInclude, ... })
+ */
+function addRecords(content, records, options = {}) {
+    const parsed = parse(content, options);
+    const zoneOrigin = parsed.origin;
+    const identities = records.map(record => recordIdentity({ ...record, rdata: recordRdataText(record) }, zoneOrigin));
+
+    const lastByOwner = new Map();
+    parsed.entries.forEach(e => {
+        if (e.kind === 'record') lastByOwner.set(e.record.fqdn.toLowerCase(), e);
+    });
+
+    const insertions = new Map(); // entry -> lines added after it
+    const appended = [];
+    records.forEach((record, i) => {
+        const after = lastByOwner.get(identities[i].fqdn);
+        if (after) {
+            if (!insertions.has(after)) insertions.set(after, []);
+            insertions.get(after).push(formatRecordLine(record, after.origin, zoneOrigin));
+        } else {
+            appended.push(formatRecordLine(record, parsed.finalOrigin, zoneOrigin));
+        }
+    });
+
+    const splices = [...insertions].map(([after, lines]) => {
+        const ending = lineEnding(after.raw) || '\n';
+        const prefix = lineEnding(after.raw) ? '' : '\n';
+        return { start: after.end, end: after.end, text: prefix + lines.map(line => line + ending).join('') };
+    });
+    let newContent = applySplices(content, splices);
+    if (appended.length > 0) {
+        const separator = newContent.length === 0 || newContent.endsWith('\n') ? '' : '\n';
+        newContent = `${newContent}${separator}${appended.join('\n')}\n`;
+    }
+
+    const result = parse(newContent, options);
+    const used = new Set();
+    const added = identities.map(identity => {
+        const record = result.records.find(r => matchesIdentity(r, identity) && !used.has(r));
+        if (!record) {
+            throw new Error(records.length === 1
+                ? 'New record could not be parsed back from the zone file'
+                : `New record ${identity.fqdn} ${identity.type} could not be parsed back from the zone file`);
+        }
+        used.add(record);
+        return record;
+    });
+    assertOnlyTargetChanged(parsed, result, [], added);
+    return newContent;
+}
+
+/**
+ * Replace exactly one record
+ * @param {string} content - Zone file content
+ * @param {Object} target - Identity of the record to replace ({ name, type, rdata })
+ * @param {Object} record - Replacement record
+ * @param {Object} options - Parser options
+ */
+function updateRecord(content, target, record, options = {}) {
+    const parsed = parse(content, options);
+    const entry = findRecordEntry(parsed, recordIdentity(target, parsed.origin));
+    const splices = [];
+
+    const newIdentity = recordIdentity({ ...record, rdata: recordRdataText(record) }, parsed.origin);
+    if (newIdentity.fqdn !== entry.record.fqdn.toLowerCase()) {
+        pinInheritedOwner(parsed, entry, splices);
+    }
+
+    let line = formatRecordLine(record, entry.origin, parsed.origin);
+    const comment = lineComment(entry);
+    if (comment) line += ` ${comment}`;
+    splices.push({ start: entry.start, end: entry.end, text: line + (lineEnding(entry.raw) || '') });
+
+    const newContent = applySplices(content, splices);
+    const result = parse(newContent, options);
+    const updated = result.records.find(r => r.line === entry.line && matchesIdentity(r, newIdentity));
+    if (!updated) {
+        throw new Error('Updated record could not be parsed back from the zone file');
+    }
+    assertOnlyTargetChanged(parsed, result, [entry.record], [updated]);
+    return newContent;
+}
+
+/**
+ * Trailing comment of a single-line entry, kept when the entry is rewritten
+ */
+function lineComment(entry) {
+    if (entry.raw.replace(/\r?\n$/, '').includes('\n')) return null;
+    const lastToken = entry.tokens[entry.tokens.length - 1];
+    const rest = entry.raw.slice(lastToken.end - entry.start).replace(/\r?\n$/, '');
+    const index = rest.indexOf(';');
+    return index === -1 ? null : rest.slice(index).trimEnd();
+}
+
+/**
+ * Delete exactly one record
+ * @param {string} content - Zone file content
+ * @param {Object} target - Identity of the record to delete ({ name, type, rdata })
+ * @param {Object} options - Parser options
+ */
+function deleteRecord(content, target, options = {}) {
+    const parsed = parse(content, options);
+    const entry = findRecordEntry(parsed, recordIdentity(target, parsed.origin));
+    const splices = [];
+
+    pinInheritedOwner(parsed, entry, splices);
+    splices.push({ start: entry.start, end: entry.end, text: '' });
+
+    const newContent = applySplices(content, splices);
+    assertOnlyTargetChanged(parsed, parse(newContent, options), [entry.record], []);
+    return newContent;
+}
+
+/**
+ * Replace the SOA serial in place
+ * @param {string} content - Zone file content
+ * @param {Function|number} serial - New serial, or a function of the current one
+ * @param {Object} options - Parser options
+ * @returns {{ content: string, serial: number|null }}
+ */
+function setSerial(content, serial, options = {}) {
+    const parsed = parse(content, options);
+    const soaEntry = parsed.entries.find(e => e.kind === 'record' && e.record.type === 'SOA');
+    if (!soaEntry || !soaEntry.rdataTokens || !soaEntry.rdataTokens[2]) {
+        return { content, serial: null };
+    }
+    const current = parseInt(soaEntry.rdataTokens[2].text, 10);
+    const next = typeof serial === 'function' ? serial(current) : serial;
+    const token = soaEntry.rdataTokens[2];
+    const newContent = content.slice(0, token.start) + String(next) + content.slice(token.end);
+    return { content: newContent, serial: next };
+}
+
+/**
+ * Replace SOA fields other than the serial, and the zone's default TTL, in
+ * place. The first $TTL directive gets the new TTL; without one, a $TTL line
+ * is added before the SOA record.
+ * @param {string} content - Zone file content
+ * @param {Object} soa - Fields to set: { mname, rname, refresh, retry, expire, minimum, ttl }
+ * @param {Object} options - Parser options
+ * @returns {string} New content
+ */
+function setSoa(content, soa, options = {}) {
+    const parsed = parse(content, options);
+    const soaEntry = parsed.entries.find(e => e.kind === 'record' && e.record.type === 'SOA');
+    if (!soaEntry || !soaEntry.rdataTokens || soaEntry.rdataTokens.length < 7) {
+        throw new Error('The zone file has no SOA record of its own; edit it by hand');
+    }
+
+    const splices = [];
+    ['mname', 'rname', null, 'refresh', 'retry', 'expire', 'minimum'].forEach((field, index) => {
+        if (field && soa[field] !== undefined) {
+            const token = soaEntry.rdataTokens[index];
+            splices.push({ start: token.start, end: token.end, text: String(soa[field]) });
+        }
+    });
+    if (soa.ttl !== undefined) {
+        const ttlEntry = parsed.entries.find(e => e.kind === 'directive' && e.directive.name === '$TTL');
+        if (ttlEntry) {
+            const token = ttlEntry.tokens[1];
+            splices.push({ start: token.start, end: token.end, text: String(soa.ttl) });
+        } else {
+            splices.push({ start: soaEntry.start, end: soaEntry.start, text: `$TTL ${soa.ttl}\n` });
+        }
+    }
+
+    const newContent = applySplices(content, splices);
+    const after = parse(newContent, options);
+    if (after.errors.length > parsed.errors.length) {
+        throw new Error(`Edit produced an invalid zone file: ${after.errors[after.errors.length - 1].message}`);
+    }
+    return newContent;
+}
+
+/**
+ * Find the records of a parsed zone matching a (possibly partial) identity
+ */
+function findRecords(parsed, target) {
+    const identity = recordIdentity(target, parsed.origin);
+    return parsed.records.filter(r => matchesIdentity(r, identity));
+}
+
+module.exports = {
+    addRecord,
+    addRecords,
+    updateRecord,
+    deleteRecord,
+    setSerial,
+    setSoa,
+    findRecords,
+    formatRecordLine,
+    recordRdataText,
+    recordIdentity,
+    matchesIdentity,
+    normalizeRdata
+};
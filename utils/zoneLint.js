@@ -0,0 +1,378 @@
+const zoneParser = require('./zoneParser');
+const { canonicalAddress } = require('./recordSearch');
+const { SOA_TIMERS, NEGATIVE_TTL } = require('./zoneSoa');
+
+/**
+ * Zone Lint
+ * Best-practice checks on a parsed zone, beyond the syntax and integrity
+ * checks of named-checkzone: NS records and glue, CNAME use, targets that
+ * do not exist, TTLs, SOA timers, mail and CAA policy records and reverse
+ * records. Every finding has a severity:
+ *
+ *   error     resolvers or other servers fail on it
+ *   warning   works, but goes against an RFC recommendation or looks like a mistake
+ *   info      worth knowing; often deliberate
+ *
+ * Checks that follow a name out of the zone (PTR targets, MX targets,
+ * delegations to child zones) look at the other zones on this server and
+ * skip names that are not hosted here.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// TTLs this many times apart within one zone are reported as an unusual spread
+const TTL_SPREAD_RATIO = 100;
+
+// Record types whose RDATA names another domain name, and the field holding it
+const TARGET_FIELDS = { NS: 'host', CNAME: 'target', PTR: 'target', MX: 'exchange', SRV: 'target' };
+
+function isReverseZone(origin) {
+    return /(^|\.)(in-addr|ip6)\.arpa\.$/i.test(origin);
+}
+
+function isAtOrBelow(name, parent) {
+    return name === parent || name.endsWith(`.${parent}`);
+}
+
+/**
+ * Address (canonical) a reverse owner name stands for, or null for names
+ * that are not a full address, such as RFC 2317 classless delegations
+ */
+function reverseAddress(fqdn) {
+    const name = fqdn.toLowerCase();
+    let match = /^((?:\d{1,3}\.){4})in-addr\.arpa\.$/.exec(name);
+    if (match) {
+        return canonicalAddress(match[1].slice(0, -1).split('.').reverse().join('.'));
+    }
+    match = /^((?:[0-9a-f]\.){32})ip6\.arpa\.$/.exec(name);
+    if (match) {
+        const nibbles = match[1].replace(/\./g, '').split('').reverse().join('');
+        return canonicalAddress(nibbles.match(/.{4}/g).join(':'));
+    }
+    return null;
+}
+
+/**
+ * Origin in effect for each record, which relative names in its RDATA are
+ * relative to ($ORIGIN can change within a file)
+ */
+function recordOrigins(parsed) {
+    return new Map(parsed.entries.filter(entry => entry.record).map(entry => [entry.record, entry.origin]));
+}
+
+/**
+ * Absolute, lowercase domain name in the RDATA of an NS, CNAME, PTR, MX or
+ * SRV record, or null for other records
+ */
+function targetName(record, origin) {
+    const field = TARGET_FIELDS[record.type];
+    const text = field && record.rdata ? record.rdata[field] : null;
+    if (typeof text !== 'string') return null;
+    return zoneParser.fqdn(zoneParser.absoluteName(text, origin)).toLowerCase();
+}
+
+function addressSet(records) {
+    return new Set(records
+        .filter(record => record.type === 'A' || record.type === 'AAAA')
+        .map(record => canonicalAddress(record.rdataText) || record.rdataText));
+}
+
+function sameSet(a, b) {
+    return a.size === b.size && [...a].every(item => b.has(item));
+}
+
+/**
+ * Index of every zone on the server (record types and addresses per name,
+ * name servers, wildcards) and of the delegations in them, so a zone can be
+ * checked against the zones its names point into
+ * @param {Object[]} zones - [{ parsed }], parsed being a zoneParser.parseZone result
+ * @returns {Object} Context for lintZone
+ */
+function createContext(zones) {
+    const context = { zones: new Map(), delegations: new Set() };
+    for (const { parsed } of zones) {
+        if (!parsed || !parsed.origin) continue;
+        const origin = parsed.origin.toLowerCase();
+        if (!context.zones.has(origin)) {
+            context.zones.set(origin, { types: new Map(), records: new Map(), nameServers: new Set(), wildcards: [] });
+        }
+        const index = context.zones.get(origin);
+        const origins = recordOrigins(parsed);
+        for (const record of parsed.records) {
+            const name = record.fqdn.toLowerCase();
+            if (!index.types.has(name)) {
+                index.types.set(name, new Set());
+                index.records.set(name, []);
+            }
+            index.types.get(name).add(record.type);
+            index.records.get(name).push(record);
+            if (name.startsWith('*.')) index.wildcards.push(name.slice(2));
+            if (record.type === 'NS') {
+                if (name === origin) {
+                    index.nameServers.add(targetName(record, origins.get(record) || parsed.origin));
+                } else {
+                    context.delegations.add(name);
+                }
+            }
+        }
+    }
+    return context;
+}
+
+/**
+ * Zone on the server a name belongs to (the closest enclosing apex), or null
+ */
+function hostingZone(context, name) {
+    let candidate = name;
+    while (candidate) {
+        if (context.zones.has(candidate)) return candidate;
+        const dot = candidate.indexOf('.');
+        if (dot < 0 || dot === candidate.length - 1) return null;
+        candidate = candidate.slice(dot + 1);
+    }
+    return null;
+}
+
+/**
+ * What the zone a name belongs to says about it: { zone, types, addresses },
+ * types and addresses being null when the name does not exist there; null
+ * when the name is not hosted on this server or delegated to a server
+ * that is not this one
+ */
+function lookup(context, name) {
+    const zone = hostingZone(context, name);
+    if (!zone) return null;
+    const delegated = [...context.delegations].some(cut => isAtOrBelow(name, cut) && isAtOrBelow(cut, zone) && cut !== zone);
+    if (delegated) return null;
+    const index = context.zones.get(zone);
+    const records = index.records.get(name) || null;
+    const wildcard = !records && index.wildcards.some(parent => name.endsWith(`.${parent}`));
+    return {
+        zone,
+        exists: !!records || wildcard,
+        types: records ? index.types.get(name) : null,
+        addresses: records ? addressSet(records) : null,
+        nameServers: name === zone ? index.nameServers : null
+    };
+}
+
+/**
+ * Check a parsed zone
+ * @param {Object} parsed - Result of zoneParser.parseZone, parsed with the zone origin
+ * @param {Object} [context] - From createContext over every zone on the server;
+ *   defaults to this zone alone
+ * @returns {Object[]} Findings [{ severity, rule, name, type, line, file, message }],
+ *   errors first
+ */
+function lintZone(parsed, context = createContext([{ parsed }])) {
+    const findings = [];
+    const origin = (parsed.origin || '').toLowerCase();
+    const report = (severity, rule, record, message) => findings.push({
+        severity,
+        rule,
+        name: record ? record.name : '@',
+        type: record ? record.type : null,
+        line: record ? record.line : null,
+        file: record ? record.include || null : null,
+        message
+    });
+
+    const origins = recordOrigins(parsed);
+    const targetOf = record => targetName(record, origins.get(record) || parsed.origin);
+
+    const byName = new Map();
+    for (const record of parsed.records) {
+        const name = record.fqdn.toLowerCase();
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(record);
+    }
+    const recordsAt = (name, type) => (byName.get(name) || []).filter(record => record.type === type);
+    const apexNs = recordsAt(origin, 'NS');
+
+    // NS records and glue
+    if (apexNs.length === 0) {
+        report('error', 'ns-missing', null, 'The zone has no NS records at the apex');
+    } else if (apexNs.length === 1) {
+        report('warning', 'ns-single', apexNs[0], 'Only one name server; RFC 2182 asks for at least two, on separate networks');
+    }
+    if (parsed.soa && apexNs.length > 0) {
+        const mname = zoneParser.fqdn(zoneParser.absoluteName(parsed.soa.mname, parsed.origin)).toLowerCase();
+        if (!apexNs.some(ns => targetOf(ns) === mname)) {
+            report('warning', 'soa-mname', parsed.soa, `SOA primary name server ${mname} is not one of the zone's NS records`);
+        }
+    }
+
+    const delegations = new Map();
+    for (const record of parsed.records.filter(r => r.type === 'NS')) {
+        const owner = record.fqdn.toLowerCase();
+        const host = targetOf(record);
+        if (owner !== origin) {
+            if (!delegations.has(owner)) delegations.set(owner, { record, hosts: new Set() });
+            delegations.get(owner).hosts.add(host);
+        }
+        const known = lookup(context, host);
+        if (known && known.types && known.types.has('CNAME')) {
+            report('error', 'ns-cname', record, `Name server ${host} is a CNAME; NS records must point to a name with A or AAAA records (RFC 2181 section 10.3)`);
+            continue;
+        }
+        if (!isAtOrBelow(host, origin)) {
+            if (known && (!known.addresses || known.addresses.size === 0)) {
+                report('error', 'ns-address', record, `Name server ${host} has no A or AAAA record in zone ${known.zone}`);
+            }
+            continue;
+        }
+
+        // In-zone hosts need addresses here: glue when the host is below a delegation
+        const glue = addressSet(byName.get(host) || []);
+        if (glue.size === 0) {
+            report('error', 'glue-missing', record, owner === origin
+                ? `Name server ${host} is in this zone but has no A or AAAA record`
+                : `Delegation to ${host} needs glue: an A or AAAA record for ${host} in this zone`);
+        } else if (known && known.zone !== origin && known.addresses && !sameSet(glue, known.addresses)) {
+            report('warning', 'glue-mismatch', record,
+                `Glue for ${host} (${[...glue].join(', ')}) differs from its addresses in zone ${known.zone} (${[...known.addresses].join(', ')})`);
+        }
+    }
+
+    // A delegation to a child zone on this server should list the child's own name servers
+    for (const [cut, { record, hosts }] of delegations) {
+        const child = lookup(context, cut);
+        if (!child || !child.nameServers || child.nameServers.size === 0) continue;
+        const missing = [...child.nameServers].filter(host => !hosts.has(host));
+        const extra = [...hosts].filter(host => !child.nameServers.has(host));
+        if (missing.length > 0 || extra.length > 0) {
+            report('warning', 'ns-mismatch', record,
+                `NS records for ${cut} differ from the NS records of zone ${cut}` +
+                (missing.length ? `; missing ${missing.join(', ')}` : '') +
+                (extra.length ? `; not in the child zone: ${extra.join(', ')}` : ''));
+        }
+    }
+
+    // CNAMEs and the targets of CNAME, MX and SRV records
+    for (const record of parsed.records.filter(r => ['CNAME', 'MX', 'SRV'].includes(r.type))) {
+        if (record.type === 'CNAME' && record.fqdn.toLowerCase() === origin) {
+            report('error', 'cname-apex', record, 'CNAME at the zone apex; it cannot coexist with the SOA and NS records (RFC 1034 section 3.6.2)');
+        }
+        const target = targetOf(record);
+        // "." is a null MX (RFC 7505) or a "no service" SRV (RFC 2782)
+        if (!target || target === '.') continue;
+        const known = lookup(context, target);
+        if (!known) continue;
+
+        if (!known.exists) {
+            report('error', 'dangling-target', record, known.zone === origin
+                ? `${record.type} target ${target} does not exist in this zone`
+                : `${record.type} target ${target} does not exist in zone ${known.zone}`);
+        } else if (known.types && known.types.has('CNAME')) {
+            if (record.type === 'CNAME') {
+                report('warning', 'cname-chain', record, `CNAME points to ${target}, which is itself a CNAME; point it at the final name`);
+            } else {
+                report('error', `${record.type.toLowerCase()}-cname`, record,
+                    `${record.type} target ${target} is a CNAME; it must be a name with A or AAAA records (RFC 2181 section 10.3)`);
+            }
+        } else if (record.type !== 'CNAME' && known.addresses && known.addresses.size === 0) {
+            report('error', 'dangling-target', record, `${record.type} target ${target} has no A or AAAA record`);
+        }
+    }
+
+    // TTLs
+    const rrsets = new Map();
+    for (const record of parsed.records) {
+        const key = `${record.fqdn.toLowerCase()} ${record.type}`;
+        if (!rrsets.has(key)) rrsets.set(key, []);
+        rrsets.get(key).push(record);
+    }
+    for (const records of rrsets.values()) {
+        const ttls = [...new Set(records.map(r => r.ttl))];
+        if (ttls.length > 1) {
+            report('warning', 'rrset-ttl', records[0],
+                `The ${records[0].type} records of ${records[0].name} have different TTLs (${ttls.join(', ')}); resolvers use the lowest (RFC 2181 section 5.2)`);
+        }
+    }
+    const byTtl = parsed.records.filter(r => Number.isInteger(r.ttl) && r.ttl > 0).sort((a, b) => a.ttl - b.ttl);
+    if (byTtl.length > 1) {
+        const lowest = byTtl[0];
+        const highest = byTtl[byTtl.length - 1];
+        if (highest.ttl / lowest.ttl >= TTL_SPREAD_RATIO) {
+            report('info', 'ttl-spread', null,
+                `TTLs range from ${lowest.ttl} (${lowest.name} ${lowest.type}) to ${highest.ttl} (${highest.name} ${highest.type}); check that both are intended`);
+        }
+    }
+
+    // SOA timers
+    const soa = parsed.soa;
+    if (!soa) {
+        report('error', 'soa-missing', null, 'The zone has no SOA record');
+    } else {
+        for (const [field, range] of Object.entries(SOA_TIMERS)) {
+            if (soa[field] < range.min || soa[field] > range.max) {
+                report('warning', `soa-${field}`, soa, `SOA ${field} is ${soa[field]}; RFC 1912 recommends ${range.text} (${range.min}-${range.max})`);
+            }
+        }
+        if (soa.retry >= soa.refresh) {
+            report('warning', 'soa-retry', soa, `SOA retry (${soa.retry}) should be shorter than refresh (${soa.refresh})`);
+        }
+        if (soa.expire <= soa.refresh + soa.retry) {
+            report('warning', 'soa-expire', soa, `SOA expire (${soa.expire}) should be well above refresh plus retry`);
+        }
+        if (soa.minimum > NEGATIVE_TTL.max) {
+            report('warning', 'soa-minimum', soa, `SOA minimum (negative caching TTL) is ${soa.minimum}; RFC 2308 recommends 1 to 3 hours and at most a day`);
+        } else if (soa.minimum < NEGATIVE_TTL.min) {
+            report('info', 'soa-minimum', soa, `SOA minimum (negative caching TTL) is only ${soa.minimum}; names that do not exist will be queried again quickly`);
+        }
+    }
+
+    // Mail and certificate policy, for forward zones
+    if (origin && !isReverseZone(origin)) {
+        const hasMx = recordsAt(origin, 'MX').some(mx => targetOf(mx) !== '.');
+        const txt = (name, prefix) => recordsAt(name, 'TXT').filter(r => r.rdata.strings && r.rdata.strings.join('').toLowerCase().startsWith(prefix));
+        const spf = txt(origin, 'v=spf1');
+        if (spf.length > 1) {
+            report('error', 'spf-multiple', spf[1], 'More than one SPF record; receivers treat this as a permanent error (RFC 7208 section 3.2)');
+        } else if (spf.length === 0) {
+            report(hasMx ? 'warning' : 'info', 'spf-missing', null, hasMx
+                ? 'The zone receives mail (MX) but has no SPF record (TXT "v=spf1 ...") at the apex'
+                : 'No SPF record; a domain that sends no mail can publish TXT "v=spf1 -all"');
+        }
+        recordsAt(origin, 'SPF').forEach(record => {
+            report('info', 'spf-type', record, 'The SPF record type is obsolete (RFC 7208 section 3.1); only the TXT record is used');
+        });
+        if (txt(`_dmarc.${origin}`, 'v=dmarc1').length === 0) {
+            report(hasMx ? 'warning' : 'info', 'dmarc-missing', null, `No DMARC policy (TXT "v=DMARC1; ..." at _dmarc.${origin})`);
+        }
+        if (recordsAt(origin, 'CAA').length === 0) {
+            report('info', 'caa-missing', null, 'No CAA records; any certificate authority may issue certificates for this domain');
+        }
+    }
+
+    // PTR records should match a forward A or AAAA record
+    for (const record of parsed.records.filter(r => r.type === 'PTR')) {
+        const address = reverseAddress(record.fqdn);
+        const target = targetOf(record);
+        const known = address ? lookup(context, target) : null;
+        if (!known) continue;
+        if (!known.addresses || known.addresses.size === 0) {
+            report('warning', 'ptr-mismatch', record, `PTR points to ${target}, which has no A or AAAA record`);
+        } else if (!known.addresses.has(address)) {
+            report('warning', 'ptr-mismatch', record, `PTR points to ${target}, which resolves to ${[...known.addresses].join(', ')}, not ${address}`);
+        }
+    }
+
+    return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * Number of findings per severity
+ */
+function countFindings(findings) {
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    findings.forEach(finding => counts[finding.severity]++);
+    return counts;
+}
+
+module.exports = {
+    SEVERITIES,
+    createContext,
+    lintZone,
+    countFindings
+};
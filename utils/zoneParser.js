@@ -0,0 +1,510 @@
+const recordTypes = require('./recordTypes');
+
+/**
+ * Zone File Parser
+ * Tokenizes and parses RFC 1035 master files into structured records.
+ *
+ * The parser keeps every logical entry of the file (records, directives,
+ * comments and blank lines) together with its source offsets, so callers
+ * can display records as well as edit the file without losing formatting.
+ */
+
+const CLASSES = ['IN', 'CH', 'HS', 'CS'];
+
+// Records all $GENERATE directives of a zone may expand to; enough for a /16
+// reverse zone, and keeps a huge range from exhausting memory
+const MAX_GENERATED_RECORDS = 65536;
+
+/**
+ * Parse a TTL value, accepting BIND unit suffixes (e.g. 1h30m, 2d, 1w)
+ * @param {string} text - TTL text
+ * @returns {number|null} TTL in seconds, or null if not a TTL
+ */
+function parseTtl(text) {
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10);
+    }
+    if (!/^(\d+[smhdw])+$/i.test(text)) {
+        return null;
+    }
+    const multipliers = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+    let total = 0;
+    const partRegex = /(\d+)([smhdw])/gi;
+    let match;
+    while ((match = partRegex.exec(text)) !== null) {
+        total += parseInt(match[1], 10) * multipliers[match[2].toLowerCase()];
+    }
+    return total;
+}
+
+function isTtl(text) {
+    return parseTtl(text) !== null;
+}
+
+function isClass(text) {
+    return CLASSES.includes(text.toUpperCase()) || /^CLASS\d+$/i.test(text);
+}
+
+/**
+ * Ensure a domain name ends with exactly one dot
+ */
+function fqdn(name) {
+    if (!name) return '.';
+    return name === '.' ? '.' : name.replace(/\.+$/, '') + '.';
+}
+
+/**
+ * Resolve an owner or target name against the current origin
+ * @param {string} name - Name as written ('@', relative or absolute)
+ * @param {string|null} origin - Current origin (absolute)
+ */
+function absoluteName(name, origin) {
+    if (name === '@') {
+        return origin || '@';
+    }
+    if (name.endsWith('.') && !name.endsWith('\\.')) {
+        return name;
+    }
+    if (!origin) {
+        return name;
+    }
+    return origin === '.' ? `${name}.` : `${name}.${origin}`;
+}
+
+/**
+ * Express an absolute name relative to the zone apex ('@' for the apex itself)
+ */
+function relativeName(name, origin) {
+    if (!origin || !name.endsWith('.')) {
+        return name;
+    }
+    const lowerName = name.toLowerCase();
+    const lowerOrigin = origin.toLowerCase();
+    if (lowerName === lowerOrigin) {
+        return '@';
+    }
+    if (lowerName.endsWith(`.${lowerOrigin}`)) {
+        return name.slice(0, name.length - origin.length - 1);
+    }
+    return name;
+}
+
+/**
+ * Split zone file content into logical entries.
+ * A logical entry is one physical line, or several when a parenthesized
+ * group spans line breaks. Each token keeps its offsets in the content.
+ */
+function tokenize(content) {
+    const entries = [];
+    const errors = [];
+    const length = content.length;
+    let i = 0;
+    let line = 1;
+
+    while (i < length) {
+        const entry = {
+            start: i,
+            line,
+            blankOwner: content[i] === ' ' || content[i] === '\t',
+            tokens: [],
+            comments: []
+        };
+        let depth = 0;
+        let done = false;
+
+        while (i < length && !done) {
+            const ch = content[i];
+
+            if (ch === '\n') {
+                line++;
+                i++;
+                if (depth === 0) done = true;
+                continue;
+            }
+            if (ch === ' ' || ch === '\t' || ch === '\r') {
+                i++;
+                continue;
+            }
+            if (ch === ';') {
+                const commentStart = i + 1;
+                while (i < length && content[i] !== '\n') i++;
+                entry.comments.push(content.slice(commentStart, i).replace(/\r$/, '').trim());
+                continue;
+            }
+            if (ch === '(') {
+                depth++;
+                i++;
+                continue;
+            }
+            if (ch === ')') {
+                if (depth === 0) {
+                    errors.push({ line, message: 'Unbalanced closing parenthesis' });
+                } else {
+                    depth--;
+                }
+                i++;
+                continue;
+            }
+            if (ch === '"') {
+                const tokenStart = i;
+                i++;
+                while (i < length && content[i] !== '"') {
+                    if (content[i] === '\\' && i + 1 < length) {
+                        i += 2;
+                        continue;
+                    }
+                    if (content[i] === '\n') line++;
+                    i++;
+                }
+                if (i >= length) {
+                    errors.push({ line: entry.line, message: 'Unterminated quoted string' });
+                    entry.tokens.push({ text: content.slice(tokenStart), value: content.slice(tokenStart + 1), quoted: true, start: tokenStart, end: length });
+                    break;
+                }
+                i++;
+                entry.tokens.push({
+                    text: content.slice(tokenStart, i),
+                    value: content.slice(tokenStart + 1, i - 1),
+                    quoted: true,
+                    start: tokenStart,
+                    end: i
+                });
+                continue;
+            }
+
+            const tokenStart = i;
+            while (i < length && !/[\s;()"]/.test(content[i])) {
+                i += content[i] === '\\' && i + 1 < length ? 2 : 1;
+            }
+            const text = content.slice(tokenStart, i);
+            entry.tokens.push({ text, value: text, quoted: false, start: tokenStart, end: i });
+        }
+
+        if (depth > 0) {
+            errors.push({ line: entry.line, message: 'Unbalanced opening parenthesis' });
+        }
+
+        entry.end = i;
+        entries.push(entry);
+    }
+
+    return { entries, errors };
+}
+
+/**
+ * Expand a $GENERATE template for one iteration value
+ * Supports $, $$ (literal) and ${offset,width,base} modifiers.
+ */
+function expandGenerateTemplate(template, value) {
+    return template.replace(/\$\$|\$(\{(-?\d+)(?:,(\d+))?(?:,([doxXnN]))?\})?/g, (match, modifier, offset, width, base) => {
+        if (match === '$$') return '$';
+        let n = value + (offset ? parseInt(offset, 10) : 0);
+        let text;
+        switch (base) {
+            case 'o': text = n.toString(8); break;
+            case 'x': text = n.toString(16); break;
+            case 'X': text = n.toString(16).toUpperCase(); break;
+            default: text = String(n);
+        }
+        return width ? text.padStart(parseInt(width, 10), '0') : text;
+    });
+}
+
+/**
+ * Parse zone file content
+ * @param {string} content - Zone file content
+ * @param {Object} [options]
+ * @param {string} [options.origin] - Zone origin (zone name)
+ * @param {number} [options.defaultTTL] - TTL used when the file sets none
+ * @param {Function} [options.readInclude] - Synchronous reader for $INCLUDE files
+ * @returns {Object} Parsed zone: { origin, finalOrigin, ttl, soa, records, entries, errors }
+ */
+function parseZone(content, options = {}) {
+    const zoneOrigin = options.origin ? fqdn(options.origin) : null;
+    const result = {
+        origin: zoneOrigin,
+        ttl: null,
+        soa: null,
+        records: [],
+        entries: [],
+        errors: [],
+        includes: []
+    };
+
+    const state = {
+        origin: zoneOrigin,
+        ttl: null,
+        lastTtl: null,
+        lastOwner: null,
+        nextId: 1,
+        generated: 0
+    };
+
+    parseInto(result, content, state, options, null);
+    result.finalOrigin = state.origin;
+
+    // Records without any TTL source take the SOA minimum (RFC 2308) or the default
+    const fallbackTtl = result.soa ? result.soa.minimum : (options.defaultTTL || 3600);
+    for (const record of result.records) {
+        if (record.ttl === null) record.ttl = fallbackTtl;
+    }
+    if (result.soa && result.soa.ttl === null) {
+        result.soa.ttl = fallbackTtl;
+    }
+
+    return result;
+}
+
+/**
+ * Parse content into an existing result, used for the main file and $INCLUDE files
+ */
+function parseInto(result, content, state, options, includeFile) {
+    const { entries, errors } = tokenize(content);
+    errors.forEach(err => result.errors.push({ ...err, file: includeFile }));
+
+    for (const entry of entries) {
+        const node = {
+            kind: 'trivia',
+            start: entry.start,
+            end: entry.end,
+            line: entry.line,
+            raw: content.slice(entry.start, entry.end),
+            tokens: entry.tokens,
+            blankOwner: entry.blankOwner,
+            origin: state.origin
+        };
+
+        try {
+            if (entry.tokens.length === 0) {
+                // Blank line or comment only
+            } else if (!entry.blankOwner && entry.tokens[0].text.startsWith('$')) {
+                node.kind = 'directive';
+                node.directive = parseDirective(result, entry, state, options);
+            } else {
+                node.kind = 'record';
+                node.record = parseRecord(result, entry, state, includeFile);
+                node.rdataTokens = entry.rdataTokens;
+            }
+        } catch (err) {
+            node.kind = 'invalid';
+            node.error = err.message;
+            result.errors.push({ line: entry.line, message: err.message, file: includeFile });
+        }
+
+        if (!includeFile) {
+            result.entries.push(node);
+        }
+    }
+}
+
+function parseDirective(result, entry, state, options) {
+    const name = entry.tokens[0].text.toUpperCase();
+    const args = entry.tokens.slice(1);
+
+    switch (name) {
+        case '$ORIGIN': {
+            if (!args[0]) throw new Error('$ORIGIN requires a domain name');
+            state.origin = absoluteName(args[0].text, state.origin);
+            return { name, origin: state.origin };
+        }
+        case '$TTL': {
+            const ttl = args[0] ? parseTtl(args[0].text) : null;
+            if (ttl === null) throw new Error('$TTL requires a valid TTL value');
+            state.ttl = ttl;
+            if (result.ttl === null) result.ttl = ttl;
+            return { name, ttl };
+        }
+        case '$INCLUDE': {
+            if (!args[0]) throw new Error('$INCLUDE requires a file name');
+            const file = args[0].value;
+            const includeOrigin = args[1] ? absoluteName(args[1].text, state.origin) : state.origin;
+            result.includes.push({ file, origin: includeOrigin, line: entry.line });
+            if (options.readInclude) {
+                const includeContent = options.readInclude(file);
+                // Per RFC 1035 the included file cannot change the parent's origin
+                const includeState = { ...state, origin: includeOrigin };
+                parseInto(result, includeContent, includeState, options, file);
+                state.nextId = includeState.nextId;
+                state.generated = includeState.generated;
+            }
+            return { name, file, origin: includeOrigin };
+        }
+        case '$GENERATE': {
+            generateRecords(result, entry, state);
+            return { name };
+        }
+        default:
+            throw new Error(`Unsupported directive ${entry.tokens[0].text}`);
+    }
+}
+
+/**
+ * Split owner-less record tokens into TTL, class, type and RDATA
+ */
+function splitRecordTokens(tokens) {
+    let ttl = null;
+    let rrClass = null;
+    let index = 0;
+
+    while (index < tokens.length) {
+        const text = tokens[index].text;
+        if (ttl === null && isTtl(text)) {
+            ttl = parseTtl(text);
+        } else if (rrClass === null && isClass(text)) {
+            rrClass = text.toUpperCase();
+        } else {
+            break;
+        }
+        index++;
+    }
+
+    if (index >= tokens.length) {
+        throw new Error('Record is missing a type');
+    }
+
+    return {
+        ttl,
+        rrClass,
+        type: tokens[index].text.toUpperCase(),
+        rdataTokens: tokens.slice(index + 1)
+    };
+}
+
+function parseRecord(result, entry, state, includeFile) {
+    let tokens = entry.tokens;
+    let ownerText;
+
+    if (entry.blankOwner) {
+        if (!state.lastOwner) throw new Error('Record has no owner name and no previous owner to inherit');
+        ownerText = null;
+    } else {
+        ownerText = tokens[0].text;
+        tokens = tokens.slice(1);
+    }
+
+    const owner = ownerText === null ? state.lastOwner : absoluteName(ownerText, state.origin);
+    const { ttl, rrClass, type, rdataTokens } = splitRecordTokens(tokens);
+
+    if (rdataTokens.length === 0) {
+        throw new Error(`${type} record has no RDATA`);
+    }
+
+    const rdata = recordTypes.parseRdata(type, rdataTokens, { parseTtl });
+    state.lastOwner = owner;
+    entry.rdataTokens = rdataTokens;
+
+    let effectiveTtl = ttl;
+    if (ttl !== null) {
+        state.lastTtl = ttl;
+    } else {
+        effectiveTtl = state.ttl !== null ? state.ttl : state.lastTtl;
+    }
+
+    const record = buildRecord({
+        owner,
+        ttl: effectiveTtl,
+        ttlExplicit: ttl !== null,
+        rrClass: rrClass || 'IN',
+        type,
+        rdata,
+        zoneOrigin: result.origin,
+        line: entry.line,
+        comment: entry.comments.join(' ') || null,
+        include: includeFile
+    });
+
+    if (type === 'SOA') {
+        if (!result.soa) {
+            result.soa = { ...record, ...rdata };
+            // Per RFC 2308 the SOA minimum is the negative caching TTL; it only
+            // provides a record TTL when no $TTL has been set
+            if (state.ttl === null && state.lastTtl === null && ttl === null) {
+                state.lastTtl = rdata.minimum;
+            }
+        } else {
+            result.errors.push({ line: entry.line, message: 'Multiple SOA records', file: includeFile });
+        }
+        return record;
+    }
+
+    record.id = state.nextId++;
+    result.records.push(record);
+    return record;
+}
+
+function buildRecord({ owner, ttl, ttlExplicit, rrClass, type, rdata, zoneOrigin, line, comment, include, generated }) {
+    const rdataText = recordTypes.formatRdata(type, rdata);
+    const record = {
+        name: relativeName(owner, zoneOrigin),
+        fqdn: owner,
+        ttl,
+        ttlExplicit,
+        class: rrClass,
+        type,
+        rdata,
+        rdataText,
+        ...recordTypes.flattenRdata(type, rdata, rdataText),
+        line,
+        comment: comment || null
+    };
+    if (include) record.include = include;
+    if (generated) record.generated = true;
+    return record;
+}
+
+/**
+ * Expand a BIND $GENERATE directive into read-only records
+ * Syntax: $GENERATE range lhs [ttl] [class] type rhs
+ */
+function generateRecords(result, entry, state) {
+    const args = entry.tokens.slice(1);
+    if (args.length < 4) throw new Error('$GENERATE requires range, lhs, type and rhs');
+
+    const rangeMatch = /^(\d+)-(\d+)(?:\/(\d+))?$/.exec(args[0].text);
+    if (!rangeMatch) throw new Error(`Invalid $GENERATE range "${args[0].text}"`);
+    const from = parseInt(rangeMatch[1], 10);
+    const to = parseInt(rangeMatch[2], 10);
+    const step = rangeMatch[3] ? parseInt(rangeMatch[3], 10) : 1;
+    if (to < from || step < 1) throw new Error(`Invalid $GENERATE range "${args[0].text}"`);
+    const count = Math.floor((to - from) / step) + 1;
+    if (state.generated + count > MAX_GENERATED_RECORDS) {
+        throw new Error(`$GENERATE range "${args[0].text}" is too large: a zone may generate at most ${MAX_GENERATED_RECORDS} records`);
+    }
+
+    const lhs = args[1].text;
+    const { ttl, rrClass, type, rdataTokens } = splitRecordTokens(args.slice(2));
+    if (rdataTokens.length === 0) throw new Error('$GENERATE is missing the rhs template');
+    state.generated += count;
+
+    for (let n = from; n <= to; n += step) {
+        const owner = absoluteName(expandGenerateTemplate(lhs, n), state.origin);
+        const expanded = rdataTokens.map(t => {
+            const text = expandGenerateTemplate(t.text, n);
+            return { ...t, text, value: text };
+        });
+        const rdata = recordTypes.parseRdata(type, expanded, { parseTtl });
+        const record = buildRecord({
+            owner,
+            ttl: ttl !== null ? ttl : (state.ttl !== null ? state.ttl : state.lastTtl),
+            ttlExplicit: ttl !== null,
+            rrClass: rrClass || 'IN',
+            type,
+            rdata,
+            zoneOrigin: result.origin,
+            line: entry.line,
+            generated: true
+        });
+        record.id = state.nextId++;
+        result.records.push(record);
+    }
+}
+
+module.exports = {
+    MAX_GENERATED_RECORDS,
+    tokenize,
+    parseZone,
+    parseTtl,
+    absoluteName,
+    relativeName,
+    fqdn
+};
@@ -0,0 +1,207 @@
+const zoneParser = require('./zoneParser');
+const recordTypes = require('./recordTypes');
+const { nameError } = require('./recordValidator');
+const { ValidationError } = require('./errors');
+
+/**
+ * Zone SOA
+ * SOA timers, the zone's default TTL ($TTL) and serial numbering. Each zone
+ * counts its serial under a scheme, kept in settings (zones.serialSchemes:
+ * zone name -> scheme; zones.serialScheme for zones without one):
+ *
+ *   date      YYYYMMDDNN: the local date and a change counter for the day
+ *   counter   1, 2, 3, ...
+ *   unix      seconds since 1970, or one more than the last serial when
+ *             several changes fall in the same second
+ *
+ * A serial never goes down: switching scheme, or more than 99 changes on
+ * one day, continues from the current serial.
+ */
+
+const SERIAL_SCHEMES = ['date', 'counter', 'unix'];
+
+const SERIAL_SCHEME_LABELS = {
+    date: 'Date (YYYYMMDDNN)',
+    counter: 'Counter (1, 2, 3, ...)',
+    unix: 'Unix time'
+};
+
+// Serials are 32-bit unsigned (RFC 1982)
+const SERIAL_MODULO = 4294967296;
+
+// SOA timer ranges recommended by RFC 1912 section 2.2, in seconds
+const SOA_TIMERS = {
+    refresh: { min: 1200, max: 43200, text: '20 minutes to 12 hours' },
+    expire: { min: 1209600, max: 2419200, text: '2 to 4 weeks' }
+};
+
+// Negative caching TTL (SOA minimum): RFC 2308 section 5 recommends 1 to 3 hours, at most a day
+const NEGATIVE_TTL = { min: 300, max: 86400 };
+
+const TIMER_FIELDS = ['ttl', 'refresh', 'retry', 'expire', 'minimum'];
+
+function normalizeZoneName(name) {
+    return String(name || '').toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * YYYYMMDD00 for a date, in local time like the rest of the zone file comments
+ */
+function dateBase(now) {
+    return now.getFullYear() * 1000000 + (now.getMonth() + 1) * 10000 + now.getDate() * 100;
+}
+
+/**
+ * Serial of a new zone
+ * @param {string} [scheme='date'] - Serial scheme
+ * @param {Date} [now]
+ */
+function initialSerial(scheme = 'date', now = new Date()) {
+    switch (scheme) {
+        case 'counter': return 1;
+        case 'unix': return Math.floor(now.getTime() / 1000) % SERIAL_MODULO;
+        default: return dateBase(now) + 1;
+    }
+}
+
+/**
+ * Serial after a change: the scheme's value for now when it is ahead of the
+ * current serial, otherwise the current serial plus one
+ * @param {number} current - Current serial
+ * @param {string} [scheme='date'] - Serial scheme
+ * @param {Date} [now]
+ */
+function nextSerial(current, scheme = 'date', now = new Date()) {
+    const base = Number.isInteger(current) && current >= 0 ? current : 0;
+    const next = (base + 1) % SERIAL_MODULO;
+    if (scheme === 'counter' || next === 0) {
+        return next;
+    }
+    return Math.max(next, initialSerial(scheme, now));
+}
+
+/**
+ * Serial scheme of a zone
+ * @param {Object} settings - Loaded settings
+ * @param {string} zoneName - Zone name
+ */
+function getSerialScheme(settings, zoneName) {
+    const scheme = (settings.zones.serialSchemes || {})[normalizeZoneName(zoneName)];
+    return SERIAL_SCHEMES.includes(scheme) ? scheme : (settings.zones.serialScheme || 'date');
+}
+
+/**
+ * The scheme map with a zone's scheme replaced; a zone on the default scheme has no entry
+ */
+function withSerialScheme(settings, zoneName, scheme) {
+    const map = { ...(settings.zones.serialSchemes || {}) };
+    const name = normalizeZoneName(zoneName);
+    if (scheme && scheme !== (settings.zones.serialScheme || 'date')) {
+        map[name] = scheme;
+    } else {
+        delete map[name];
+    }
+    return map;
+}
+
+/**
+ * Turn a mailbox written as an address (hostmaster@example.com) into an RNAME
+ * (hostmaster.example.com.); dots in the local part are escaped (RFC 1035 section 8)
+ */
+function mailboxToRname(value) {
+    const text = String(value).trim();
+    const at = text.indexOf('@');
+    if (at === -1) return text;
+    return `${text.slice(0, at).replace(/\./g, '\\.')}.${text.slice(at + 1)}`;
+}
+
+/**
+ * Validate SOA fields and the zone's $TTL. Fields left out are not checked,
+ * except that the ranges between timers use the current values for them.
+ * @param {Object} input - { mname, rname, ttl, refresh, retry, expire, minimum }; timers
+ *   may use BIND units (1h, 2w)
+ * @param {Object} [current] - Current values, for the fields not given
+ * @returns {{ values: Object, errors: Array<{ field: string, message: string }> }}
+ *   values holds the given fields normalized: absolute names, timers in seconds
+ */
+function validateSoa(input, current = {}) {
+    const values = {};
+    const errors = [];
+    const given = field => input[field] !== undefined && input[field] !== null && String(input[field]).trim() !== '';
+
+    if (given('mname')) {
+        const mname = String(input.mname).trim();
+        const error = nameError(mname, { hostname: true });
+        if (error) errors.push({ field: 'mname', message: error });
+        else values.mname = mname.replace(/\.+$/, '') + '.';
+    }
+    if (given('rname')) {
+        const rname = mailboxToRname(input.rname);
+        // The mailbox label may hold escaped dots; the rest is a domain name
+        const match = /^((?:[^.\\]|\\.)+)\.(.+)$/.exec(rname);
+        const error = !match
+            ? 'must be a mailbox such as hostmaster.example.com. or hostmaster@example.com'
+            : /\s/.test(match[1]) ? 'cannot contain spaces' : nameError(match[2]);
+        if (error) errors.push({ field: 'rname', message: error });
+        else values.rname = rname.replace(/\.+$/, '') + '.';
+    }
+    for (const field of TIMER_FIELDS) {
+        if (!given(field)) continue;
+        const seconds = zoneParser.parseTtl(String(input[field]).trim());
+        if (seconds === null || seconds > recordTypes.MAX_TTL) {
+            errors.push({ field, message: `must be a number of seconds up to ${recordTypes.MAX_TTL}, or use units such as 1h or 2w` });
+        } else {
+            values[field] = seconds;
+        }
+    }
+
+    for (const [field, range] of Object.entries(SOA_TIMERS)) {
+        if (values[field] !== undefined && (values[field] < range.min || values[field] > range.max)) {
+            errors.push({ field, message: `must be ${range.text} (${range.min}-${range.max}) per RFC 1912` });
+        }
+    }
+    if (values.minimum !== undefined && (values.minimum < NEGATIVE_TTL.min || values.minimum > NEGATIVE_TTL.max)) {
+        errors.push({ field: 'minimum', message: `must be ${NEGATIVE_TTL.min}-${NEGATIVE_TTL.max} seconds, 5 minutes to a day (RFC 2308)` });
+    }
+
+    // Timers against each other, when one of them changes and the others are known and valid
+    const timer = field => values[field] !== undefined ? values[field] : current[field];
+    const usable = fields => fields.some(field => values[field] !== undefined) &&
+        fields.every(field => Number.isInteger(timer(field)) && !errors.some(e => e.field === field));
+    const [refresh, retry, expire] = ['refresh', 'retry', 'expire'].map(timer);
+    if (usable(['refresh', 'retry']) && (retry < 1 || retry >= refresh)) {
+        errors.push({ field: 'retry', message: `must be at least 1 and shorter than refresh (${refresh}) per RFC 1912` });
+    }
+    if (usable(['refresh', 'retry', 'expire']) && expire <= refresh + retry) {
+        errors.push({ field: 'expire', message: `must be longer than refresh plus retry (${refresh + retry})` });
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Validate SOA input like validateSoa
+ * @returns {Object} The normalized values
+ * @throws {ValidationError} With one entry per invalid field
+ */
+function assertValidSoa(input, current = {}) {
+    const { values, errors } = validateSoa(input, current);
+    if (errors.length > 0) {
+        throw new ValidationError(errors, `Invalid SOA: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    }
+    return values;
+}
+
+module.exports = {
+    SERIAL_SCHEMES,
+    SERIAL_SCHEME_LABELS,
+    SOA_TIMERS,
+    NEGATIVE_TTL,
+    initialSerial,
+    nextSerial,
+    getSerialScheme,
+    withSerialScheme,
+    mailboxToRname,
+    validateSoa,
+    assertValidSoa
+};
@@ -0,0 +1,75 @@
+/**
+ * Zone Tags
+ * Free-form labels on zones, kept in settings (zones.tags: zone name ->
+ * tags). The "protected" tag puts a zone under the approval rule: with
+ * zones.requireApproval on, its changes are applied only after a second
+ * user approves them.
+ */
+
+const PROTECTED_TAG = 'protected';
+
+function normalizeZoneName(name) {
+    return String(name || '').toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Normalize tags given as an array or a comma/space separated string
+ * @throws When a tag has characters other than letters, digits, dots, hyphens and underscores
+ */
+function parseTags(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const tags = [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+    const invalid = tags.find(tag => !/^[a-z0-9._-]{1,32}$/.test(tag));
+    if (invalid) {
+        throw new Error(`Invalid tag "${invalid}": use up to 32 letters, digits, dots, hyphens and underscores`);
+    }
+    return tags.sort();
+}
+
+/**
+ * Tags of a zone
+ * @param {Object} settings - Loaded settings
+ * @param {string} zoneName - Zone name
+ */
+function getTags(settings, zoneName) {
+    return (settings.zones.tags || {})[normalizeZoneName(zoneName)] || [];
+}
+
+/**
+ * The tag map with a zone's tags replaced (removed when empty)
+ */
+function withTags(settings, zoneName, tags) {
+    const map = { ...(settings.zones.tags || {}) };
+    const name = normalizeZoneName(zoneName);
+    if (tags.length > 0) {
+        map[name] = tags;
+    } else {
+        delete map[name];
+    }
+    return map;
+}
+
+/**
+ * Whether changes to a zone need approval under the current settings
+ */
+function requiresApproval(settings, zoneName) {
+    return !!settings.zones.requireApproval && getTags(settings, zoneName).includes(PROTECTED_TAG);
+}
+
+/**
+ * The zones of a list whose changes need approval
+ */
+function zonesRequiringApproval(settings, zoneNames) {
+    return [...new Set(zoneNames.filter(Boolean).map(normalizeZoneName))]
+        .filter(zoneName => requiresApproval(settings, zoneName))
+        .sort();
+}
+
+module.exports = {
+    PROTECTED_TAG,
+    parseTags,
+    getTags,
+    withTags,
+    requiresApproval,
+    zonesRequiringApproval
+};
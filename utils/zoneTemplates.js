@@ -0,0 +1,165 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Zone Templates
+ * Named sets of records for new zones, written as BIND master file lines
+ * with {{variable}} placeholders, kept in settings (zones.templates: name ->
+ * { description, records, updatedAt }). {{zone}} is the zone name; every
+ * other variable is filled in when the template is used. The template and
+ * values last applied to a zone are kept as well (zones.appliedTemplates:
+ * zone name -> { template, variables, appliedAt }), so the template can be
+ * applied again to bring the zone back in line with it.
+ */
+
+// Variables filled in by NDash itself
+const BUILTIN_VARIABLES = ['zone'];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+function normalizeZoneName(name) {
+    return String(name || '').toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Variables a template asks for, in order of first use, without the built-in ones
+ * @param {string} records - Template records
+ */
+function templateVariables(records) {
+    const names = [...String(records || '').matchAll(PLACEHOLDER)].map(match => match[1]);
+    return [...new Set(names)].filter(name => !BUILTIN_VARIABLES.includes(name));
+}
+
+/**
+ * Check a template from the settings form or the API
+ * @param {Object} input - { name, description, records }
+ * @returns {Object} { name, description, records }
+ * @throws {ValidationError} With one entry per invalid field
+ */
+function parseTemplate(input) {
+    const errors = [];
+    const name = String(input.name || '').trim().toLowerCase();
+    const description = String(input.description || '').trim();
+    const records = String(input.records || '').replace(/\r\n/g, '\n').trim();
+
+    if (!/^[a-z0-9._-]{1,32}$/.test(name)) {
+        errors.push({ field: 'name', message: 'must be up to 32 letters, digits, dots, hyphens and underscores' });
+    }
+    if (description.length > 200) {
+        errors.push({ field: 'description', message: 'must be at most 200 characters' });
+    }
+    if (!records) {
+        errors.push({ field: 'records', message: 'is required' });
+    } else {
+        const stray = records.replace(PLACEHOLDER, '').match(/\{\{[^}]*\}\}/);
+        if (stray) {
+            errors.push({ field: 'records', message: `${stray[0]} is not a variable; use letters, digits and underscores, starting with a letter` });
+        }
+        if (/^\s*\$INCLUDE\b/im.test(records)) {
+            errors.push({ field: 'records', message: 'cannot use $INCLUDE' });
+        }
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    return { name, description, records };
+}
+
+/**
+ * Templates by name, sorted
+ * @param {Object} settings - Loaded settings
+ * @returns {Object[]} [{ name, description, records, updatedAt, variables }]
+ */
+function listTemplates(settings) {
+    return Object.entries(settings.zones.templates || {})
+        .map(([name, template]) => ({ name, ...template, variables: templateVariables(template.records) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A template by name, or null
+ */
+function getTemplate(settings, name) {
+    const template = (settings.zones.templates || {})[String(name || '').trim().toLowerCase()];
+    return template ? { name: String(name).trim().toLowerCase(), ...template, variables: templateVariables(template.records) } : null;
+}
+
+/**
+ * The template map with a template replaced, or removed when template is null
+ */
+function withTemplate(settings, name, template) {
+    const map = { ...(settings.zones.templates || {}) };
+    if (template) {
+        map[name] = { description: template.description, records: template.records, updatedAt: new Date().toISOString() };
+    } else {
+        delete map[name];
+    }
+    return map;
+}
+
+/**
+ * Fill in a template for a zone
+ * @param {Object} template - Template (see getTemplate)
+ * @param {string} zoneName - Zone name
+ * @param {Object} [values] - Variable name -> value
+ * @returns {{ content: string, variables: Object }} BIND master file lines, and the values used
+ * @throws {ValidationError} When a variable is missing or spans lines (field variables.<name>)
+ */
+function renderTemplate(template, zoneName, values = {}) {
+    const variables = {};
+    const errors = [];
+    for (const name of templateVariables(template.records)) {
+        const value = String(values[name] ?? '').trim();
+        if (value === '') {
+            errors.push({ field: `variables.${name}`, message: 'is required' });
+        } else if (/[\r\n]/.test(value)) {
+            errors.push({ field: `variables.${name}`, message: 'cannot contain line breaks' });
+        } else {
+            variables[name] = value;
+        }
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(errors, `Template ${template.name}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    }
+    const all = { ...variables, zone: normalizeZoneName(zoneName) };
+    return { content: template.records.replace(PLACEHOLDER, (text, name) => all[name]) + '\n', variables };
+}
+
+/**
+ * Template and values last applied to a zone, or null
+ */
+function getApplied(settings, zoneName) {
+    return (settings.zones.appliedTemplates || {})[normalizeZoneName(zoneName)] || null;
+}
+
+/**
+ * The applied-template map with a zone's entry replaced
+ */
+function withApplied(settings, zoneName, templateName, variables) {
+    return {
+        ...(settings.zones.appliedTemplates || {}),
+        [normalizeZoneName(zoneName)]: { template: templateName, variables, appliedAt: new Date().toISOString() }
+    };
+}
+
+/**
+ * Zones a template was last applied to
+ */
+function zonesUsing(settings, templateName) {
+    return Object.entries(settings.zones.appliedTemplates || {})
+        .filter(([, applied]) => applied.template === templateName)
+        .map(([zoneName]) => zoneName)
+        .sort();
+}
+
+module.exports = {
+    BUILTIN_VARIABLES,
+    templateVariables,
+    parseTemplate,
+    listTemplates,
+    getTemplate,
+    withTemplate,
+    renderTemplate,
+    getApplied,
+    withApplied,
+    zonesUsing
+};